@@ -1,27 +1,49 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import io from 'socket.io-client';
 import CanvasBoard from './components/CanvasBoard';
+import TranscriptPanel from './components/TranscriptPanel';
+import HistoryView from './components/HistoryView';
+import ReplayControls from './components/ReplayControls';
+import ImageUpload from './components/ImageUpload';
+import CameraPreview from './components/CameraPreview';
+import PracticePanel from './components/PracticePanel';
+import ProgressDashboard from './components/ProgressDashboard';
+import SettingsPanel from './components/SettingsPanel';
 import useAudioStream from './hooks/useAudioStream';
-import { Mic, MicOff, Play } from 'lucide-react';
-
-// Ensure we use the full URL with protocol
-const getServerUrl = () => {
-  const url = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
-  if (url.startsWith('http')) return url;
-  return `https://${url}`;
-};
-
-const socket = io(getServerUrl());
+import useLessonPlayer from './hooks/useLessonPlayer';
+import useCameraStream from './hooks/useCameraStream';
+import { NarrationTimeline } from './utils/narrationTimeline';
+import { downscaleImage } from './utils/image';
+import { getStudentId, studentHeaders } from './utils/studentId';
+import { loadSessionSettings, saveSessionSettings } from './utils/sessionSettings';
+import { SERVER_URL } from './config';
+import { Mic, MicOff, Play, History, RefreshCw, Send, Video, VideoOff, TrendingUp, Settings } from 'lucide-react';
+
+// The student id lets the server keep a learner profile across lessons; the settings pick
+// the tutor's voice, language, subject, depth and persona for each session
+const socket = io(SERVER_URL, { auth: { studentId: getStudentId(), settings: loadSessionSettings() } });
 
 function App() {
   const [isConnected, setIsConnected] = useState(false);
   const [statusMsg, setStatusMsg] = useState('Connecting...');
+  const [isReconnecting, setIsReconnecting] = useState(false); // Server or tutor connection is being restored
+  const [wasClosedByServer, setWasClosedByServer] = useState(false); // Idle timeout or server full; socket.io won't retry
   const [inputMode, setInputMode] = useState('voice'); // 'voice' or 'text'
   const [textMessage, setTextMessage] = useState('');
   const [isSpeaking, setIsSpeaking] = useState(false); // Track when AI is speaking
+  const [transcript, setTranscript] = useState([]); // Conversation entries, updated in place by id
+  const [showHistory, setShowHistory] = useState(false);
+  const [showProgress, setShowProgress] = useState(false);
+  const [showSettings, setShowSettings] = useState(false);
+  const [sessionConfig, setSessionConfig] = useState(null); // { config, options } from the server's settings handshake
+  const [replayTitle, setReplayTitle] = useState(null);
+  const [attachedImage, setAttachedImage] = useState(null); // Downscaled photo waiting to be sent, with a preview URL
+  const [practice, setPractice] = useState({ problem: null, hints: [], results: [] }); // Open practice problem, its hints so far and every checked answer
 
   // Audio Hook
-  const { isRecording, toggleMic } = useAudioStream(socket);
+  const { isRecording, toggleMic, inputLevel } = useAudioStream(socket);
+  // Optional camera, for showing work on paper while talking
+  const camera = useCameraStream(socket);
 
   // PCM Player State
   const audioCtxRef = useRef(null);
@@ -29,6 +51,12 @@ function App() {
   const audioStartTimeRef = useRef(null); // When audio playback actually started
   const queuedAudioDurationRef = useRef(0); // Total duration of audio queued
   const visualCommandQueueRef = useRef([]); // Queue of visual commands waiting to be scheduled
+  const scheduledSourcesRef = useRef(new Set()); // Buffer sources started or waiting to start
+
+  // Narration clock for pacing ANIMATE_SEQUENCE steps: what the tutor said, and when on the audio timeline
+  const narrationTimelineRef = useRef(new NarrationTimeline());
+  const transcribedUntilRef = useRef({ id: null, length: 0, at: 0 }); // Tutor entry text already on the timeline
+  const turnOverRef = useRef(false); // The tutor's turn has ended; its audio may still be playing
 
   // Reference to CanvasBoard's draw function (passed via callback)
   const drawVisualCommandRef = useRef(null);
@@ -62,30 +90,35 @@ function App() {
 
     commandsToProcess.forEach((queued) => {
       if (drawVisualCommandRef.current) {
-        drawVisualCommandRef.current(queued.cmd);
+        const result = drawVisualCommandRef.current(queued.cmd);
+        if (queued.ack) queued.ack(result);
       }
     });
   }, []);
 
   // Schedule a visual command - queue it to sync with audio playback
-  const scheduleVisualCommand = useCallback((cmd) => {
+  // `ack` (when present) reports the render result back to the server once drawn
+  const scheduleVisualCommand = useCallback((cmd, ack) => {
     console.log('📺 Received visual command:', cmd.type);
 
     // IMPORTANT: Queue the command instead of drawing immediately
     // This ensures visuals sync with audio, not just arrive whenever the server sends them
     if (audioStartTimeRef.current === null) {
       // Audio hasn't started yet - queue for later
-      visualCommandQueueRef.current.push({ cmd, timestamp: Date.now() });
+      visualCommandQueueRef.current.push({ cmd, ack, timestamp: Date.now() });
       console.log('🔄 Audio not started yet, queuing visual command');
     } else {
       // Audio is playing - draw immediately since we're already in sync
       if (drawVisualCommandRef.current) {
-        drawVisualCommandRef.current(cmd);
+        const result = drawVisualCommandRef.current(cmd);
+        if (ack) ack(result);
       }
     }
   }, []);
 
-  const playPcmChunk = useCallback((base64String) => {
+  // Queue a PCM chunk on the playback timeline. Replays pass a playbackRate and,
+  // after a seek, an offset (seconds) into the chunk to start from.
+  const playPcmChunk = useCallback((base64String, { playbackRate = 1, offset = 0 } = {}) => {
     console.log('🔊 playPcmChunk called with data length:', base64String?.length);
 
     if (!audioCtxRef.current) initAudioOutput();
@@ -117,7 +150,10 @@ function App() {
 
     const source = ctx.createBufferSource();
     source.buffer = buffer;
+    source.playbackRate.value = playbackRate;
     source.connect(ctx.destination);
+    scheduledSourcesRef.current.add(source);
+    source.onended = () => scheduledSourcesRef.current.delete(source);
 
     // INCREASED lookahead buffer to prevent stuttering
     // 200ms provides enough cushion for network jitter and processing delays
@@ -140,10 +176,11 @@ function App() {
       audioStartTimeRef.current = nextTimeRef.current;
     }
 
-    source.start(nextTimeRef.current);
-    const chunkDuration = buffer.duration;
+    source.start(nextTimeRef.current, offset);
+    const chunkDuration = Math.max(0, buffer.duration - offset) / playbackRate;
     nextTimeRef.current += chunkDuration;
     queuedAudioDurationRef.current += chunkDuration;
+    turnOverRef.current = false;
 
     // Mark AI as speaking
     setIsSpeaking(true);
@@ -162,6 +199,133 @@ function App() {
     processVisualCommandQueue();
   }, [initAudioOutput, processVisualCommandQueue]);
 
+  // Stop everything scheduled on the playback timeline and start a fresh one
+  const stopAudioPlayback = useCallback(() => {
+    scheduledSourcesRef.current.forEach((source) => {
+      source.onended = null;
+      try {
+        source.stop();
+      } catch {
+        // Already stopped
+      }
+    });
+    scheduledSourcesRef.current.clear();
+    nextTimeRef.current = 0;
+    if (speakingTimeoutRef.current) {
+      clearTimeout(speakingTimeoutRef.current);
+    }
+    setIsSpeaking(false);
+  }, []);
+
+  // Seconds of tutor audio not yet played
+  const remainingAudio = useCallback(() => {
+    const ctx = audioCtxRef.current;
+    if (!ctx || nextTimeRef.current === 0) return 0;
+    return Math.max(0, nextTimeRef.current - ctx.currentTime);
+  }, []);
+
+  // Narration seconds count tutor audio queued since the timeline (re)started, so they only
+  // move while the tutor is actually heard. CanvasBoard reveals sequence steps against this.
+  const narration = useMemo(() => ({
+    position: () => Math.max(0, queuedAudioDurationRef.current - remainingAudio()),
+    queued: () => queuedAudioDurationRef.current,
+    findCue: (cue, since) => narrationTimelineRef.current.findPhrase(cue, since),
+    isOver: () => turnOverRef.current && remainingAudio() === 0,
+  }), [remainingAudio]);
+
+  const resetNarration = useCallback(() => {
+    audioStartTimeRef.current = null;
+    queuedAudioDurationRef.current = 0;
+    narrationTimelineRef.current.reset();
+    transcribedUntilRef.current = { id: null, length: 0, at: 0 };
+  }, []);
+
+  // Puts new tutor transcription on the narration timeline: it covers the audio queued since the last chunk
+  const trackNarration = useCallback((entry) => {
+    if (entry.role !== 'tutor') return;
+
+    const timeline = narrationTimelineRef.current;
+    let tracked = transcribedUntilRef.current;
+    if (tracked.id !== entry.id) {
+      // A new tutor turn; earlier turns' words can't cue anything any more
+      timeline.reset();
+      tracked = { id: entry.id, length: 0, at: tracked.at };
+    }
+    if (entry.text.length <= tracked.length) return;
+
+    const queued = queuedAudioDurationRef.current;
+    timeline.addSpeech(entry.text.slice(tracked.length), Math.min(tracked.at, queued), queued);
+    transcribedUntilRef.current = { id: entry.id, length: entry.text.length, at: queued };
+  }, []);
+
+  // Barge-in: the student spoke over the tutor. Silence it now, drop visuals that were waiting
+  // for the cut-off narration, and let the next answer start a fresh timeline.
+  const handleInterruption = useCallback(() => {
+    console.log('✋ Tutor interrupted');
+    stopAudioPlayback();
+    resetNarration();
+
+    const dropped = visualCommandQueueRef.current;
+    visualCommandQueueRef.current = [];
+    dropped.forEach(({ ack }) => {
+      if (ack) ack({ ok: false, error: 'Not shown: the student interrupted before the narration reached it' });
+    });
+
+    if (drawVisualCommandRef.current) {
+      drawVisualCommandRef.current({ type: 'STOP_ANIMATIONS' });
+    }
+  }, [stopAudioPlayback, resetNarration]);
+
+  // A turn can end without any speech (e.g. the tutor only drew something); show what it queued
+  const handleTurnComplete = useCallback(() => {
+    turnOverRef.current = true;
+    const queued = visualCommandQueueRef.current;
+    if (queued.length === 0 || !drawVisualCommandRef.current) return;
+
+    visualCommandQueueRef.current = [];
+    queued.forEach(({ cmd, ack }) => {
+      const result = drawVisualCommandRef.current(cmd);
+      if (ack) ack(result);
+    });
+  }, []);
+
+  // Lesson replay drives the same audio timeline and board as the live session
+  const drawReplayCommand = useCallback((cmd) => {
+    if (drawVisualCommandRef.current) {
+      drawVisualCommandRef.current(cmd);
+    }
+  }, []);
+
+  const player = useLessonPlayer({
+    playChunk: playPcmChunk,
+    stopAudio: stopAudioPlayback,
+    draw: drawReplayCommand,
+    endTurn: handleTurnComplete,
+  });
+  const { load: loadReplay, unload: unloadReplay } = player;
+  const isReplaying = player.recording !== null;
+
+  const startReplay = useCallback(async (session) => {
+    try {
+      const res = await fetch(`${SERVER_URL}/api/sessions/${session.id}/recording`, { headers: studentHeaders() });
+      if (!res.ok) throw new Error(`Server responded ${res.status}`);
+      initAudioOutput();
+      loadReplay(await res.json());
+      setReplayTitle(session.title);
+      setShowHistory(false);
+    } catch (e) {
+      setStatusMsg(`Couldn't load replay: ${e.message}`);
+    }
+  }, [initAudioOutput, loadReplay]);
+
+  const exitReplay = useCallback(() => {
+    unloadReplay();
+    setReplayTitle(null);
+    if (drawVisualCommandRef.current) {
+      drawVisualCommandRef.current({ type: 'CLEAR_BOARD' });
+    }
+  }, [unloadReplay]);
+
   const handleScenario = useCallback((scenario) => {
     // Legacy Mock Handler (Keep for testing without API Key)
     setStatusMsg('Tutor is explaining (Mock Mode)...');
@@ -186,14 +350,96 @@ function App() {
     socket.emit('request-benchmark', 'triangle');
   }, []);
 
+  const selectImage = useCallback(async (file) => {
+    try {
+      const image = await downscaleImage(file);
+      setAttachedImage((previous) => {
+        if (previous) URL.revokeObjectURL(previous.previewUrl);
+        return { ...image, previewUrl: URL.createObjectURL(image.blob) };
+      });
+    } catch (e) {
+      setStatusMsg(e.message);
+    }
+  }, []);
+
+  const clearImage = useCallback(() => {
+    setAttachedImage((previous) => {
+      if (previous) URL.revokeObjectURL(previous.previewUrl);
+      return null;
+    });
+  }, []);
+
+  // Sends the attached photo, with the typed question if there is one (in voice mode the student just talks)
+  const sendImage = useCallback(async (text = '') => {
+    if (!attachedImage || !isConnected) return;
+    initAudioOutput();
+    const data = await attachedImage.blob.arrayBuffer();
+    socket.emit('image-input', { image: data, mimeType: attachedImage.mimeType, text }, (result) => {
+      if (result && !result.ok) setStatusMsg(`Couldn't send the photo: ${result.error}`);
+    });
+    clearImage();
+  }, [attachedImage, isConnected, initAudioOutput, clearImage]);
+
+  // "Ask about this" on the board: the student's working, with their typed question (text mode) or a default one
+  const askAboutBoard = useCallback(async ({ blob, mimeType, boardText }) => {
+    if (!isConnected) return;
+    initAudioOutput();
+    const question = (inputMode === 'text' && textMessage.trim())
+      || 'Here is my working on the whiteboard. Can you check it and show me where I went wrong?';
+    socket.emit('image-input', { image: await blob.arrayBuffer(), mimeType, text: question, kind: 'sketch', boardText }, (result) => {
+      if (result && !result.ok) setStatusMsg(`Couldn't send your drawing: ${result.error}`);
+    });
+    if (inputMode === 'text') setTextMessage('');
+  }, [isConnected, initAudioOutput, inputMode, textMessage]);
+
+  // A step of the solution on the board picked with "Explain this step", "Show an alternative" or "I don't get it"
+  const askAboutStep = useCallback((question) => {
+    if (!isConnected) return;
+    initAudioOutput();
+    socket.emit('step-question', question, (result) => {
+      if (result && !result.ok) setStatusMsg(`Couldn't ask about that step: ${result.error}`);
+    });
+  }, [isConnected, initAudioOutput]);
+
+  // An answer typed into the practice panel; the server checks it and replies with a practice-result
+  const submitPracticeAnswer = useCallback((answer) => {
+    if (!isConnected || !practice.problem) return;
+    initAudioOutput();
+    socket.emit('practice-answer', { problemId: practice.problem.id, answer }, (result) => {
+      if (result && !result.ok) setStatusMsg(`Couldn't check your answer: ${result.error}`);
+    });
+  }, [isConnected, practice.problem, initAudioOutput]);
+
+  const requestPracticeHint = useCallback(() => {
+    if (!isConnected || !practice.problem) return;
+    socket.emit('practice-hint', { problemId: practice.problem.id }, (result) => {
+      if (result && !result.ok) setStatusMsg(`Couldn't get a hint: ${result.error}`);
+      else if (result && !result.hint) setStatusMsg('No more hints for this problem');
+    });
+  }, [isConnected, practice.problem]);
+
+  // New settings need a new Live session, so the socket reconnects with them (a new lesson on the server)
+  const applySettings = useCallback((settings) => {
+    saveSessionSettings(settings);
+    socket.auth = { ...socket.auth, settings };
+    setShowSettings(false);
+    socket.disconnect();
+    socket.connect();
+    setStatusMsg('Starting a new lesson with your settings...');
+  }, []);
+
   const sendTextMessage = useCallback(() => {
-    if (textMessage.trim() && isConnected) {
+    if (!isConnected) return;
+    if (attachedImage) {
+      sendImage(textMessage.trim());
+      setTextMessage('');
+    } else if (textMessage.trim()) {
       // Initialize audio output for Gemini's spoken response
       initAudioOutput();
       socket.emit('text-input', textMessage);
       setTextMessage(''); // Clear input after sending
     }
-  }, [textMessage, isConnected, initAudioOutput]);
+  }, [textMessage, isConnected, initAudioOutput, attachedImage, sendImage]);
 
   const handleKeyPress = useCallback((e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
@@ -206,15 +452,40 @@ function App() {
   useEffect(() => {
     socket.on('connect', () => {
       setIsConnected(true);
+      setIsReconnecting(false);
+      setWasClosedByServer(false);
       setStatusMsg('Connected to Tutor');
+      // A new connection is a new session on the server, without the old practice problem
+      setPractice((prev) => ({ ...prev, problem: null, hints: [] }));
     });
 
-    socket.on('disconnect', () => {
+    // The settings this session uses; saved ones the server no longer allows are replaced by its defaults
+    socket.on('session-config', ({ config, options, error }) => {
+      setSessionConfig({ config, options });
+      if (error) {
+        setStatusMsg(`Your saved settings weren't accepted (${error}), so the defaults are used`);
+        saveSessionSettings(config);
+        socket.auth = { ...socket.auth, settings: config };
+      }
+    });
+
+    // socket.io retries the server connection on its own; show that it's trying
+    const handleReconnectAttempt = (attempt) => {
+      setIsReconnecting(true);
+      setStatusMsg(`Reconnecting to server (attempt ${attempt})...`);
+    };
+    socket.io.on('reconnect_attempt', handleReconnectAttempt);
+
+    socket.on('disconnect', (reason) => {
       setIsConnected(false);
-      setStatusMsg('Disconnected');
+      if (reason === 'io server disconnect') {
+        // Keep the server's explanation (sent just before) on screen
+        setWasClosedByServer(true);
+      } else {
+        setStatusMsg('Disconnected');
+      }
       // Reset audio tracking on disconnect
-      audioStartTimeRef.current = null;
-      queuedAudioDurationRef.current = 0;
+      resetNarration();
       visualCommandQueueRef.current = [];
     });
 
@@ -230,12 +501,43 @@ function App() {
     });
 
     // Handle Visual Commands - now scheduled to sync with audio
-    socket.on('visual-command', (cmd) => {
-      scheduleVisualCommand(cmd);
+    socket.on('visual-command', (cmd, ack) => {
+      scheduleVisualCommand(cmd, ack);
+    });
+
+    socket.on('interrupted', handleInterruption);
+    socket.on('turn-complete', handleTurnComplete);
+
+    // Handle transcript entries - the server re-sends an entry whole each time it grows
+    socket.on('transcript', (entry) => {
+      trackNarration(entry);
+      setTranscript((prev) => {
+        const index = prev.findIndex((e) => e.id === entry.id);
+        if (index === -1) return [...prev, entry];
+        const next = [...prev];
+        next[index] = entry;
+        return next;
+      });
+    });
+
+    // Practice mode: a new problem replaces the open one; hints and results arrive as the student works on it
+    socket.on('practice-problem', (problem) => {
+      setPractice((prev) => ({ ...prev, problem, hints: [] }));
+    });
+    socket.on('practice-hint', (hint) => {
+      setPractice((prev) => (prev.problem && prev.problem.id === hint.problemId
+        ? { ...prev, hints: [...prev.hints, hint] }
+        : prev));
+    });
+    socket.on('practice-result', (result) => {
+      setPractice((prev) => ({ ...prev, results: [...prev.results, result] }));
     });
 
     // Handle status updates from server
     socket.on('status', (data) => {
+      if (data.status) {
+        setIsReconnecting(data.status === 'reconnecting');
+      }
       if (data.message) {
         setStatusMsg(data.message);
       }
@@ -243,20 +545,55 @@ function App() {
 
     return () => {
       socket.off('connect');
+      socket.off('session-config');
       socket.off('disconnect');
       socket.off('tutor-response');
       socket.off('audio-output');
       socket.off('visual-command');
+      socket.off('interrupted');
+      socket.off('turn-complete');
+      socket.off('transcript');
+      socket.off('practice-problem');
+      socket.off('practice-hint');
+      socket.off('practice-result');
       socket.off('status');
+      socket.io.off('reconnect_attempt', handleReconnectAttempt);
     };
-  }, [handleScenario, playPcmChunk, scheduleVisualCommand]);
+  }, [handleScenario, playPcmChunk, scheduleVisualCommand, handleInterruption, handleTurnComplete, resetNarration, trackNarration]);
 
   return (
     <div className="app-container" style={{ padding: '2rem', height: '100vh', boxSizing: 'border-box', display: 'flex', gap: '2rem' }}>
 
       {/* Left Panel */}
       <div className="glass-panel" style={{ flex: 1, padding: '2rem', display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-        <h1 style={{ fontSize: '1.5rem', marginBottom: '2rem' }}>Gemini Tutor</h1>
+        <div style={{ width: '100%', display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '2rem' }}>
+          <h1 style={{ fontSize: '1.5rem', margin: 0 }}>Gemini Tutor</h1>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <button
+              onClick={() => setShowSettings((open) => !open)}
+              disabled={!sessionConfig}
+              style={{ display: 'flex', alignItems: 'center', padding: '0.4rem' }}
+              title="Tutor settings"
+            >
+              <Settings size={16} />
+            </button>
+            <button onClick={() => setShowProgress(true)} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '0.4rem 0.8rem', fontSize: '0.85rem' }}>
+              <TrendingUp size={16} /> Progress
+            </button>
+            <button onClick={() => setShowHistory(true)} style={{ display: 'flex', alignItems: 'center', gap: '6px', padding: '0.4rem 0.8rem', fontSize: '0.85rem' }}>
+              <History size={16} /> History
+            </button>
+          </div>
+        </div>
+
+        {showSettings && sessionConfig && (
+          <SettingsPanel
+            options={sessionConfig.options}
+            config={sessionConfig.config}
+            onApply={applySettings}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
 
         {/* AI Orb - shows different states */}
         <div style={{
@@ -280,99 +617,164 @@ function App() {
           {isRecording ? <Mic size={40} /> : (isSpeaking ? <Mic size={40} /> : <div />)}
         </div>
 
-        <div style={{ marginBottom: 'auto', textAlign: 'center' }}>
-          <p style={{ color: '#aaa', marginBottom: '10px' }}>Status: {statusMsg}</p>
-        </div>
-
-        {/* Controls */}
-        <div style={{ display: 'flex', gap: '1rem', flexDirection: 'column', width: '100%' }}>
-          {/* Mode Toggle */}
-          <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', marginBottom: '1rem' }}>
-            <button
-              onClick={() => { setInputMode('voice'); if (isRecording) toggleMic(); }}
-              style={{
-                flex: 1,
-                background: inputMode === 'voice' ? '#00D2FF' : '#333',
-                padding: '0.5rem',
-                fontSize: '0.9rem'
-              }}
-            >
-              🎤 Voice
-            </button>
-            <button
-              onClick={() => { setInputMode('text'); if (isRecording) toggleMic(); }}
-              style={{
-                flex: 1,
-                background: inputMode === 'text' ? '#00D2FF' : '#333',
-                padding: '0.5rem',
-                fontSize: '0.9rem'
-              }}
-            >
-              ⌨️ Text
-            </button>
-          </div>
-
-          {/* Voice Mode Controls */}
-          {inputMode === 'voice' && (
-            <button onClick={() => { toggleMic(); initAudioOutput(); }} disabled={!isConnected} style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px' }}>
-              {isRecording ? <><MicOff /> Stop Mic</> : <><Mic /> Start Mic</>}
+        <div style={{ textAlign: 'center' }}>
+          <p style={{ color: isReconnecting ? '#FFB347' : '#aaa', marginBottom: '10px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px' }}>
+            {isReconnecting && <RefreshCw size={14} style={{ animation: 'spin 1s linear infinite' }} />}
+            Status: {statusMsg}
+          </p>
+          {wasClosedByServer && (
+            <button onClick={() => socket.connect()} style={{ padding: '0.4rem 0.8rem', fontSize: '0.85rem', marginBottom: '10px' }}>
+              Reconnect
             </button>
           )}
+        </div>
 
-          {/* Text Mode Controls */}
-          {inputMode === 'text' && (
-            <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-              <textarea
-                value={textMessage}
-                onChange={(e) => setTextMessage(e.target.value)}
-                onKeyPress={handleKeyPress}
-                placeholder="Type your message and press Enter..."
-                disabled={!isConnected}
+        {/* Practice problem the tutor posed, with the student's answers and hints */}
+        {practice.problem && !isReplaying && (
+          <PracticePanel
+            key={practice.problem.id}
+            problem={practice.problem}
+            hints={practice.hints}
+            results={practice.results}
+            onAnswer={isConnected ? submitPracticeAnswer : undefined}
+            onHint={isConnected ? requestPracticeHint : undefined}
+          />
+        )}
+
+        {/* Conversation transcript */}
+        <TranscriptPanel entries={transcript} />
+
+        {/* Replay Controls - replace the live controls while a past lesson plays */}
+        {isReplaying && (
+          <ReplayControls player={player} title={replayTitle} onExit={exitReplay} />
+        )}
+
+        {/* Controls */}
+        {!isReplaying && (
+          <div style={{ display: 'flex', gap: '1rem', flexDirection: 'column', width: '100%' }}>
+            {/* Mode Toggle */}
+            <div style={{ display: 'flex', gap: '0.5rem', justifyContent: 'center', marginBottom: '1rem' }}>
+              <button
+                onClick={() => { setInputMode('voice'); if (isRecording) toggleMic(); }}
                 style={{
-                  padding: '0.75rem',
-                  borderRadius: '8px',
-                  border: '1px solid rgba(255, 255, 255, 0.1)',
-                  background: 'rgba(255, 255, 255, 0.05)',
-                  color: '#fff',
-                  fontSize: '0.9rem',
-                  minHeight: '80px',
-                  resize: 'vertical',
-                  fontFamily: 'inherit'
+                  flex: 1,
+                  background: inputMode === 'voice' ? '#00D2FF' : '#333',
+                  padding: '0.5rem',
+                  fontSize: '0.9rem'
                 }}
-              />
+              >
+                🎤 Voice
+              </button>
               <button
-                onClick={sendTextMessage}
-                disabled={!isConnected || !textMessage.trim()}
+                onClick={() => { setInputMode('text'); if (isRecording) toggleMic(); }}
                 style={{
-                  display: 'flex',
-                  alignItems: 'center',
-                  justifyContent: 'center',
-                  gap: '10px',
-                  opacity: (!isConnected || !textMessage.trim()) ? 0.5 : 1
+                  flex: 1,
+                  background: inputMode === 'text' ? '#00D2FF' : '#333',
+                  padding: '0.5rem',
+                  fontSize: '0.9rem'
                 }}
               >
-                Send Message
+                ⌨️ Text
               </button>
             </div>
-          )}
 
-          <button onClick={handleTestVisual} disabled={!isConnected} style={{ background: '#333' }}>
-            <Play size={16} /> Test "Triangle" Scenario
-          </button>
-        </div>
+            {/* Voice Mode Controls */}
+            {inputMode === 'voice' && (
+              <button onClick={() => { toggleMic(); initAudioOutput(); }} disabled={!isConnected} style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px' }}>
+                {isRecording ? <><MicOff /> Stop Mic</> : <><Mic /> Start Mic</>}
+              </button>
+            )}
+
+            {/* Input level - confirms the mic is actually picking the student up */}
+            {inputMode === 'voice' && isRecording && (
+              <div title="Microphone level" style={{ height: '6px', borderRadius: '3px', background: '#333', overflow: 'hidden' }}>
+                <div style={{
+                  width: `${Math.round(inputLevel * 100)}%`,
+                  height: '100%',
+                  background: inputLevel > 0.9 ? '#FF6B6B' : '#00D2FF',
+                  transition: 'width 60ms linear'
+                }} />
+              </div>
+            )}
+
+            {/* Camera - streams about one frame a second while on */}
+            <button
+              onClick={camera.toggleCamera}
+              disabled={!isConnected && !camera.isStreaming}
+              style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px', background: camera.isStreaming ? '#FF6B6B' : '#333' }}
+            >
+              {camera.isStreaming ? <><VideoOff size={16} /> Stop Camera</> : <><Video size={16} /> Show My Paper</>}
+            </button>
+            {camera.isStreaming && <CameraPreview stream={camera.stream} />}
+            {camera.error && <p style={{ margin: 0, color: '#FF6B6B', fontSize: '0.8rem' }}>{camera.error}</p>}
+
+            {/* Photographed problem - sent with the typed question, or on its own while talking */}
+            <ImageUpload image={attachedImage} onSelect={selectImage} onClear={clearImage} disabled={!isConnected} />
+            {inputMode === 'voice' && attachedImage && (
+              <button onClick={() => sendImage()} disabled={!isConnected} style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '10px' }}>
+                <Send size={16} /> Send Photo
+              </button>
+            )}
+
+            {/* Text Mode Controls */}
+            {inputMode === 'text' && (
+              <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                <textarea
+                  value={textMessage}
+                  onChange={(e) => setTextMessage(e.target.value)}
+                  onKeyPress={handleKeyPress}
+                  placeholder={attachedImage ? 'Ask about the photo (optional) and press Enter...' : 'Type your message and press Enter...'}
+                  disabled={!isConnected}
+                  style={{
+                    padding: '0.75rem',
+                    borderRadius: '8px',
+                    border: '1px solid rgba(255, 255, 255, 0.1)',
+                    background: 'rgba(255, 255, 255, 0.05)',
+                    color: '#fff',
+                    fontSize: '0.9rem',
+                    minHeight: '80px',
+                    resize: 'vertical',
+                    fontFamily: 'inherit'
+                  }}
+                />
+                <button
+                  onClick={sendTextMessage}
+                  disabled={!isConnected || (!textMessage.trim() && !attachedImage)}
+                  style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '10px',
+                    opacity: (!isConnected || (!textMessage.trim() && !attachedImage)) ? 0.5 : 1
+                  }}
+                >
+                  {attachedImage ? 'Send Photo' : 'Send Message'}
+                </button>
+              </div>
+            )}
+
+            <button onClick={handleTestVisual} disabled={!isConnected} style={{ background: '#333' }}>
+              <Play size={16} /> Test "Triangle" Scenario
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Right Panel */}
       <div className="glass-panel" style={{ flex: 2, padding: '1rem' }}>
         <CanvasBoard
           socket={socket}
+          narration={narration}
+          onAskAboutBoard={isConnected && !isReplaying ? askAboutBoard : undefined}
+          onAskAboutStep={isConnected && !isReplaying ? askAboutStep : undefined}
           onDrawCommand={(drawFn) => {
             drawVisualCommandRef.current = drawFn;
             // Process any queued commands immediately
             if (visualCommandQueueRef.current.length > 0) {
               console.log('Processing', visualCommandQueueRef.current.length, 'queued visual commands');
-              visualCommandQueueRef.current.forEach(({ cmd }) => {
-                drawFn(cmd);
+              visualCommandQueueRef.current.forEach(({ cmd, ack }) => {
+                const result = drawFn(cmd);
+                if (ack) ack(result);
               });
               visualCommandQueueRef.current = [];
             }
@@ -380,6 +782,10 @@ function App() {
         />
       </div>
 
+      {/* Past lessons - rendered on top so the live session keeps running underneath */}
+      {showHistory && <HistoryView onClose={() => setShowHistory(false)} onReplay={startReplay} />}
+      {showProgress && <ProgressDashboard onClose={() => setShowProgress(false)} />}
+
     </div>
   );
 }
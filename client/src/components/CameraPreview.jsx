@@ -0,0 +1,30 @@
+import React, { useEffect, useRef } from 'react';
+
+// Live view of what the camera is sending, so the student can line their page up
+const CameraPreview = ({ stream }) => {
+    const videoRef = useRef(null);
+
+    useEffect(() => {
+        if (videoRef.current) videoRef.current.srcObject = stream;
+    }, [stream]);
+
+    return (
+        <div style={{ position: 'relative', borderRadius: '8px', overflow: 'hidden', background: '#000' }}>
+            <video ref={videoRef} autoPlay muted playsInline style={{ display: 'block', width: '100%', maxHeight: '180px', objectFit: 'contain' }} />
+            <span style={{
+                position: 'absolute',
+                top: '6px',
+                left: '6px',
+                padding: '2px 6px',
+                borderRadius: '4px',
+                background: 'rgba(255, 107, 107, 0.85)',
+                color: '#fff',
+                fontSize: '0.7rem'
+            }}>
+                ● Tutor can see this
+            </span>
+        </div>
+    );
+};
+
+export default CameraPreview;
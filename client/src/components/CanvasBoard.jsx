@@ -1,251 +1,102 @@
 import React, { useRef, useEffect, useState, useCallback } from 'react';
-import katex from 'katex';
-import 'katex/dist/katex.min.css';
-
-// Function parser to evaluate mathematical expressions
-const parseFunction = (expression) => {
-    // Clean up the expression
-    let expr = expression.replace(/\s/g, '').toLowerCase();
-
-    // Convert common patterns to JavaScript-compatible format
-    expr = expr
-        .replace(/x\^(\d+)/g, 'Math.pow(x, $1)')  // x^2 -> Math.pow(x, 2)
-        .replace(/x\^\((.+?)\)/g, 'Math.pow(x, $1)')  // x^(1/2) -> Math.pow(x, 1/2)
-        .replace(/sin\(/g, 'Math.sin(')
-        .replace(/cos\(/g, 'Math.cos(')
-        .replace(/tan\(/g, 'Math.tan(')
-        .replace(/exp\(/g, 'Math.exp(')
-        .replace(/ln\(/g, 'Math.log(')
-        .replace(/log\(/g, 'Math.log10(')
-        .replace(/sqrt\(/g, 'Math.sqrt(')
-        .replace(/abs\(/g, 'Math.abs(');
-
-    return (x) => {
-        try {
-            // Use Function constructor for safe evaluation
-            // eslint-disable-next-line no-new-func
-            const fn = new Function('x', 'Math', `return ${expr}`);
-            return fn(x, Math);
-        } catch (e) {
-            console.error('Error evaluating function:', e);
-            return 0;
-        }
-    };
+import { Pencil, Eraser, Trash2, MessageCircleQuestion, Download, X } from 'lucide-react';
+import { estimateSpokenSeconds } from '../utils/narrationTimeline';
+import { canvasToJpeg } from '../utils/image';
+import { renderMathText } from '../utils/mathText';
+import { SceneGraph, SceneError, actionsForDrawCommand, curveDefinition, BOARD_WIDTH, BOARD_HEIGHT } from '../utils/sceneGraph';
+import { renderScene } from '../utils/sceneRenderer';
+import { exportBoardPng, exportSolutionPdf, solutionToMarkdown, solutionToTex, slideSteps, downloadFile, exportFileName } from '../utils/boardExport';
+
+// Reduced to 3 steps per page for better visibility without overlap
+const STEPS_PER_PAGE = 3;
+// How often a sequence checks whether the narration has reached its next step
+const SEQUENCE_TICK_MS = 100;
+// A cue said up to this long before the sequence arrived still counts (transcription lags the audio)
+const CUE_SLACK_SECONDS = 1;
+// A step whose cue is never heard appears this long after its estimated time instead
+const UNHEARD_CUE_GRACE_SECONDS = 2;
+// How long a new curve takes to draw itself
+const CURVE_ANIMATION_MS = 2000;
+// The draw_on_canvas and draw_geometry commands, each adding one graph, figure, shape or text to the scene
+const DRAW_COMMANDS = ['DRAW_GRAPH', 'DRAW_PARAMETRIC', 'DRAW_POLAR', 'DRAW_IMPLICIT', 'DRAW_GEOMETRY', 'DRAW_SHAPE', 'DRAW_TEXT'];
+
+// What the student can ask about a single step of a solution, sent with the step as a `step-question`
+const STEP_ACTIONS = [
+    { action: 'explain', label: 'Explain this step' },
+    { action: 'alternative', label: 'Show an alternative' },
+    { action: 'stuck', label: "I don't get it" }
+];
+
+// What the board can be saved as; the source formats need the steps of a solution
+const EXPORT_FORMATS = [
+    { format: 'png', label: 'Image (PNG)' },
+    { format: 'pdf', label: 'PDF, a page per slide' },
+    { format: 'md', label: 'Markdown', needsSteps: true },
+    { format: 'tex', label: 'LaTeX (.tex)', needsSteps: true }
+];
+
+// Student sketching: pen ink stands out from the tutor's cyan; the eraser only removes the student's ink
+const PEN_COLOR = '#FFD166';
+const PEN_WIDTH = 3;
+const ERASER_WIDTH = 24;
+const BOARD_BACKGROUND = '#1e1e1e';
+
+const toolButtonStyle = (active) => ({
+    padding: '0.35rem',
+    display: 'flex',
+    background: active ? '#00D2FF' : 'rgba(0, 0, 0, 0.6)',
+    color: active ? '#000' : '#fff'
+});
+
+// Stand-in narration for sequences played without tutor audio (simulate-local-visual): plain wall-clock time
+const createWallClock = () => {
+    const startedAt = performance.now();
+    const position = () => (performance.now() - startedAt) / 1000;
+    return { position, queued: position, findCue: () => null, isOver: () => false };
 };
 
-const CanvasBoard = ({ socket, onDrawCommand }) => {
+/**
+ * @param {object} props
+ * @param {object} props.socket - socket.io client
+ * @param {(draw: Function) => void} props.onDrawCommand - receives drawCommand once the board is ready
+ * @param {object} [props.narration] - the tutor's narration clock, which paces ANIMATE_SEQUENCE steps:
+ *   { position(), queued(), findCue(cue, since), isOver() }, all in narration seconds (see App.jsx)
+ * @param {(snapshot: { blob: Blob, mimeType: string, boardText: string }) => void | Promise<void>} [props.onAskAboutBoard]
+ *   enables the student's pen and eraser; called with a JPEG of the board and their ink when they press
+ *   "Ask about this". boardText is the source of the text and maths on the board, which the image can't carry exactly.
+ * @param {(question: { title: string, stepIndex: number, step: string, action: string }) => void} [props.onAskAboutStep]
+ *   makes the steps of a solution clickable; called with the step and one of STEP_ACTIONS. The tutor's answer
+ *   comes back as an ANIMATE_SEQUENCE with a `parent` and is shown nested under the step.
+ */
+const CanvasBoard = ({ socket, onDrawCommand, narration, onAskAboutBoard, onAskAboutStep }) => {
     const canvasRef = useRef(null);
     const overlayRef = useRef(null);
     const [activeCommand, setActiveCommand] = useState(null);
     const animationFrameRef = useRef(null);
     const textLayoutRef = useRef({ nextY: 100, elements: [] }); // Track text positions
+    // What is drawn on the board; the canvas is redrawn from it (see utils/sceneGraph.js)
+    const sceneRef = useRef(new SceneGraph());
+    const labelsRef = useRef(null); // LaTeX objects and curve labels of the scene
+    const curveAnimationsRef = useRef(new Map()); // Curve id -> when it started drawing itself
+    const sequenceRef = useRef(null); // Timers of the ANIMATE_SEQUENCE still revealing steps
+    const solutionRef = useRef(null); // { title, steps } of the solution on the slides, which answers can nest under
+
+    // Student ink lives on its own canvas above the board so erasing never touches the tutor's drawing
+    const sketchCanvasRef = useRef(null);
+    const lastPointRef = useRef(null); // Previous pointer position of the stroke being drawn
+    const [tool, setTool] = useState(null); // null (pointer passes through), 'pen' or 'eraser'
+    const [hasSketch, setHasSketch] = useState(false);
+    const [isCapturing, setIsCapturing] = useState(false);
+    const [isExportMenuOpen, setIsExportMenuOpen] = useState(false);
+    const [isExporting, setIsExporting] = useState(false);
+    const [boardError, setBoardError] = useState(null); // Why the last thing the student did on the board failed
 
     // Pagination State
     const [slides, setSlides] = useState([]); // Array of arrays (each page has steps)
     const [currentSlideIndex, setCurrentSlideIndex] = useState(0);
     const [isAnimating, setIsAnimating] = useState(false);
     const [solutionTitle, setSolutionTitle] = useState("");
-
-    // Function to draw a graph with optional animation (defined before drawCommand)
-    const drawGraph = useCallback((cmd, ctx, canvas, overlay, animated = true) => {
-        const width = canvas.width;
-        const height = canvas.height;
-        const padding = 60;
-        const graphWidth = width - 2 * padding;
-        const graphHeight = height - 2 * padding;
-
-        // Parse function
-        const func = parseFunction(cmd.function || 'x^2');
-        const range = cmd.range || { min: -5, max: 5 };
-        const color = cmd.color || '#00D2FF';
-
-        // Calculate scale and origin
-        const xScale = graphWidth / (range.max - range.min);
-        const yRange = 5;
-        const yScale = graphHeight / (2 * yRange);
-
-        // Calculate origin position: x=0 should be at center, or at padding if range doesn't include 0
-        let originX;
-        if (range.min <= 0 && range.max >= 0) {
-            // Range includes 0, so center the origin at x=0
-            originX = padding + (0 - range.min) * xScale;
-        } else {
-            // Range doesn't include 0, center the graph area
-            originX = width / 2;
-        }
-        const originY = height / 2;
-
-        // Helper to draw axes and grid (uses variables from outer scope)
-        const drawAxesAndGrid = () => {
-
-            // Draw grid
-            ctx.strokeStyle = '#333';
-            ctx.lineWidth = 1;
-            for (let i = Math.ceil(range.min); i <= Math.floor(range.max); i++) {
-                if (i === 0) continue;
-                const x = padding + (i - range.min) * xScale;
-                ctx.beginPath();
-                ctx.moveTo(x, padding);
-                ctx.lineTo(x, height - padding);
-                ctx.stroke();
-            }
-            for (let i = -yRange; i <= yRange; i++) {
-                if (i === 0) continue;
-                const y = originY - i * yScale;
-                ctx.beginPath();
-                ctx.moveTo(padding, y);
-                ctx.lineTo(width - padding, y);
-                ctx.stroke();
-            }
-
-            // Draw axes
-            ctx.strokeStyle = '#555';
-            ctx.lineWidth = 2;
-            // X-axis at y = originY
-            ctx.beginPath();
-            ctx.moveTo(padding, originY);
-            ctx.lineTo(width - padding, originY);
-            ctx.stroke();
-            // Y-axis at x = originX
-            ctx.beginPath();
-            ctx.moveTo(originX, padding);
-            ctx.lineTo(originX, height - padding);
-            ctx.stroke();
-
-            // Draw axis labels
-            ctx.fillStyle = '#aaa';
-            ctx.font = '14px Inter, sans-serif';
-            ctx.textAlign = 'center';
-            ctx.fillText('0', originX + 5, originY + 20);
-            ctx.fillText('x', width - padding + 10, originY + 20);
-            ctx.textAlign = 'left';
-            ctx.fillText('y', originX + 5, padding - 10);
-        };
-
-        // Draw axes first
-        drawAxesAndGrid();
-
-        // Generate points with corrected positioning
-        const points = [];
-        const step = (range.max - range.min) / (graphWidth * 2);
-
-        for (let x = range.min; x <= range.max; x += step) {
-            try {
-                const y = func(x);
-                if (isFinite(y) && Math.abs(y) < 100) {
-                    // Calculate pixel position: map x from [range.min, range.max] to [padding, padding+graphWidth]
-                    const pixelX = padding + (x - range.min) * xScale;
-                    // Calculate y position: map y to canvas coordinates (invert y-axis)
-                    const pixelY = originY - y * yScale;
-                    points.push({ x: pixelX, y: pixelY });
-                }
-            } catch (e) {
-                // Skip invalid points
-            }
-        }
-
-        if (animated) {
-            // Animated drawing
-            let currentIndex = 0;
-            const totalPoints = points.length;
-            const animationDuration = 2000;
-            const startTime = performance.now();
-
-            const animate = (timestamp) => {
-                const elapsed = timestamp - startTime;
-                const progress = Math.min(elapsed / animationDuration, 1);
-                currentIndex = Math.floor(progress * totalPoints);
-
-                // Clear graph area (preserve axes)
-                ctx.fillStyle = '#1e1e1e';
-                ctx.fillRect(padding, padding, graphWidth, graphHeight);
-                drawAxesAndGrid();
-
-                // Draw graph up to current point
-                if (currentIndex > 0) {
-                    ctx.strokeStyle = color;
-                    ctx.lineWidth = 3;
-                    ctx.beginPath();
-                    ctx.moveTo(points[0].x, points[0].y);
-
-                    for (let i = 1; i < currentIndex; i++) {
-                        ctx.lineTo(points[i].x, points[i].y);
-                    }
-                    ctx.stroke();
-                }
-
-                if (progress < 1) {
-                    animationFrameRef.current = requestAnimationFrame(animate);
-                } else {
-                    animationFrameRef.current = null;
-                }
-            };
-
-            animationFrameRef.current = requestAnimationFrame(animate);
-        } else {
-            // Immediate drawing
-            ctx.strokeStyle = color;
-            ctx.lineWidth = 3;
-            ctx.beginPath();
-            ctx.moveTo(points[0].x, points[0].y);
-
-            for (let i = 1; i < points.length; i++) {
-                ctx.lineTo(points[i].x, points[i].y);
-            }
-            ctx.stroke();
-        }
-
-        // Draw function label if provided
-        if (cmd.label && overlay) {
-            const labelDiv = document.createElement('div');
-            labelDiv.style.position = 'absolute';
-            labelDiv.style.top = `${padding + 10}px`;
-            labelDiv.style.left = `${padding + 10}px`;
-            labelDiv.style.color = color;
-            labelDiv.style.fontSize = '16px';
-            labelDiv.style.fontFamily = 'Inter, sans-serif';
-            labelDiv.style.opacity = animated ? '0' : '1';
-            labelDiv.style.transition = animated ? 'opacity 0.5s ease-in 0.5s' : 'none';
-            labelDiv.textContent = `f(x) = ${cmd.function}`;
-            overlay.appendChild(labelDiv);
-
-            if (animated) {
-                requestAnimationFrame(() => {
-                    labelDiv.style.opacity = '1';
-                });
-            }
-        }
-    }, []);
-
-    // Helper to render mixed Text and LaTeX into a DOM node
-    const renderMathText = (node, content) => {
-        const parts = content.split(/(\$\$[\s\S]*?\$\$|\$[\s\S]*?\$|\\\[[\s\S]*?\\\]|\\\([\s\S]*?\\\))/g);
-
-        parts.forEach(part => {
-            if (!part) return;
-            const isMath = /^(\$\$|\$|\\\[|\\\()/.test(part);
-            if (isMath) {
-                try {
-                    let cleanMath = part
-                        .replace(/^\$\$(.*)\$\$$/s, '$1')
-                        .replace(/^\$(.*)\$$/s, '$1')
-                        .replace(/^\\\[(.*)\\\]$/s, '$1')
-                        .replace(/^\\\((.*)\\\)$/s, '$1');
-
-                    const span = document.createElement('span');
-                    const isDisplay = part.startsWith('$$') || part.startsWith('\\[');
-                    katex.render(cleanMath, span, { throwOnError: false, displayMode: isDisplay });
-                    node.appendChild(span);
-                } catch (e) {
-                    node.appendChild(document.createTextNode(part));
-                }
-            } else {
-                const span = document.createElement('span');
-                span.textContent = part;
-                node.appendChild(span);
-            }
-        });
-    };
+    const [selectedStep, setSelectedStep] = useState(null); // Index of the step showing its STEP_ACTIONS
 
     // Helper to create DOM nodes for steps
     const createStepNode = (content, color = '#fff', fontSize = '24px') => {
@@ -267,142 +118,445 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
         return node;
     };
 
-    const drawCommand = useCallback((cmd) => {
+    const clearSketch = useCallback(() => {
+        const sketch = sketchCanvasRef.current;
+        if (sketch) sketch.getContext('2d').clearRect(0, 0, sketch.width, sketch.height);
+        setHasSketch(false);
+    }, []);
+
+    // Pointer position in canvas pixels (the canvases are stretched to fill the board)
+    const toCanvasPoint = (e) => {
+        const sketch = sketchCanvasRef.current;
+        const rect = sketch.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * sketch.width / rect.width,
+            y: (e.clientY - rect.top) * sketch.height / rect.height
+        };
+    };
+
+    const drawStrokeTo = (point) => {
+        const ctx = sketchCanvasRef.current.getContext('2d');
+        const from = lastPointRef.current || point;
+        ctx.globalCompositeOperation = tool === 'eraser' ? 'destination-out' : 'source-over';
+        ctx.strokeStyle = PEN_COLOR;
+        ctx.lineWidth = tool === 'eraser' ? ERASER_WIDTH : PEN_WIDTH;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(point.x, point.y);
+        ctx.stroke();
+        lastPointRef.current = point;
+    };
+
+    const handlePointerDown = (e) => {
+        if (!tool) return;
+        e.currentTarget.setPointerCapture(e.pointerId);
+        lastPointRef.current = null;
+        drawStrokeTo(toCanvasPoint(e));
+        if (tool === 'pen') setHasSketch(true);
+    };
+
+    const handlePointerMove = (e) => {
+        if (!tool || !lastPointRef.current) return;
+        drawStrokeTo(toCanvasPoint(e));
+    };
+
+    const handlePointerUp = () => {
+        lastPointRef.current = null;
+    };
+
+    // Flattens the board, the text and maths in its overlays, and the student's ink into one
+    // board-sized image. Overlay text is drawn from its source (LaTeX and all) where it sits on screen.
+    const captureBoard = useCallback(async () => {
         const canvas = canvasRef.current;
-        const overlay = overlayRef.current;
-        if (!canvas) return;
-        const ctx = canvas.getContext('2d');
+        const snapshot = document.createElement('canvas');
+        snapshot.width = BOARD_WIDTH;
+        snapshot.height = BOARD_HEIGHT;
+        const ctx = snapshot.getContext('2d');
+        ctx.fillStyle = BOARD_BACKGROUND;
+        ctx.fillRect(0, 0, snapshot.width, snapshot.height);
+        ctx.drawImage(canvas, 0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+
+        const boardRect = canvas.getBoundingClientRect();
+        const scaleX = BOARD_WIDTH / boardRect.width;
+        const scaleY = BOARD_HEIGHT / boardRect.height;
+        const texts = [];
+        [labelsRef.current, overlayRef.current].filter(Boolean).forEach((layer) => {
+            layer.querySelectorAll('[data-source]').forEach((node) => {
+                const style = window.getComputedStyle(node);
+                if (style.opacity === '0' || style.display === 'none') return;
+                const rect = node.getBoundingClientRect();
+                if (rect.width === 0 || rect.bottom < boardRect.top || rect.top > boardRect.bottom) return;
+
+                texts.push(node.dataset.source);
+                ctx.fillStyle = style.color;
+                ctx.font = `${Math.round(parseFloat(style.fontSize) * scaleY)}px Inter, sans-serif`;
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillText(
+                    node.dataset.source,
+                    (rect.left + rect.width / 2 - boardRect.left) * scaleX,
+                    (rect.top + rect.height / 2 - boardRect.top) * scaleY,
+                    rect.width * scaleX
+                );
+            });
+        });
 
-        console.log('Drawing command:', cmd);
-        setActiveCommand(cmd);
+        if (sketchCanvasRef.current) ctx.drawImage(sketchCanvasRef.current, 0, 0);
+
+        const blob = await canvasToJpeg(snapshot);
+        return { blob, mimeType: 'image/jpeg', boardText: texts.join('\n') };
+    }, []);
+
+    const askAboutBoard = async () => {
+        setIsCapturing(true);
+        setBoardError(null);
+        try {
+            await onAskAboutBoard(await captureBoard());
+            setTool(null);
+        } catch (error) {
+            setBoardError(`Couldn't send your drawing: ${error.message}`);
+        } finally {
+            setIsCapturing(false);
+        }
+    };
+
+    // Saves the board for the student's notes, built here from the canvas and the slides
+    const exportBoard = async (format) => {
+        setIsExportMenuOpen(false);
+        setIsExporting(true);
+        setBoardError(null);
+        const title = solutionTitle || 'Whiteboard';
+        const boardPng = () => exportBoardPng(
+            canvasRef.current,
+            [labelsRef.current, overlayRef.current, sketchCanvasRef.current].filter(Boolean),
+            BOARD_BACKGROUND
+        );
+        try {
+            if (format === 'png') {
+                downloadFile(await boardPng(), exportFileName(title, 'png'));
+            } else if (format === 'pdf') {
+                downloadFile(await exportSolutionPdf(title, slides, boardPng), exportFileName(title, 'pdf'));
+            } else if (format === 'md') {
+                downloadFile(solutionToMarkdown(title, slideSteps(slides)), exportFileName(title, 'md'), 'text/markdown');
+            } else {
+                downloadFile(solutionToTex(title, slideSteps(slides)), exportFileName(title, 'tex'), 'application/x-tex');
+            }
+        } catch (error) {
+            console.error('Export failed:', error);
+            setBoardError(`Couldn't save the board: ${error.message}`);
+        } finally {
+            setIsExporting(false);
+        }
+    };
+
+    const stopSequence = useCallback(() => {
+        const sequence = sequenceRef.current;
+        if (!sequence) return;
+        clearInterval(sequence.interval);
+        clearTimeout(sequence.finishTimer);
+        sequenceRef.current = null;
+        setIsAnimating(false);
+    }, []);
+
+    // Shows the first `count` steps, turning to the page the last of them is on
+    const revealSteps = useCallback((count) => {
+        setCurrentSlideIndex(Math.floor((count - 1) / STEPS_PER_PAGE));
+        setSlides(prevSlides => prevSlides.map((slide, page) => slide.map((s, i) => (
+            page * STEPS_PER_PAGE + i < count ? { ...s, visible: true } : s
+        ))));
+    }, []);
+
+    // Shows the first `count` steps of the answer nested under a step, on that step's page
+    const revealFollowUp = useCallback((stepIndex, count) => {
+        const page = Math.floor(stepIndex / STEPS_PER_PAGE);
+        setCurrentSlideIndex(page);
+        setSlides(prevSlides => prevSlides.map((slide, p) => slide.map((s, i) => (
+            p * STEPS_PER_PAGE + i === stepIndex && s.followUp
+                ? { ...s, followUp: { ...s.followUp, steps: s.followUp.steps.map((f, j) => (j < count ? { ...f, visible: true } : f)) } }
+                : s
+        ))));
+    }, []);
+
+    // Reveals each step when the narration reaches it, rather than on a fixed timer, so fast
+    // or slow speech (or audio that stalls) doesn't leave the board out of sync. A step appears
+    // when the tutor says its cue; steps without one (or whose cue isn't heard) are paced by
+    // how long the previous step takes to say, measured on the narration clock. Whatever is
+    // left appears once the tutor has finished speaking. `reveal(count)` shows the first count steps.
+    const paceSequence = useCallback((steps, cues, clock, reveal) => {
+        // The tool call arrived here in the narration; the steps are explained from this point on
+        const start = clock.queued();
+        const estimates = steps.map(estimateSpokenSeconds);
+        let revealed = 0;
+        let lastRevealAt = start;
+
+        const tick = () => {
+            const now = clock.position();
+            let target = clock.isOver() ? steps.length : revealed;
+
+            // A later step's cue also reveals the steps before it
+            for (let i = revealed; i < steps.length; i++) {
+                const heardAt = cues[i] ? clock.findCue(cues[i], start - CUE_SLACK_SECONDS) : null;
+                if (heardAt !== null && now >= heardAt) target = Math.max(target, i + 1);
+            }
+
+            if (target === revealed) {
+                const due = lastRevealAt + (revealed === 0 ? 0 : estimates[revealed - 1]);
+                const grace = cues[revealed] ? UNHEARD_CUE_GRACE_SECONDS : 0;
+                if (now >= due + grace) target = revealed + 1;
+            }
 
+            if (target > revealed) {
+                revealed = target;
+                lastRevealAt = now;
+                reveal(revealed);
+            }
+
+            if (revealed === steps.length) {
+                const sequence = sequenceRef.current;
+                clearInterval(sequence.interval);
+                sequence.finishTimer = setTimeout(stopSequence, 1000);
+            }
+        };
+
+        setIsAnimating(true);
+        sequenceRef.current = { interval: setInterval(tick, SEQUENCE_TICK_MS), finishTimer: null };
+        tick();
+    }, [stopSequence]);
+
+    // Redraws the canvas from the scene, scaled to whatever size the canvas is, and keeps
+    // redrawing while any curve is still drawing itself. Returns renderScene's notes.
+    const renderBoard = useCallback(() => {
+        const canvas = canvasRef.current;
+        if (!canvas) return {};
         if (animationFrameRef.current) {
             cancelAnimationFrame(animationFrameRef.current);
             animationFrameRef.current = null;
         }
 
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(canvas.width / BOARD_WIDTH, 0, 0, canvas.height / BOARD_HEIGHT, 0, 0);
+        const now = performance.now();
+        const animations = curveAnimationsRef.current;
+        const progressOf = (id) => (animations.has(id) ? Math.min(1, (now - animations.get(id)) / CURVE_ANIMATION_MS) : 1);
+        const notes = renderScene(ctx, sceneRef.current, { labels: labelsRef.current, progressOf });
+
+        animations.forEach((startedAt, id) => {
+            if (now - startedAt >= CURVE_ANIMATION_MS || !sceneRef.current.get(id)) animations.delete(id);
+        });
+        if (animations.size > 0) animationFrameRef.current = requestAnimationFrame(renderBoard);
+        return notes;
+    }, []);
+
+    // Applies board changes to the scene and redraws. New curves, and curves that changed
+    // shape, draw themselves unless `animated` is false.
+    // Returns { ok, changed, notes } or { ok: false, error } when the scene rejected the changes.
+    const applyScene = useCallback((actions, animated) => {
+        const scene = sceneRef.current;
+        const curvesBefore = new Map(scene.list().map((object) => [object.id, curveDefinition(object)]));
+        let applied;
+        try {
+            applied = scene.apply(actions);
+        } catch (error) {
+            if (error instanceof SceneError) return { ok: false, error: error.message };
+            throw error;
+        }
+
+        applied.changed.forEach((id) => {
+            const definition = curveDefinition(scene.get(id));
+            if (animated && definition && curvesBefore.get(id) !== definition) {
+                curveAnimationsRef.current.set(id, performance.now());
+            }
+        });
+        return { ok: true, changed: applied.changed, notes: renderBoard() };
+    }, [renderBoard]);
+
+    const clearScene = useCallback(() => {
+        sceneRef.current.clear();
+        curveAnimationsRef.current.clear();
+        renderBoard();
+    }, [renderBoard]);
+
+    // Draws a visual command and returns its render result ({ ok, error?, ... }),
+    // which App acknowledges back to the server so Gemini learns what happened.
+    const drawCommand = useCallback((cmd, { clock } = {}) => {
+        const overlay = overlayRef.current;
+        if (!canvasRef.current) return { ok: false, error: 'Whiteboard is not ready' };
+
+        // Every command replaces the sequence being revealed, if any
+        stopSequence();
+
+        // The tutor was interrupted: reveal no more steps of the current sequence, leave the board as it is
+        if (cmd.type === 'STOP_ANIMATIONS') {
+            return { ok: true, type: 'STOP_ANIMATIONS' };
+        }
+
+        console.log('Drawing command:', cmd);
+        setActiveCommand(cmd);
+
+        // Wipe the board (scene, overlay and any slides) before showing something unrelated
+        if (cmd.type === 'CLEAR_BOARD') {
+            clearScene();
+            if (overlay) overlay.innerHTML = '';
+            setSlides([]);
+            setSolutionTitle("");
+            setSelectedStep(null);
+            solutionRef.current = null;
+            clearSketch();
+            return { ok: true, type: 'CLEAR_BOARD' };
+        }
+
+        // The tutor's answer to a question about one step: nested under that step, the rest of the solution stays.
+        // If that solution is no longer on the board, the answer is shown like any other sequence.
+        const solution = solutionRef.current;
+        if (cmd.type === 'ANIMATE_SEQUENCE' && cmd.parent && solution
+            && solution.title === cmd.parent.title && cmd.parent.stepIndex < solution.steps) {
+            const steps = cmd.steps || [];
+            const title = cmd.title || "Solution";
+            const { stepIndex, action } = cmd.parent;
+            const followUp = { title, action, steps: steps.map(s => ({ content: s, visible: cmd.animated === false })) };
+
+            // The steps the student was asking about are all on show from here on
+            setSlides(prevSlides => prevSlides.map((slide, page) => slide.map((s, i) => (
+                page * STEPS_PER_PAGE + i === stepIndex ? { ...s, visible: true, followUp } : { ...s, visible: true }
+            ))));
+            setCurrentSlideIndex(Math.floor(stepIndex / STEPS_PER_PAGE));
+            setSelectedStep(null);
+
+            if (cmd.animated !== false && steps.length > 0) {
+                paceSequence(steps, cmd.cues || [], clock || narration || createWallClock(), (count) => revealFollowUp(stepIndex, count));
+            }
+
+            return { ok: true, type: 'ANIMATE_SEQUENCE', title, steps: steps.length, nestedUnder: stepIndex };
+        }
+
+        // A practice problem for the student to solve (pose_problem): shown like a one-step solution,
+        // but not one to ask about. The answer is typed or said, and checked on the server.
+        if (cmd.type === 'POSE_PROBLEM') {
+            const title = cmd.title || 'Practice problem';
+            clearScene();
+            if (overlay) overlay.innerHTML = '';
+            setSolutionTitle(title);
+            setSlides([[{ content: cmd.question || '', visible: true, problem: true }]]);
+            setCurrentSlideIndex(0);
+            setSelectedStep(null);
+            solutionRef.current = null;
+            return { ok: true, type: 'POSE_PROBLEM', id: cmd.id, title };
+        }
+
         // Handle Animated Sequence with Pagination (Slides)
         if (cmd.type === 'ANIMATE_SEQUENCE') {
             const steps = cmd.steps || [];
-            const title = cmd.title || "Solution";
+            const title = (cmd.title || "Solution").trim();
             setSolutionTitle(title);
+            setSelectedStep(null);
+            solutionRef.current = { title, steps: steps.length };
 
             // Clear entire board
-            ctx.clearRect(0, 0, canvas.width, canvas.height);
+            clearScene();
             if (overlay) overlay.innerHTML = '';
 
-            // Reduced to 3 steps per page for better visibility without overlap
-            const STEPS_PER_PAGE = 3;
             const newSlides = [];
             for (let i = 0; i < steps.length; i += STEPS_PER_PAGE) {
-                const chunk = steps.slice(i, i + STEPS_PER_PAGE).map(s => ({ content: s, visible: false }));
+                const chunk = steps.slice(i, i + STEPS_PER_PAGE).map(s => ({ content: s, visible: cmd.animated === false }));
                 newSlides.push(chunk);
             }
             setSlides(newSlides);
             setCurrentSlideIndex(0);
-            setIsAnimating(true);
-
-
-            // CRITICAL: Timing must match Gemini's speech pace
-            // Audio speaks at ~150-180 words/minute (conversational pace)
-            // That's roughly 3 words/second, or ~15-20 chars/second
-            // BUT we need buffer time for audio to actually reach that part of narration
-            let cumulativeDelay = 300; // Initial delay for audio to start
-
-            steps.forEach((stepContent, i) => {
-                const pageIndex = Math.floor(i / STEPS_PER_PAGE);
-                const stepIndexInPage = i % STEPS_PER_PAGE;
-
-                // Timing tuned to match speech pace
-                // Base: 400ms (transition time)
-                // + 25ms per character (matches speech + buffer)
-                // Example: 50-char step = 400ms + 1250ms = 1.65s
-                const readingTime = Math.max(400, stepContent.length * 25);
-
-                setTimeout(() => {
-                    // Switch page if needed
-                    if (stepIndexInPage === 0) {
-                        setCurrentSlideIndex(pageIndex);
-                    }
-
-                    // Mark step as visible
-                    setSlides(prevSlides => {
-                        const newSlidesState = prevSlides.map(slide => slide.map(s => ({ ...s })));
-                        if (newSlidesState[pageIndex] && newSlidesState[pageIndex][stepIndexInPage]) {
-                            newSlidesState[pageIndex][stepIndexInPage].visible = true;
-                        }
-                        return newSlidesState;
-                    });
-
-                }, cumulativeDelay);
-
-                cumulativeDelay += readingTime;
-            });
 
+            // Replays restoring the board show every step at once
+            if (cmd.animated !== false && steps.length > 0) {
+                paceSequence(steps, cmd.cues || [], clock || narration || createWallClock(), revealSteps);
+            }
 
-
-            setTimeout(() => {
-                setIsAnimating(false);
-            }, cumulativeDelay + 1000);
-
-            return;
+            return { ok: true, type: 'ANIMATE_SEQUENCE', title, steps: steps.length, slides: newSlides.length };
         }
 
-        // For non-sequence commands:
-        if (cmd.type === 'DRAW_GRAPH') {
-            // Reset pagination if user asks for a simple graph
-            setSlides([]);
-            setSolutionTitle("");
-            drawGraph(cmd, ctx, canvas, overlay, cmd.animated !== false);
-            return;
+        // For non-sequence commands: the board goes back to the scene, so put any slides away
+        if (overlay) overlay.innerHTML = '';
+        setSlides([]);
+        setSolutionTitle("");
+        setSelectedStep(null);
+        solutionRef.current = null;
+        const animated = cmd.animated !== false;
+
+        // Changes to identified objects on the board
+        if (cmd.type === 'UPDATE_SCENE') {
+            const applied = applyScene(cmd.actions || [], animated);
+            if (!applied.ok) return applied;
+
+            const board = sceneRef.current.list().map(({ id, type }) => ({ id, type }));
+            const problems = applied.changed.filter((id) => applied.notes[id] && applied.notes[id].error);
+            if (problems.length > 0) {
+                return {
+                    ok: false,
+                    error: problems.map((id) => `'${id}' is on the board but couldn't be drawn: ${applied.notes[id].error}`).join('; '),
+                    board
+                };
+            }
+            const result = { ok: true, type: 'UPDATE_SCENE', changed: applied.changed, board };
+            // Ranges the board chose, for axes given without them or with an equal scale
+            board.forEach(({ id, type }) => {
+                if (type === 'axes' && applied.notes[id]) {
+                    result.fittedRanges = { ...result.fittedRanges, [id]: applied.notes[id] };
+                }
+            });
+            const warnings = applied.changed.map((id) => applied.notes[id] && applied.notes[id].warning).filter(Boolean);
+            if (warnings.length > 0) result.warnings = warnings;
+            return result;
         }
 
-        if (cmd.type === 'DRAW_SHAPE') {
-            setSlides([]);
-            setSolutionTitle("");
-            ctx.strokeStyle = cmd.color || '#00D2FF';
-            ctx.fillStyle = cmd.color || '#00D2FF';
-            ctx.lineWidth = 4;
-
-            if (cmd.shape === 'circle') {
-                const centerX = canvas.width / 2;
-                const centerY = canvas.height / 2;
-                const radius = 100;
-                ctx.beginPath();
-                ctx.arc(centerX, centerY, radius, 0, 2 * Math.PI);
-                ctx.stroke();
-            } else if (cmd.points && cmd.points.length > 0) {
-                ctx.beginPath();
-                ctx.moveTo(cmd.points[0][0], cmd.points[0][1]);
-                cmd.points.forEach((p, i) => {
-                    if (i > 0) ctx.lineTo(p[0], p[1]);
-                });
-                ctx.closePath();
-                ctx.stroke();
+        // The single graph, figure, shape or text of draw_on_canvas or draw_geometry, added to the scene
+        if (DRAW_COMMANDS.includes(cmd.type)) {
+            const applied = applyScene(actionsForDrawCommand(cmd, sceneRef.current), animated);
+            if (!applied.ok) return applied;
+
+            if (cmd.type === 'DRAW_GEOMETRY') {
+                const { notes } = applied;
+                const objects = applied.changed.filter((id) => id !== 'geo-plane');
+                const result = { ok: true, type: 'DRAW_GEOMETRY', objects, ...notes['geo-plane'] };
+                // The sizes of the marked angles, so the tutor can check the figure says what it means
+                const angles = objects.filter((id) => notes[id] && notes[id].degrees !== undefined);
+                if (angles.length > 0) result.angles = angles.map((id) => ({ id, degrees: notes[id].degrees }));
+                const warnings = objects.map((id) => notes[id] && notes[id].warning).filter(Boolean);
+                if (warnings.length > 0) result.warnings = warnings;
+                return result;
             }
-            return;
-        }
 
-        // Legacy/Generic Text
-        if (cmd.type === 'DRAW_TEXT') {
-            setSlides([]);
-            setSolutionTitle("");
-            const text = cmd.text || '';
-            ctx.fillStyle = cmd.color || '#fff';
-            ctx.font = '24px Inter, sans-serif';
-            ctx.textAlign = 'center';
-            const x = (cmd.position && cmd.position[0]) || canvas.width / 2;
-            const y = (cmd.position && cmd.position[1]) || canvas.height / 2;
-            ctx.fillText(text, x, y);
+            if (cmd.type !== 'DRAW_SHAPE' && cmd.type !== 'DRAW_TEXT') {
+                const { notes } = applied;
+                const failed = applied.changed.find((id) => notes[id] && notes[id].error);
+                if (failed) return { ok: false, error: notes[failed].error, details: notes[failed].details };
+
+                const result = { ok: true, type: cmd.type };
+                if (cmd.type === 'DRAW_GRAPH') {
+                    const curves = applied.changed.filter((id) => sceneRef.current.get(id).type === 'curve');
+                    result.functions = curves.map((id) => ({ id, function: sceneRef.current.get(id).function, plottedPoints: notes[id].plottedPoints }));
+                } else {
+                    result.plottedPoints = notes['graph-f1'].plottedPoints;
+                }
+                // Tell the tutor what ranges it got when it left the choice to the board
+                Object.assign(result, notes['graph-axes']);
+                const warnings = applied.changed.map((id) => notes[id] && notes[id].warning).filter(Boolean);
+                if (warnings.length > 0) result.warnings = warnings;
+                return result;
+            }
+            const id = applied.changed[applied.changed.length - 1];
+            return cmd.type === 'DRAW_SHAPE' ? { ok: true, type: 'DRAW_SHAPE', id, shape: cmd.shape } : { ok: true, type: 'DRAW_TEXT', id };
         }
 
-    }, [drawGraph]);
+        return { ok: false, error: `Unknown visual command type '${cmd.type}'` };
+    }, [applyScene, clearScene, narration, paceSequence, revealSteps, revealFollowUp, stopSequence, clearSketch]);
 
     // Render Pagination Overlay with Fixed Footer
     useEffect(() => {
         if (slides.length === 0 || !overlayRef.current) return;
 
         const overlay = overlayRef.current;
+        // Keep the student's place in a long page across redraws
+        const previousContent = overlay.querySelector('[data-steps]');
+        const previousScroll = previousContent ? previousContent.scrollTop : 0;
         overlay.innerHTML = '';
 
         // Main Flex Container
@@ -429,6 +583,7 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
 
         // Content Area (Flexible)
         const contentArea = document.createElement('div');
+        contentArea.dataset.steps = 'true';
         contentArea.style.flex = '1'; // Take remaining space
         contentArea.style.display = 'flex';
         contentArea.style.flexDirection = 'column';
@@ -439,19 +594,86 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
 
         const currentSteps = slides[currentSlideIndex] || [];
 
-        currentSteps.forEach((stepObj) => {
+        const setVisibility = (node, visible) => {
+            node.style.opacity = visible ? '1' : '0';
+            node.style.transform = visible ? 'translateY(0)' : 'translateY(10px)';
+        };
+        let latestFollowUpStep = null;
+
+        currentSteps.forEach((stepObj, i) => {
+            const stepIndex = currentSlideIndex * STEPS_PER_PAGE + i;
             const node = createStepNode(stepObj.content, '#fff', '20px');
             // Adjust margin for cleaner look
             node.style.marginBottom = '10px';
+            setVisibility(node, stepObj.visible);
+            contentArea.appendChild(node);
 
-            if (!stepObj.visible) {
-                node.style.opacity = '0';
-                node.style.transform = 'translateY(10px)';
-            } else {
-                node.style.opacity = '1';
-                node.style.transform = 'translateY(0)';
+            // A step the student can ask about: clicking it opens (or closes) its actions
+            const askable = onAskAboutStep && stepObj.visible && !stepObj.problem;
+            if (askable) {
+                node.style.cursor = 'pointer';
+                node.title = 'Ask about this step';
+                node.onclick = () => setSelectedStep(selectedStep === stepIndex ? null : stepIndex);
+            }
+
+            if (askable && selectedStep === stepIndex) {
+                node.style.outline = '2px solid #00D2FF';
+                const actions = document.createElement('div');
+                actions.style.display = 'flex';
+                actions.style.gap = '10px';
+                actions.style.flexWrap = 'wrap';
+                actions.style.justifyContent = 'center';
+                actions.style.marginTop = '-20px';
+
+                STEP_ACTIONS.forEach(({ action, label }) => {
+                    const btn = document.createElement('button');
+                    btn.textContent = label;
+                    btn.onclick = () => {
+                        onAskAboutStep({ title: solutionTitle, stepIndex, step: stepObj.content, action });
+                        setSelectedStep(null);
+                    };
+                    btn.style.padding = '6px 14px';
+                    btn.style.background = 'rgba(0, 210, 255, 0.15)';
+                    btn.style.color = '#00D2FF';
+                    btn.style.border = '1px solid #00D2FF';
+                    btn.style.borderRadius = '16px';
+                    btn.style.cursor = 'pointer';
+                    btn.style.fontSize = '13px';
+                    actions.appendChild(btn);
+                });
+                contentArea.appendChild(actions);
+            }
+
+            // The tutor's answer about this step, as a smaller sequence indented beneath it
+            if (stepObj.followUp) {
+                const nested = document.createElement('div');
+                nested.style.display = 'flex';
+                nested.style.flexDirection = 'column';
+                nested.style.alignItems = 'center';
+                nested.style.width = '85%';
+                nested.style.marginTop = '-15px';
+                nested.style.paddingLeft = '20px';
+                nested.style.borderLeft = '3px solid rgba(0, 210, 255, 0.5)';
+                nested.style.flexShrink = '0';
+
+                const nestedHeader = document.createElement('div');
+                renderMathText(nestedHeader, stepObj.followUp.title);
+                nestedHeader.style.color = '#00D2FF';
+                nestedHeader.style.fontSize = '16px';
+                nestedHeader.style.fontWeight = 'bold';
+                nestedHeader.style.marginBottom = '10px';
+                nested.appendChild(nestedHeader);
+
+                stepObj.followUp.steps.forEach((followUpStep) => {
+                    const followUpNode = createStepNode(followUpStep.content, '#ddd', '17px');
+                    followUpNode.style.padding = '10px 18px';
+                    followUpNode.style.marginBottom = '8px';
+                    setVisibility(followUpNode, followUpStep.visible);
+                    nested.appendChild(followUpNode);
+                    if (followUpStep.visible) latestFollowUpStep = followUpNode;
+                });
+                contentArea.appendChild(nested);
             }
-            contentArea.appendChild(node);
         });
 
         container.appendChild(contentArea);
@@ -499,7 +721,11 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
 
         overlay.appendChild(container);
 
-    }, [slides, currentSlideIndex, solutionTitle]);
+        contentArea.scrollTop = previousScroll;
+        // Follow an answer being revealed under its step
+        if (isAnimating && latestFollowUpStep) latestFollowUpStep.scrollIntoView({ block: 'nearest' });
+
+    }, [slides, currentSlideIndex, solutionTitle, selectedStep, onAskAboutStep, isAnimating]);
     // Expose drawCommand to parent component
     useEffect(() => {
         if (onDrawCommand) {
@@ -507,6 +733,27 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
         }
     }, [drawCommand, onDrawCommand]);
 
+    // The canvas keeps one backing pixel per screen pixel, so the board is redrawn from the
+    // scene whenever it changes size instead of being stretched
+    useEffect(() => {
+        const canvas = canvasRef.current;
+        if (!canvas || typeof ResizeObserver === 'undefined') return;
+
+        const observer = new ResizeObserver(() => {
+            const ratio = window.devicePixelRatio || 1;
+            const width = Math.round(canvas.clientWidth * ratio);
+            const height = Math.round(canvas.clientHeight * ratio);
+            if (width === 0 || height === 0 || (width === canvas.width && height === canvas.height)) return;
+            canvas.width = width;
+            canvas.height = height;
+            renderBoard();
+        });
+        observer.observe(canvas);
+        return () => observer.disconnect();
+    }, [renderBoard]);
+
+    useEffect(() => () => cancelAnimationFrame(animationFrameRef.current), []);
+
     // Handle legacy simulate-local-visual for testing (immediate execution)
     useEffect(() => {
         if (!socket) return;
@@ -514,7 +761,8 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
         const handleSimulateVisual = (cmd) => {
             console.log('Received Simulated Visual Command:', cmd);
             setActiveCommand(cmd);
-            drawCommand(cmd);
+            // No tutor audio to follow here; pace sequences by the clock
+            drawCommand(cmd, { clock: createWallClock() });
         };
 
         socket.on('simulate-local-visual', handleSimulateVisual);
@@ -536,11 +784,17 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
         }}>
             <canvas
                 ref={canvasRef}
-                width={800}
-                height={600}
+                width={BOARD_WIDTH}
+                height={BOARD_HEIGHT}
                 style={{ width: '100%', height: '100%', display: 'block' }}
             />
 
+            {/* LaTeX and labels of the scene, kept apart from the slides so each can be redrawn alone */}
+            <div
+                ref={labelsRef}
+                style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', pointerEvents: 'none' }}
+            />
+
             {/* Overlay for LaTeX and other HTML content */}
             <div
                 ref={overlayRef}
@@ -554,6 +808,108 @@ const CanvasBoard = ({ socket, onDrawCommand }) => {
                 }}
             />
 
+            {/* Student ink; only takes the pointer while the pen or eraser is picked */}
+            <canvas
+                ref={sketchCanvasRef}
+                width={BOARD_WIDTH}
+                height={BOARD_HEIGHT}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                style={{
+                    position: 'absolute',
+                    top: 0,
+                    left: 0,
+                    width: '100%',
+                    height: '100%',
+                    pointerEvents: tool ? 'auto' : 'none',
+                    touchAction: tool ? 'none' : 'auto',
+                    cursor: tool === 'eraser' ? 'cell' : (tool ? 'crosshair' : 'default')
+                }}
+            />
+
+            <div style={{ position: 'absolute', top: 10, right: 10, display: 'flex', gap: '6px' }}>
+                {onAskAboutBoard && (
+                    <>
+                        <button onClick={() => setTool(tool === 'pen' ? null : 'pen')} title="Pen" style={toolButtonStyle(tool === 'pen')}>
+                            <Pencil size={16} />
+                        </button>
+                        <button onClick={() => setTool(tool === 'eraser' ? null : 'eraser')} title="Eraser" style={toolButtonStyle(tool === 'eraser')}>
+                            <Eraser size={16} />
+                        </button>
+                        <button onClick={clearSketch} disabled={!hasSketch} title="Clear my drawing" style={toolButtonStyle(false)}>
+                            <Trash2 size={16} />
+                        </button>
+                        <button
+                            onClick={askAboutBoard}
+                            disabled={isCapturing}
+                            title="Send the board and your drawing to the tutor"
+                            style={{ ...toolButtonStyle(false), gap: '6px', alignItems: 'center', fontSize: '0.8rem' }}
+                        >
+                            <MessageCircleQuestion size={16} /> Ask about this
+                        </button>
+                    </>
+                )}
+                <button
+                    onClick={() => setIsExportMenuOpen(!isExportMenuOpen)}
+                    disabled={isExporting}
+                    title="Save the board for your notes"
+                    style={toolButtonStyle(isExportMenuOpen)}
+                >
+                    <Download size={16} />
+                </button>
+
+                {isExportMenuOpen && (
+                    <div style={{
+                        position: 'absolute',
+                        top: '100%',
+                        right: 0,
+                        marginTop: '6px',
+                        display: 'flex',
+                        flexDirection: 'column',
+                        gap: '4px',
+                        padding: '6px',
+                        background: 'rgba(0, 0, 0, 0.85)',
+                        borderRadius: '8px',
+                        zIndex: 1
+                    }}>
+                        {EXPORT_FORMATS.map(({ format, label, needsSteps }) => (
+                            <button
+                                key={format}
+                                onClick={() => exportBoard(format)}
+                                disabled={needsSteps && slides.length === 0}
+                                style={{ ...toolButtonStyle(false), fontSize: '0.8rem', whiteSpace: 'nowrap', justifyContent: 'flex-start' }}
+                            >
+                                {label}
+                            </button>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            {boardError && (
+                <div style={{
+                    position: 'absolute',
+                    top: 50,
+                    right: 10,
+                    maxWidth: '60%',
+                    display: 'flex',
+                    alignItems: 'center',
+                    gap: '6px',
+                    padding: '0.4rem 0.6rem',
+                    borderRadius: '8px',
+                    background: 'rgba(0, 0, 0, 0.85)',
+                    color: '#FF6B6B',
+                    fontSize: '0.8rem'
+                }}>
+                    <span>{boardError}</span>
+                    <button onClick={() => setBoardError(null)} title="Dismiss" style={{ ...toolButtonStyle(false), padding: '0.15rem' }}>
+                        <X size={14} />
+                    </button>
+                </div>
+            )}
+
             {/* Status indicator */}
             <div style={{ position: 'absolute', top: 10, left: 10, color: '#666', fontSize: '0.8rem' }}>
                 {activeCommand ? `Last: ${activeCommand.type}` : 'Ready'}
@@ -0,0 +1,204 @@
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { X, Trash2, ChevronLeft, ChevronRight, Play } from 'lucide-react';
+import CanvasBoard from './CanvasBoard';
+import TranscriptPanel from './TranscriptPanel';
+import { SERVER_URL } from '../config';
+import { studentHeaders } from '../utils/studentId';
+import { isBoardReset } from '../hooks/useLessonPlayer';
+
+const formatDate = (timestamp) =>
+    new Date(timestamp).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+
+const studentSource = (e) => (e.type === 'step_question' ? 'step' : e.kind === 'sketch' ? 'sketch' : e.type);
+
+// Rebuilds transcript panel entries from a stored lesson's events
+const toTranscriptEntries = (events) =>
+    events
+        .filter((e) => e.type === 'text' || e.type === 'image' || e.type === 'step_question' || e.type === 'transcript')
+        .map((e, i) => (e.type === 'transcript'
+            ? { id: `transcript-${i}`, role: e.role, source: e.source, text: e.text, startedAt: e.startedAt, final: true }
+            : { id: `${e.type}-${i}`, role: 'student', source: studentSource(e), text: e.text || '', startedAt: e.at, final: true }));
+
+// Full-screen view for reopening past lessons and stepping through their boards
+const HistoryView = ({ onClose, onReplay }) => {
+    const [sessions, setSessions] = useState([]);
+    const [selected, setSelected] = useState(null);
+    const [boardIndex, setBoardIndex] = useState(0);
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const drawRef = useRef(null);
+    const [isBoardReady, setIsBoardReady] = useState(false);
+
+    const loadSessions = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const res = await fetch(`${SERVER_URL}/api/sessions`, { headers: studentHeaders() });
+            if (!res.ok) throw new Error(`Server responded ${res.status}`);
+            setSessions(await res.json());
+            setError(null);
+        } catch (e) {
+            setError(`Couldn't load lesson history: ${e.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadSessions();
+    }, [loadSessions]);
+
+    const openSession = useCallback(async (id) => {
+        try {
+            const res = await fetch(`${SERVER_URL}/api/sessions/${id}`, { headers: studentHeaders() });
+            if (!res.ok) throw new Error(`Server responded ${res.status}`);
+            setSelected(await res.json());
+            setBoardIndex(0);
+            setError(null);
+        } catch (e) {
+            setError(`Couldn't open lesson: ${e.message}`);
+        }
+    }, []);
+
+    const deleteSession = useCallback(async (id) => {
+        if (!window.confirm('Delete this lesson from your history?')) return;
+        try {
+            const res = await fetch(`${SERVER_URL}/api/sessions/${id}`, { method: 'DELETE', headers: studentHeaders() });
+            if (!res.ok && res.status !== 404) throw new Error(`Server responded ${res.status}`);
+            setSessions((prev) => prev.filter((s) => s.id !== id));
+            setSelected((prev) => (prev && prev.id === id ? null : prev));
+        } catch (e) {
+            setError(`Couldn't delete lesson: ${e.message}`);
+        }
+    }, []);
+
+    const boards = useMemo(() => (selected
+        ? selected.events.filter((e) => e.type === 'visual_command').map((e) => e.command)
+        : []), [selected]);
+
+    const handleDrawCommand = useCallback((drawFn) => {
+        drawRef.current = drawFn;
+        setIsBoardReady(true);
+    }, []);
+
+    // Redraw whenever the student steps to another board. Commands can build on the board
+    // before them (update_board), so everything since the last reset is drawn, instantly, first.
+    useEffect(() => {
+        if (!isBoardReady || !drawRef.current) return;
+        drawRef.current({ type: 'CLEAR_BOARD' });
+        if (boardIndex >= boards.length) return;
+
+        let start = 0;
+        boards.slice(0, boardIndex + 1).forEach((command, i) => {
+            if (isBoardReset(command)) start = i;
+        });
+        boards.slice(start, boardIndex).forEach((command) => drawRef.current({ ...command, animated: false }));
+        drawRef.current(boards[boardIndex]);
+    }, [isBoardReady, boards, boardIndex]);
+
+    return (
+        <div style={{
+            position: 'fixed', inset: 0, zIndex: 10,
+            padding: '2rem', boxSizing: 'border-box',
+            display: 'flex', gap: '2rem',
+            background: 'rgba(0, 0, 0, 0.85)'
+        }}>
+            {/* Lesson list */}
+            <div className="glass-panel" style={{ width: '280px', padding: '1.5rem', display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '1rem' }}>
+                    <h2 style={{ fontSize: '1.2rem', margin: 0 }}>History</h2>
+                    <button onClick={onClose} style={{ padding: '0.3rem', display: 'flex' }} title="Back to live tutor">
+                        <X size={18} />
+                    </button>
+                </div>
+
+                {error && <p style={{ color: '#FF6B6B', fontSize: '0.85rem' }}>{error}</p>}
+                {isLoading && <p style={{ color: '#888', fontSize: '0.85rem' }}>Loading...</p>}
+                {!isLoading && sessions.length === 0 && !error && (
+                    <p style={{ color: '#888', fontSize: '0.85rem' }}>No lessons recorded yet.</p>
+                )}
+
+                <div style={{ overflowY: 'auto', display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
+                    {sessions.map((session) => (
+                        <div
+                            key={session.id}
+                            onClick={() => openSession(session.id)}
+                            style={{
+                                padding: '0.6rem 0.75rem',
+                                borderRadius: '8px',
+                                cursor: 'pointer',
+                                background: selected && selected.id === session.id ? 'rgba(0, 210, 255, 0.15)' : 'rgba(255, 255, 255, 0.05)',
+                                display: 'flex', alignItems: 'center', gap: '0.5rem'
+                            }}
+                        >
+                            <div style={{ flex: 1, minWidth: 0 }}>
+                                <div style={{ fontSize: '0.9rem', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                                    {session.title || 'Untitled lesson'}
+                                </div>
+                                <div style={{ fontSize: '0.75rem', color: '#888' }}>
+                                    {formatDate(session.startedAt)} · {session.eventCount} events
+                                </div>
+                            </div>
+                            <button
+                                onClick={(e) => { e.stopPropagation(); deleteSession(session.id); }}
+                                style={{ padding: '0.3rem', display: 'flex', background: 'transparent' }}
+                                title="Delete lesson"
+                            >
+                                <Trash2 size={16} color="#888" />
+                            </button>
+                        </div>
+                    ))}
+                </div>
+            </div>
+
+            {/* Selected lesson */}
+            <div className="glass-panel" style={{ flex: 1, padding: '1.5rem', display: 'flex', gap: '1.5rem', minHeight: 0 }}>
+                {!selected && (
+                    <p style={{ color: '#888', margin: 'auto' }}>Pick a lesson to review it.</p>
+                )}
+
+                {selected && (
+                    <>
+                        <div style={{ width: '320px', display: 'flex', flexDirection: 'column', minHeight: 0 }}>
+                            <h3 style={{ fontSize: '1rem', marginTop: 0 }}>{selected.title || 'Untitled lesson'}</h3>
+                            <button
+                                onClick={() => onReplay(selected)}
+                                style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '6px', marginBottom: '1rem', background: '#00D2FF' }}
+                            >
+                                <Play size={16} /> Replay with audio
+                            </button>
+                            <TranscriptPanel entries={toTranscriptEntries(selected.events)} />
+                        </div>
+
+                        <div style={{ flex: 1, display: 'flex', flexDirection: 'column', gap: '1rem', minHeight: 0 }}>
+                            <div style={{ flex: 1, minHeight: 0 }}>
+                                <CanvasBoard onDrawCommand={handleDrawCommand} />
+                            </div>
+                            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '1rem' }}>
+                                <button
+                                    onClick={() => setBoardIndex((i) => Math.max(0, i - 1))}
+                                    disabled={boardIndex === 0}
+                                    style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}
+                                >
+                                    <ChevronLeft size={16} /> Previous board
+                                </button>
+                                <span style={{ color: '#888', fontSize: '0.9rem' }}>
+                                    {boards.length === 0 ? 'No boards in this lesson' : `${boardIndex + 1} / ${boards.length}`}
+                                </span>
+                                <button
+                                    onClick={() => setBoardIndex((i) => Math.min(boards.length - 1, i + 1))}
+                                    disabled={boardIndex >= boards.length - 1}
+                                    style={{ display: 'flex', alignItems: 'center', gap: '0.3rem' }}
+                                >
+                                    Next board <ChevronRight size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default HistoryView;
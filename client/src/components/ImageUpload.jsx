@@ -0,0 +1,71 @@
+import React, { useRef, useState } from 'react';
+import { ImagePlus, X } from 'lucide-react';
+
+// Picks, photographs (on phones) or takes a dropped image of a problem and shows a preview.
+// App does the downscaling and sending; this only reports the chosen file.
+const ImageUpload = ({ image, onSelect, onClear, disabled }) => {
+    const inputRef = useRef(null);
+    const [isDragging, setIsDragging] = useState(false);
+
+    const pick = (files) => {
+        const file = files && files[0];
+        if (file) onSelect(file);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDragging(false);
+        if (!disabled) pick(e.dataTransfer.files);
+    };
+
+    if (image) {
+        return (
+            <div style={{ position: 'relative', borderRadius: '8px', overflow: 'hidden', border: '1px solid rgba(255, 255, 255, 0.1)' }}>
+                <img src={image.previewUrl} alt="Problem to send" style={{ display: 'block', width: '100%', maxHeight: '160px', objectFit: 'contain', background: '#000' }} />
+                <button
+                    onClick={onClear}
+                    title="Remove photo"
+                    style={{ position: 'absolute', top: '4px', right: '4px', padding: '0.25rem', display: 'flex', background: 'rgba(0, 0, 0, 0.6)' }}
+                >
+                    <X size={14} />
+                </button>
+            </div>
+        );
+    }
+
+    return (
+        <>
+            <div
+                onDragOver={(e) => { e.preventDefault(); setIsDragging(true); }}
+                onDragLeave={() => setIsDragging(false)}
+                onDrop={handleDrop}
+                onClick={() => !disabled && inputRef.current.click()}
+                style={{
+                    display: 'flex',
+                    alignItems: 'center',
+                    justifyContent: 'center',
+                    gap: '8px',
+                    padding: '0.6rem',
+                    borderRadius: '8px',
+                    border: `1px dashed ${isDragging ? '#00D2FF' : 'rgba(255, 255, 255, 0.2)'}`,
+                    color: isDragging ? '#00D2FF' : '#aaa',
+                    fontSize: '0.85rem',
+                    cursor: disabled ? 'default' : 'pointer',
+                    opacity: disabled ? 0.5 : 1
+                }}
+            >
+                <ImagePlus size={16} /> Photo or drop a problem
+            </div>
+            {/* Outside the drop zone so its click doesn't bubble back into it. On phones the picker also offers the camera. */}
+            <input
+                ref={inputRef}
+                type="file"
+                accept="image/*"
+                onChange={(e) => { pick(e.target.files); e.target.value = ''; }}
+                style={{ display: 'none' }}
+            />
+        </>
+    );
+};
+
+export default ImageUpload;
@@ -0,0 +1,132 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Check, Lightbulb } from 'lucide-react';
+import { renderMathText } from '../utils/mathText';
+
+// Text and LaTeX, typeset with KaTeX
+const MathText = ({ content, style }) => {
+    const ref = useRef(null);
+
+    useEffect(() => {
+        if (!ref.current) return;
+        ref.current.innerHTML = '';
+        renderMathText(ref.current, content);
+    }, [content]);
+
+    return <div ref={ref} style={style} />;
+};
+
+/**
+ * The open practice problem (see the server's PracticeTracker): an answer field with a typeset
+ * preview, the hint ladder so far, and how the student's answers have gone this session.
+ * Spoken answers are checked too; their results arrive like typed ones. Key it by problem id so
+ * a new problem starts with an empty answer.
+ * @param {object} props
+ * @param {{ id: string, title: string, question: string, hintCount: number }} props.problem
+ * @param {{ level: number, count: number, hint: string }[]} props.hints - given so far for this problem
+ * @param {{ problemId: string, answer: string, correct: boolean, message: string, attempt: number }[]} props.results
+ *   every checked answer this session
+ * @param {(answer: string) => void} [props.onAnswer] - absent while answers can't be sent
+ * @param {() => void} [props.onHint]
+ */
+const PracticePanel = ({ problem, hints, results, onAnswer, onHint }) => {
+    const [answer, setAnswer] = useState('');
+
+    const attempts = results.filter((result) => result.problemId === problem.id);
+    const latest = attempts[attempts.length - 1];
+    const solved = attempts.some((result) => result.correct);
+    const solvedProblems = new Set(results.filter((result) => result.correct).map((result) => result.problemId)).size;
+    const triedProblems = new Set(results.map((result) => result.problemId)).size;
+
+    const submit = () => {
+        if (!answer.trim() || !onAnswer) return;
+        onAnswer(answer.trim());
+        setAnswer('');
+    };
+
+    return (
+        <div style={{
+            width: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.5rem',
+            padding: '0.75rem',
+            marginBottom: '1rem',
+            borderRadius: '8px',
+            background: 'rgba(0, 210, 255, 0.08)',
+            border: '1px solid rgba(0, 210, 255, 0.3)',
+            boxSizing: 'border-box'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'baseline', gap: '0.5rem' }}>
+                <MathText content={problem.title} style={{ fontSize: '0.9rem', color: '#00D2FF', fontWeight: 'bold' }} />
+                {triedProblems > 0 && (
+                    <span style={{ fontSize: '0.75rem', color: '#888', whiteSpace: 'nowrap' }}>
+                        {solvedProblems} of {triedProblems} solved
+                    </span>
+                )}
+            </div>
+            <MathText content={problem.question} style={{ fontSize: '0.95rem' }} />
+
+            {hints.map((hint) => (
+                <div key={hint.level} style={{ display: 'flex', gap: '6px', fontSize: '0.85rem', color: '#FFD166' }}>
+                    <Lightbulb size={14} style={{ flexShrink: 0, marginTop: '2px' }} />
+                    <MathText content={`Hint ${hint.level}: ${hint.hint}`} />
+                </div>
+            ))}
+
+            {latest && (
+                <div style={{ fontSize: '0.85rem', color: latest.correct ? '#4ADE80' : '#FF6B6B' }}>
+                    {latest.correct
+                        ? `✓ ${latest.answer} is correct${latest.attempt > 1 ? ` (attempt ${latest.attempt})` : ''}`
+                        : `✗ ${latest.answer}: ${latest.message}`}
+                </div>
+            )}
+
+            {!solved && (
+                <>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <input
+                            type="text"
+                            value={answer}
+                            onChange={(e) => setAnswer(e.target.value)}
+                            onKeyDown={(e) => {
+                                if (e.key === 'Enter') {
+                                    e.preventDefault();
+                                    submit();
+                                }
+                            }}
+                            placeholder="Your answer, e.g. x = 5 or 10/2"
+                            disabled={!onAnswer}
+                            style={{
+                                flex: 1,
+                                minWidth: 0,
+                                padding: '0.5rem',
+                                borderRadius: '6px',
+                                border: '1px solid #444',
+                                background: '#222',
+                                color: '#fff',
+                                fontSize: '0.9rem'
+                            }}
+                        />
+                        <button onClick={submit} disabled={!onAnswer || !answer.trim()} title="Check my answer" style={{ display: 'flex', padding: '0.5rem' }}>
+                            <Check size={16} />
+                        </button>
+                        <button
+                            onClick={onHint}
+                            disabled={!onHint}
+                            title={problem.hintCount > 0 ? `Hints used: ${hints.length} of ${problem.hintCount}` : 'Ask for a hint'}
+                            style={{ display: 'flex', padding: '0.5rem' }}
+                        >
+                            <Lightbulb size={16} />
+                        </button>
+                    </div>
+                    {/* How the answer will be read, typeset as maths */}
+                    {answer.trim() && !answer.includes('$') && (
+                        <MathText content={`$${answer}$`} style={{ fontSize: '0.9rem', color: '#aaa' }} />
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default PracticePanel;
@@ -0,0 +1,212 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { X, RotateCcw } from 'lucide-react';
+import { SERVER_URL } from '../config';
+import { getStudentId, studentHeaders } from '../utils/studentId';
+
+// How each standing (worked out on the server, see LearnerProfile.js) is shown
+const STANDINGS = {
+    strong: { label: 'Strong', color: '#4ADE80' },
+    developing: { label: 'Getting there', color: '#FFD166' },
+    weak: { label: 'Needs work', color: '#FF6B6B' },
+    new: { label: 'Just started', color: '#888' }
+};
+
+// Days shown in the accuracy chart
+const CHART_DAYS = 30;
+
+const formatDay = (timestamp) => new Date(timestamp).toLocaleDateString([], { dateStyle: 'medium' });
+
+const percent = (fraction) => `${Math.round(fraction * 100)}%`;
+
+const Stat = ({ label, value }) => (
+    <div style={{ padding: '0.75rem 1rem', borderRadius: '8px', background: 'rgba(255, 255, 255, 0.05)', minWidth: '110px' }}>
+        <div style={{ fontSize: '1.4rem', fontWeight: 'bold' }}>{value}</div>
+        <div style={{ fontSize: '0.75rem', color: '#888' }}>{label}</div>
+    </div>
+);
+
+const TopicChips = ({ title, topics, color }) => (
+    <div style={{ flex: 1, minWidth: '220px' }}>
+        <h3 style={{ fontSize: '0.95rem', margin: '0 0 0.5rem' }}>{title}</h3>
+        {topics.length === 0 && <p style={{ color: '#888', fontSize: '0.85rem', margin: 0 }}>None yet.</p>}
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.4rem' }}>
+            {topics.map((topic) => (
+                <span key={topic.name} style={{ padding: '0.25rem 0.6rem', borderRadius: '999px', fontSize: '0.8rem', border: `1px solid ${color}`, color }}>
+                    {topic.name}{topic.accuracy !== null ? ` · ${percent(topic.accuracy)}` : ''}
+                </span>
+            ))}
+        </div>
+    </div>
+);
+
+// Share of practice answers right on each day, oldest on the left
+const AccuracyChart = ({ days }) => {
+    const entries = Object.entries(days).sort(([a], [b]) => a.localeCompare(b)).slice(-CHART_DAYS);
+    if (entries.length === 0) return null;
+
+    return (
+        <div>
+            <h3 style={{ fontSize: '0.95rem', margin: '0 0 0.5rem' }}>Answers right, by day</h3>
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '90px', padding: '0.5rem', borderRadius: '8px', background: 'rgba(255, 255, 255, 0.03)' }}>
+                {entries.map(([day, { answers, correct }]) => (
+                    <div
+                        key={day}
+                        title={`${formatDay(`${day}T12:00:00Z`)}: ${correct} of ${answers} right`}
+                        style={{
+                            flex: 1,
+                            maxWidth: '28px',
+                            height: `${Math.max(4, (correct / answers) * 100)}%`,
+                            borderRadius: '3px 3px 0 0',
+                            background: correct / answers >= 0.75 ? '#4ADE80' : correct / answers >= 0.5 ? '#FFD166' : '#FF6B6B'
+                        }}
+                    />
+                ))}
+            </div>
+        </div>
+    );
+};
+
+// Full-screen view of the student's learner profile: strengths, weak topics and how they've moved
+const ProgressDashboard = ({ onClose }) => {
+    const [profile, setProfile] = useState(null);
+    const [error, setError] = useState(null);
+    const [isLoading, setIsLoading] = useState(true);
+
+    const loadProfile = useCallback(async () => {
+        setIsLoading(true);
+        try {
+            const res = await fetch(`${SERVER_URL}/api/profiles/${getStudentId()}`, { headers: studentHeaders() });
+            // No profile yet is normal for a new student
+            if (res.status === 404) {
+                setProfile(null);
+            } else {
+                if (!res.ok) throw new Error(`Server responded ${res.status}`);
+                setProfile(await res.json());
+            }
+            setError(null);
+        } catch (e) {
+            setError(`Couldn't load your progress: ${e.message}`);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        loadProfile();
+    }, [loadProfile]);
+
+    const resetProfile = useCallback(async () => {
+        if (!window.confirm('Forget all of your progress? The tutor will treat you as a new student.')) return;
+        try {
+            const res = await fetch(`${SERVER_URL}/api/profiles/${getStudentId()}`, { method: 'DELETE', headers: studentHeaders() });
+            if (!res.ok && res.status !== 404) throw new Error(`Server responded ${res.status}`);
+            setProfile(null);
+        } catch (e) {
+            setError(`Couldn't reset your progress: ${e.message}`);
+        }
+    }, []);
+
+    const topics = profile ? profile.topics : [];
+    const totals = topics.reduce((sum, topic) => ({
+        problems: sum.problems + topic.problems,
+        firstTry: sum.firstTry + topic.firstTry,
+        hints: sum.hints + topic.hints
+    }), { problems: 0, firstTry: 0, hints: 0 });
+
+    return (
+        <div style={{
+            position: 'fixed', inset: 0, zIndex: 10,
+            padding: '2rem', boxSizing: 'border-box',
+            display: 'flex',
+            background: 'rgba(0, 0, 0, 0.85)'
+        }}>
+            <div className="glass-panel" style={{ flex: 1, padding: '1.5rem', display: 'flex', flexDirection: 'column', gap: '1.5rem', minHeight: 0, overflowY: 'auto' }}>
+                <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+                    <h2 style={{ fontSize: '1.2rem', margin: 0 }}>Your Progress</h2>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        {profile && (
+                            <button onClick={resetProfile} style={{ padding: '0.3rem 0.6rem', display: 'flex', alignItems: 'center', gap: '4px', fontSize: '0.8rem' }} title="Forget my progress">
+                                <RotateCcw size={14} /> Reset
+                            </button>
+                        )}
+                        <button onClick={onClose} style={{ padding: '0.3rem', display: 'flex' }} title="Back to live tutor">
+                            <X size={18} />
+                        </button>
+                    </div>
+                </div>
+
+                {error && <p style={{ color: '#FF6B6B', fontSize: '0.85rem', margin: 0 }}>{error}</p>}
+                {isLoading && <p style={{ color: '#888', fontSize: '0.85rem', margin: 0 }}>Loading...</p>}
+                {!isLoading && !profile && !error && (
+                    <p style={{ color: '#888', margin: 'auto' }}>
+                        Nothing here yet. Ask the tutor for practice problems and the topics you work on will show up here.
+                    </p>
+                )}
+
+                {profile && (
+                    <>
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.75rem' }}>
+                            <Stat label="Lessons" value={profile.lessons} />
+                            <Stat label="Topics" value={topics.length} />
+                            <Stat label="Problems tried" value={totals.problems} />
+                            <Stat label="Right first time" value={totals.problems ? percent(totals.firstTry / totals.problems) : '-'} />
+                            <Stat label="Hints used" value={totals.hints} />
+                        </div>
+
+                        <div style={{ display: 'flex', flexWrap: 'wrap', gap: '1.5rem' }}>
+                            <TopicChips title="Strengths" topics={topics.filter((topic) => topic.standing === 'strong')} color={STANDINGS.strong.color} />
+                            <TopicChips title="Needs work" topics={topics.filter((topic) => topic.standing === 'weak')} color={STANDINGS.weak.color} />
+                        </div>
+
+                        <AccuracyChart days={profile.days} />
+
+                        <div>
+                            <h3 style={{ fontSize: '0.95rem', margin: '0 0 0.5rem' }}>Topics</h3>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.85rem' }}>
+                                <thead>
+                                    <tr style={{ color: '#888', textAlign: 'left' }}>
+                                        <th style={{ padding: '0.4rem' }}>Topic</th>
+                                        <th style={{ padding: '0.4rem' }}>Standing</th>
+                                        <th style={{ padding: '0.4rem' }}>Latest answers</th>
+                                        <th style={{ padding: '0.4rem' }}>Problems</th>
+                                        <th style={{ padding: '0.4rem' }}>Hints</th>
+                                        <th style={{ padding: '0.4rem' }}>Last seen</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {topics.map((topic) => (
+                                        <tr key={topic.name} style={{ borderTop: '1px solid rgba(255, 255, 255, 0.08)' }}>
+                                            <td style={{ padding: '0.4rem' }}>{topic.name}</td>
+                                            <td style={{ padding: '0.4rem', color: STANDINGS[topic.standing].color }}>
+                                                {STANDINGS[topic.standing].label}
+                                                {topic.accuracy !== null && ` (${percent(topic.accuracy)})`}
+                                            </td>
+                                            <td style={{ padding: '0.4rem' }}>
+                                                {/* Oldest first, so a run of green at the end means they've got it */}
+                                                <div style={{ display: 'flex', gap: '3px' }}>
+                                                    {topic.recent.map((answer, i) => (
+                                                        <span
+                                                            key={i}
+                                                            title={`${formatDay(answer.at)}: ${answer.correct ? 'right' : 'wrong'}`}
+                                                            style={{ width: '8px', height: '8px', borderRadius: '50%', background: answer.correct ? '#4ADE80' : '#FF6B6B' }}
+                                                        />
+                                                    ))}
+                                                    {topic.recent.length === 0 && <span style={{ color: '#888' }}>Explained, not practised</span>}
+                                                </div>
+                                            </td>
+                                            <td style={{ padding: '0.4rem' }}>{topic.problems ? `${topic.solved} of ${topic.problems} solved` : '-'}</td>
+                                            <td style={{ padding: '0.4rem' }}>{topic.hints}</td>
+                                            <td style={{ padding: '0.4rem', color: '#888' }}>{formatDay(topic.lastSeenAt)}</td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ProgressDashboard;
@@ -0,0 +1,53 @@
+import React from 'react';
+import { Play, Pause, X } from 'lucide-react';
+import { PLAYBACK_SPEEDS } from '../hooks/useLessonPlayer';
+
+const formatClock = (seconds) => {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+};
+
+// Play/pause, seek and speed controls for a lesson replay (see useLessonPlayer)
+const ReplayControls = ({ player, title, onExit }) => (
+    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem', width: '100%' }}>
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+            <span style={{ fontSize: '0.9rem', color: '#00D2FF', overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
+                Replaying: {title || 'Untitled lesson'}
+            </span>
+            <button onClick={onExit} style={{ padding: '0.3rem', display: 'flex' }} title="Back to live tutor">
+                <X size={16} />
+            </button>
+        </div>
+
+        <input
+            type="range"
+            min={0}
+            max={player.duration || 0}
+            step={0.1}
+            value={Math.min(player.position, player.duration)}
+            onChange={(e) => player.seek(parseFloat(e.target.value))}
+            style={{ width: '100%' }}
+        />
+
+        <div style={{ display: 'flex', alignItems: 'center', gap: '0.75rem' }}>
+            <button
+                onClick={player.isPlaying ? player.pause : player.play}
+                style={{ display: 'flex', alignItems: 'center', gap: '6px' }}
+            >
+                {player.isPlaying ? <><Pause size={16} /> Pause</> : <><Play size={16} /> Play</>}
+            </button>
+            <span style={{ color: '#aaa', fontSize: '0.85rem', flex: 1 }}>
+                {formatClock(player.position)} / {formatClock(player.duration)}
+            </span>
+            <select
+                value={player.speed}
+                onChange={(e) => player.setSpeed(parseFloat(e.target.value))}
+                style={{ background: '#1a1a1a', color: '#fff', border: '1px solid #333', borderRadius: '6px', padding: '0.3rem' }}
+            >
+                {PLAYBACK_SPEEDS.map((s) => <option key={s} value={s}>{s}x</option>)}
+            </select>
+        </div>
+    </div>
+);
+
+export default ReplayControls;
@@ -0,0 +1,68 @@
+import React, { useState } from 'react';
+import { X } from 'lucide-react';
+
+// The settings the server offers (see server/services/SessionConfig.js), in display order
+const FIELDS = [
+    { key: 'subject', label: 'Subject' },
+    { key: 'language', label: 'Response language' },
+    { key: 'depth', label: 'Explanation depth' },
+    { key: 'persona', label: 'Tutor persona' },
+    { key: 'voice', label: 'Voice' }
+];
+
+/**
+ * Picks the tutor's voice, language, subject, depth and persona for the session.
+ * A Live session can't change them midway, so applying starts a new one.
+ * @param {object} props
+ * @param {object} props.options - per setting, the { value, label } choices the server allows
+ * @param {object} props.config - the settings the current session uses
+ * @param {(settings: object) => void} props.onApply
+ * @param {() => void} props.onClose
+ */
+const SettingsPanel = ({ options, config, onApply, onClose }) => {
+    const [draft, setDraft] = useState(config);
+    const isChanged = FIELDS.some(({ key }) => draft[key] !== config[key]);
+
+    return (
+        <div style={{
+            width: '100%',
+            display: 'flex',
+            flexDirection: 'column',
+            gap: '0.6rem',
+            padding: '0.75rem',
+            marginBottom: '1rem',
+            borderRadius: '8px',
+            background: 'rgba(255, 255, 255, 0.05)',
+            border: '1px solid #444',
+            boxSizing: 'border-box'
+        }}>
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                <span style={{ fontSize: '0.95rem', fontWeight: 'bold' }}>Tutor Settings</span>
+                <button onClick={onClose} style={{ padding: '0.3rem', display: 'flex' }} title="Close settings">
+                    <X size={16} />
+                </button>
+            </div>
+
+            {FIELDS.map(({ key, label }) => (
+                <label key={key} style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', gap: '0.75rem', fontSize: '0.85rem' }}>
+                    <span style={{ color: '#aaa' }}>{label}</span>
+                    <select
+                        value={draft[key]}
+                        onChange={(e) => setDraft((prev) => ({ ...prev, [key]: e.target.value }))}
+                        style={{ flex: 1, maxWidth: '60%', padding: '0.3rem', borderRadius: '6px', border: '1px solid #444', background: '#222', color: '#fff' }}
+                    >
+                        {options[key].map((option) => (
+                            <option key={option.value} value={option.value}>{option.label}</option>
+                        ))}
+                    </select>
+                </label>
+            ))}
+
+            <button onClick={() => onApply(draft)} disabled={!isChanged} style={{ background: isChanged ? '#00D2FF' : '#333', fontSize: '0.85rem' }}>
+                Apply and start a new lesson
+            </button>
+        </div>
+    );
+};
+
+export default SettingsPanel;
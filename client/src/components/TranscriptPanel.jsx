@@ -0,0 +1,76 @@
+import React, { useEffect, useRef } from 'react';
+
+const formatTime = (timestamp) =>
+    new Date(timestamp).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+// Scrolling conversation log built from the server's `transcript` events
+const TranscriptPanel = ({ entries }) => {
+    const scrollRef = useRef(null);
+
+    // Keep the newest message in view as entries arrive or grow
+    useEffect(() => {
+        if (scrollRef.current) {
+            scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+        }
+    }, [entries]);
+
+    return (
+        <div
+            ref={scrollRef}
+            style={{
+                flex: 1,
+                width: '100%',
+                minHeight: 0,
+                overflowY: 'auto',
+                display: 'flex',
+                flexDirection: 'column',
+                gap: '0.5rem',
+                padding: '0.5rem',
+                marginBottom: '1rem',
+                borderRadius: '8px',
+                background: 'rgba(0, 0, 0, 0.2)',
+                boxSizing: 'border-box'
+            }}
+        >
+            {entries.length === 0 && (
+                <p style={{ color: '#666', fontSize: '0.85rem', textAlign: 'center', margin: 'auto 0' }}>
+                    The conversation will appear here.
+                </p>
+            )}
+
+            {entries.map((entry) => {
+                const isStudent = entry.role === 'student';
+                return (
+                    <div
+                        key={entry.id}
+                        style={{
+                            alignSelf: isStudent ? 'flex-end' : 'flex-start',
+                            maxWidth: '85%',
+                            padding: '0.5rem 0.75rem',
+                            borderRadius: '10px',
+                            background: isStudent ? 'rgba(0, 210, 255, 0.15)' : 'rgba(255, 255, 255, 0.08)',
+                            opacity: entry.final ? 1 : 0.7
+                        }}
+                    >
+                        <div style={{ fontSize: '0.7rem', color: '#888', marginBottom: '2px' }}>
+                            {isStudent ? 'You' : 'Tutor'} · {formatTime(entry.startedAt)}
+                            {entry.source === 'text' ? ' · typed' : ''}
+                            {entry.source === 'image' ? ' · photo' : ''}
+                            {entry.source === 'sketch' ? ' · drawing' : ''}
+                            {entry.source === 'step' ? ' · step' : ''}
+                            {entry.source === 'practice' ? ' · practice' : ''}
+                        </div>
+                        <div style={{ fontSize: '0.9rem', whiteSpace: 'pre-wrap' }}>
+                            {entry.source === 'image' && `📷 ${entry.text.trim() || 'Sent a photo of the problem'}`}
+                            {entry.source === 'sketch' && `✏️ ${entry.text.trim()}`}
+                            {entry.source === 'step' && `❓ ${entry.text.trim()}`}
+                            {entry.source !== 'image' && entry.source !== 'sketch' && entry.source !== 'step' && entry.text.trim()}
+                        </div>
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default TranscriptPanel;
@@ -0,0 +1,8 @@
+// Ensure we use the full URL with protocol
+const getServerUrl = () => {
+  const url = import.meta.env.VITE_SERVER_URL || 'http://localhost:3001';
+  if (url.startsWith('http')) return url;
+  return `https://${url}`;
+};
+
+export const SERVER_URL = getServerUrl();
@@ -1,9 +1,31 @@
 import { useState, useRef, useEffect } from 'react';
+import captureProcessorUrl from '../worklets/captureProcessor.js?url';
 
-const useAudioStream = (socket) => {
+// The Live API expects 16 kHz 16-bit mono PCM (the server labels it audio/pcm;rate=16000)
+const TARGET_SAMPLE_RATE = 16000;
+
+// Maps an RMS amplitude onto 0..1 over a -60..0 dBFS range, which tracks how loud speech sounds
+const toMeterLevel = (rms) => {
+    if (rms <= 0) return 0;
+    const db = 20 * Math.log10(rms);
+    return Math.max(0, Math.min(1, (db + 60) / 60));
+};
+
+/**
+ * Streams the microphone to the server as `audio-input` events.
+ * Capture runs in an AudioWorklet (see worklets/captureProcessor.js) that resamples from the
+ * device's own rate, so the audio really is 16 kHz whatever the browser gives us.
+ *
+ * @param {object} socket - socket.io client
+ * @param {object} [options]
+ * @param {number} [options.frameMs=40] - audio per `audio-input` event; smaller is lower latency, larger is fewer messages
+ * @returns {{ isRecording: boolean, toggleMic: () => void, inputLevel: number }} inputLevel is 0..1, for a level meter
+ */
+const useAudioStream = (socket, { frameMs = 40 } = {}) => {
     const [isRecording, setIsRecording] = useState(false);
+    const [inputLevel, setInputLevel] = useState(0);
     const audioContextRef = useRef(null);
-    const processorRef = useRef(null);
+    const workletNodeRef = useRef(null);
     const streamRef = useRef(null);
     const isRecordingRef = useRef(false); // Use ref to avoid closure issues
 
@@ -12,57 +34,70 @@ const useAudioStream = (socket) => {
             const stream = await navigator.mediaDevices.getUserMedia({
                 audio: {
                     channelCount: 1,
-                    sampleRate: 16000 // Try to request 16kHz directly
+                    echoCancellation: true,
+                    noiseSuppression: true,
+                    autoGainControl: true
                 }
             });
 
             streamRef.current = stream;
 
-            const audioContext = new (window.AudioContext || window.webkitAudioContext)({ sampleRate: 16000 });
+            // Run at the device's native rate; asking for 16 kHz is ignored by some browsers
+            // and makes others resample badly. The worklet does the conversion instead.
+            const audioContext = new (window.AudioContext || window.webkitAudioContext)();
             audioContextRef.current = audioContext;
 
-            const source = audioContext.createMediaStreamSource(stream);
+            if (!audioContext.audioWorklet) {
+                throw new Error('AudioWorklet is not supported here (it needs a secure context: https or localhost)');
+            }
+            await audioContext.audioWorklet.addModule(captureProcessorUrl);
 
-            // Use ScriptProcessor for raw PCM access (AudioWorklet is better but more complex to setup in 1 file for now)
-            // Reduced buffer size from 4096 to 2048 to lower latency (from ~256ms to ~128ms at 16kHz)
-            const processor = audioContext.createScriptProcessor(2048, 1, 1);
-            processorRef.current = processor;
-
-            processor.onaudioprocess = (e) => {
-                if (!socket) {
-                    console.error('Socket is null!');
-                    return;
+            const source = audioContext.createMediaStreamSource(stream);
+            const workletNode = new AudioWorkletNode(audioContext, 'capture-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 1,
+                channelCount: 1,
+                processorOptions: {
+                    targetSampleRate: TARGET_SAMPLE_RATE,
+                    frameSize: Math.round(TARGET_SAMPLE_RATE * frameMs / 1000)
                 }
-                if (!isRecordingRef.current) { // Check ref instead of state
-                    return;
+            });
+            workletNodeRef.current = workletNode;
+
+            workletNode.port.onmessage = (e) => {
+                if (!isRecordingRef.current) return; // Check ref instead of state
+
+                if (e.data.type === 'frame') {
+                    if (!socket) {
+                        console.error('Socket is null!');
+                        return;
+                    }
+                    socket.emit('audio-input', e.data.pcm);
+                } else if (e.data.type === 'level') {
+                    setInputLevel(toMeterLevel(e.data.rms));
                 }
-
-                const inputData = e.inputBuffer.getChannelData(0);
-
-                // Convert Float32 to Int16 PCM
-                const pcmData = floatTo16BitPCM(inputData);
-
-                // Emit audio without verbose logging (was slowing down)
-                socket.emit('audio-input', pcmData);
             };
 
-            source.connect(processor);
-            processor.connect(audioContext.destination);
+            // The worklet outputs silence; connecting it to the destination keeps it being processed
+            source.connect(workletNode);
+            workletNode.connect(audioContext.destination);
 
             isRecordingRef.current = true; // Set ref
             setIsRecording(true);
-            console.log('Microphone started (PCM 16kHz)');
+            console.log(`Microphone started (${audioContext.sampleRate} Hz -> PCM ${TARGET_SAMPLE_RATE / 1000}kHz, ${frameMs} ms frames)`);
 
         } catch (err) {
             console.error('Error accessing microphone:', err);
+            stopRecording();
         }
     };
 
     const stopRecording = () => {
         isRecordingRef.current = false; // Clear ref
-        if (processorRef.current) {
-            processorRef.current.disconnect();
-            processorRef.current = null;
+        if (workletNodeRef.current) {
+            workletNodeRef.current.port.onmessage = null;
+            workletNodeRef.current.disconnect();
+            workletNodeRef.current = null;
         }
         if (audioContextRef.current) {
             audioContextRef.current.close();
@@ -73,6 +108,7 @@ const useAudioStream = (socket) => {
             streamRef.current = null;
         }
         setIsRecording(false);
+        setInputLevel(0);
         console.log('Microphone stopped');
     };
 
@@ -84,17 +120,12 @@ const useAudioStream = (socket) => {
         }
     };
 
-    // Helper: Float32 -> Int16
-    const floatTo16BitPCM = (input) => {
-        let output = new Int16Array(input.length);
-        for (let i = 0; i < input.length; i++) {
-            let s = Math.max(-1, Math.min(1, input[i]));
-            output[i] = s < 0 ? s * 0x8000 : s * 0x7FFF;
-        }
-        return output.buffer;
-    };
+    // Release the microphone if the component goes away while recording
+    useEffect(() => () => {
+        if (isRecordingRef.current) stopRecording();
+    }, []);
 
-    return { isRecording, toggleMic };
+    return { isRecording, toggleMic, inputLevel };
 };
 
 export default useAudioStream;
@@ -0,0 +1,107 @@
+import { useState, useRef, useEffect, useCallback } from 'react';
+import { canvasToJpeg } from '../utils/image';
+
+/**
+ * Streams the camera to the server as `video-frame` events: one small JPEG every
+ * 1/fps seconds, which the server forwards to the Live session as video. Meant for holding
+ * a notebook up to the camera while talking, so a low rate is plenty.
+ *
+ * @param {object} socket - socket.io client
+ * @param {object} [options]
+ * @param {number} [options.fps=1] - frames per second; the server drops anything over VIDEO_MAX_FPS
+ * @param {number} [options.maxDimension=768] - longer side of each frame, in pixels
+ * @param {number} [options.quality=0.7] - JPEG quality
+ * @returns {{ isStreaming: boolean, stream: MediaStream | null, toggleCamera: () => void, error: string | null }}
+ *   stream is for a preview <video>
+ */
+const useCameraStream = (socket, { fps = 1, maxDimension = 768, quality = 0.7 } = {}) => {
+    const [stream, setStream] = useState(null);
+    const [error, setError] = useState(null);
+    const streamRef = useRef(null);
+    const videoRef = useRef(null); // Off-screen <video> the frames are grabbed from
+    const canvasRef = useRef(null);
+    const timerRef = useRef(null);
+    const encodingRef = useRef(false); // Skip a tick rather than queue frames if encoding falls behind
+
+    const stopCamera = useCallback(() => {
+        clearInterval(timerRef.current);
+        timerRef.current = null;
+        if (streamRef.current) {
+            streamRef.current.getTracks().forEach((track) => track.stop());
+            streamRef.current = null;
+        }
+        if (videoRef.current) {
+            videoRef.current.srcObject = null;
+            videoRef.current = null;
+        }
+        setStream(null);
+    }, []);
+
+    const sendFrame = useCallback(async () => {
+        const video = videoRef.current;
+        if (!video || encodingRef.current || video.readyState < video.HAVE_CURRENT_DATA || !video.videoWidth) return;
+
+        const scale = Math.min(1, maxDimension / Math.max(video.videoWidth, video.videoHeight));
+        const canvas = canvasRef.current || (canvasRef.current = document.createElement('canvas'));
+        canvas.width = Math.round(video.videoWidth * scale);
+        canvas.height = Math.round(video.videoHeight * scale);
+        canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+        encodingRef.current = true;
+        try {
+            const blob = await canvasToJpeg(canvas, quality);
+            // The camera may have been stopped while encoding. Volatile: frames sent while
+            // disconnected are dropped rather than buffered, since a stale frame is worthless.
+            if (streamRef.current && socket) socket.volatile.emit('video-frame', await blob.arrayBuffer());
+        } catch (e) {
+            console.warn('Dropped a camera frame:', e.message);
+        } finally {
+            encodingRef.current = false;
+        }
+    }, [socket, maxDimension, quality]);
+
+    const startCamera = async () => {
+        setError(null);
+        try {
+            // Prefer the back camera on phones, which is the one that can see the paper
+            const media = await navigator.mediaDevices.getUserMedia({
+                video: { facingMode: 'environment', width: { ideal: 1280 }, height: { ideal: 720 } },
+                audio: false
+            });
+            streamRef.current = media;
+
+            const video = document.createElement('video');
+            video.muted = true;
+            video.playsInline = true;
+            video.srcObject = media;
+            await video.play();
+            videoRef.current = video;
+
+            // The browser or OS can take the camera away (permission revoked, device unplugged)
+            media.getVideoTracks().forEach((track) => track.addEventListener('ended', stopCamera));
+
+            timerRef.current = setInterval(sendFrame, 1000 / fps);
+            setStream(media);
+            console.log(`Camera started (${video.videoWidth}x${video.videoHeight}, sending ${fps} fps)`);
+        } catch (err) {
+            console.error('Error accessing camera:', err);
+            setError(err.name === 'NotAllowedError' ? 'Camera permission was denied' : `Camera unavailable: ${err.message}`);
+            stopCamera();
+        }
+    };
+
+    const toggleCamera = () => {
+        if (streamRef.current) {
+            stopCamera();
+        } else {
+            startCamera();
+        }
+    };
+
+    // Release the camera if the component goes away while streaming
+    useEffect(() => stopCamera, [stopCamera]);
+
+    return { isStreaming: stream !== null, stream, toggleCamera, error };
+};
+
+export default useCameraStream;
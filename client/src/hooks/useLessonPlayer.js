@@ -0,0 +1,279 @@
+import { useState, useRef, useCallback, useEffect } from 'react';
+
+// How often the player checks for timeline entries that are due
+const TICK_MS = 50;
+// Audio is handed to the player this far ahead of its slot, matching the
+// lookahead playPcmChunk adds when it starts a fresh timeline.
+const AUDIO_LOOKAHEAD = 0.2;
+
+export const PLAYBACK_SPEEDS = [0.5, 0.75, 1, 1.25, 1.5, 2];
+
+// Commands that wipe the board; redrawing after a seek starts from the last one of these.
+// A sequence answering a step question is nested under that step instead (see CanvasBoard).
+const BOARD_RESETS = ['ANIMATE_SEQUENCE', 'POSE_PROBLEM', 'CLEAR_BOARD'];
+
+export const isBoardReset = (command) => (BOARD_RESETS.includes(command.type) && !command.parent)
+    || (command.type === 'UPDATE_SCENE' && (command.actions || []).some((action) => action.op === 'clear'));
+
+// Audio the tutor had queued when the student interrupted was cut off live, so a replay
+// drops whatever was stamped past the interruption and trims the chunk it landed in.
+const cutInterruptedAudio = (entries) => {
+    const audio = [];
+    let cutoff = Infinity;
+    for (let i = entries.length - 1; i >= 0; i--) {
+        const entry = entries[i];
+        if (entry.kind === 'interrupt') {
+            cutoff = Math.min(cutoff, entry.t);
+        } else if (entry.kind === 'audio' && entry.t < cutoff) {
+            audio.unshift({ ...entry, duration: Math.min(entry.duration, cutoff - entry.t) });
+        }
+    }
+    return audio;
+};
+
+/**
+ * Replays a recorded lesson (see server/services/LessonRecorder.js) by driving the
+ * same audio and drawing callbacks as the live session.
+ *
+ * @param {object} handlers
+ * @param {(base64: string, options: { playbackRate: number, offset: number }) => void} handlers.playChunk
+ * @param {() => void} handlers.stopAudio - stops every chunk already scheduled
+ * @param {(cmd: object) => void} handlers.draw - CanvasBoard's draw callback
+ * @param {() => void} handlers.endTurn - the tutor finished a turn (its audio may still be playing)
+ */
+const useLessonPlayer = ({ playChunk, stopAudio, draw, endTurn }) => {
+    const [recording, setRecording] = useState(null);
+    const [isPlaying, setIsPlaying] = useState(false);
+    const [position, setPosition] = useState(0);
+    const [speed, setSpeedState] = useState(1);
+
+    const recordingRef = useRef(null);
+    const speedRef = useRef(1);
+    const intervalRef = useRef(null);
+    // Playback clock: `anchorPosition` seconds of lesson time at `anchorWall` (performance.now())
+    const anchorRef = useRef({ position: 0, wall: 0 });
+    // Index of the next audio / visual entry still to be dispatched
+    const nextAudioRef = useRef(0);
+    const nextVisualRef = useRef(0);
+    const nextInterruptRef = useRef(0);
+    const nextTurnEndRef = useRef(0);
+
+    // Keep handlers in a ref so the interval always calls the latest ones
+    const handlersRef = useRef({ playChunk, stopAudio, draw, endTurn });
+    useEffect(() => {
+        handlersRef.current = { playChunk, stopAudio, draw, endTurn };
+    }, [playChunk, stopAudio, draw, endTurn]);
+
+    // The helpers below only touch refs and state setters, so they are created once and every
+    // callback built on them stays stable
+    const currentPosition = useCallback(() => {
+        const { position: anchorPosition, wall } = anchorRef.current;
+        return anchorPosition + ((performance.now() - wall) / 1000) * speedRef.current;
+    }, []);
+
+    const clearTimer = useCallback(() => {
+        if (intervalRef.current) {
+            clearInterval(intervalRef.current);
+            intervalRef.current = null;
+        }
+    }, []);
+
+    // Points the dispatch cursors at `time`, starting any audio chunk already underway part-way through
+    const cueAudioAt = useCallback((time) => {
+        const { audio } = recordingRef.current;
+        let index = audio.findIndex((entry) => entry.t + entry.duration > time);
+        if (index === -1) index = audio.length;
+
+        const current = audio[index];
+        if (current && current.t < time) {
+            handlersRef.current.playChunk(current.data, { playbackRate: speedRef.current, offset: time - current.t });
+            index += 1;
+        }
+        nextAudioRef.current = index;
+
+        const { interrupts, turnEnds } = recordingRef.current;
+        const interrupt = interrupts.findIndex((entry) => entry.t > time);
+        nextInterruptRef.current = interrupt === -1 ? interrupts.length : interrupt;
+        const turnEnd = turnEnds.findIndex((entry) => entry.t > time);
+        nextTurnEndRef.current = turnEnd === -1 ? turnEnds.length : turnEnd;
+    }, []);
+
+    const tick = useCallback(() => {
+        const rec = recordingRef.current;
+        if (!rec) return;
+
+        const now = currentPosition();
+        const { playChunk: play, stopAudio: stop, draw: drawCmd, endTurn: turnEnded } = handlersRef.current;
+
+        // Cut the tutor off where the student did
+        while (nextInterruptRef.current < rec.interrupts.length && rec.interrupts[nextInterruptRef.current].t <= now) {
+            stop();
+            drawCmd({ type: 'STOP_ANIMATIONS' });
+            nextInterruptRef.current += 1;
+        }
+
+        while (nextTurnEndRef.current < rec.turnEnds.length && rec.turnEnds[nextTurnEndRef.current].t <= now) {
+            turnEnded();
+            nextTurnEndRef.current += 1;
+        }
+
+        while (nextVisualRef.current < rec.visuals.length && rec.visuals[nextVisualRef.current].t <= now) {
+            drawCmd(rec.visuals[nextVisualRef.current].command);
+            nextVisualRef.current += 1;
+        }
+
+        // Audio after an interruption waits until the interruption has stopped what came before
+        const nextInterrupt = rec.interrupts[nextInterruptRef.current];
+        const audioHorizon = Math.min(now + AUDIO_LOOKAHEAD * speedRef.current, nextInterrupt ? nextInterrupt.t : Infinity);
+        while (nextAudioRef.current < rec.audio.length && rec.audio[nextAudioRef.current].t <= audioHorizon) {
+            play(rec.audio[nextAudioRef.current].data, { playbackRate: speedRef.current, offset: 0 });
+            nextAudioRef.current += 1;
+        }
+
+        if (now >= rec.duration) {
+            clearTimer();
+            setIsPlaying(false);
+            setPosition(rec.duration);
+            return;
+        }
+        setPosition(now);
+    }, [currentPosition, clearTimer]);
+
+    const startClock = useCallback((from) => {
+        anchorRef.current = { position: from, wall: performance.now() };
+        clearTimer();
+        intervalRef.current = setInterval(tick, TICK_MS);
+    }, [clearTimer, tick]);
+
+    // Rebuilds the board as it looked at `time`: from the last reset up to that moment, drawn instantly
+    const restoreBoardAt = useCallback((time) => {
+        const { visuals } = recordingRef.current;
+        const upTo = visuals.findIndex((entry) => entry.t > time);
+        const shown = upTo === -1 ? visuals : visuals.slice(0, upTo);
+
+        let start = 0;
+        shown.forEach((entry, i) => {
+            if (isBoardReset(entry.command)) start = i;
+        });
+
+        handlersRef.current.draw({ type: 'CLEAR_BOARD' });
+        shown.slice(start).forEach((entry) => handlersRef.current.draw({ ...entry.command, animated: false }));
+        nextVisualRef.current = shown.length;
+    }, []);
+
+    const load = useCallback((data) => {
+        clearTimer();
+        handlersRef.current.stopAudio();
+
+        const entries = data.entries || [];
+        recordingRef.current = {
+            duration: data.duration || 0,
+            audio: cutInterruptedAudio(entries),
+            visuals: entries.filter((e) => e.kind === 'visual'),
+            interrupts: entries.filter((e) => e.kind === 'interrupt'),
+            turnEnds: entries.filter((e) => e.kind === 'turnEnd'),
+        };
+        nextAudioRef.current = 0;
+        nextVisualRef.current = 0;
+        nextInterruptRef.current = 0;
+        nextTurnEndRef.current = 0;
+        anchorRef.current = { position: 0, wall: performance.now() };
+
+        handlersRef.current.draw({ type: 'CLEAR_BOARD' });
+        setRecording(data);
+        setPosition(0);
+        setIsPlaying(false);
+    }, [clearTimer]);
+
+    const play = useCallback(() => {
+        const rec = recordingRef.current;
+        if (!rec) return;
+
+        // Replaying from the end starts over
+        let from = anchorRef.current.position;
+        if (from >= rec.duration) {
+            from = 0;
+            restoreBoardAt(0);
+        }
+
+        cueAudioAt(from);
+        startClock(from);
+        setIsPlaying(true);
+    }, [cueAudioAt, restoreBoardAt, startClock]);
+
+    const pause = useCallback(() => {
+        if (!intervalRef.current) return;
+        const at = Math.min(currentPosition(), recordingRef.current.duration);
+        clearTimer();
+        handlersRef.current.stopAudio();
+        anchorRef.current = { position: at, wall: performance.now() };
+        setPosition(at);
+        setIsPlaying(false);
+    }, [clearTimer, currentPosition]);
+
+    const seek = useCallback((time) => {
+        const rec = recordingRef.current;
+        if (!rec) return;
+
+        const target = Math.max(0, Math.min(time, rec.duration));
+        const wasPlaying = intervalRef.current !== null;
+        clearTimer();
+        handlersRef.current.stopAudio();
+
+        restoreBoardAt(target);
+        anchorRef.current = { position: target, wall: performance.now() };
+        setPosition(target);
+
+        if (wasPlaying) {
+            cueAudioAt(target);
+            startClock(target);
+        } else {
+            nextAudioRef.current = 0;
+        }
+    }, [clearTimer, cueAudioAt, restoreBoardAt, startClock]);
+
+    const setSpeed = useCallback((value) => {
+        const wasPlaying = intervalRef.current !== null;
+        const at = wasPlaying ? currentPosition() : anchorRef.current.position;
+
+        // Chunks already scheduled keep their old rate, so reschedule from here
+        clearTimer();
+        handlersRef.current.stopAudio();
+        speedRef.current = value;
+        setSpeedState(value);
+        anchorRef.current = { position: at, wall: performance.now() };
+
+        if (wasPlaying && recordingRef.current) {
+            cueAudioAt(at);
+            startClock(at);
+        }
+    }, [clearTimer, cueAudioAt, currentPosition, startClock]);
+
+    const unload = useCallback(() => {
+        clearTimer();
+        handlersRef.current.stopAudio();
+        recordingRef.current = null;
+        setRecording(null);
+        setIsPlaying(false);
+        setPosition(0);
+    }, [clearTimer]);
+
+    // Stop the clock if the component using the player goes away
+    useEffect(() => clearTimer, [clearTimer]);
+
+    return {
+        recording,
+        isPlaying,
+        position,
+        duration: recording ? recording.duration : 0,
+        speed,
+        load,
+        play,
+        pause,
+        seek,
+        setSpeed,
+        unload,
+    };
+};
+
+export default useLessonPlayer;
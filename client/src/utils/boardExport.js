@@ -0,0 +1,310 @@
+// Exporting the board for revision notes, entirely in the browser: a PNG of the board as it
+// looks, a PDF with one page per slide, and the solution's title and steps as Markdown or
+// LaTeX source. Everything is built from what the board already holds; nothing is sent anywhere.
+import { renderMathText, splitMathText } from './mathText';
+import { imagesToPdf } from './pdf';
+
+// PDF pages are A4 landscape, in points; the page images are rendered at PAGE_SCALE times that
+const PAGE_WIDTH = 842;
+const PAGE_HEIGHT = 595;
+const PAGE_SCALE = 2;
+const PAGE_JPEG_QUALITY = 0.92;
+
+/**
+ * The steps of the slides in order, with the answers nested under any of them (see CanvasBoard).
+ * @param {{ content: string, followUp?: { title: string, steps: { content: string }[] } }[][]} slides
+ * @returns {{ content: string, followUp: { title: string, steps: string[] } | null }[]}
+ */
+export const slideSteps = (slides) => slides.flat().map((step) => ({
+    content: step.content,
+    followUp: step.followUp ? { title: step.followUp.title, steps: step.followUp.steps.map((s) => s.content) } : null
+}));
+
+/**
+ * @param {string} title
+ * @param {ReturnType<typeof slideSteps>} steps
+ * @returns {string} Markdown with the maths left as $...$, which most note apps render
+ */
+export const solutionToMarkdown = (title, steps) => {
+    const lines = [`# ${title}`, ''];
+    steps.forEach((step, i) => {
+        lines.push(`${i + 1}. ${step.content}`);
+        if (step.followUp) {
+            lines.push('', `   **${step.followUp.title}**`, '');
+            step.followUp.steps.forEach((content, j) => lines.push(`   ${j + 1}. ${content}`));
+            lines.push('');
+        }
+    });
+    return lines.join('\n').trimEnd() + '\n';
+};
+
+const TEX_ESCAPES = {
+    '\\': '\\textbackslash{}', '{': '\\{', '}': '\\}', '#': '\\#', '%': '\\%', '&': '\\&',
+    '_': '\\_', '^': '\\^{}', '~': '\\~{}', '$': '\\$'
+};
+
+// Text as LaTeX: maths kept as written (display maths as \[...\]), everything else escaped
+const toTex = (content) => splitMathText(content).map((part) => {
+    if (!part.math) return part.text.replace(/[\\{}#%&_^~$]/g, (c) => TEX_ESCAPES[c]);
+    return part.display ? `\\[${part.text}\\]` : `\\(${part.text}\\)`;
+}).join('');
+
+/**
+ * @param {string} title
+ * @param {ReturnType<typeof slideSteps>} steps
+ * @returns {string} a standalone LaTeX document
+ */
+export const solutionToTex = (title, steps) => {
+    const lines = [
+        '\\documentclass{article}',
+        '\\usepackage{amsmath,amssymb}',
+        '\\begin{document}',
+        '',
+        `\\section*{${toTex(title)}}`,
+        '',
+        '\\begin{enumerate}'
+    ];
+    steps.forEach((step) => {
+        lines.push(`  \\item ${toTex(step.content)}`);
+        if (step.followUp) {
+            lines.push(`    \\par\\textbf{${toTex(step.followUp.title)}}`, '    \\begin{enumerate}');
+            step.followUp.steps.forEach((content) => lines.push(`      \\item ${toTex(content)}`));
+            lines.push('    \\end{enumerate}');
+        }
+    });
+    lines.push('\\end{enumerate}', '', '\\end{document}', '');
+    return lines.join('\n');
+};
+
+const blobToDataUrl = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+});
+
+// KaTeX's stylesheet with its fonts inlined. An SVG drawn as an image can't load anything
+// itself, so without this the maths would lose its fonts in the snapshot. Loaded once.
+let katexCss = null;
+const loadKatexCss = () => {
+    if (!katexCss) {
+        katexCss = (async () => {
+            const rules = [];
+            for (const sheet of document.styleSheets) {
+                let sheetRules;
+                try {
+                    sheetRules = [...sheet.cssRules];
+                } catch {
+                    continue; // another origin's stylesheet
+                }
+                const base = sheet.href || document.baseURI;
+                for (const rule of sheetRules) {
+                    if (!/katex/i.test(rule.cssText)) continue;
+                    if (!(rule instanceof CSSFontFaceRule)) {
+                        rules.push(rule.cssText);
+                        continue;
+                    }
+                    // The first source is the woff2 one; the fallbacks are for old browsers
+                    const font = /url\(["']?([^"')]+)["']?\)/.exec(rule.style.getPropertyValue('src'));
+                    if (!font) continue;
+                    try {
+                        const response = await fetch(new URL(font[1], base));
+                        const data = await blobToDataUrl(await response.blob());
+                        rules.push(rule.cssText.replace(/src:[^;]+;/, `src: url("${data}");`));
+                    } catch {
+                        rules.push(rule.cssText);
+                    }
+                }
+            }
+            return rules.join('\n');
+        })();
+    }
+    return katexCss;
+};
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+/**
+ * Draws an element (and its KaTeX) as an image by wrapping a copy of it in an SVG foreignObject.
+ * Buttons are left out: they're controls, not part of the picture.
+ * @param {HTMLElement} element
+ * @param {number} width - CSS pixels the element is laid out in
+ * @param {number} height
+ * @returns {Promise<HTMLImageElement>} an SVG image of that size, which can be drawn at any scale
+ */
+export const elementToImage = async (element, width, height) => {
+    const css = await loadKatexCss();
+    const copy = element.cloneNode(true);
+    copy.querySelectorAll('button').forEach((button) => button.remove());
+    // Pages built only for the export aren't in the document, so they take its font
+    const fontFamily = window.getComputedStyle(element.isConnected ? element : document.body).fontFamily;
+
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">`
+        + `<foreignObject x="0" y="0" width="${width}" height="${height}">`
+        + `<div xmlns="http://www.w3.org/1999/xhtml" style="position: relative; width: ${width}px; height: ${height}px; font-family: ${escapeXml(fontFamily).replace(/"/g, "'")}">`
+        + `<style>${escapeXml(css)}</style>`
+        + new XMLSerializer().serializeToString(copy)
+        + '</div></foreignObject></svg>';
+
+    const image = new Image();
+    image.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+    await image.decode();
+    return image;
+};
+
+const canvasToBlob = (canvas, type, quality) => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type, quality);
+});
+
+/**
+ * The board as it looks: the canvas, then each HTML layer above it (labels, slides) and any
+ * canvas layers (the student's ink), at the canvas's own resolution.
+ * @param {HTMLCanvasElement} canvas - the board
+ * @param {(HTMLElement | HTMLCanvasElement)[]} layers - drawn in order over it
+ * @param {string} background
+ * @returns {Promise<Blob>} image/png
+ */
+export const exportBoardPng = async (canvas, layers, background) => {
+    const rect = canvas.getBoundingClientRect();
+    const snapshot = document.createElement('canvas');
+    snapshot.width = canvas.width;
+    snapshot.height = canvas.height;
+    const ctx = snapshot.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, snapshot.width, snapshot.height);
+    ctx.drawImage(canvas, 0, 0);
+
+    for (const layer of layers) {
+        const image = layer instanceof HTMLCanvasElement ? layer : await elementToImage(layer, rect.width, rect.height);
+        ctx.drawImage(image, 0, 0, snapshot.width, snapshot.height);
+    }
+    return canvasToBlob(snapshot, 'image/png');
+};
+
+const createPageStep = (content, fontSize) => {
+    const node = document.createElement('div');
+    node.style.fontSize = fontSize;
+    node.style.margin = '0 0 12px';
+    renderMathText(node, content);
+    return node;
+};
+
+// One slide laid out on a white page: the title, its steps numbered as on the board, and any answers under them
+const createPage = (title, steps, firstNumber, pageNumber, pageCount) => {
+    const page = document.createElement('div');
+    page.style.width = `${PAGE_WIDTH}px`;
+    page.style.height = `${PAGE_HEIGHT}px`;
+    page.style.boxSizing = 'border-box';
+    page.style.padding = '40px 56px';
+    page.style.background = '#fff';
+    page.style.color = '#111';
+    page.style.position = 'relative';
+
+    const header = document.createElement('div');
+    renderMathText(header, title);
+    header.style.fontSize = '24px';
+    header.style.fontWeight = 'bold';
+    header.style.marginBottom = '28px';
+    page.appendChild(header);
+
+    steps.forEach((step, i) => {
+        page.appendChild(createPageStep(`${firstNumber + i}. ${step.content}`, '20px'));
+
+        if (step.followUp) {
+            const nested = document.createElement('div');
+            nested.style.margin = '0 0 16px 28px';
+            nested.style.paddingLeft = '16px';
+            nested.style.borderLeft = '3px solid #00A8CC';
+            const nestedTitle = createPageStep(step.followUp.title, '15px');
+            nestedTitle.style.fontWeight = 'bold';
+            nested.appendChild(nestedTitle);
+            step.followUp.steps.forEach((content) => nested.appendChild(createPageStep(content, '15px')));
+            page.appendChild(nested);
+        }
+    });
+
+    const footer = document.createElement('div');
+    footer.textContent = `${pageNumber} / ${pageCount}`;
+    footer.style.position = 'absolute';
+    footer.style.bottom = '20px';
+    footer.style.right = '32px';
+    footer.style.fontSize = '12px';
+    footer.style.color = '#888';
+    page.appendChild(footer);
+    return page;
+};
+
+const pageJpeg = async (image, background) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = PAGE_WIDTH * PAGE_SCALE;
+    canvas.height = PAGE_HEIGHT * PAGE_SCALE;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+
+    // Fit the image to the page, centred
+    const scale = Math.min(canvas.width / image.width, canvas.height / image.height);
+    const width = image.width * scale;
+    const height = image.height * scale;
+    ctx.drawImage(image, (canvas.width - width) / 2, (canvas.height - height) / 2, width, height);
+
+    const blob = await canvasToBlob(canvas, 'image/jpeg', PAGE_JPEG_QUALITY);
+    return { jpeg: new Uint8Array(await blob.arrayBuffer()), width: PAGE_WIDTH, height: PAGE_HEIGHT };
+};
+
+/**
+ * A PDF of the solution, one page per slide. A board without slides (a graph or figure)
+ * becomes a single page with its picture instead.
+ * @param {string} title
+ * @param {{ content: string, followUp?: object }[][]} slides - CanvasBoard's slides
+ * @param {() => Promise<Blob>} boardImage - the board as a PNG, for boards without slides
+ * @returns {Promise<Blob>} application/pdf
+ */
+export const exportSolutionPdf = async (title, slides, boardImage) => {
+    if (slides.length === 0) {
+        const image = await createImageBitmap(await boardImage());
+        const page = await pageJpeg(image, '#1e1e1e');
+        image.close();
+        return imagesToPdf([page]);
+    }
+
+    const pages = [];
+    let firstNumber = 1;
+    for (let i = 0; i < slides.length; i++) {
+        const steps = slideSteps([slides[i]]);
+        const page = createPage(title, steps, firstNumber, i + 1, slides.length);
+        const image = await elementToImage(page, PAGE_WIDTH, PAGE_HEIGHT);
+        pages.push(await pageJpeg(image, '#fff'));
+        firstNumber += steps.length;
+    }
+    return imagesToPdf(pages);
+};
+
+/**
+ * Saves a file through the browser's download.
+ * @param {Blob | string} data
+ * @param {string} fileName
+ * @param {string} [type] - for string data
+ */
+export const downloadFile = (data, fileName, type = 'text/plain') => {
+    const blob = data instanceof Blob ? data : new Blob([data], { type: `${type};charset=utf-8` });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Give the download a moment to start before the URL goes
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * A file name from the solution's title, e.g. "Solving 2x + 3 = 7" -> "solving-2x-3-7.md"
+ * @param {string} title
+ * @param {string} extension
+ */
+export const exportFileName = (title, extension) => {
+    const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+    return `${slug || 'whiteboard'}.${extension}`;
+};
@@ -0,0 +1,59 @@
+// Turning photos (and canvases) into something small enough to send to the tutor.
+// Gemini reads text in a 1024 px image fine, and the server rejects anything near 1 MB
+// (see server/services/ImageInput.js), so phone photos are scaled down and re-encoded.
+
+export const MAX_IMAGE_DIMENSION = 1024;
+const JPEG_QUALITY = 0.85;
+
+/**
+ * Encodes a canvas as JPEG.
+ * @param {HTMLCanvasElement} canvas
+ * @param {number} [quality]
+ * @returns {Promise<Blob>}
+ */
+export const canvasToJpeg = (canvas, quality = JPEG_QUALITY) => new Promise((resolve, reject) => {
+    canvas.toBlob(
+        (blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))),
+        'image/jpeg',
+        quality
+    );
+});
+
+/**
+ * Scales an image file so its longer side is at most `maxDimension` and re-encodes it as JPEG.
+ * Camera photos are rotated upright (from their EXIF orientation) on the way.
+ * @param {File | Blob} file
+ * @param {object} [options]
+ * @param {number} [options.maxDimension=MAX_IMAGE_DIMENSION]
+ * @param {number} [options.quality=0.85]
+ * @returns {Promise<{ blob: Blob, mimeType: string, width: number, height: number }>}
+ */
+export const downscaleImage = async (file, { maxDimension = MAX_IMAGE_DIMENSION, quality = JPEG_QUALITY } = {}) => {
+    if (!file.type.startsWith('image/')) {
+        throw new Error(`'${file.name || 'That file'}' is not an image`);
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' });
+    } catch {
+        throw new Error("Couldn't read that image (try a JPEG or PNG)");
+    }
+
+    const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+    const width = Math.round(bitmap.width * scale);
+    const height = Math.round(bitmap.height * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    // JPEG has no transparency; give transparent PNGs a white page instead of black
+    ctx.fillStyle = '#fff';
+    ctx.fillRect(0, 0, width, height);
+    ctx.drawImage(bitmap, 0, 0, width, height);
+    bitmap.close();
+
+    const blob = await canvasToJpeg(canvas, quality);
+    return { blob, mimeType: 'image/jpeg', width, height };
+};
@@ -0,0 +1,460 @@
+// Safe math expression parser and evaluator.
+//
+// Expressions come from the model, so they are never handed to `eval` or
+// `new Function`. Instead they are tokenized, parsed into an AST and compiled
+// into plain closures that can only call the whitelisted functions below.
+//
+// Supported syntax:
+//   numbers        2, 0.5, .5, 1e-3
+//   operators      + - * / ^ (also ** for power), unary minus, parentheses, |x|
+//   implicit mult  2x, 3sin(x), 2pi, (x+1)(x-1), x(x+1); never before a number, so "2 3" is an error
+//   functions      sin(x), sin x, sin 2x = sin(2x), sin x cos x = sin(x)cos(x), sin^2 x = (sin x)^2
+//   constants      pi (π), e, tau
+//   functions      see FUNCTIONS
+
+const MAX_EXPRESSION_LENGTH = 500;
+const MAX_DEPTH = 64;
+
+const CONSTANTS = {
+    pi: Math.PI,
+    e: Math.E,
+    tau: 2 * Math.PI,
+};
+
+// name -> [implementation, minArgs, maxArgs]
+const FUNCTIONS = {
+    sin: [Math.sin, 1, 1],
+    cos: [Math.cos, 1, 1],
+    tan: [Math.tan, 1, 1],
+    sec: [(x) => 1 / Math.cos(x), 1, 1],
+    csc: [(x) => 1 / Math.sin(x), 1, 1],
+    cot: [(x) => 1 / Math.tan(x), 1, 1],
+    asin: [Math.asin, 1, 1],
+    acos: [Math.acos, 1, 1],
+    atan: [Math.atan, 1, 1],
+    arcsin: [Math.asin, 1, 1],
+    arccos: [Math.acos, 1, 1],
+    arctan: [Math.atan, 1, 1],
+    sinh: [Math.sinh, 1, 1],
+    cosh: [Math.cosh, 1, 1],
+    tanh: [Math.tanh, 1, 1],
+    exp: [Math.exp, 1, 1],
+    ln: [Math.log, 1, 1],
+    // log(x) is base 10; log(b, x) is base b
+    log: [(a, b) => (b === undefined ? Math.log10(a) : Math.log(b) / Math.log(a)), 1, 2],
+    sqrt: [Math.sqrt, 1, 1],
+    cbrt: [Math.cbrt, 1, 1],
+    abs: [Math.abs, 1, 1],
+    floor: [Math.floor, 1, 1],
+    ceil: [Math.ceil, 1, 1],
+    round: [Math.round, 1, 1],
+    sign: [Math.sign, 1, 1],
+    min: [Math.min, 1, Infinity],
+    max: [Math.max, 1, Infinity],
+    pow: [Math.pow, 2, 2],
+};
+
+// Unicode the model (or a student) may type instead of ASCII
+const SYMBOL_ALIASES = {
+    'π': 'pi',
+    'θ': 'theta',
+    '×': '*',
+    '·': '*',
+    '÷': '/',
+    '−': '-',
+    '²': '^2',
+    '³': '^3',
+};
+
+/**
+ * Error describing why an expression could not be parsed or evaluated.
+ * Plain data so it can be drawn on the board or sent back over the socket.
+ */
+export class MathExpressionError extends Error {
+    constructor(message, expression, position = null) {
+        super(message);
+        this.name = 'MathExpressionError';
+        this.expression = expression;
+        this.position = position;
+    }
+
+    toJSON() {
+        return { name: this.name, message: this.message, expression: this.expression, position: this.position };
+    }
+}
+
+const normalize = (source) => source.replace(/[πθ×·÷−²³]/g, (ch) => SYMBOL_ALIASES[ch]);
+
+const tokenize = (source) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < source.length) {
+        const ch = source[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        // Number: 12, 1.5, .5, 1e-3 (exponent only when followed by digits, so "2e" stays 2*e)
+        const numberMatch = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(source.slice(i));
+        if (numberMatch) {
+            tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), position: i });
+            i += numberMatch[0].length;
+            continue;
+        }
+
+        const nameMatch = /^[a-zA-Z_][a-zA-Z0-9_]*/.exec(source.slice(i));
+        if (nameMatch) {
+            tokens.push({ type: 'name', value: nameMatch[0], position: i });
+            i += nameMatch[0].length;
+            continue;
+        }
+
+        if (ch === '*' && source[i + 1] === '*') {
+            tokens.push({ type: 'op', value: '^', position: i });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/^(),|'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, position: i });
+            i++;
+            continue;
+        }
+
+        throw new MathExpressionError(`Unexpected character '${ch}' at position ${i}`, source, i);
+    }
+
+    tokens.push({ type: 'end', value: null, position: source.length });
+    return tokens;
+};
+
+// Splits a run of letters like "xy" or "pix" into known names ("x", "y" / "pi", "x"),
+// preferring the longest name at each position. Returns null if it cannot.
+const splitName = (name, known) => {
+    if (name === '') return [];
+    const candidates = known
+        .filter((k) => name.startsWith(k))
+        .sort((a, b) => b.length - a.length);
+    for (const candidate of candidates) {
+        const rest = splitName(name.slice(candidate.length), known);
+        if (rest) return [candidate, ...rest];
+    }
+    return null;
+};
+
+class Parser {
+    constructor(source, variables) {
+        this.source = source;
+        this.variables = variables;
+        this.tokens = this.expandNames(tokenize(source));
+        this.index = 0;
+        this.depth = 0;
+    }
+
+    // Resolve every name token to a variable, constant or function, splitting
+    // implicit products of names ("xy", "2pix") along the way.
+    expandNames(tokens) {
+        const known = [...this.variables, ...Object.keys(CONSTANTS), ...Object.keys(FUNCTIONS)];
+        const expanded = [];
+
+        for (const token of tokens) {
+            if (token.type !== 'name') {
+                expanded.push(token);
+                continue;
+            }
+            const lower = token.value.toLowerCase();
+            const parts = known.includes(token.value) ? [token.value]
+                : known.includes(lower) ? [lower]
+                    : splitName(lower, known);
+            if (!parts) {
+                throw new MathExpressionError(
+                    `Unknown name '${token.value}' at position ${token.position}`,
+                    this.source,
+                    token.position
+                );
+            }
+            let offset = token.position;
+            for (const part of parts) {
+                const kind = this.variables.includes(part) ? 'variable'
+                    : part in FUNCTIONS ? 'function'
+                        : 'constant';
+                expanded.push({ type: kind, value: part, position: offset });
+                offset += part.length;
+            }
+        }
+        return expanded;
+    }
+
+    peek() {
+        return this.tokens[this.index];
+    }
+
+    next() {
+        return this.tokens[this.index++];
+    }
+
+    isOp(value) {
+        const token = this.peek();
+        return token.type === 'op' && token.value === value;
+    }
+
+    expect(value) {
+        const token = this.next();
+        if (token.type !== 'op' || token.value !== value) {
+            throw this.unexpected(token, `expected '${value}'`);
+        }
+        return token;
+    }
+
+    unexpected(token, hint) {
+        const found = token.type === 'end' ? 'end of expression' : `'${token.value}'`;
+        return new MathExpressionError(
+            `Unexpected ${found} at position ${token.position}${hint ? ` (${hint})` : ''}`,
+            this.source,
+            token.position
+        );
+    }
+
+    parse() {
+        const ast = this.parseAdditive();
+        const token = this.peek();
+        if (token.type !== 'end') {
+            throw this.unexpected(token);
+        }
+        return ast;
+    }
+
+    parseAdditive() {
+        let left = this.parseMultiplicative();
+        while (this.isOp('+') || this.isOp('-')) {
+            const op = this.next().value;
+            left = { type: 'binary', op, left, right: this.parseMultiplicative() };
+        }
+        return left;
+    }
+
+    // A token that can begin an operand directly after another operand means implicit multiplication
+    startsImplicitOperand() {
+        const token = this.peek();
+        return token.type === 'number' || token.type === 'variable' || token.type === 'constant'
+            || token.type === 'function' || (token.type === 'op' && token.value === '(');
+    }
+
+    parseMultiplicative() {
+        let left = this.parseUnary();
+        for (;;) {
+            if (this.isOp('*') || this.isOp('/')) {
+                const op = this.next().value;
+                left = { type: 'binary', op, left, right: this.parseUnary() };
+            } else if (this.startsImplicitOperand()) {
+                left = { type: 'binary', op: '*', left, right: this.parseImplicitOperand() };
+            } else {
+                return left;
+            }
+        }
+    }
+
+    // "2 3" or "x 2" is more likely a typo than a product, so a number never multiplies implicitly
+    parseImplicitOperand() {
+        const token = this.peek();
+        if (token.type === 'number') {
+            throw new MathExpressionError(
+                `Missing operator before ${token.value} at position ${token.position}`,
+                this.source,
+                token.position
+            );
+        }
+        return this.parsePower();
+    }
+
+    parseUnary() {
+        if (this.isOp('-') || this.isOp('+')) {
+            const op = this.next().value;
+            const argument = this.nested(() => this.parseUnary());
+            return op === '-' ? { type: 'unary', op, argument } : argument;
+        }
+        return this.parsePower();
+    }
+
+    // Right-associative, binds tighter than unary minus on its left: -x^2 = -(x^2), 2^-1 = 0.5
+    parsePower() {
+        const base = this.parsePrimary();
+        if (this.isOp('^')) {
+            this.next();
+            return { type: 'binary', op: '^', left: base, right: this.nested(() => this.parseUnary()) };
+        }
+        return base;
+    }
+
+    // Every recursive step counts towards MAX_DEPTH, so "((((...", "----..." and "2^2^2^..." fail cleanly
+    nested(parse) {
+        if (++this.depth > MAX_DEPTH) {
+            throw new MathExpressionError('Expression is nested too deeply', this.source, this.peek().position);
+        }
+        try {
+            return parse();
+        } finally {
+            this.depth--;
+        }
+    }
+
+    parsePrimary() {
+        return this.nested(() => this.parsePrimaryToken());
+    }
+
+    parsePrimaryToken() {
+        const token = this.next();
+
+        switch (token.type) {
+            case 'number':
+                return { type: 'number', value: token.value };
+            case 'variable':
+                return { type: 'variable', name: token.value };
+            case 'constant':
+                return { type: 'number', value: CONSTANTS[token.value], name: token.value };
+            case 'function':
+                return this.parseCall(token);
+            case 'op':
+                if (token.value === '(') {
+                    const inner = this.parseAdditive();
+                    this.expect(')');
+                    return inner;
+                }
+                if (token.value === '|') {
+                    const inner = this.parseAdditive();
+                    this.expect('|');
+                    return { type: 'call', name: 'abs', args: [inner] };
+                }
+                throw this.unexpected(token);
+            default:
+                throw this.unexpected(token);
+        }
+    }
+
+    parseCall(token) {
+        const name = token.value;
+        const [, minArgs, maxArgs] = FUNCTIONS[name];
+        const args = [];
+
+        // sin^2 x is (sin x)^2
+        let exponent = null;
+        if (this.isOp('^') && maxArgs === 1) {
+            this.next();
+            exponent = this.parsePrimary();
+        }
+
+        if (this.isOp('(')) {
+            this.next();
+            args.push(this.parseAdditive());
+            while (this.isOp(',')) {
+                this.next();
+                args.push(this.parseAdditive());
+            }
+            this.expect(')');
+        } else if (minArgs === 1) {
+            // Allow "sin x" without parentheses for single-argument functions. The argument runs
+            // on to the next operator or function: sin 2x = sin(2x), sin x cos x = sin(x)cos(x)
+            let argument = this.parsePower();
+            while (this.startsImplicitOperand() && this.peek().type !== 'function') {
+                argument = { type: 'binary', op: '*', left: argument, right: this.parseImplicitOperand() };
+            }
+            args.push(argument);
+        } else {
+            throw this.unexpected(this.peek(), `expected '(' after ${name}`);
+        }
+
+        if (args.length < minArgs || args.length > maxArgs) {
+            const expected = minArgs === maxArgs ? `${minArgs}` : `${minArgs}${maxArgs === Infinity ? '+' : `-${maxArgs}`}`;
+            throw new MathExpressionError(
+                `${name}() takes ${expected} argument${expected === '1' ? '' : 's'}, got ${args.length}`,
+                this.source,
+                token.position
+            );
+        }
+        const call = { type: 'call', name, args };
+        return exponent ? { type: 'binary', op: '^', left: call, right: exponent } : call;
+    }
+}
+
+// Turns the AST into nested closures so evaluation never re-parses the expression
+const compileNode = (node) => {
+    switch (node.type) {
+        case 'number': {
+            const value = node.value;
+            return () => value;
+        }
+        case 'variable': {
+            const name = node.name;
+            return (scope) => scope[name];
+        }
+        case 'unary': {
+            const argument = compileNode(node.argument);
+            return (scope) => -argument(scope);
+        }
+        case 'binary': {
+            const left = compileNode(node.left);
+            const right = compileNode(node.right);
+            switch (node.op) {
+                case '+': return (scope) => left(scope) + right(scope);
+                case '-': return (scope) => left(scope) - right(scope);
+                case '*': return (scope) => left(scope) * right(scope);
+                case '/': return (scope) => left(scope) / right(scope);
+                case '^': return (scope) => Math.pow(left(scope), right(scope));
+                default: throw new Error(`Unknown operator ${node.op}`);
+            }
+        }
+        case 'call': {
+            const fn = FUNCTIONS[node.name][0];
+            const args = node.args.map(compileNode);
+            if (args.length === 1) {
+                const [arg] = args;
+                return (scope) => fn(arg(scope));
+            }
+            return (scope) => fn(...args.map((arg) => arg(scope)));
+        }
+        default:
+            throw new Error(`Unknown node ${node.type}`);
+    }
+};
+
+/**
+ * Parses and compiles an expression.
+ *
+ * @param {string} source - e.g. "3x - 2", "2sin(pi x)", "x^(1/2)"
+ * @param {{ variables?: string[] }} [options] - names allowed as variables (default ['x'])
+ * @returns {{ ok: true, ast: object, evaluate: (scope: number | Record<string, number>) => number }
+ *         | { ok: false, error: MathExpressionError }}
+ *   `evaluate` accepts a number for single-variable expressions or a scope object,
+ *   and returns NaN (never throws) when the value is undefined at that point.
+ */
+export const compileExpression = (source, { variables = ['x'] } = {}) => {
+    try {
+        if (typeof source !== 'string' || !source.trim()) {
+            throw new MathExpressionError('Expression is empty', String(source ?? ''));
+        }
+        if (source.length > MAX_EXPRESSION_LENGTH) {
+            throw new MathExpressionError(`Expression is longer than ${MAX_EXPRESSION_LENGTH} characters`, source);
+        }
+
+        const normalized = normalize(source);
+        const ast = new Parser(normalized, variables).parse();
+        const compiled = compileNode(ast);
+        const [firstVariable] = variables;
+
+        const evaluate = (scope) => {
+            const values = typeof scope === 'number' ? { [firstVariable]: scope } : scope;
+            const result = compiled(values);
+            return typeof result === 'number' ? result : NaN;
+        };
+
+        return { ok: true, ast, evaluate };
+    } catch (error) {
+        if (error instanceof MathExpressionError) {
+            return { ok: false, error };
+        }
+        return { ok: false, error: new MathExpressionError(error.message, source) };
+    }
+};
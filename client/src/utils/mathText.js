@@ -0,0 +1,47 @@
+import katex from 'katex';
+import 'katex/dist/katex.min.css';
+
+/**
+ * Splits mixed text and LaTeX ($...$, $$...$$, \(...\), \[...\]) into its pieces.
+ * @param {string} content
+ * @returns {{ text: string, source: string, math: boolean, display: boolean }[]} text is the maths
+ *   without its delimiters; source is the piece as written
+ */
+export const splitMathText = (content) =>
+    content.split(/(\$\$[\s\S]*?\$\$|\$[\s\S]*?\$|\\\[[\s\S]*?\\\]|\\\([\s\S]*?\\\))/g)
+        .filter(Boolean)
+        .map((part) => {
+            if (!/^(\$\$|\$|\\\[|\\\()/.test(part)) return { text: part, source: part, math: false, display: false };
+            const text = part
+                .replace(/^\$\$(.*)\$\$$/s, '$1')
+                .replace(/^\$(.*)\$$/s, '$1')
+                .replace(/^\\\[(.*)\\\]$/s, '$1')
+                .replace(/^\\\((.*)\\\)$/s, '$1');
+            return { text, source: part, math: true, display: part.startsWith('$$') || part.startsWith('\\[') };
+        });
+
+/**
+ * Renders mixed text and LaTeX ($...$, $$...$$, \(...\), \[...\]) into a DOM node.
+ * The source is kept on the node so board snapshots can include the text (see CanvasBoard's captureBoard).
+ * @param {HTMLElement} node
+ * @param {string} content
+ */
+export const renderMathText = (node, content) => {
+    node.dataset.source = content;
+
+    splitMathText(content).forEach(part => {
+        if (part.math) {
+            try {
+                const span = document.createElement('span');
+                katex.render(part.text, span, { throwOnError: false, displayMode: part.display });
+                node.appendChild(span);
+            } catch {
+                node.appendChild(document.createTextNode(part.source));
+            }
+        } else {
+            const span = document.createElement('span');
+            span.textContent = part.text;
+            node.appendChild(span);
+        }
+    });
+};
@@ -0,0 +1,93 @@
+// Where in the tutor's narration each word was spoken.
+//
+// Times are "narration seconds": seconds of tutor audio queued since the playback
+// timeline started (see App.jsx). Gemini streams transcription alongside the audio it
+// describes, so each transcription chunk is taken to span the audio queued since the
+// previous one, and the words inside it are spread evenly across that span.
+
+// Speech runs at roughly 150 words a minute; maths read aloud is a little slower
+const SPOKEN_CHARS_PER_SECOND = 13;
+const MIN_STEP_SECONDS = 1.2;
+// How many words of a cue have to be heard in a row to count as a match
+const CUE_MATCH_WORDS = 3;
+
+// Transcription writes small numbers either way ("2x" or "two x")
+const NUMBER_WORDS = {
+    zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5',
+    six: '6', seven: '7', eight: '8', nine: '9', ten: '10',
+};
+
+const normalizeWord = (word) => {
+    const plain = word.toLowerCase().replace(/[^a-z0-9]/g, '');
+    return NUMBER_WORDS[plain] || plain;
+};
+
+const toWords = (text) => text.split(/\s+/).map(normalizeWord).filter(Boolean);
+
+// LaTeX markup isn't spoken; strip commands and braces so they don't count towards length
+const spokenText = (text) => text
+    .replace(/\$+/g, ' ')
+    .replace(/\\[a-zA-Z]+/g, ' ')
+    .replace(/[{}_^\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+/**
+ * Rough time it takes to say a step out loud, for pacing steps that have no spoken cue.
+ * @param {string} text - step content, possibly with LaTeX
+ * @returns {number} seconds of narration
+ */
+export const estimateSpokenSeconds = (text) =>
+    Math.max(MIN_STEP_SECONDS, spokenText(String(text || '')).length / SPOKEN_CHARS_PER_SECOND);
+
+export class NarrationTimeline {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.text = '';
+        // { start, end } character range of each chunk and the narration span { from, to } it covers
+        this.segments = [];
+    }
+
+    /**
+     * @param {string} text - the next transcription chunk
+     * @param {number} from - narration seconds where the chunk's speech starts
+     * @param {number} to - narration seconds where it ends
+     */
+    addSpeech(text, from, to) {
+        if (!text) return;
+        this.segments.push({ start: this.text.length, end: this.text.length + text.length, from, to: Math.max(from, to) });
+        this.text += text;
+    }
+
+    timeAt(index) {
+        const segment = this.segments.find((s) => index < s.end) || this.segments[this.segments.length - 1];
+        const fraction = (index - segment.start) / Math.max(1, segment.end - segment.start);
+        return segment.from + (segment.to - segment.from) * fraction;
+    }
+
+    /**
+     * Finds when the narration started saying `phrase`: its first few words, in order.
+     * @param {string} phrase - e.g. a step's cue, "subtract three from both sides"
+     * @param {number} [since=0] - ignore anything said before this (narration seconds)
+     * @returns {number | null} narration seconds, or null if it hasn't been said (yet)
+     */
+    findPhrase(phrase, since = 0) {
+        const wanted = toWords(phrase).slice(0, CUE_MATCH_WORDS);
+        if (wanted.length === 0) return null;
+
+        const spoken = [];
+        for (const match of this.text.matchAll(/\S+/g)) {
+            const word = normalizeWord(match[0]);
+            if (word) spoken.push({ word, time: this.timeAt(match.index) });
+        }
+
+        for (let i = 0; i + wanted.length <= spoken.length; i++) {
+            if (spoken[i].time < since) continue;
+            if (wanted.every((word, k) => spoken[i + k].word === word)) return spoken[i].time;
+        }
+        return null;
+    }
+}
@@ -0,0 +1,82 @@
+// A minimal PDF writer: one JPEG per page, each filling its page. Enough for exporting the
+// board without a PDF library, since the pages are already pictures (see boardExport.js).
+
+const encoder = new TextEncoder();
+
+// JPEG dimensions from its start-of-frame marker
+const jpegSize = (bytes) => {
+    let offset = 2;
+    while (offset + 9 < bytes.length) {
+        if (bytes[offset] !== 0xFF) {
+            offset += 1;
+            continue;
+        }
+        const marker = bytes[offset + 1];
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        // SOF0..SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+            return {
+                height: (bytes[offset + 5] << 8) | bytes[offset + 6],
+                width: (bytes[offset + 7] << 8) | bytes[offset + 8]
+            };
+        }
+        offset += 2 + length;
+    }
+    throw new Error('Not a JPEG image');
+};
+
+/**
+ * Builds a PDF with one page per image.
+ * @param {{ jpeg: Uint8Array, width: number, height: number }[]} pages - JPEG bytes (RGB) and the
+ *   page size in points (1/72 inch); the image is stretched to fill the page
+ * @returns {Blob} application/pdf
+ */
+export const imagesToPdf = (pages) => {
+    const chunks = [];
+    const offsets = [];
+    let length = 0;
+    const write = (data) => {
+        const bytes = typeof data === 'string' ? encoder.encode(data) : data;
+        chunks.push(bytes);
+        length += bytes.length;
+    };
+    const object = (id, body, stream) => {
+        offsets[id] = length;
+        write(`${id} 0 obj\n${body}\n`);
+        if (stream) {
+            write('stream\n');
+            write(stream);
+            write('\nendstream\n');
+        }
+        write('endobj\n');
+    };
+
+    // Objects: 1 catalog, 2 page tree, then a page, its image and its content stream for each page
+    const pageIds = pages.map((_, i) => 3 + i * 3);
+    write('%PDF-1.4\n');
+    // Marks the file as binary for tools that would otherwise treat it as text
+    write(new Uint8Array([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A]));
+    object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+    object(2, `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`);
+
+    pages.forEach(({ jpeg, width, height }, i) => {
+        const pageId = pageIds[i];
+        const image = jpegSize(jpeg);
+        const content = encoder.encode(`q ${width} 0 0 ${height} 0 0 cm /Im0 Do Q`);
+        object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] `
+            + `/Resources << /XObject << /Im0 ${pageId + 1} 0 R >> >> /Contents ${pageId + 2} 0 R >>`);
+        object(pageId + 1, `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} `
+            + `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`, jpeg);
+        object(pageId + 2, `<< /Length ${content.length} >>`, content);
+    });
+
+    const objectCount = 3 + pages.length * 3;
+    const xref = length;
+    write(`xref\n0 ${objectCount}\n0000000000 65535 f \n`);
+    for (let id = 1; id < objectCount; id++) {
+        write(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+    }
+    write(`trailer\n<< /Size ${objectCount} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+    return new Blob(chunks, { type: 'application/pdf' });
+};
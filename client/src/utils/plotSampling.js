@@ -0,0 +1,316 @@
+// The numeric side of plotting: sampling functions, parametric paths and implicit equations
+// into drawable pieces, fitting ranges to what was sampled, and choosing tick marks. No
+// drawing here; see sceneRenderer.js.
+
+// Tick spacing aims for about this many ticks along an axis
+const TARGET_TICKS = 8;
+// Auto y-ranges ignore this fraction of samples at each end, and anything this many
+// interquartile ranges beyond the middle half, so the huge values near an asymptote
+// (tan x, 1/x) don't flatten the rest of the curve
+const AUTO_RANGE_TRIM = 0.02;
+const AUTO_RANGE_FENCE = 3;
+const AUTO_RANGE_MARGIN = 0.1;
+// Bisection steps used to tell a jump in a function from a steep stretch of it
+const JUMP_BISECTIONS = 12;
+// Bisection steps used to place an implicit curve's crossing of a grid edge
+const CONTOUR_BISECTIONS = 10;
+// A sample further than this fraction of the view from the previous one may be a jump
+const JUMP_CHECK = 0.05;
+// ...and is one if, after bisecting, a gap of this fraction of the view remains
+const JUMP_GAP = 0.01;
+
+/**
+ * A round step (1, 2 or 5 times a power of ten) that splits `span` into about `count` parts.
+ * @param {number} span
+ * @param {number} [count]
+ */
+export const niceStep = (span, count = TARGET_TICKS) => {
+    const raw = span / count;
+    const magnitude = Math.pow(10, Math.floor(Math.log10(raw)));
+    const normalized = raw / magnitude;
+    const nice = normalized < 1.5 ? 1 : normalized < 3 ? 2 : normalized < 7 ? 5 : 10;
+    return nice * magnitude;
+};
+
+/**
+ * Tick positions inside a range, at multiples of a nice step.
+ * @param {{ min: number, max: number }} range
+ * @returns {{ step: number, values: number[] }}
+ */
+export const niceTicks = ({ min, max }) => {
+    const step = niceStep(max - min);
+    const values = [];
+    // Round away floating point noise so 0.30000000000000004 prints as 0.3
+    const decimals = Math.max(0, -Math.floor(Math.log10(step))) + 1;
+    for (let i = Math.ceil(min / step); i * step <= max + step * 1e-9; i++) {
+        values.push(Number((i * step).toFixed(decimals)));
+    }
+    return { step, values };
+};
+
+/**
+ * A tick label: as many decimals as the step needs, and no "-0".
+ * @param {number} value
+ * @param {number} step
+ */
+export const formatTick = (value, step) => {
+    const decimals = Math.max(0, -Math.floor(Math.log10(step) + 1e-9));
+    const text = value.toFixed(decimals);
+    return Number(text) === 0 ? '0' : text;
+};
+
+// The range of one function's samples, without its outliers
+const robustBounds = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const trim = Math.floor(sorted.length * AUTO_RANGE_TRIM);
+    const q1 = sorted[Math.floor(sorted.length * 0.25)];
+    const q3 = sorted[Math.floor(sorted.length * 0.75)];
+    const fence = (q3 - q1) * AUTO_RANGE_FENCE;
+    return {
+        min: Math.max(sorted[trim], q1 - fence),
+        max: Math.min(sorted[sorted.length - 1 - trim], q3 + fence)
+    };
+};
+
+/**
+ * Fits a y-range to sampled values: each series (one function, or one marked point) loses
+ * its outliers on its own, so one function's asymptote can't squash another. The result is
+ * padded and snapped out to the tick step so the axes end on a labelled value.
+ * @param {number[][]} series - finite y values of each function or point
+ * @param {object} [options]
+ * @param {boolean} [options.axisInView] - stretch to 0 when the values come close to it, so the
+ *   axis is in view (default true); off for figures drawn without axes
+ * @returns {{ min: number, max: number }}
+ */
+export const autoRange = (series, { axisInView = true } = {}) => {
+    const bounds = series.filter((values) => values.length > 0).map(robustBounds);
+    if (bounds.length === 0) return { min: -5, max: 5 };
+    let min = Math.min(...bounds.map((b) => b.min));
+    let max = Math.max(...bounds.map((b) => b.max));
+
+    // Keep the axis in view when the curve comes reasonably close to it
+    const span = max - min;
+    if (axisInView && min > 0 && min < span) min = 0;
+    if (axisInView && max < 0 && -max < span) max = 0;
+
+    if (max - min < 1e-9) {
+        min -= 1;
+        max += 1;
+    }
+    const margin = (max - min) * AUTO_RANGE_MARGIN;
+    const step = niceStep(max - min + 2 * margin);
+    const round = (value) => Number(value.toPrecision(12));
+    return {
+        min: round(Math.floor((min - (min === 0 && axisInView ? 0 : margin)) / step) * step),
+        max: round(Math.ceil((max + (max === 0 && axisInView ? 0 : margin)) / step) * step)
+    };
+};
+
+// True if f jumps between t0 and t1 (a pole or a step) rather than just changing fast:
+// halving the interval towards the jump, a continuous function's change shrinks away,
+// while a jump keeps most of its size. `distance` measures a change in f's value as a
+// fraction of the view.
+const hasJump = (evaluate, distance, t0, v0, t1, v1) => {
+    const initial = distance(v0, v1);
+    for (let i = 0; i < JUMP_BISECTIONS; i++) {
+        const tm = (t0 + t1) / 2;
+        const vm = evaluate(tm);
+        if (vm === null) return true;
+        if (distance(v0, vm) > distance(vm, v1)) {
+            t1 = tm;
+            v1 = vm;
+        } else {
+            t0 = tm;
+            v0 = vm;
+        }
+    }
+    const remaining = distance(v0, v1);
+    return remaining > JUMP_GAP && remaining > initial * 0.1;
+};
+
+// Samples t -> value over an interval into continuous pieces, breaking where the value is
+// undefined (null) and where it jumps
+const samplePieces = (evaluate, distance, range, samples, toPoint) => {
+    const pieces = [];
+    let piece = [];
+    const step = (range.max - range.min) / samples;
+    let previous = null;
+
+    for (let i = 0; i <= samples; i++) {
+        const t = i === samples ? range.max : range.min + i * step;
+        const value = evaluate(t);
+        if (value === null) {
+            if (piece.length > 0) pieces.push(piece);
+            piece = [];
+            previous = null;
+            continue;
+        }
+        if (previous && distance(previous.value, value) > JUMP_CHECK
+            && hasJump(evaluate, distance, previous.t, previous.value, t, value)) {
+            pieces.push(piece);
+            piece = [];
+        }
+        piece.push(toPoint(t, value));
+        previous = { t, value };
+    }
+    if (piece.length > 0) pieces.push(piece);
+    return pieces;
+};
+
+/**
+ * Samples y = f(x) into continuous pieces. The curve is broken where f is undefined and
+ * where it jumps, so asymptotes and steps aren't bridged by a line.
+ * @param {(x: number) => number} evaluate - returns NaN where f is undefined
+ * @param {{ min: number, max: number }} domain
+ * @param {object} options
+ * @param {number} options.samples - how many samples across the domain
+ * @param {number} options.ySpan - height of the visible y-range; changes smaller than a
+ *   fraction of it are never treated as jumps
+ * @returns {Array<Array<[number, number]>>} pieces of [x, y] points
+ */
+export const sampleFunction = (evaluate, domain, { samples, ySpan }) => samplePieces(
+    (x) => {
+        const y = evaluate(x);
+        return Number.isFinite(y) ? y : null;
+    },
+    (a, b) => Math.abs(b - a) / ySpan,
+    domain,
+    samples,
+    (x, y) => [x, y]
+);
+
+/**
+ * Samples a parametric path t -> (x, y) into continuous pieces, broken where it is
+ * undefined and where it jumps (e.g. a polar curve through a pole of r).
+ * @param {(t: number) => [number, number] | null} evaluate - null where the path is undefined
+ * @param {{ min: number, max: number }} range - of t
+ * @param {object} options
+ * @param {number} options.samples
+ * @param {number} options.xSpan - width of the visible x-range
+ * @param {number} options.ySpan - height of the visible y-range
+ * @returns {Array<Array<[number, number]>>} pieces of [x, y] points
+ */
+export const samplePath = (evaluate, range, { samples, xSpan, ySpan }) => samplePieces(
+    evaluate,
+    (a, b) => Math.max(Math.abs(b[0] - a[0]) / xSpan, Math.abs(b[1] - a[1]) / ySpan),
+    range,
+    samples,
+    (t, point) => point
+);
+
+// Marching squares: the edges of each grid cell that F changes sign across, paired up into
+// segments. In a saddle cell (all four edges crossed) the value at the centre decides which
+// corners the curve cuts off.
+const CELL_EDGES = {
+    // bottom, right, top, left: each edge's corners as [column, row] offsets
+    bottom: [[0, 0], [1, 0]],
+    right: [[1, 0], [1, 1]],
+    top: [[0, 1], [1, 1]],
+    left: [[0, 0], [0, 1]]
+};
+
+/**
+ * Traces F(x, y) = 0 across a window into polylines.
+ * @param {(x: number, y: number) => number} evaluate - F; NaN where it is undefined
+ * @param {{ min: number, max: number }} xRange
+ * @param {{ min: number, max: number }} yRange
+ * @param {object} options
+ * @param {number} options.columns - grid cells across
+ * @param {number} options.rows - grid cells down
+ * @returns {Array<Array<[number, number]>>} polylines of [x, y] points
+ */
+export const traceContour = (evaluate, xRange, yRange, { columns, rows }) => {
+    const dx = (xRange.max - xRange.min) / columns;
+    const dy = (yRange.max - yRange.min) / rows;
+    const xAt = (i) => xRange.min + i * dx;
+    const yAt = (j) => yRange.min + j * dy;
+
+    const values = [];
+    for (let j = 0; j <= rows; j++) {
+        const row = [];
+        for (let i = 0; i <= columns; i++) row.push(evaluate(xAt(i), yAt(j)));
+        values.push(row);
+    }
+
+    // Where F crosses zero along the edge between two grid points, found by bisection and
+    // keyed by that edge so neighbouring cells agree on it. A sign change across a pole
+    // (e.g. y = tan x) isn't a crossing: bisecting, F grows there instead of vanishing.
+    const crossings = new Map();
+    const crossing = (i0, j0, i1, j1) => {
+        const key = `${i0},${j0},${i1},${j1}`;
+        if (crossings.has(key)) return crossings.get(key);
+        const a = values[j0][i0];
+        const b = values[j1][i1];
+        let point = null;
+        if (Number.isFinite(a) && Number.isFinite(b) && (a >= 0) !== (b >= 0)) {
+            let low = 0;
+            let high = 1;
+            let f = NaN;
+            let x;
+            let y;
+            for (let step = 0; step < CONTOUR_BISECTIONS; step++) {
+                const t = (low + high) / 2;
+                x = xAt(i0 + (i1 - i0) * t);
+                y = yAt(j0 + (j1 - j0) * t);
+                f = evaluate(x, y);
+                if (!Number.isFinite(f)) break;
+                if ((f >= 0) === (a >= 0)) low = t;
+                else high = t;
+            }
+            if (Number.isFinite(f) && Math.abs(f) <= (Math.abs(a) + Math.abs(b)) * 0.01) point = { key, x, y };
+        }
+        crossings.set(key, point);
+        return point;
+    };
+
+    const segments = [];
+    for (let j = 0; j < rows; j++) {
+        for (let i = 0; i < columns; i++) {
+            const edges = {};
+            Object.entries(CELL_EDGES).forEach(([name, [[a0, b0], [a1, b1]]]) => {
+                edges[name] = crossing(i + a0, j + b0, i + a1, j + b1);
+            });
+            const crossed = Object.keys(edges).filter((name) => edges[name]);
+            if (crossed.length === 2) {
+                segments.push([edges[crossed[0]], edges[crossed[1]]]);
+            } else if (crossed.length === 4) {
+                const centre = evaluate(xAt(i + 0.5), yAt(j + 0.5));
+                if ((centre >= 0) === (values[j][i] >= 0)) {
+                    segments.push([edges.bottom, edges.right], [edges.top, edges.left]);
+                } else {
+                    segments.push([edges.left, edges.bottom], [edges.right, edges.top]);
+                }
+            }
+        }
+    }
+
+    // Join segments that share a crossing into polylines
+    const byCrossing = new Map();
+    segments.forEach((segment, index) => {
+        segment.forEach(({ key }) => {
+            if (!byCrossing.has(key)) byCrossing.set(key, []);
+            byCrossing.get(key).push(index);
+        });
+    });
+    const used = new Set();
+    const extend = (line, end) => {
+        for (;;) {
+            const next = byCrossing.get(end.key).find((index) => !used.has(index));
+            if (next === undefined) return line;
+            used.add(next);
+            const [a, b] = segments[next];
+            end = a.key === end.key ? b : a;
+            line.push(end);
+        }
+    };
+
+    const polylines = [];
+    segments.forEach(([a, b], index) => {
+        if (used.has(index)) return;
+        used.add(index);
+        const forward = extend([a, b], b);
+        const backward = extend([a], a).slice(1).reverse();
+        polylines.push([...backward, ...forward].map(({ x, y }) => [x, y]));
+    });
+    return polylines;
+};
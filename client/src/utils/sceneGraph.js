@@ -0,0 +1,385 @@
+// The whiteboard's retained model: every graph, shape and label on the board is an object
+// with an id, kept here and redrawn from here (see sceneRenderer.js), so the tutor can
+// add to a figure, change or remove part of it, and the board can be redrawn at any size.
+//
+// Objects are plain JSON. Positions are canvas pixels (800x600, origin top-left), or math
+// coordinates when the object names an `axes` object to be drawn against:
+//   axes     { xRange?: {min, max}, yRange?: {min, max}, grid?, equal?, hidden? }   ranges left out are fitted to
+//            what's drawn on them; equal: true gives both axes the same scale, so circles are round;
+//            hidden: true draws no axes at all, just places what is on them (a geometry figure)
+//   curve    { axes, function, domain?: {min, max}, label?, dashed? }   y = f(x)
+//   parametric { axes, x, y, t: {min, max}, label?, dashed? }   (x(t), y(t))
+//   polar    { axes, r, theta?: {min, max}, label?, dashed? }   r(θ), θ from 0 to 2π by default
+//   implicit { axes, equation, label?, dashed? }   F(x, y) = G(x, y), e.g. 'x^2 + y^2 = 9'
+//   region   { axes, upper, lower?, domain?, fill?, label? }   shading between two functions of x (lower defaults to 0)
+//   point    { position: [x, y], label?, axes? }
+//   polygon  { points: [[x, y], ...], closed?, labels?, sideTicks?: [n, ...], fill?, dashed?, axes? }   closed: false
+//            for lines; sideTicks marks each side with n dashes, to show equal sides
+//   segment  { points: [a, b], ticks?, label?, dashed?, axes? }   label is written beside its middle
+//   line     { points: [a, b], ray?, dashed?, axes? }   through a and b to the edges; a ray starts at a
+//   circle   { center: [x, y], radius, fill?, dashed?, axes? }   radius in the axes' x units when on axes
+//   arc      { center, radius, start, end, dashed?, axes? }   counterclockwise from start to end, in degrees
+//   angle    { points: [a, vertex, b], label?, right?, axes? }   marks the angle at the vertex, with its size
+//            in degrees unless label says otherwise ('' for none); right angles get a square
+//   text     { text, position?, axes? }   plain text drawn on the canvas
+//   latex    { text, position?, axes? }   KaTeX, mixed with text as in the solution steps
+// All objects also take `color` and `layer` (higher layers are drawn on top; ties keep the
+// order the objects were added in).
+
+export const BOARD_WIDTH = 800;
+export const BOARD_HEIGHT = 600;
+
+export const OBJECT_TYPES = ['axes', 'curve', 'parametric', 'polar', 'implicit', 'region', 'point', 'polygon', 'segment', 'line',
+    'circle', 'arc', 'angle', 'text', 'latex'];
+
+// The object types that are curves drawn on axes, and the fields that define each one's shape
+const CURVE_FIELDS = {
+    curve: ['function', 'domain'],
+    parametric: ['x', 'y', 't'],
+    polar: ['r', 'theta'],
+    implicit: ['equation']
+};
+export const CURVE_TYPES = Object.keys(CURVE_FIELDS);
+
+/**
+ * What a curve object draws, to tell when it has changed shape (and should draw itself
+ * again); null for objects that aren't curves.
+ * @param {object} object
+ * @returns {string | null}
+ */
+export const curveDefinition = (object) => (CURVE_FIELDS[object.type]
+    ? JSON.stringify(CURVE_FIELDS[object.type].map((field) => object[field]))
+    : null);
+
+// A rejected change to the board; the board is left as it was
+export class SceneError extends Error {
+    constructor(message, id = null) {
+        super(message);
+        this.name = 'SceneError';
+        this.id = id;
+    }
+}
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+
+const isInsideBoard = ([x, y]) => x >= 0 && x <= BOARD_WIDTH && y >= 0 && y <= BOARD_HEIGHT;
+
+// Pixel positions an object is drawn at, for checking they are on the board
+const pixelPositions = (object) => {
+    if (object.axes) return [];
+    switch (object.type) {
+        case 'point':
+        case 'text':
+        case 'latex':
+            return object.position ? [object.position] : [];
+        case 'polygon':
+        case 'segment':
+        case 'line':
+        case 'angle':
+            return object.points || [];
+        case 'circle':
+        case 'arc':
+            return object.center ? [object.center] : [];
+        default: return [];
+    }
+};
+
+const REQUIRED_FIELDS = {
+    axes: [],
+    curve: ['axes', 'function'],
+    parametric: ['axes', 'x', 'y', 't'],
+    polar: ['axes', 'r'],
+    implicit: ['axes', 'equation'],
+    region: ['axes', 'upper'],
+    point: ['position'],
+    polygon: ['points'],
+    segment: ['points'],
+    line: ['points'],
+    circle: ['center', 'radius'],
+    arc: ['center', 'radius', 'start', 'end'],
+    angle: ['points'],
+    text: ['text'],
+    latex: ['text']
+};
+
+const validateObject = (object, objects) => {
+    const { id, type } = object;
+    if (!OBJECT_TYPES.includes(type)) {
+        throw new SceneError(`'${id}' has unknown type '${type}' (expected ${OBJECT_TYPES.join(', ')})`, id);
+    }
+    const missing = REQUIRED_FIELDS[type].filter((field) => object[field] === undefined);
+    if (missing.length > 0) {
+        throw new SceneError(`${type} '${id}' needs ${missing.join(' and ')}`, id);
+    }
+    if (object.axes !== undefined) {
+        if (type === 'axes') throw new SceneError(`axes '${id}' can't be drawn on other axes`, id);
+        const axes = objects.get(object.axes);
+        if (!axes || axes.type !== 'axes') {
+            throw new SceneError(`${type} '${id}' refers to axes '${object.axes}', which isn't on the board`, id);
+        }
+    }
+    if ((type === 'region' || CURVE_TYPES.includes(type)) && !object.axes) {
+        throw new SceneError(`${type} '${id}' needs axes`, id);
+    }
+    if (type === 'polygon' && object.points.length < (object.closed === false ? 2 : 3)) {
+        throw new SceneError(`polygon '${id}' needs at least ${object.closed === false ? 2 : 3} points`, id);
+    }
+    const pointCount = { segment: 2, line: 2, angle: 3 }[type];
+    if (pointCount && object.points.length !== pointCount) {
+        throw new SceneError(`${type} '${id}' needs exactly ${pointCount} points`, id);
+    }
+    if (type === 'line' && object.points[0][0] === object.points[1][0] && object.points[0][1] === object.points[1][1]) {
+        throw new SceneError(`line '${id}' needs two different points`, id);
+    }
+    const outside = pixelPositions(object).find((p) => !isInsideBoard(p));
+    if (outside) {
+        throw new SceneError(`${type} '${id}' has (${outside[0]}, ${outside[1]}) outside the ${BOARD_WIDTH}x${BOARD_HEIGHT} board`, id);
+    }
+};
+
+export class SceneGraph {
+    constructor(objects = []) {
+        // id -> object, in the order they were added
+        this.objects = new Map(objects.map((object) => [object.id, copy(object)]));
+        this.counters = {};
+    }
+
+    static fromJSON(json) {
+        const scene = new SceneGraph(json && Array.isArray(json.objects) ? json.objects : []);
+        scene.objects.forEach((object) => validateObject(object, scene.objects));
+        return scene;
+    }
+
+    /** @returns {{ width: number, height: number, objects: object[] }} a copy, safe to stringify or keep */
+    toJSON() {
+        return { width: BOARD_WIDTH, height: BOARD_HEIGHT, objects: copy([...this.objects.values()]) };
+    }
+
+    get(id) {
+        return this.objects.get(id);
+    }
+
+    get size() {
+        return this.objects.size;
+    }
+
+    /** Objects in drawing order: by layer, then in the order they were added */
+    list() {
+        return [...this.objects.values()]
+            .map((object, order) => ({ object, order }))
+            .sort((a, b) => ((a.object.layer || 0) - (b.object.layer || 0)) || (a.order - b.order))
+            .map(({ object }) => object);
+    }
+
+    /** A fresh id such as 'shape-3', for objects added without one */
+    nextId(prefix, taken = this.objects) {
+        let id;
+        do {
+            this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+            id = `${prefix}-${this.counters[prefix]}`;
+        } while (taken.has(id));
+        return id;
+    }
+
+    /**
+     * Applies a list of changes all or nothing: if any of them is invalid, the board is
+     * left exactly as it was and a SceneError says why.
+     * @param {Array<{ op: 'add', object: object } | { op: 'update', id: string, changes: object }
+     *   | { op: 'remove', id: string } | { op: 'clear' }>} actions
+     *   add replaces an object with the same id; removing axes removes everything drawn on them
+     * @returns {{ changed: string[], removed: string[] }} ids affected
+     */
+    apply(actions) {
+        const next = new Map(this.objects);
+        const changed = new Set();
+        const removed = new Set();
+
+        const remove = (id) => {
+            next.delete(id);
+            changed.delete(id);
+            removed.add(id);
+            next.forEach((object) => {
+                if (object.axes === id) remove(object.id);
+            });
+        };
+
+        actions.forEach((action) => {
+            switch (action.op) {
+                case 'add': {
+                    const object = copy(action.object);
+                    if (!object.id) object.id = this.nextId(object.type, next);
+                    next.set(object.id, object);
+                    changed.add(object.id);
+                    removed.delete(object.id);
+                    break;
+                }
+                case 'update': {
+                    const existing = next.get(action.id);
+                    if (!existing) throw new SceneError(`Can't update '${action.id}': no object has that id`, action.id);
+                    if (action.changes.type !== undefined && action.changes.type !== existing.type) {
+                        throw new SceneError(`Can't change '${action.id}' from ${existing.type} to ${action.changes.type}; remove it and add a new one`, action.id);
+                    }
+                    next.set(action.id, { ...existing, ...copy(action.changes), id: action.id });
+                    changed.add(action.id);
+                    break;
+                }
+                case 'remove':
+                    if (!next.has(action.id)) throw new SceneError(`Can't remove '${action.id}': no object has that id`, action.id);
+                    remove(action.id);
+                    break;
+                case 'clear':
+                    [...next.keys()].forEach((id) => remove(id));
+                    break;
+                default:
+                    throw new SceneError(`Unknown board action '${action.op}'`);
+            }
+        });
+
+        changed.forEach((id) => validateObject(next.get(id), next));
+        // Objects on axes that were replaced by something else
+        next.forEach((object) => {
+            if (!changed.has(object.id) && object.axes) validateObject(object, next);
+        });
+
+        this.objects = next;
+        return { changed: [...changed], removed: [...removed] };
+    }
+
+    clear() {
+        this.objects = new Map();
+        this.counters = {};
+    }
+}
+
+// The axes of draw_on_canvas graphs and of draw_geometry figures
+const FIGURE_AXES = ['graph-axes', 'geo-plane'];
+
+// A new graph or figure replaces the one on the board, and everything drawn on its axes
+const replaceFigure = (scene) => FIGURE_AXES.filter((id) => scene.get(id)).map((id) => ({ op: 'remove', id }));
+
+// Colors and names for the functions of a graph, in order
+const GRAPH_COLORS = ['#00D2FF', '#FF6B6B', '#FFD166', '#06D6A0', '#C792EA', '#F78C6C'];
+const FUNCTION_NAMES = ['f', 'g', 'h', 'p', 'q', 'r'];
+
+// The axes, shaded regions, curves and marked points of a DRAW_GRAPH. Shading goes under
+// the curves and points on top of them. A graph without a yRange gets one fitted to it.
+const graphActions = (cmd, scene) => {
+    // Older commands (and scripted lessons) plot a single `function`
+    const functions = cmd.functions || [{ function: cmd.function || 'x^2', color: cmd.color, label: cmd.label }];
+    const actions = replaceFigure(scene);
+
+    const axes = { id: 'graph-axes', type: 'axes', xRange: cmd.range || { min: -5, max: 5 }, layer: -1 };
+    if (cmd.yRange) axes.yRange = cmd.yRange;
+    actions.push({ op: 'add', object: axes });
+
+    (cmd.shade || []).forEach((shade, i) => {
+        const region = { id: `graph-shade-${i + 1}`, type: 'region', axes: 'graph-axes', upper: shade.upper, fill: shade.color || GRAPH_COLORS[i % GRAPH_COLORS.length] };
+        if (shade.lower) region.lower = shade.lower;
+        if (shade.range) region.domain = shade.range;
+        if (shade.label) region.label = shade.label;
+        actions.push({ op: 'add', object: region });
+    });
+
+    functions.forEach((fn, i) => {
+        const curve = { id: `graph-f${i + 1}`, type: 'curve', axes: 'graph-axes', function: fn.function, color: fn.color || GRAPH_COLORS[i % GRAPH_COLORS.length] };
+        // `label: true` asks for the function itself as the label
+        if (fn.label) curve.label = typeof fn.label === 'string' ? fn.label : `${FUNCTION_NAMES[i % FUNCTION_NAMES.length]}(x) = ${fn.function}`;
+        if (fn.domain) curve.domain = fn.domain;
+        if (fn.dashed) curve.dashed = true;
+        actions.push({ op: 'add', object: curve });
+    });
+
+    return [...actions, ...pointActions(cmd.points)];
+};
+
+// Labelled points marked on top of a graph
+const pointActions = (points = []) => points.map((point, i) => {
+    const marker = { id: `graph-p${i + 1}`, type: 'point', axes: 'graph-axes', position: [point.x, point.y], color: point.color || '#fff', layer: 1 };
+    if (point.label) marker.label = point.label;
+    return { op: 'add', object: marker };
+});
+
+// What DRAW_PARAMETRIC, DRAW_POLAR and DRAW_IMPLICIT take from the command, and the label
+// each gets when asked for its own definition
+const CURVE_COMMANDS = {
+    DRAW_PARAMETRIC: { type: 'parametric', fields: ['x', 'y', 't'], label: (cmd) => `(x, y) = (${cmd.x}, ${cmd.y})` },
+    DRAW_POLAR: { type: 'polar', fields: ['r', 'theta'], label: (cmd) => `r = ${cmd.r}` },
+    DRAW_IMPLICIT: { type: 'implicit', fields: ['equation'], label: (cmd) => cmd.equation }
+};
+
+// The axes, curve and marked points of a parametric, polar or implicit graph. Unless the
+// command gives both ranges, they are fitted to the curve with the same scale on both axes,
+// so a circle comes out round.
+const curveActions = (cmd, scene) => {
+    const { type, fields, label } = CURVE_COMMANDS[cmd.type];
+    const actions = replaceFigure(scene);
+
+    const axes = { id: 'graph-axes', type: 'axes', layer: -1 };
+    if (cmd.range) axes.xRange = cmd.range;
+    if (cmd.yRange) axes.yRange = cmd.yRange;
+    if (!cmd.range || !cmd.yRange) axes.equal = true;
+    actions.push({ op: 'add', object: axes });
+
+    const curve = { id: 'graph-f1', type, axes: 'graph-axes', color: cmd.color || GRAPH_COLORS[0] };
+    fields.forEach((field) => {
+        if (cmd[field] !== undefined) curve[field] = cmd[field];
+    });
+    if (cmd.label) curve.label = typeof cmd.label === 'string' ? cmd.label : label(cmd);
+    if (cmd.dashed) curve.dashed = true;
+    actions.push({ op: 'add', object: curve });
+    return [...actions, ...pointActions(cmd.points)];
+};
+
+// A DRAW_GEOMETRY figure: its objects, already in math coordinates and with ids, on a plane
+// with no visible axes (unless it asks for a grid) and the same scale both ways
+const geometryActions = (cmd, scene) => {
+    const plane = { id: 'geo-plane', type: 'axes', equal: true, layer: -1 };
+    if (cmd.range) plane.xRange = cmd.range;
+    if (cmd.yRange) plane.yRange = cmd.yRange;
+    if (!cmd.grid) plane.hidden = true;
+    return [
+        ...replaceFigure(scene),
+        { op: 'add', object: plane },
+        ...(cmd.objects || []).map((object) => ({ op: 'add', object: { ...object, axes: 'geo-plane' } }))
+    ];
+};
+
+/**
+ * The board changes behind the draw_on_canvas commands, which each add one graph, shape
+ * or text, and draw_geometry's DRAW_GEOMETRY. A new graph or figure replaces the previous one.
+ * @param {object} cmd - DRAW_GRAPH, DRAW_PARAMETRIC, DRAW_POLAR, DRAW_IMPLICIT, DRAW_GEOMETRY, DRAW_SHAPE or DRAW_TEXT
+ * @param {SceneGraph} scene - for picking ids
+ * @returns {Array<object>} actions for SceneGraph.apply
+ */
+export const actionsForDrawCommand = (cmd, scene) => {
+    const color = cmd.color || '#00D2FF';
+    switch (cmd.type) {
+        case 'DRAW_GRAPH':
+            return graphActions(cmd, scene);
+        case 'DRAW_PARAMETRIC':
+        case 'DRAW_POLAR':
+        case 'DRAW_IMPLICIT':
+            return curveActions(cmd, scene);
+        case 'DRAW_GEOMETRY':
+            return geometryActions(cmd, scene);
+        case 'DRAW_SHAPE': {
+            const object = cmd.shape === 'circle'
+                ? { type: 'circle', center: cmd.center || [BOARD_WIDTH / 2, BOARD_HEIGHT / 2], radius: cmd.radius || 100 }
+                : { type: 'polygon', points: cmd.points || [], labels: cmd.labels };
+            return [{ op: 'add', object: { ...object, id: scene.nextId('shape'), color } }];
+        }
+        case 'DRAW_TEXT':
+            return [{
+                op: 'add',
+                object: {
+                    id: scene.nextId('text'),
+                    type: 'text',
+                    text: cmd.text || '',
+                    position: cmd.position || [BOARD_WIDTH / 2, BOARD_HEIGHT / 2],
+                    color: cmd.color || '#fff'
+                }
+            }];
+        default:
+            return [];
+    }
+};
@@ -0,0 +1,830 @@
+// Draws a SceneGraph (see sceneGraph.js). The canvas context is expected to be scaled so one
+// unit is one board pixel, whatever size the canvas really is; LaTeX, curve legends and the
+// like are DOM nodes in a separate layer, positioned in percentages so they follow the canvas
+// when it resizes.
+
+import { compileExpression, MathExpressionError } from './mathExpression';
+import { renderMathText } from './mathText';
+import { BOARD_WIDTH, BOARD_HEIGHT } from './sceneGraph';
+import { niceTicks, formatTick, autoRange, sampleFunction, samplePath, traceContour } from './plotSampling';
+
+// Axes fill the board inside this margin
+const PLOT_PADDING = 60;
+const DEFAULT_COLOR = '#00D2FF';
+const DASH = [8, 6];
+// Samples per pixel of plot width
+const SAMPLES_PER_PIXEL = 2;
+// Samples per curve when fitting an automatic y-range
+const AUTO_RANGE_SAMPLES = 400;
+// Samples along a parametric or polar curve
+const PATH_SAMPLES = 2000;
+// Implicit curves are traced on a grid of cells this many pixels wide
+const CONTOUR_CELL_PIXELS = 4;
+// Far-off samples are pulled in to this many pixels outside the board before drawing
+const PIXEL_LIMIT = 10000;
+const REGION_ALPHA = 0.3;
+// Geometry marks, in pixels
+const TICK_LENGTH = 7;
+const TICK_SPACING = 6;
+const ANGLE_RADIUS = 26;
+const RIGHT_ANGLE_SIZE = 16;
+
+// Compiled functions by expression, and traced implicit curves by equation and window, so
+// redrawing (every frame while a curve animates) doesn't work them out again
+const compiledCache = new Map();
+const contourCache = new Map();
+const MAX_CACHED_EXPRESSIONS = 200;
+const MAX_CACHED_CONTOURS = 20;
+
+const cached = (cache, limit, key, make) => {
+    if (!cache.has(key)) {
+        if (cache.size >= limit) cache.clear();
+        cache.set(key, make());
+    }
+    return cache.get(key);
+};
+
+const compile = (expression, variables = ['x']) => cached(compiledCache, MAX_CACHED_EXPRESSIONS, `${variables}:${expression}`,
+    () => compileExpression(expression, { variables }));
+
+// An implicit curve's equation as F(x, y) = left - right; without '=' the curve is F = 0
+const compileEquation = (equation) => {
+    const sides = equation.split('=');
+    if (sides.length > 2) {
+        return { ok: false, error: new MathExpressionError("An equation can have only one '='", equation, equation.indexOf('=', equation.indexOf('=') + 1)) };
+    }
+    const [left, right = '0'] = sides;
+    for (const side of [left, right]) {
+        const compiled = compile(side, ['x', 'y']);
+        if (!compiled.ok) return compiled;
+    }
+    const f = compile(left, ['x', 'y']);
+    const g = compile(right, ['x', 'y']);
+    return { ok: true, evaluate: (x, y) => f.evaluate({ x, y }) - g.evaluate({ x, y }) };
+};
+
+// A parametric or polar curve as t -> [x, y] (null where undefined) over its parameter range,
+// or the expression that doesn't compile
+const pathOf = (object) => {
+    const point = (x, y) => (Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null);
+    if (object.type === 'polar') {
+        const r = compile(object.r, ['theta', 't']);
+        if (!r.ok) return { ...r, expression: object.r };
+        return {
+            ok: true,
+            range: object.theta || { min: 0, max: 2 * Math.PI },
+            evaluate: (theta) => {
+                const radius = r.evaluate({ theta, t: theta });
+                return point(radius * Math.cos(theta), radius * Math.sin(theta));
+            }
+        };
+    }
+    const x = compile(object.x, ['t']);
+    if (!x.ok) return { ...x, expression: object.x };
+    const y = compile(object.y, ['t']);
+    if (!y.ok) return { ...y, expression: object.y };
+    return { ok: true, range: object.t, evaluate: (t) => point(x.evaluate(t), y.evaluate(t)) };
+};
+
+const pathSamples = (path, count) => {
+    const samples = [];
+    for (let i = 0; i <= count; i++) {
+        const point = path.evaluate(path.range.min + (path.range.max - path.range.min) * (i / count));
+        if (point) samples.push(point);
+    }
+    return samples;
+};
+
+/**
+ * Maps an axes object's math coordinates to board pixels.
+ * @param {object} axes - { xRange, yRange }, with yRange already fitted if it was automatic
+ */
+export const axesTransform = (axes) => {
+    const left = PLOT_PADDING;
+    const top = PLOT_PADDING;
+    const width = BOARD_WIDTH - 2 * PLOT_PADDING;
+    const height = BOARD_HEIGHT - 2 * PLOT_PADDING;
+    const { xRange, yRange } = axes;
+    const xScale = width / (xRange.max - xRange.min);
+    const yScale = height / (yRange.max - yRange.min);
+    const clamp = (value) => Math.max(-PIXEL_LIMIT, Math.min(PIXEL_LIMIT, value));
+    return {
+        left, top, width, height, xScale, yScale,
+        toPixel: ([x, y]) => [clamp(left + (x - xRange.min) * xScale), clamp(top + (yRange.max - y) * yScale)]
+    };
+};
+
+// The part of an object's own x-domain that is inside the axes, or null if none is
+const clipDomain = (domain, xRange) => {
+    const min = Math.max(domain ? domain.min : xRange.min, xRange.min);
+    const max = Math.min(domain ? domain.max : xRange.max, xRange.max);
+    return min < max ? { min, max } : null;
+};
+
+// Widens whichever range is narrower for its side of the plot, around its middle, so a
+// unit is as long on one axis as on the other
+const equalScale = (xRange, yRange) => {
+    const width = BOARD_WIDTH - 2 * PLOT_PADDING;
+    const height = BOARD_HEIGHT - 2 * PLOT_PADDING;
+    const unitsPerPixel = Math.max((xRange.max - xRange.min) / width, (yRange.max - yRange.min) / height);
+    const widen = (range, pixels) => {
+        const middle = (range.min + range.max) / 2;
+        const half = (unitsPerPixel * pixels) / 2;
+        return { min: Number((middle - half).toPrecision(12)), max: Number((middle + half).toPrecision(12)) };
+    };
+    return [widen(xRange, width), widen(yRange, height)];
+};
+
+// The points an object reaches to, in its axes' coordinates, for fitting the axes to it
+const extentOf = (object) => {
+    switch (object.type) {
+        case 'point':
+            return [object.position];
+        case 'polygon':
+        case 'segment':
+        case 'line':
+        case 'angle':
+            return object.points;
+        case 'circle':
+        case 'arc': {
+            const [x, y] = object.center;
+            return [[x - object.radius, y - object.radius], [x + object.radius, y + object.radius]];
+        }
+        case 'parametric':
+        case 'polar': {
+            const path = pathOf(object);
+            return path.ok ? pathSamples(path, AUTO_RANGE_SAMPLES) : [];
+        }
+        default:
+            return [];
+    }
+};
+
+// Axes without an xRange or yRange fit them to what is drawn on them: x to parametric and
+// polar curves, points and shapes, then y to everything over that x-range. Implicit curves
+// are traced inside the axes, so they can't help choose them.
+const fitAxes = (axes, scene) => {
+    if (axes.xRange && axes.yRange && !axes.equal) return axes;
+    const objects = scene.list().filter((object) => object.axes === axes.id);
+    const extents = objects.map(extentOf).filter((extent) => extent.length > 0);
+
+    const options = { axisInView: !axes.hidden };
+    const xRange = axes.xRange || autoRange(extents.map((extent) => extent.map(([x]) => x)), options);
+    let yRange = axes.yRange;
+    if (!yRange) {
+        const series = extents.map((extent) => extent.map(([, y]) => y));
+        objects.forEach((object) => {
+            const expressions = object.type === 'curve' ? [object.function]
+                : object.type === 'region' ? [object.upper, object.lower || '0'] : [];
+            const domain = clipDomain(object.domain, xRange);
+            if (!domain) return;
+            expressions.forEach((expression) => {
+                const compiled = compile(expression);
+                if (!compiled.ok) return;
+                const values = [];
+                for (let i = 0; i <= AUTO_RANGE_SAMPLES; i++) {
+                    const y = compiled.evaluate(domain.min + (domain.max - domain.min) * (i / AUTO_RANGE_SAMPLES));
+                    if (Number.isFinite(y)) values.push(y);
+                }
+                series.push(values);
+            });
+        });
+        // With nothing to fit it to (say, only an implicit curve), equal axes centre y on 0
+        // at the x-range's scale
+        const half = ((xRange.max - xRange.min) * (BOARD_HEIGHT - 2 * PLOT_PADDING)) / (BOARD_WIDTH - 2 * PLOT_PADDING) / 2;
+        yRange = series.length === 0 && axes.equal ? { min: -half, max: half } : autoRange(series, options);
+    }
+    if (!axes.equal) return { ...axes, xRange, yRange };
+    const [equalX, equalY] = equalScale(xRange, yRange);
+    return { ...axes, xRange: equalX, yRange: equalY };
+};
+
+// The middle of the points on some axes (or of the axes, without any), which labels of a
+// figure are pushed away from so they sit outside it
+const figureCentre = (axes, scene) => {
+    const points = scene.list().filter((object) => object.axes === axes.id && object.type === 'point');
+    if (points.length === 0) return [(axes.xRange.min + axes.xRange.max) / 2, (axes.yRange.min + axes.yRange.max) / 2];
+    return [0, 1].map((i) => points.reduce((sum, point) => sum + point.position[i], 0) / points.length);
+};
+
+const clipToAxes = (ctx, axes) => {
+    const { left, top, width, height } = axesTransform(axes);
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, width, height);
+    ctx.clip();
+};
+
+const drawAxes = (ctx, axes) => {
+    const { left, top, width, height, toPixel } = axesTransform(axes);
+    const { xRange, yRange } = axes;
+    const right = left + width;
+    const bottom = top + height;
+    // The axis lines sit at zero when it is in view, otherwise along the edge
+    const xHasZero = xRange.min <= 0 && xRange.max >= 0;
+    const yHasZero = yRange.min <= 0 && yRange.max >= 0;
+    const [originX, originY] = toPixel([xHasZero ? 0 : xRange.min, yHasZero ? 0 : yRange.min]);
+    const xTicks = niceTicks(xRange);
+    const yTicks = niceTicks(yRange);
+
+    if (axes.grid !== false) {
+        ctx.strokeStyle = '#333';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        xTicks.values.forEach((value) => {
+            const [x] = toPixel([value, 0]);
+            ctx.moveTo(x, top);
+            ctx.lineTo(x, bottom);
+        });
+        yTicks.values.forEach((value) => {
+            const [, y] = toPixel([0, value]);
+            ctx.moveTo(left, y);
+            ctx.lineTo(right, y);
+        });
+        ctx.stroke();
+    }
+
+    ctx.strokeStyle = axes.color || '#555';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(left, originY);
+    ctx.lineTo(right, originY);
+    ctx.moveTo(originX, top);
+    ctx.lineTo(originX, bottom);
+    // Tick marks
+    xTicks.values.forEach((value) => {
+        const [x] = toPixel([value, 0]);
+        ctx.moveTo(x, originY - 4);
+        ctx.lineTo(x, originY + 4);
+    });
+    yTicks.values.forEach((value) => {
+        const [, y] = toPixel([0, value]);
+        ctx.moveTo(originX - 4, y);
+        ctx.lineTo(originX + 4, y);
+    });
+    ctx.stroke();
+
+    // Tick labels; the zeros where the axes cross share a single label
+    ctx.fillStyle = '#aaa';
+    ctx.font = '12px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    xTicks.values.forEach((value) => {
+        if (value === 0 && xHasZero && yHasZero) return;
+        const [x] = toPixel([value, 0]);
+        ctx.fillText(formatTick(value, xTicks.step), x, originY + 7);
+    });
+    ctx.textAlign = 'right';
+    ctx.textBaseline = 'middle';
+    yTicks.values.forEach((value) => {
+        if (value === 0 && xHasZero && yHasZero) return;
+        const [, y] = toPixel([0, value]);
+        ctx.fillText(formatTick(value, yTicks.step), originX - 7, y);
+    });
+    if (xHasZero && yHasZero) {
+        ctx.textBaseline = 'top';
+        ctx.fillText('0', originX - 5, originY + 5);
+    }
+
+    ctx.font = '14px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'alphabetic';
+    ctx.fillText('x', right + 10, originY + 20);
+    ctx.textAlign = 'left';
+    ctx.fillText('y', originX + 5, top - 10);
+};
+
+const strokePolyline = (ctx, points) => {
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    for (let i = 1; i < points.length; i++) ctx.lineTo(points[i][0], points[i][1]);
+    ctx.stroke();
+};
+
+// Shows a function that doesn't parse in the middle of its axes, so the student isn't left staring at empty axes
+const drawPlotError = (ctx, axes, expression, error) => {
+    const { left, top, width, height } = axesTransform(axes);
+    ctx.fillStyle = '#FF6B6B';
+    ctx.font = '18px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(`Couldn't plot "${expression}"`, left + width / 2, top + height / 2 - 14);
+    ctx.fillStyle = '#aaa';
+    ctx.font = '14px Inter, sans-serif';
+    ctx.fillText(error.message, left + width / 2, top + height / 2 + 14);
+    return { error: error.message, details: error.toJSON() };
+};
+
+const sampleOnAxes = (evaluate, domain, axes) => sampleFunction(evaluate, domain, {
+    samples: Math.ceil(axesTransform(axes).width * SAMPLES_PER_PIXEL * (domain.max - domain.min) / (axes.xRange.max - axes.xRange.min)),
+    ySpan: axes.yRange.max - axes.yRange.min
+});
+
+// Strokes the pieces of a curve, in pixels, inside its axes. Returns how many of their
+// points are in view.
+const strokePieces = (ctx, pieces, curve, axes, progress) => {
+    const { left, top, width, height } = axesTransform(axes);
+    const inView = ([x, y]) => x >= left && x <= left + width && y >= top && y <= top + height;
+    const total = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    const visible = pieces.reduce((sum, piece) => sum + piece.filter(inView).length, 0);
+
+    // While animating, only the first `progress` of the samples are drawn
+    let remaining = Math.floor(progress * total);
+    clipToAxes(ctx, axes);
+    ctx.strokeStyle = curve.color || DEFAULT_COLOR;
+    ctx.lineWidth = 3;
+    ctx.lineJoin = 'round';
+    if (curve.dashed) ctx.setLineDash(DASH);
+    for (const piece of pieces) {
+        if (remaining <= 1) break;
+        strokePolyline(ctx, piece.slice(0, remaining));
+        remaining -= piece.length;
+    }
+    ctx.restore();
+    return visible;
+};
+
+const drawCurve = (ctx, curve, axes, progress) => {
+    const compiled = compile(curve.function);
+    if (!compiled.ok) return drawPlotError(ctx, axes, curve.function, compiled.error);
+
+    const domain = clipDomain(curve.domain, axes.xRange);
+    const { toPixel } = axesTransform(axes);
+    const pieces = domain ? sampleOnAxes(compiled.evaluate, domain, axes).map((piece) => piece.map(toPixel)) : [];
+    const visible = strokePieces(ctx, pieces, curve, axes, progress);
+
+    const note = { plottedPoints: visible };
+    if (visible === 0) {
+        const shown = domain || curve.domain || axes.xRange;
+        note.warning = `No points of ${curve.function} fall inside y ∈ [${axes.yRange.min}, ${axes.yRange.max}] for x ∈ [${shown.min}, ${shown.max}]`;
+    }
+    return note;
+};
+
+// A parametric or polar curve, drawn from the start of its parameter range to the end
+const drawPath = (ctx, curve, axes, progress) => {
+    const path = pathOf(curve);
+    if (!path.ok) return drawPlotError(ctx, axes, path.expression, path.error);
+
+    const { toPixel } = axesTransform(axes);
+    const pieces = samplePath(path.evaluate, path.range, {
+        samples: PATH_SAMPLES,
+        xSpan: axes.xRange.max - axes.xRange.min,
+        ySpan: axes.yRange.max - axes.yRange.min
+    }).map((piece) => piece.map(toPixel));
+    const visible = strokePieces(ctx, pieces, curve, axes, progress);
+
+    const note = { plottedPoints: visible };
+    if (visible === 0) {
+        const name = curve.type === 'polar' ? `r = ${curve.r}` : `(x, y) = (${curve.x}, ${curve.y})`;
+        note.warning = `No part of ${name} falls inside x ∈ [${axes.xRange.min}, ${axes.xRange.max}], y ∈ [${axes.yRange.min}, ${axes.yRange.max}]`;
+    }
+    return note;
+};
+
+// An implicit curve, traced where its equation holds inside the axes
+const drawImplicit = (ctx, curve, axes, progress) => {
+    const equation = compileEquation(curve.equation);
+    if (!equation.ok) return drawPlotError(ctx, axes, curve.equation, equation.error);
+
+    const { toPixel, width, height } = axesTransform(axes);
+    const { xRange, yRange } = axes;
+    const key = `${curve.equation}|${xRange.min},${xRange.max},${yRange.min},${yRange.max}`;
+    const lines = cached(contourCache, MAX_CACHED_CONTOURS, key, () => traceContour(equation.evaluate, xRange, yRange, {
+        columns: Math.round(width / CONTOUR_CELL_PIXELS),
+        rows: Math.round(height / CONTOUR_CELL_PIXELS)
+    }));
+    const visible = strokePieces(ctx, lines.map((line) => line.map(toPixel)), curve, axes, progress);
+
+    const note = { plottedPoints: visible };
+    if (visible === 0) {
+        note.warning = `${curve.equation} has no solutions inside x ∈ [${xRange.min}, ${xRange.max}], y ∈ [${yRange.min}, ${yRange.max}]`;
+    }
+    return note;
+};
+
+// Shades between two functions (the upper one and, by default, the x-axis), e.g. the area
+// an integral measures. Where either is undefined the shading stops.
+const drawRegion = (ctx, region, axes) => {
+    const lowerExpression = region.lower || '0';
+    const upper = compile(region.upper);
+    if (!upper.ok) return drawPlotError(ctx, axes, region.upper, upper.error);
+    const lower = compile(lowerExpression);
+    if (!lower.ok) return drawPlotError(ctx, axes, lowerExpression, lower.error);
+
+    const domain = clipDomain(region.domain, axes.xRange);
+    if (!domain) return { warning: `The shaded region of '${region.id}' is outside the axes` };
+    const { toPixel } = axesTransform(axes);
+    const both = (x) => {
+        const a = upper.evaluate(x);
+        const b = lower.evaluate(x);
+        return Number.isFinite(a) && Number.isFinite(b) ? a - b : NaN;
+    };
+
+    clipToAxes(ctx, axes);
+    ctx.globalAlpha = REGION_ALPHA;
+    ctx.fillStyle = region.fill || region.color || DEFAULT_COLOR;
+    // Sampled on the difference so a break in either function breaks the shading
+    sampleOnAxes(both, domain, axes).forEach((piece) => {
+        if (piece.length < 2) return;
+        ctx.beginPath();
+        piece.forEach(([x], i) => {
+            const [px, py] = toPixel([x, upper.evaluate(x)]);
+            if (i === 0) ctx.moveTo(px, py);
+            else ctx.lineTo(px, py);
+        });
+        for (let i = piece.length - 1; i >= 0; i--) {
+            const [px, py] = toPixel([piece[i][0], lower.evaluate(piece[i][0])]);
+            ctx.lineTo(px, py);
+        }
+        ctx.closePath();
+        ctx.fill();
+    });
+    ctx.globalAlpha = 1;
+    ctx.restore();
+    return {};
+};
+
+// Writes a label just beside a pixel position, in the direction (dx, dy) from it
+const labelBeside = (ctx, text, [x, y], [dx, dy], distance) => {
+    const length = Math.hypot(dx, dy) || 1;
+    const ux = dx / length;
+    const uy = dy / length;
+    ctx.textAlign = ux > 0.3 ? 'left' : ux < -0.3 ? 'right' : 'center';
+    ctx.textBaseline = uy > 0.3 ? 'top' : uy < -0.3 ? 'bottom' : 'middle';
+    ctx.fillText(text, x + ux * distance, y + uy * distance);
+    ctx.textBaseline = 'alphabetic';
+};
+
+// `centre` (pixels) is given for the vertices of a figure, whose labels go outside it
+const drawPoint = (ctx, point, toPixel, centre) => {
+    const [x, y] = toPixel(point.position);
+    ctx.fillStyle = point.color || DEFAULT_COLOR;
+    ctx.beginPath();
+    ctx.arc(x, y, 5, 0, 2 * Math.PI);
+    ctx.fill();
+    if (!point.label) return;
+    ctx.font = '18px Inter, sans-serif';
+    if (centre && (x !== centre[0] || y !== centre[1])) {
+        labelBeside(ctx, point.label, [x, y], [x - centre[0], y - centre[1]], 10);
+        return;
+    }
+    // Labels go to the left of points near the right edge so they stay on the board
+    const flip = x > BOARD_WIDTH - 100;
+    ctx.textAlign = flip ? 'right' : 'left';
+    ctx.textBaseline = 'bottom';
+    ctx.fillText(point.label, flip ? x - 8 : x + 8, y - 6);
+    ctx.textBaseline = 'alphabetic';
+};
+
+const fillAndStroke = (ctx, object) => {
+    if (object.fill) {
+        ctx.globalAlpha = 0.25;
+        ctx.fillStyle = object.fill;
+        ctx.fill();
+        ctx.globalAlpha = 1;
+    }
+    if (object.dashed) ctx.setLineDash(DASH);
+    ctx.stroke();
+    ctx.setLineDash([]);
+};
+
+// Marks a side as one of a set of equal sides: `count` short dashes across its middle
+const drawTicks = (ctx, [ax, ay], [bx, by], count) => {
+    const length = Math.hypot(bx - ax, by - ay) || 1;
+    const [ux, uy] = [(bx - ax) / length, (by - ay) / length];
+    const [mx, my] = [(ax + bx) / 2, (ay + by) / 2];
+    ctx.setLineDash([]);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let i = 0; i < count; i++) {
+        const offset = (i - (count - 1) / 2) * TICK_SPACING;
+        const [cx, cy] = [mx + ux * offset, my + uy * offset];
+        ctx.moveTo(cx - uy * TICK_LENGTH, cy + ux * TICK_LENGTH);
+        ctx.lineTo(cx + uy * TICK_LENGTH, cy - ux * TICK_LENGTH);
+    }
+    ctx.stroke();
+};
+
+const drawPolygon = (ctx, polygon, toPixel) => {
+    const points = polygon.points.map(toPixel);
+    const color = polygon.color || DEFAULT_COLOR;
+    ctx.strokeStyle = color;
+    ctx.lineWidth = polygon.closed === false ? 3 : 4;
+    ctx.beginPath();
+    ctx.moveTo(points[0][0], points[0][1]);
+    points.slice(1).forEach((p) => ctx.lineTo(p[0], p[1]));
+    if (polygon.closed !== false) ctx.closePath();
+    fillAndStroke(ctx, polygon);
+    (polygon.sideTicks || []).forEach((count, i) => {
+        const next = points[(i + 1) % points.length];
+        if (count > 0 && (i + 1 < points.length || polygon.closed !== false)) drawTicks(ctx, points[i], next, count);
+    });
+
+    // Vertex labels sit just outside the shape, pushed away from its centroid
+    if (polygon.labels) {
+        const cx = points.reduce((sum, p) => sum + p[0], 0) / points.length;
+        const cy = points.reduce((sum, p) => sum + p[1], 0) / points.length;
+        ctx.fillStyle = color;
+        ctx.font = '20px Inter, sans-serif';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        points.forEach((p, i) => {
+            if (!polygon.labels[i]) return;
+            const dx = p[0] - cx;
+            const dy = p[1] - cy;
+            const dist = Math.hypot(dx, dy) || 1;
+            ctx.fillText(polygon.labels[i], p[0] + (dx / dist) * 20, p[1] + (dy / dist) * 20);
+        });
+        ctx.textBaseline = 'alphabetic';
+    }
+};
+
+const drawCircle = (ctx, circle, toPixel, axes) => {
+    const [x, y] = toPixel(circle.center);
+    // A circle on axes is round in math units, so it stretches with them
+    const { xScale, yScale } = axes ? axesTransform(axes) : { xScale: 1, yScale: 1 };
+    ctx.strokeStyle = circle.color || DEFAULT_COLOR;
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.ellipse(x, y, circle.radius * xScale, circle.radius * yScale, 0, 0, 2 * Math.PI);
+    fillAndStroke(ctx, circle);
+};
+
+// `centre` (pixels) is the figure's middle; the segment's label goes on the side away from it
+const drawSegment = (ctx, segment, toPixel, centre) => {
+    const [a, b] = segment.points.map(toPixel);
+    ctx.strokeStyle = segment.color || DEFAULT_COLOR;
+    ctx.lineWidth = 3;
+    if (segment.dashed) ctx.setLineDash(DASH);
+    ctx.beginPath();
+    ctx.moveTo(a[0], a[1]);
+    ctx.lineTo(b[0], b[1]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (segment.ticks > 0) drawTicks(ctx, a, b, segment.ticks);
+
+    if (segment.label) {
+        const middle = [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+        let normal = [a[1] - b[1], b[0] - a[0]];
+        const away = [middle[0] - centre[0], middle[1] - centre[1]];
+        const side = normal[0] * away[0] + normal[1] * away[1];
+        // With the centre on the segment, the label goes above it
+        if (side < 0 || (Math.abs(side) < 1e-6 && normal[1] > 0)) normal = [-normal[0], -normal[1]];
+        ctx.fillStyle = segment.color || DEFAULT_COLOR;
+        ctx.font = 'italic 20px Inter, sans-serif';
+        labelBeside(ctx, segment.label, middle, normal, 10);
+    }
+};
+
+// A line through both its points, or a ray from the first through the second, drawn out to
+// the edges of its axes (or of the board)
+const drawLine = (ctx, line, toPixel, axes) => {
+    const [[ax, ay], [bx, by]] = line.points;
+    const spans = axes ? (axes.xRange.max - axes.xRange.min) + (axes.yRange.max - axes.yRange.min) : BOARD_WIDTH + BOARD_HEIGHT;
+    const reach = (2 * spans) / Math.hypot(bx - ax, by - ay);
+    const start = toPixel(line.ray ? [ax, ay] : [ax - (bx - ax) * reach, ay - (by - ay) * reach]);
+    const end = toPixel([ax + (bx - ax) * reach, ay + (by - ay) * reach]);
+    if (axes) clipToAxes(ctx, axes);
+    ctx.strokeStyle = line.color || DEFAULT_COLOR;
+    ctx.lineWidth = 2;
+    if (line.dashed) ctx.setLineDash(DASH);
+    ctx.beginPath();
+    ctx.moveTo(start[0], start[1]);
+    ctx.lineTo(end[0], end[1]);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    if (axes) ctx.restore();
+};
+
+const drawArc = (ctx, arc, toPixel, axes) => {
+    const [x, y] = toPixel(arc.center);
+    const { xScale, yScale } = axes ? axesTransform(axes) : { xScale: 1, yScale: 1 };
+    const toRadians = (degrees) => (degrees * Math.PI) / 180;
+    ctx.strokeStyle = arc.color || DEFAULT_COLOR;
+    ctx.lineWidth = 3;
+    if (arc.dashed) ctx.setLineDash(DASH);
+    ctx.beginPath();
+    // Counterclockwise in maths is anticlockwise on the canvas too, once y points down
+    ctx.ellipse(x, y, arc.radius * xScale, arc.radius * yScale, 0, -toRadians(arc.start), -toRadians(arc.end), true);
+    ctx.stroke();
+    ctx.setLineDash([]);
+};
+
+// Marks the angle at the middle point with an arc, or a square when it is a right angle, and
+// labels it with its size. Returns the size in degrees.
+const drawAngle = (ctx, angle, toPixel) => {
+    const [[ax, ay], [vx, vy], [bx, by]] = angle.points;
+    const lengthA = Math.hypot(ax - vx, ay - vy);
+    const lengthB = Math.hypot(bx - vx, by - vy);
+    if (lengthA === 0 || lengthB === 0) return { warning: `angle '${angle.id}' has an arm of zero length` };
+    const cosine = ((ax - vx) * (bx - vx) + (ay - vy) * (by - vy)) / (lengthA * lengthB);
+    const degrees = Number(((Math.acos(Math.max(-1, Math.min(1, cosine))) * 180) / Math.PI).toFixed(1));
+    const right = angle.right === true || Math.abs(degrees - 90) < 0.5;
+
+    const vertex = toPixel([vx, vy]);
+    const armDirection = (point) => {
+        const [px, py] = toPixel(point);
+        const length = Math.hypot(px - vertex[0], py - vertex[1]) || 1;
+        return [(px - vertex[0]) / length, (py - vertex[1]) / length];
+    };
+    const u = armDirection([ax, ay]);
+    const w = armDirection([bx, by]);
+    const color = angle.color || '#FFD166';
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    if (right) {
+        ctx.moveTo(vertex[0] + u[0] * RIGHT_ANGLE_SIZE, vertex[1] + u[1] * RIGHT_ANGLE_SIZE);
+        ctx.lineTo(vertex[0] + (u[0] + w[0]) * RIGHT_ANGLE_SIZE, vertex[1] + (u[1] + w[1]) * RIGHT_ANGLE_SIZE);
+        ctx.lineTo(vertex[0] + w[0] * RIGHT_ANGLE_SIZE, vertex[1] + w[1] * RIGHT_ANGLE_SIZE);
+    } else {
+        // The short way round from one arm to the other
+        const from = Math.atan2(u[1], u[0]);
+        let sweep = Math.atan2(w[1], w[0]) - from;
+        if (sweep > Math.PI) sweep -= 2 * Math.PI;
+        if (sweep < -Math.PI) sweep += 2 * Math.PI;
+        ctx.arc(vertex[0], vertex[1], ANGLE_RADIUS, from, from + sweep, sweep < 0);
+    }
+    ctx.stroke();
+
+    // Right angles speak for themselves unless given a label
+    const label = angle.label !== undefined ? angle.label : (right ? '' : `${degrees}°`);
+    if (label) {
+        ctx.fillStyle = color;
+        ctx.font = '16px Inter, sans-serif';
+        const bisector = [u[0] + w[0], u[1] + w[1]];
+        // A straight angle has no bisector between its arms; label it above
+        labelBeside(ctx, label, vertex, Math.hypot(...bisector) < 1e-6 ? [-u[1], u[0]] : bisector, ANGLE_RADIUS + 6);
+    }
+    return { degrees };
+};
+
+const drawText = (ctx, text, toPixel) => {
+    const [x, y] = toPixel(text.position || [BOARD_WIDTH / 2, BOARD_HEIGHT / 2]);
+    ctx.fillStyle = text.color || '#fff';
+    ctx.font = '24px Inter, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.fillText(text.text, x, y);
+};
+
+// A DOM label placed at board pixels, which keeps its place as the board resizes
+const addLabel = (labels, [x, y], { color, fontSize, centered = true }) => {
+    const node = document.createElement('div');
+    node.style.position = 'absolute';
+    node.style.left = `${(x / BOARD_WIDTH) * 100}%`;
+    node.style.top = `${(y / BOARD_HEIGHT) * 100}%`;
+    node.style.transform = centered ? 'translate(-50%, -50%)' : 'none';
+    node.style.color = color;
+    node.style.fontSize = fontSize;
+    node.style.fontFamily = 'Inter, sans-serif';
+    node.style.whiteSpace = 'nowrap';
+    labels.appendChild(node);
+    return node;
+};
+
+const drawLatex = (labels, latex, toPixel) => {
+    const node = addLabel(labels, toPixel(latex.position || [BOARD_WIDTH / 2, BOARD_HEIGHT / 2]), {
+        color: latex.color || '#fff',
+        fontSize: '22px'
+    });
+    // Bare LaTeX is all maths; with delimiters it is text with maths in it
+    renderMathText(node, /\$|\\\(|\\\[/.test(latex.text) ? latex.text : `$${latex.text}$`);
+};
+
+// Labelled curves and regions of one axes, listed with a sample of their line or shading
+const drawLegend = (labels, axes, entries) => {
+    const { left, top } = axesTransform(axes);
+    const legend = addLabel(labels, [left + 10, top + 10], { color: '#fff', fontSize: '15px', centered: false });
+    legend.style.background = 'rgba(30, 30, 30, 0.8)';
+    legend.style.borderRadius = '6px';
+    legend.style.padding = '4px 8px';
+
+    entries.forEach(({ object, opacity }) => {
+        const color = object.type === 'region' ? (object.fill || object.color || DEFAULT_COLOR) : (object.color || DEFAULT_COLOR);
+        const row = document.createElement('div');
+        row.style.display = 'flex';
+        row.style.alignItems = 'center';
+        row.style.gap = '8px';
+        row.style.opacity = String(opacity);
+
+        const swatch = document.createElement('span');
+        swatch.style.display = 'inline-block';
+        swatch.style.width = '18px';
+        if (object.type === 'region') {
+            swatch.style.height = '10px';
+            swatch.style.background = color;
+            swatch.style.opacity = String(REGION_ALPHA * 2);
+        } else {
+            swatch.style.borderTop = `3px ${object.dashed ? 'dashed' : 'solid'} ${color}`;
+        }
+        const text = document.createElement('span');
+        text.style.color = color;
+        renderMathText(text, object.label);
+
+        row.appendChild(swatch);
+        row.appendChild(text);
+        legend.appendChild(row);
+    });
+};
+
+/**
+ * Draws every object of the scene, in layer order.
+ * @param {CanvasRenderingContext2D} ctx - scaled to board pixels
+ * @param {import('./sceneGraph').SceneGraph} scene
+ * @param {object} [options]
+ * @param {HTMLElement} [options.labels] - layer for LaTeX objects and legends; emptied first
+ * @param {(id: string) => number} [options.progressOf] - how much of each curve to draw, 0..1 (for animation)
+ * @returns {Record<string, { error?: string, details?: object, warning?: string, plottedPoints?: number, xRange?: object, yRange?: object, degrees?: number }>}
+ *   what drawing found out about individual objects, e.g. a curve whose function doesn't parse,
+ *   the ranges the board chose for axes that left them out or asked for an equal scale, or the
+ *   size of a marked angle
+ */
+export const renderScene = (ctx, scene, { labels, progressOf = () => 1 } = {}) => {
+    ctx.clearRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+    if (labels) labels.innerHTML = '';
+    const notes = {};
+
+    // Axes as drawn, with automatic y-ranges fitted
+    const axesById = new Map();
+    scene.list().forEach((object) => {
+        if (object.type !== 'axes') return;
+        const fitted = fitAxes(object, scene);
+        axesById.set(object.id, fitted);
+        // Report the ranges the board chose
+        const chosen = {};
+        ['xRange', 'yRange'].forEach((key) => {
+            if (JSON.stringify(object[key]) !== JSON.stringify(fitted[key])) chosen[key] = fitted[key];
+        });
+        if (Object.keys(chosen).length > 0) notes[object.id] = chosen;
+    });
+    const legends = new Map(); // axes id -> labelled curves and regions
+    // The middle of the figure on each axes, in pixels
+    const centres = new Map();
+    const centreOf = (axes) => {
+        if (!centres.has(axes.id)) centres.set(axes.id, axesTransform(axes).toPixel(figureCentre(axes, scene)));
+        return centres.get(axes.id);
+    };
+
+    scene.list().forEach((object) => {
+        const axes = object.axes ? axesById.get(object.axes) : null;
+        const toPixel = axes ? axesTransform(axes).toPixel : (point) => point;
+        const addToLegend = (opacity) => {
+            if (!object.label || !axes) return;
+            if (!legends.has(axes.id)) legends.set(axes.id, []);
+            legends.get(axes.id).push({ object, opacity });
+        };
+
+        switch (object.type) {
+            case 'axes':
+                if (!object.hidden) drawAxes(ctx, axesById.get(object.id));
+                break;
+            case 'curve':
+            case 'parametric':
+            case 'polar':
+            case 'implicit': {
+                const progress = progressOf(object.id);
+                const draw = object.type === 'curve' ? drawCurve : object.type === 'implicit' ? drawImplicit : drawPath;
+                notes[object.id] = draw(ctx, object, axes, progress);
+                // Fades in as the curve is drawn
+                addToLegend(Math.min(1, progress * 2));
+                break;
+            }
+            case 'region':
+                notes[object.id] = drawRegion(ctx, object, axes);
+                addToLegend(1);
+                break;
+            case 'point':
+                drawPoint(ctx, object, toPixel, axes && axes.hidden ? centreOf(axes) : null);
+                break;
+            case 'polygon':
+                drawPolygon(ctx, object, toPixel);
+                break;
+            case 'segment':
+                drawSegment(ctx, object, toPixel, axes ? centreOf(axes) : [BOARD_WIDTH / 2, BOARD_HEIGHT / 2]);
+                break;
+            case 'line':
+                drawLine(ctx, object, toPixel, axes);
+                break;
+            case 'circle':
+                drawCircle(ctx, object, toPixel, axes);
+                break;
+            case 'arc':
+                drawArc(ctx, object, toPixel, axes);
+                break;
+            case 'angle':
+                notes[object.id] = drawAngle(ctx, object, toPixel);
+                break;
+            case 'text':
+                drawText(ctx, object, toPixel);
+                break;
+            case 'latex':
+                if (labels) drawLatex(labels, object, toPixel);
+                break;
+            default:
+                break;
+        }
+    });
+
+    if (labels) legends.forEach((entries, id) => drawLegend(labels, axesById.get(id), entries));
+    return notes;
+};
@@ -0,0 +1,23 @@
+// The student's tutor settings (voice, language, subject, depth, persona), kept in
+// localStorage and sent to the server when the socket connects. The server checks them
+// against its allow-list (server/services/SessionConfig.js) and replies with what it used.
+
+const STORAGE_KEY = 'studyaid-session-settings';
+
+/** @returns {object} the saved settings, or {} for the server's defaults */
+export const loadSessionSettings = () => {
+    try {
+        const saved = JSON.parse(window.localStorage.getItem(STORAGE_KEY));
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    } catch {
+        return {};
+    }
+};
+
+export const saveSessionSettings = (settings) => {
+    try {
+        window.localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+    } catch {
+        // Storage blocked: the settings still apply until the page is reloaded
+    }
+};
@@ -0,0 +1,31 @@
+// Who this browser's student is, for their learner profile on the server (see
+// server/services/LearnerProfile.js). There are no accounts: a random id is made on the first
+// visit and kept in localStorage, so clearing site data starts a fresh profile.
+
+const STORAGE_KEY = 'studyaid-student-id';
+let studentId = null;
+
+const randomId = () => {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    // randomUUID needs a secure context; a plain http address on the LAN isn't one
+    return Array.from(window.crypto.getRandomValues(new Uint8Array(16)), (byte) => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/** @returns {string} this browser's student id, created on first use */
+export const getStudentId = () => {
+    if (studentId) return studentId;
+    try {
+        studentId = window.localStorage.getItem(STORAGE_KEY);
+        if (!studentId) {
+            studentId = randomId();
+            window.localStorage.setItem(STORAGE_KEY, studentId);
+        }
+    } catch {
+        // Storage blocked (e.g. private browsing): a profile for this visit only
+        studentId = studentId || randomId();
+    }
+    return studentId;
+};
+
+/** @returns {object} fetch headers naming this student, for the lesson history and profile routes */
+export const studentHeaders = () => ({ 'X-Student-Id': getStudentId() });
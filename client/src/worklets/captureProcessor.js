@@ -0,0 +1,160 @@
+// Microphone capture, running on the audio rendering thread (see useAudioStream).
+// Browsers capture at whatever rate the device runs (44.1 or 48 kHz, sometimes others)
+// and ignore requests for 16 kHz, so this resamples to the rate the server expects,
+// converts to 16-bit PCM and posts fixed-size frames:
+//   { type: 'frame', pcm: ArrayBuffer }           Int16 mono at targetSampleRate
+//   { type: 'level', rms: number, peak: number }  input level in 0..1, a few times a second
+
+// Resampler quality: zero crossings of the sinc kernel on each side (at the output rate)
+const ZERO_CROSSINGS = 16;
+// Kernel lookup table resolution, in steps per input sample
+const TABLE_RESOLUTION = 128;
+// Cutoff as a fraction of the lower Nyquist rate; a little below 1 keeps aliasing out of the transition band
+const ROLLOFF = 0.92;
+
+/**
+ * Streaming windowed-sinc resampler. Each output sample is the input convolved with a
+ * low-pass kernel centred on its exact (fractional) position in the input, so both
+ * integer ratios (48k -> 16k) and awkward ones (44.1k -> 16k) are filtered before
+ * decimating instead of aliasing.
+ */
+class Resampler {
+    constructor(inputRate, outputRate) {
+        this.step = inputRate / outputRate; // input samples per output sample
+        // Cutoff in cycles per input sample
+        const cutoff = 0.5 * Math.min(1, 1 / this.step) * ROLLOFF;
+        this.halfWidth = Math.ceil(ZERO_CROSSINGS * Math.max(1, this.step));
+
+        // Kaiser-windowed sinc from distance 0 to halfWidth, sampled TABLE_RESOLUTION times per input sample
+        const size = this.halfWidth * TABLE_RESOLUTION + 1;
+        this.table = new Float32Array(size + 1);
+        const beta = 8;
+        const i0Beta = besselI0(beta);
+        for (let i = 0; i < size; i++) {
+            const d = i / TABLE_RESOLUTION;
+            const x = 2 * cutoff * d;
+            const sinc = x === 0 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x);
+            const ratio = d / this.halfWidth;
+            const window = besselI0(beta * Math.sqrt(Math.max(0, 1 - ratio * ratio))) / i0Beta;
+            this.table[i] = 2 * cutoff * sinc * window;
+        }
+
+        // Input samples not yet fully used, and the position of the next output within them
+        this.buffer = new Float32Array(0);
+        this.position = 0;
+    }
+
+    kernel(distance) {
+        const index = Math.abs(distance) * TABLE_RESOLUTION;
+        const i = Math.floor(index);
+        if (i >= this.table.length - 1) return 0;
+        const frac = index - i;
+        return this.table[i] + (this.table[i + 1] - this.table[i]) * frac;
+    }
+
+    /**
+     * @param {Float32Array} input - the next block of input samples
+     * @returns {number[]} every output sample that can now be computed
+     */
+    process(input) {
+        const buffer = new Float32Array(this.buffer.length + input.length);
+        buffer.set(this.buffer);
+        buffer.set(input, this.buffer.length);
+
+        const output = [];
+        // Need halfWidth samples of lookahead past each output position
+        while (this.position + this.halfWidth < buffer.length) {
+            const centre = Math.floor(this.position);
+            const start = Math.max(0, centre - this.halfWidth + 1);
+            const end = centre + this.halfWidth;
+            let sum = 0;
+            for (let k = start; k <= end; k++) {
+                sum += buffer[k] * this.kernel(this.position - k);
+            }
+            output.push(sum);
+            this.position += this.step;
+        }
+
+        // Keep only the history the next outputs still reach back to
+        const keepFrom = Math.max(0, Math.floor(this.position) - this.halfWidth + 1);
+        this.buffer = buffer.slice(keepFrom);
+        this.position -= keepFrom;
+        return output;
+    }
+}
+
+// Zeroth-order modified Bessel function, for the Kaiser window
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const halfX = x / 2;
+    for (let k = 1; k < 32; k++) {
+        term *= (halfX / k) * (halfX / k);
+        sum += term;
+        if (term < sum * 1e-10) break;
+    }
+    return sum;
+}
+
+class CaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const { targetSampleRate = 16000, frameSize = 640, levelIntervalMs = 60 } = options.processorOptions || {};
+
+        // `sampleRate` is the AudioContext's actual rate, whatever was asked for
+        this.resampler = sampleRate === targetSampleRate ? null : new Resampler(sampleRate, targetSampleRate);
+        this.frame = new Int16Array(frameSize);
+        this.frameFill = 0;
+
+        // Level meter: accumulated over levelIntervalMs of input
+        this.levelSamples = Math.round(sampleRate * levelIntervalMs / 1000);
+        this.levelCount = 0;
+        this.levelSumSquares = 0;
+        this.levelPeak = 0;
+    }
+
+    process(inputs) {
+        const channel = inputs[0] && inputs[0][0];
+        // No input yet (or the track ended); keep the node alive
+        if (!channel) return true;
+
+        this.measure(channel);
+
+        const samples = this.resampler ? this.resampler.process(channel) : channel;
+        for (let i = 0; i < samples.length; i++) {
+            const s = Math.max(-1, Math.min(1, samples[i]));
+            this.frame[this.frameFill++] = s < 0 ? s * 0x8000 : s * 0x7FFF;
+
+            if (this.frameFill === this.frame.length) {
+                const pcm = this.frame.buffer;
+                this.port.postMessage({ type: 'frame', pcm }, [pcm]);
+                this.frame = new Int16Array(this.frame.length);
+                this.frameFill = 0;
+            }
+        }
+        return true;
+    }
+
+    measure(channel) {
+        for (let i = 0; i < channel.length; i++) {
+            const s = channel[i];
+            this.levelSumSquares += s * s;
+            const magnitude = Math.abs(s);
+            if (magnitude > this.levelPeak) this.levelPeak = magnitude;
+        }
+        this.levelCount += channel.length;
+
+        if (this.levelCount >= this.levelSamples) {
+            this.port.postMessage({
+                type: 'level',
+                rms: Math.sqrt(this.levelSumSquares / this.levelCount),
+                peak: Math.min(1, this.levelPeak)
+            });
+            this.levelCount = 0;
+            this.levelSumSquares = 0;
+            this.levelPeak = 0;
+        }
+    }
+}
+
+registerProcessor('capture-processor', CaptureProcessor);
@@ -0,0 +1,102 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { compileExpression, MathExpressionError } from '../src/utils/mathExpression.js';
+
+// Shared with the server's answer checker test, so the two parsers read expressions alike
+const corpus = JSON.parse(readFileSync(new URL('./mathExpressionCorpus.json', import.meta.url), 'utf8'));
+
+const close = (actual, expected) => Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(expected));
+
+const rejects = (expression, message, options) => {
+    const result = compileExpression(expression, options);
+    assert.equal(result.ok, false, `${expression} should be rejected`);
+    assert.ok(result.error instanceof MathExpressionError);
+    assert.equal(result.error.name, 'MathExpressionError');
+    assert.equal(result.error.expression, expression);
+    assert.match(result.error.message, message);
+    return result.error;
+};
+
+for (const { expression, x, value } of corpus.valid) {
+    test(`evaluates ${expression}`, () => {
+        const result = compileExpression(expression);
+        assert.ok(result.ok, result.error && result.error.message);
+        const actual = result.evaluate(x);
+        assert.ok(close(actual, value), `${expression} at x = ${x} gave ${actual}, expected ${value}`);
+    });
+}
+
+for (const { expression, why } of corpus.invalid) {
+    test(`rejects ${JSON.stringify(expression)} (${why})`, () => {
+        const result = compileExpression(expression);
+        assert.equal(result.ok, false);
+        assert.ok(result.error instanceof MathExpressionError);
+    });
+}
+
+for (const { expression, name, position } of corpus.unknownNames) {
+    test(`rejects the unknown name in ${expression}`, () => {
+        assert.equal(rejects(expression, new RegExp(`^Unknown name '${name}' at position ${position}$`)).position, position);
+    });
+}
+
+test('reads a paren-less function argument up to the next operator or function', () => {
+    const { ast } = compileExpression('sin 2x');
+    assert.equal(ast.type, 'call');
+    assert.deepEqual(ast.args[0], {
+        type: 'binary',
+        op: '*',
+        left: { type: 'number', value: 2 },
+        right: { type: 'variable', name: 'x' }
+    });
+
+    const product = compileExpression('sin x cos x').ast;
+    assert.equal(product.op, '*');
+    assert.equal(product.left.name, 'sin');
+    assert.equal(product.right.name, 'cos');
+});
+
+test('reports a number juxtaposed with an operand as a missing operator', () => {
+    const error = rejects('2 3', /^Missing operator before 3 at position 2$/);
+    assert.equal(error.position, 2);
+    rejects('x 2', /^Missing operator before 2 at position 2$/);
+    rejects('sin x 2', /^Missing operator before 2 at position 6$/);
+});
+
+test('rejects names from the object prototype', () => {
+    for (const name of ['toString', 'hasOwnProperty', 'valueOf']) {
+        const error = rejects(name, new RegExp(`^Unknown name '${name}' at position 0$`));
+        assert.equal(error.position, 0);
+    }
+    rejects('2constructor(x)', /^Unknown name 'constructor' at position 1$/);
+});
+
+test('knows only the variables it is given', () => {
+    assert.equal(rejects('3y', /^Unknown name 'y' at position 1$/).position, 1);
+    assert.equal(compileExpression('3y', { variables: ['x', 'y'] }).evaluate({ x: 0, y: 2 }), 6);
+});
+
+test('rejects expressions nested too deeply', () => {
+    const depth = 65;
+    rejects(`${'('.repeat(depth)}x${')'.repeat(depth)}`, /^Expression is nested too deeply/);
+    rejects(`${'-'.repeat(depth)}x`, /^Expression is nested too deeply/);
+    rejects(Array.from({ length: depth + 1 }, () => '2').join('^'), /^Expression is nested too deeply/);
+
+    const shallow = 20;
+    assert.ok(compileExpression(`${'('.repeat(shallow)}x${')'.repeat(shallow)}`).ok);
+});
+
+test('rejects expressions that are too long', () => {
+    rejects('x+'.repeat(300) + 'x', /^Expression is longer than 500 characters$/);
+});
+
+test('serializes errors for the board', () => {
+    const { error } = compileExpression('2 +');
+    assert.deepEqual(JSON.parse(JSON.stringify(error)), {
+        name: 'MathExpressionError',
+        message: 'Unexpected end of expression at position 3',
+        expression: '2 +',
+        position: 3
+    });
+});
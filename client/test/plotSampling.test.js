@@ -0,0 +1,145 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { niceStep, niceTicks, formatTick, autoRange, sampleFunction, samplePath, traceContour } from '../src/utils/plotSampling.js';
+
+// `count` + 1 evenly spaced values across a range
+const spaced = ({ min, max }, count) => Array.from({ length: count + 1 }, (_, i) => min + (max - min) * i / count);
+
+test('picks round tick steps', () => {
+    assert.equal(niceStep(10), 1);
+    assert.equal(niceStep(0.7), 0.1);
+    assert.equal(niceStep(37), 5);
+    assert.deepEqual(niceTicks({ min: -6.3, max: 6.3 }), { step: 2, values: [-6, -4, -2, 0, 2, 4, 6] });
+    assert.deepEqual(niceTicks({ min: -1, max: 1 }).values, [-1, -0.8, -0.6, -0.4, -0.2, 0, 0.2, 0.4, 0.6, 0.8, 1]);
+});
+
+test('labels ticks with the decimals the step needs', () => {
+    assert.equal(formatTick(0.30000000000000004, 0.1), '0.3');
+    assert.equal(formatTick(-1e-7, 0.1), '0');
+    assert.equal(formatTick(1500, 500), '1500');
+    assert.equal(formatTick(0.25, 0.05), '0.25');
+});
+
+test('fits the y-range to the curve, not to its asymptotes', () => {
+    const xs = spaced({ min: -6, max: 6 }, 400);
+    const sin = xs.map(Math.sin);
+    const tan = xs.map(Math.tan);
+    assert.deepEqual(autoRange([sin]), { min: -1.2, max: 1.2 });
+    assert.deepEqual(autoRange([tan]), { min: -10, max: 10 });
+    // Each function loses its own outliers, so tan's poles don't flatten sin
+    assert.deepEqual(autoRange([sin, tan]), { min: -10, max: 10 });
+});
+
+test('keeps the axis in view when the curve comes close to it', () => {
+    const above = spaced({ min: -6, max: 6 }, 400).map((x) => x * x + 10);
+    assert.deepEqual(autoRange([above]), { min: 0, max: 50 });
+    assert.deepEqual(autoRange([above], { axisInView: false }), { min: 5, max: 50 });
+});
+
+test('falls back to a default or padded range when there is nothing to fit', () => {
+    assert.deepEqual(autoRange([]), { min: -5, max: 5 });
+    assert.deepEqual(autoRange([[], []]), { min: -5, max: 5 });
+    // A constant still gets a range around it
+    assert.deepEqual(autoRange([[3, 3, 3]]), { min: 1.8, max: 4.2 });
+});
+
+test('breaks a function at its poles and steps', () => {
+    const tan = sampleFunction(Math.tan, { min: -6, max: 6 }, { samples: 400, ySpan: 10 });
+    // Poles at ±π/2 and ±3π/2
+    assert.equal(tan.length, 5);
+    assert.deepEqual(tan[0][0], [-6, Math.tan(-6)]);
+    assert.deepEqual(tan[4].at(-1), [6, Math.tan(6)]);
+
+    const step = sampleFunction((x) => (x < 0 ? -1 : 1), { min: -1, max: 1 }, { samples: 101, ySpan: 4 });
+    assert.equal(step.length, 2);
+    assert.ok(step[0].every(([x]) => x < 0) && step[1].every(([x]) => x > 0));
+
+    assert.equal(sampleFunction((x) => 1 / x, { min: -1, max: 1 }, { samples: 101, ySpan: 10 }).length, 2);
+});
+
+test('does not break a steep but continuous function', () => {
+    const steep = sampleFunction((x) => 100 * x, { min: -1, max: 1 }, { samples: 100, ySpan: 2 });
+    assert.equal(steep.length, 1);
+    assert.equal(steep[0].length, 101);
+});
+
+test('leaves out where a function is undefined', () => {
+    const root = sampleFunction(Math.sqrt, { min: -1, max: 1 }, { samples: 100, ySpan: 2 });
+    assert.equal(root.length, 1);
+    assert.deepEqual(root[0][0], [0, 0]);
+    assert.ok(root[0].every(([x, y]) => x >= 0 && Number.isFinite(y)));
+});
+
+// The smallest box around every point of every piece
+const boundsOf = (pieces) => {
+    const points = pieces.flat();
+    const xs = points.map(([x]) => x);
+    const ys = points.map(([, y]) => y);
+    return { x: [Math.min(...xs), Math.max(...xs)], y: [Math.min(...ys), Math.max(...ys)] };
+};
+
+const near = (actual, expected, tolerance = 1e-9) => {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${actual} should be within ${tolerance} of ${expected}`);
+};
+
+test('traces the unit circle as one closed loop on it', () => {
+    const window = { min: -2, max: 2 };
+    const [loop, ...rest] = traceContour((x, y) => x * x + y * y - 1, window, window, { columns: 40, rows: 40 });
+    assert.equal(rest.length, 0);
+    assert.ok(loop.length > 40);
+    assert.deepEqual(loop[0], loop.at(-1));
+    loop.forEach(([x, y]) => near(Math.hypot(x, y), 1, 1e-3));
+
+    const { x, y } = boundsOf([loop]);
+    x.forEach((value) => near(Math.abs(value), 1, 0.01));
+    y.forEach((value) => near(Math.abs(value), 1, 0.01));
+});
+
+test('traces each branch of an implicit curve separately', () => {
+    const window = { min: -2, max: 2 };
+    // x^2 - y^2 = 1: two branches, one either side of the y-axis
+    const hyperbola = traceContour((x, y) => x * x - y * y - 1, window, window, { columns: 40, rows: 40 });
+    assert.equal(hyperbola.length, 2);
+    assert.ok(hyperbola.some((line) => line.every(([x]) => x > 0.99)));
+    assert.ok(hyperbola.some((line) => line.every(([x]) => x < -0.99)));
+
+    // y = tan x changes sign across its poles, but doesn't cross zero there
+    const tan = traceContour((x, y) => y - Math.tan(x), { min: -3, max: 3 }, { min: -5, max: 5 }, { columns: 60, rows: 60 });
+    assert.equal(tan.length, 3);
+
+    assert.deepEqual(traceContour((x, y) => x * x + y * y + 1, window, window, { columns: 10, rows: 10 }), []);
+});
+
+test('samples a parametric circle as one piece', () => {
+    const circle = samplePath((t) => [Math.cos(t), Math.sin(t)], { min: 0, max: 2 * Math.PI }, { samples: 200, xSpan: 4, ySpan: 4 });
+    assert.equal(circle.length, 1);
+    assert.equal(circle[0].length, 201);
+    assert.deepEqual(circle[0][0], [1, 0]);
+    near(circle[0].at(-1)[0], 1);
+    near(circle[0].at(-1)[1], 0);
+    circle[0].forEach(([x, y]) => near(Math.hypot(x, y), 1));
+});
+
+test('samples the cardioid r = 1 + cos theta within its bounds', () => {
+    const polar = (r) => (theta) => [r(theta) * Math.cos(theta), r(theta) * Math.sin(theta)];
+    const cardioid = samplePath(polar((theta) => 1 + Math.cos(theta)), { min: 0, max: 2 * Math.PI }, { samples: 360, xSpan: 4, ySpan: 4 });
+    assert.equal(cardioid.length, 1);
+    assert.equal(cardioid[0].length, 361);
+
+    // x from -1/4 (at theta = 2π/3) to 2, y within ±3√3/4 (at theta = ±π/3)
+    const { x, y } = boundsOf(cardioid);
+    near(x[0], -0.25);
+    near(x[1], 2);
+    near(y[0], -3 * Math.sqrt(3) / 4);
+    near(y[1], 3 * Math.sqrt(3) / 4);
+});
+
+test('breaks a path where it is undefined', () => {
+    const root = samplePath((t) => (t < 0 ? null : [t, Math.sqrt(t)]), { min: -1, max: 1 }, { samples: 100, xSpan: 2, ySpan: 2 });
+    assert.equal(root.length, 1);
+    assert.deepEqual(root[0][0], [0, 0]);
+
+    // Undefined in the middle: a piece either side
+    const gap = samplePath((t) => (Math.abs(t) < 0.25 ? null : [t, t]), { min: -1, max: 1 }, { samples: 100, xSpan: 2, ySpan: 2 });
+    assert.equal(gap.length, 2);
+});
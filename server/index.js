@@ -19,19 +19,66 @@ const io = new Server(server, {
   }
 });
 
-// Mock AI Service State
-// const { getTriangleLesson } = require('./services/ScriptedScenario');
-const GeminiLiveBridge = require('./services/GeminiLiveBridge');
+// Scripted lessons (offline tutor + "Test Triangle Scenario")
+const { getLesson } = require('./services/ScriptedScenario');
+const TutorSession = require('./services/TutorSession');
+const SessionManager = require('./services/SessionManager');
+const { createTutorBackend, TUTOR_BACKENDS } = require('./services/createTutorBackend');
+const { readImageInput, readVideoFrame } = require('./services/ImageInput');
+const { readStepQuestion } = require('./services/StepQuestion');
+const { readStudentId } = require('./services/LearnerProfile');
+const { sessionConfigHandshake } = require('./services/SessionConfig');
+const { createSessionStore, createProfileStore } = require('./stores');
+const { createSessionsRouter } = require('./routes/sessions');
+const { createProfilesRouter } = require('./routes/profiles');
+const { createStatusRouter } = require('./routes/status');
 require('dotenv').config();
 
+// Lesson history shared by every connection
+const sessionStore = createSessionStore();
+app.use('/api/sessions', createSessionsRouter(sessionStore));
+
+// Learner profiles, keyed by the student id each browser sends when it connects
+const profileStore = createProfileStore();
+app.use('/api/profiles', createProfilesRouter(profileStore));
+
+// TUTOR_BACKEND picks the model behind every session: gemini (default), mock-live or scripted
+const tutorBackend = process.env.TUTOR_BACKEND || 'gemini';
+if (!TUTOR_BACKENDS.includes(tutorBackend)) {
+  throw new Error(`Unknown TUTOR_BACKEND '${tutorBackend}' (expected one of ${TUTOR_BACKENDS.join(', ')})`);
+}
+console.log('Tutor backend:', tutorBackend);
+
+// Camera frames per second accepted from each student (the client sends 1)
+const maxVideoFps = Number(process.env.VIDEO_MAX_FPS) || 2;
+
+// Live tutoring sessions: at most MAX_SESSIONS at once, closed after SESSION_IDLE_MINUTES without student input
+const sessionManager = new SessionManager({
+  maxSessions: Number(process.env.MAX_SESSIONS) || 20,
+  idleTimeoutMs: (Number(process.env.SESSION_IDLE_MINUTES) || 10) * 60 * 1000
+});
+app.use('/status', createStatusRouter(sessionManager, { backend: tutorBackend }));
+
 io.on('connection', (socket) => {
   console.log('User connected:', socket.id);
 
-  // Initialize Gemini Bridge for this user
-  const gemini = new GeminiLiveBridge(socket);
-  gemini.connect();
+  const studentId = readStudentId(socket.handshake.auth);
 
-  socket.emit('status', { status: 'connected', message: 'Gemini Live Ready' });
+  // Settings handshake: the client sends its choices when it connects; anything off the
+  // allow-list means the defaults, and the client is told what the session actually uses
+  const handshake = sessionConfigHandshake(socket.handshake.auth && socket.handshake.auth.settings);
+  if (handshake.error) console.warn('⚠️ Rejected session settings:', handshake.error);
+  const sessionConfig = handshake.config;
+
+  // Initialize the tutor backend for this user, unless the server is already at capacity
+  const tutor = new TutorSession(socket, createTutorBackend(tutorBackend, { sessionConfig }), { sessionStore, maxVideoFps, profileStore, studentId });
+  if (!sessionManager.open(socket, tutor)) {
+    console.warn(`Turning away ${socket.id}: ${sessionManager.size} sessions already active`);
+    socket.emit('status', { status: 'full', message: 'The tutor is busy with other students right now. Please try again in a few minutes.' });
+    socket.disconnect(true);
+    return;
+  }
+  socket.emit('session-config', handshake);
 
   // Handle Audio Stream from Client (PCM)
   let audioChunkCount = 0;
@@ -40,32 +87,108 @@ io.on('connection', (socket) => {
     if (audioChunkCount % 50 === 0) { // Log every 50th chunk to avoid spam
       console.log(`Audio chunks received: ${audioChunkCount} (last size: ${data.byteLength} bytes)`);
     }
-    gemini.sendAudioInput(Buffer.from(data));
+    sessionManager.touch(socket.id);
+    tutor.sendAudioInput(Buffer.from(data));
   });
 
   // Handle Text Input from Client
   socket.on('text-input', (textMessage) => {
     console.log('📝 Text message received:', textMessage);
-    gemini.sendTextInput(textMessage);
+    sessionManager.touch(socket.id);
+    tutor.sendTextInput(textMessage);
+  });
+
+  // Handle camera frames (JPEG, about 1 fps). They don't count as activity for the idle timeout:
+  // a camera left on in an empty room shouldn't keep a Live session open.
+  let rejectedFrames = 0;
+  socket.on('video-frame', (data) => {
+    const input = readVideoFrame(data);
+    if (input.error) {
+      rejectedFrames++;
+      if (rejectedFrames % 50 === 1) console.warn(`⚠️ Rejected camera frame (${rejectedFrames} so far):`, input.error);
+      return;
+    }
+    tutor.sendVideoFrame(input.frame);
   });
 
-  // Handle Manual Benchmark (Legacy simulator)
+  // Handle a photographed problem (downscaled JPEG from the client, optional question)
+  socket.on('image-input', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const input = readImageInput(payload);
+    if (input.error) {
+      console.warn('⚠️ Rejected image input:', input.error);
+      reply({ ok: false, error: input.error });
+      return;
+    }
+
+    console.log(`📷 Image received: ${input.image.mimeType}, ${Math.round(input.image.data.length * 3 / 4 / 1024)} KB`);
+    sessionManager.touch(socket.id);
+    tutor.sendImageInput(input);
+    reply({ ok: true });
+  });
+
+  // Handle a question about one step of a solution on the board (Explain / Alternative / I don't get it)
+  socket.on('step-question', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const input = readStepQuestion(payload);
+    if (input.error) {
+      console.warn('⚠️ Rejected step question:', input.error);
+      reply({ ok: false, error: input.error });
+      return;
+    }
+
+    console.log(`❓ Step question (${input.question.action}) about step ${input.question.stepIndex + 1} of '${input.question.title}'`);
+    sessionManager.touch(socket.id);
+    tutor.sendStepQuestion(input.question);
+    reply({ ok: true });
+  });
+
+  // Handle a typed answer to the open practice problem; the ack says whether it was right
+  socket.on('practice-answer', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    sessionManager.touch(socket.id);
+    reply(tutor.submitPracticeAnswer(payload));
+  });
+
+  // Handle a request for the next hint on the open practice problem
+  socket.on('practice-hint', (payload, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    sessionManager.touch(socket.id);
+    reply(tutor.requestPracticeHint(payload));
+  });
+
+  // Handle Manual Benchmark - plays a scripted lesson by id in either backend
   socket.on('request-benchmark', (type) => {
-    // We can keep this for testing visual-only if needed, or remove.
+    const lesson = getLesson(type);
+    if (lesson) {
+      socket.emit('tutor-response', lesson);
+    } else {
+      socket.emit('status', { message: `No scripted lesson called '${type}'` });
+    }
   });
 
-  // Loopback for local simulation
+  // Loopback for local simulation - drawn immediately by CanvasBoard, bypassing the audio sync queue
   socket.on('simulate-local-visual', (cmd) => {
-    socket.emit('visual-command', cmd);
+    socket.emit('simulate-local-visual', cmd);
   });
 
   socket.on('disconnect', () => {
     console.log('User disconnected');
-    // Clean up Gemini connection if you want
-    // gemini.disconnect();
+    sessionManager.close(socket.id);
   });
 });
 
+// Render (and most hosts) send SIGTERM before stopping the instance: end every Live session first
+const shutdown = (signal) => {
+  console.log(`${signal} received, closing ${sessionManager.size} sessions`);
+  // Don't hang on lesson writes or connections that refuse to finish
+  setTimeout(() => process.exit(0), 5000).unref();
+  // io.close() also closes the HTTP server
+  sessionManager.closeAll().then(() => io.close(() => process.exit(0)));
+};
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
 
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
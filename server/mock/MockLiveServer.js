@@ -0,0 +1,273 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer } = require('ws');
+
+// A local stand-in for the Gemini Live WebSocket API. It accepts the same messages the
+// @google/genai SDK sends (setup, clientContent, realtimeInput, toolResponse) and answers
+// with canned scripts from ./scripts: transcribed speech with synthetic audio, tool calls,
+// and turnComplete. Point the server at it with TUTOR_BACKEND=mock-live.
+//
+// Script steps, played in order for a matching question:
+//   { "say": "text" }                    outputTranscription + a tone lasting as long as the words
+//   { "toolCall": { "name", "args" } }   a function call; the script waits for its toolResponse
+//   { "pauseMs": 500 }                   silence
+//
+// Microphone audio louder than BARGE_IN_RMS while a turn is playing interrupts it, as
+// the real API's voice activity detection does.
+//
+// Sessions that ask for sessionResumption get a new handle after every turn. With
+// `connectionLifetimeMs` set, each connection gets a goAway and is then closed after
+// that long, like the real API's connection time limit, to exercise reconnects.
+//
+// Photos (inlineData image parts) are answered like typed questions, by their text if any.
+//
+// Emits 'setup', 'clientContent', 'realtimeInput' and 'toolResponse' with each decoded
+// client message, so tests can assert on what the bridge sent.
+
+const SCRIPTS_DIR = path.join(__dirname, 'scripts');
+const OUTPUT_SAMPLE_RATE = 24000;  // Live API output: 16-bit mono PCM
+const INPUT_BYTES_PER_SECOND = 16000 * 2;
+const AUDIO_CHUNK_MS = 100;
+const MS_PER_WORD = 300;
+// Audio is streamed faster than real time, as Gemini does
+const CHUNK_INTERVAL_MS = 20;
+// How much microphone audio counts as "the student asked something"
+const VOICE_QUESTION_SECONDS = 1.5;
+// Speech over the tutor that cuts it off (barge-in): this much audio above BARGE_IN_RMS
+const BARGE_IN_SECONDS = 0.3;
+const BARGE_IN_RMS = 0.02;
+const TOOL_RESPONSE_TIMEOUT_MS = 15000;
+// Notice given in goAway before a connection reaches its lifetime
+const GO_AWAY_NOTICE_MS = 1000;
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const loadScripts = (directory) =>
+    fs.readdirSync(directory)
+        .filter((file) => file.endsWith('.json'))
+        .map((file) => JSON.parse(fs.readFileSync(path.join(directory, file), 'utf8')));
+
+// A quiet sine tone, split into base64 chunks like the ones Gemini streams
+const toneChunks = (durationMs, frequency = 220) => {
+    const samplesPerChunk = Math.round(OUTPUT_SAMPLE_RATE * AUDIO_CHUNK_MS / 1000);
+    const totalSamples = Math.round(OUTPUT_SAMPLE_RATE * durationMs / 1000);
+    const chunks = [];
+    for (let start = 0; start < totalSamples; start += samplesPerChunk) {
+        const count = Math.min(samplesPerChunk, totalSamples - start);
+        const pcm = Buffer.alloc(count * 2);
+        for (let i = 0; i < count; i++) {
+            const sample = Math.sin(2 * Math.PI * frequency * (start + i) / OUTPUT_SAMPLE_RATE) * 0.1;
+            pcm.writeInt16LE(Math.round(sample * 32767), i * 2);
+        }
+        chunks.push(pcm.toString('base64'));
+    }
+    return chunks;
+};
+
+// Root-mean-square level of 16-bit PCM, in 0..1
+const rms = (pcm) => {
+    const samples = Math.floor(pcm.length / 2);
+    if (samples === 0) return 0;
+    let sum = 0;
+    for (let i = 0; i < samples; i++) {
+        const s = pcm.readInt16LE(i * 2) / 32768;
+        sum += s * s;
+    }
+    return Math.sqrt(sum / samples);
+};
+
+class MockLiveServer extends EventEmitter {
+    constructor({ scriptsDir = SCRIPTS_DIR, connectionLifetimeMs = null } = {}) {
+        super();
+        this.scripts = loadScripts(scriptsDir);
+        this.connectionLifetimeMs = connectionLifetimeMs;
+        this.wss = null;
+        this.callCounter = 0;
+        this.handleCounter = 0;
+    }
+
+    /**
+     * @param {number} port - 0 picks a free port
+     * @returns {Promise<string>} the base URL to pass as the Live client's baseUrl
+     */
+    start(port = 0) {
+        return new Promise((resolve, reject) => {
+            this.wss = new WebSocketServer({ port });
+            this.wss.once('error', reject);
+            this.wss.once('listening', () => resolve(`http://localhost:${this.wss.address().port}`));
+            this.wss.on('connection', (ws) => this.handleConnection(ws));
+        });
+    }
+
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.wss) return resolve();
+            this.wss.clients.forEach((ws) => ws.terminate());
+            this.wss.close(() => resolve());
+            this.wss = null;
+        });
+    }
+
+    findScript(text) {
+        const words = new Set(text.toLowerCase().split(/[^a-z0-9]+/).filter(Boolean));
+        return this.scripts.find((script) => script.keywords.some((keyword) => words.has(keyword)))
+            || this.scripts.find((script) => script.id === 'default');
+    }
+
+    handleConnection(ws) {
+        // Per-connection state: the turn being played and tool calls waiting for a response
+        const connection = { ws, turn: null, pendingCalls: new Map(), inputBytes: 0, bargeInBytes: 0, resumable: false };
+        const send = (message) => {
+            if (ws.readyState === ws.OPEN) ws.send(JSON.stringify(message));
+        };
+        connection.send = send;
+
+        ws.on('message', (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw.toString());
+            } catch (e) {
+                console.warn('Mock Live: ignoring malformed message', e.message);
+                return;
+            }
+
+            if (message.setup) {
+                this.emit('setup', message.setup);
+                connection.resumable = Boolean(message.setup.sessionResumption);
+                send({ setupComplete: {} });
+                this.scheduleGoAway(connection);
+            }
+            if (message.clientContent) {
+                this.emit('clientContent', message.clientContent);
+                const parts = (message.clientContent.turns || []).flatMap((turn) => turn.parts || []);
+                const text = parts.map((part) => part.text || '').join(' ');
+                // A photo with no question gets the default script, as if it showed the default problem
+                const hasImage = parts.some((part) => part.inlineData && /^image\//.test(part.inlineData.mimeType));
+                if (text.trim() || hasImage) this.startTurn(connection, this.findScript(text));
+            }
+            if (message.realtimeInput) {
+                this.emit('realtimeInput', message.realtimeInput);
+                this.handleAudioInput(connection, message.realtimeInput);
+            }
+            if (message.toolResponse) {
+                this.emit('toolResponse', message.toolResponse);
+                (message.toolResponse.functionResponses || []).forEach((response) => {
+                    const resolve = connection.pendingCalls.get(response.id);
+                    if (resolve) {
+                        connection.pendingCalls.delete(response.id);
+                        resolve(response);
+                    }
+                });
+            }
+        });
+
+        ws.on('close', () => {
+            if (connection.turn) connection.turn.cancelled = true;
+            clearTimeout(connection.goAwayTimer);
+            connection.pendingCalls.forEach((resolve) => resolve(null));
+        });
+    }
+
+    scheduleGoAway(connection) {
+        if (!this.connectionLifetimeMs) return;
+
+        const notice = Math.min(GO_AWAY_NOTICE_MS, this.connectionLifetimeMs);
+        connection.goAwayTimer = setTimeout(() => {
+            connection.send({ goAway: { timeLeft: `${notice / 1000}s` } });
+            connection.goAwayTimer = setTimeout(() => connection.ws.close(1000, 'Connection lifetime reached'), notice);
+        }, this.connectionLifetimeMs - notice);
+    }
+
+    // Treats every VOICE_QUESTION_SECONDS of microphone audio as one spoken question,
+    // and loud audio during a turn as the student talking over the tutor
+    handleAudioInput(connection, realtimeInput) {
+        const chunks = realtimeInput.audio ? [realtimeInput.audio] : (realtimeInput.mediaChunks || []);
+        chunks.forEach((chunk) => {
+            if (!chunk.data) return;
+            const pcm = Buffer.from(chunk.data, 'base64');
+            connection.inputBytes += pcm.length;
+            if (connection.turn && rms(pcm) > BARGE_IN_RMS) connection.bargeInBytes += pcm.length;
+        });
+
+        if (connection.turn && connection.bargeInBytes >= BARGE_IN_SECONDS * INPUT_BYTES_PER_SECOND) {
+            this.interruptTurn(connection);
+            // What they say next is the new question
+            connection.inputBytes = 0;
+            return;
+        }
+
+        if (connection.inputBytes < VOICE_QUESTION_SECONDS * INPUT_BYTES_PER_SECOND || connection.turn) return;
+        connection.inputBytes = 0;
+        connection.send({ serverContent: { inputTranscription: { text: 'Can you explain this?' } } });
+        this.startTurn(connection, this.findScript(''));
+    }
+
+    interruptTurn(connection) {
+        connection.turn.cancelled = true;
+        connection.turn = null;
+        connection.bargeInBytes = 0;
+        connection.pendingCalls.forEach((resolve) => resolve(null));
+        connection.send({ serverContent: { interrupted: true } });
+    }
+
+    // A new question cuts off the turn in progress, as barge-in does on the real API
+    startTurn(connection, script) {
+        if (connection.turn) this.interruptTurn(connection);
+        const turn = { cancelled: false };
+        connection.turn = turn;
+        connection.bargeInBytes = 0;
+
+        this.playScript(connection, turn, script)
+            .catch((e) => console.warn('Mock Live: script failed:', e.message))
+            .finally(() => {
+                if (connection.turn === turn) connection.turn = null;
+            });
+    }
+
+    async playScript(connection, turn, script) {
+        const { send } = connection;
+
+        for (const step of script.steps) {
+            if (turn.cancelled) return;
+
+            if (step.say) {
+                send({ serverContent: { outputTranscription: { text: step.say + ' ' } } });
+                const words = step.say.split(/\s+/).length;
+                for (const data of toneChunks(words * MS_PER_WORD)) {
+                    if (turn.cancelled) return;
+                    send({ serverContent: { modelTurn: { parts: [{ inlineData: { mimeType: `audio/pcm;rate=${OUTPUT_SAMPLE_RATE}`, data } }] } } });
+                    await delay(CHUNK_INTERVAL_MS);
+                }
+            }
+
+            if (step.toolCall) {
+                const id = `mock-call-${++this.callCounter}`;
+                let timer;
+                // Resolves with the function response, or null on timeout / disconnect
+                const answered = await new Promise((resolve) => {
+                    connection.pendingCalls.set(id, resolve);
+                    timer = setTimeout(() => resolve(null), TOOL_RESPONSE_TIMEOUT_MS);
+                    send({ toolCall: { functionCalls: [{ id, name: step.toolCall.name, args: step.toolCall.args }] } });
+                });
+                clearTimeout(timer);
+                connection.pendingCalls.delete(id);
+                if (!answered && !turn.cancelled) {
+                    console.warn('Mock Live: no tool response for', step.toolCall.name);
+                }
+            }
+
+            if (step.pauseMs) {
+                await delay(step.pauseMs);
+            }
+        }
+
+        if (turn.cancelled) return;
+        send({ serverContent: { turnComplete: true } });
+        if (connection.resumable) {
+            send({ sessionResumptionUpdate: { newHandle: `mock-handle-${++this.handleCounter}`, resumable: true } });
+        }
+    }
+}
+
+module.exports = MockLiveServer;
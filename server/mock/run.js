@@ -0,0 +1,20 @@
+// Runs the mock Live server on its own: `npm run mock-live`, then start the
+// tutor server with TUTOR_BACKEND=mock-live.
+const MockLiveServer = require('./MockLiveServer');
+
+const PORT = Number(process.env.MOCK_LIVE_PORT) || 9002;
+// e.g. MOCK_LIVE_LIFETIME_MS=20000 drops every connection after 20 s to exercise reconnects
+const LIFETIME_MS = Number(process.env.MOCK_LIVE_LIFETIME_MS) || null;
+
+const mock = new MockLiveServer({ connectionLifetimeMs: LIFETIME_MS });
+mock.on('setup', (setup) => {
+  const handle = setup.sessionResumption && setup.sessionResumption.handle;
+  console.log('Mock Live session opened for', setup.model, handle ? `(resuming ${handle})` : '');
+});
+mock.on('toolResponse', (toolResponse) => console.log('Tool response:', JSON.stringify(toolResponse.functionResponses)));
+
+mock.start(PORT).then((url) => {
+  console.log(`Mock Live server running at ${url} (${mock.scripts.length} scripts)`);
+});
+
+process.on('SIGINT', () => mock.stop().then(() => process.exit(0)));
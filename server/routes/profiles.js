@@ -0,0 +1,43 @@
+const express = require('express');
+const { topicStandings } = require('../services/LearnerProfile');
+const { requireStudent } = require('./requireStudent');
+
+// REST routes for a student's learner profile, keyed by the id their browser keeps. A request
+// must name the same student in its X-Student-Id header (see requireStudent); anyone else's
+// profile is reported as not found, as in the lesson history routes.
+const createProfilesRouter = (profileStore) => {
+    const router = express.Router();
+
+    router.use(requireStudent);
+
+    const isOwnProfile = (req) => req.params.studentId === req.studentId;
+
+    // The profile with each topic's standing worked out, for the progress dashboard
+    router.get('/:studentId', async (req, res) => {
+        try {
+            if (!isOwnProfile(req)) return res.status(404).json({ error: 'Profile not found' });
+            const profile = await profileStore.getProfile(req.params.studentId);
+            if (!profile) return res.status(404).json({ error: 'Profile not found' });
+            res.json({ ...profile, topics: topicStandings(profile) });
+        } catch (error) {
+            console.error('Failed to load profile:', error);
+            res.status(500).json({ error: 'Failed to load profile' });
+        }
+    });
+
+    router.delete('/:studentId', async (req, res) => {
+        try {
+            if (!isOwnProfile(req)) return res.status(404).json({ error: 'Profile not found' });
+            const deleted = await profileStore.deleteProfile(req.params.studentId);
+            if (!deleted) return res.status(404).json({ error: 'Profile not found' });
+            res.status(204).end();
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            res.status(500).json({ error: 'Failed to delete profile' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createProfilesRouter };
@@ -0,0 +1,13 @@
+const { isStudentId } = require('../services/LearnerProfile');
+
+// Middleware for routes that only show a student their own data: the request names its
+// student in the X-Student-Id header (the id their browser keeps, see LearnerProfile),
+// which is put on req.studentId
+const requireStudent = (req, res, next) => {
+    const studentId = req.get('X-Student-Id');
+    if (!isStudentId(studentId)) return res.status(400).json({ error: 'X-Student-Id header missing or invalid' });
+    req.studentId = studentId;
+    next();
+};
+
+module.exports = { requireStudent };
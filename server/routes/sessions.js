@@ -0,0 +1,70 @@
+const express = require('express');
+const { requireStudent } = require('./requireStudent');
+
+// REST routes for browsing lesson history. Every request names its student (see
+// requireStudent) and only sees that student's lessons; someone else's lesson is reported
+// as not found rather than forbidden, so its id can't be probed.
+const createSessionsRouter = (sessionStore) => {
+    const router = express.Router();
+
+    router.use(requireStudent);
+
+    // Whether the lesson exists and belongs to the student making the request
+    const ownsLesson = async (req) => {
+        const summary = await sessionStore.getSummary(req.params.id);
+        return Boolean(summary) && summary.studentId === req.studentId;
+    };
+
+    // List the student's past lessons (summaries only), newest first
+    router.get('/', async (req, res) => {
+        try {
+            const sessions = await sessionStore.listSessions();
+            res.json(sessions.filter((summary) => summary.studentId === req.studentId));
+        } catch (error) {
+            console.error('Failed to list sessions:', error);
+            res.status(500).json({ error: 'Failed to list sessions' });
+        }
+    });
+
+    // Fetch one lesson with all of its recorded events
+    router.get('/:id', async (req, res) => {
+        try {
+            if (!(await ownsLesson(req))) return res.status(404).json({ error: 'Session not found' });
+            const session = await sessionStore.getSession(req.params.id);
+            if (!session) return res.status(404).json({ error: 'Session not found' });
+            res.json(session);
+        } catch (error) {
+            console.error('Failed to load session:', error);
+            res.status(500).json({ error: 'Failed to load session' });
+        }
+    });
+
+    // Fetch the audio/visual timeline used to replay a lesson
+    router.get('/:id/recording', async (req, res) => {
+        try {
+            if (!(await ownsLesson(req))) return res.status(404).json({ error: 'Session not found' });
+            const recording = await sessionStore.getRecording(req.params.id);
+            if (!recording) return res.status(404).json({ error: 'Session not found' });
+            res.json(recording);
+        } catch (error) {
+            console.error('Failed to load recording:', error);
+            res.status(500).json({ error: 'Failed to load recording' });
+        }
+    });
+
+    router.delete('/:id', async (req, res) => {
+        try {
+            if (!(await ownsLesson(req))) return res.status(404).json({ error: 'Session not found' });
+            const deleted = await sessionStore.deleteSession(req.params.id);
+            if (!deleted) return res.status(404).json({ error: 'Session not found' });
+            res.status(204).end();
+        } catch (error) {
+            console.error('Failed to delete session:', error);
+            res.status(500).json({ error: 'Failed to delete session' });
+        }
+    });
+
+    return router;
+};
+
+module.exports = { createSessionsRouter };
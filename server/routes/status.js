@@ -0,0 +1,24 @@
+const express = require('express');
+
+// Health and load report for monitoring (e.g. Render's health check)
+const createStatusRouter = (sessionManager, { backend }) => {
+    const router = express.Router();
+
+    router.get('/', (req, res) => {
+        const memory = process.memoryUsage();
+        res.json({
+            status: 'ok',
+            backend: backend,
+            uptimeSeconds: Math.round(process.uptime()),
+            sessions: sessionManager.stats(),
+            memoryMb: {
+                rss: Math.round(memory.rss / 1024 / 1024),
+                heapUsed: Math.round(memory.heapUsed / 1024 / 1024)
+            }
+        });
+    });
+
+    return router;
+};
+
+module.exports = { createStatusRouter };
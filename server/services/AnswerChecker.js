@@ -0,0 +1,493 @@
+// Checks a student's answer against the expected one by value rather than by text, so
+// "x = 5", "5", "10/2" and "\frac{10}{2}" are all accepted for 5, and "2(x + 1)" for "2x + 2".
+//
+// An answer is a number or expression, a variable given a value ("x = 5"), an equation
+// ("y = 2x + 1", accepted however it is rearranged), or several of these ("x = 3 or x = -1",
+// "3, -1", "1 ± 2"). Plain text, LaTeX and the usual Unicode symbols are all read.
+// Expressions are compared numerically at random points: two that agree everywhere are
+// the same answer. Nothing is ever passed to eval (see also the client's mathExpression.js).
+
+const MAX_ANSWER_LENGTH = 300;
+const MAX_DEPTH = 32;
+// Points each comparison is evaluated at, and how many must be defined for a verdict
+const SAMPLE_POINTS = 12;
+const MIN_DEFINED_POINTS = 4;
+const RELATIVE_TOLERANCE = 1e-6;
+// A decimal with at least this many places is accepted when it's the answer rounded (0.33 for 1/3)
+const MIN_ROUNDED_PLACES = 2;
+// Expected values that terminate within this many decimal places (0.25, 1/8) must be given exactly
+const MAX_EXACT_PLACES = 8;
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const FUNCTIONS = {
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    sec: (x) => 1 / Math.cos(x),
+    csc: (x) => 1 / Math.sin(x),
+    cot: (x) => 1 / Math.tan(x),
+    arcsin: Math.asin,
+    arccos: Math.acos,
+    arctan: Math.atan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    exp: Math.exp,
+    ln: Math.log,
+    log: Math.log10,
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs
+};
+
+// Longest first, so "sinh" isn't read as "sin h"
+const KNOWN_NAMES = [...Object.keys(FUNCTIONS), ...Object.keys(CONSTANTS)].sort((a, b) => b.length - a.length);
+
+const UNICODE = { 'π': 'pi', '×': '*', '·': '*', '÷': '/', '−': '-', '–': '-', '²': '^2', '³': '^3', '√': 'sqrt ' };
+
+// Reads the argument of a LaTeX command at `index`: a {group}, or else a single character
+const readGroup = (text, index) => {
+    let i = index;
+    while (text[i] === ' ') i++;
+    if (text[i] !== '{') return { content: text[i] || '', end: i + 1 };
+    let depth = 0;
+    for (let j = i; j < text.length; j++) {
+        if (text[j] === '{') depth++;
+        if (text[j] === '}' && --depth === 0) return { content: text.slice(i + 1, j), end: j + 1 };
+    }
+    throw new Error("A '{' is never closed");
+};
+
+// Rewrites every `\command{a}{b}...` with `build(args)`, innermost ones on later passes
+const replaceCommand = (text, pattern, argCount, build, optional = false) => {
+    let result = text;
+    for (let match = pattern.exec(result); match; match = pattern.exec(result)) {
+        let end = match.index + match[0].length;
+        let option = null;
+        if (optional && result[end] === '[') {
+            const close = result.indexOf(']', end);
+            if (close === -1) throw new Error("A '[' is never closed");
+            option = result.slice(end + 1, close);
+            end = close + 1;
+        }
+        const args = [];
+        for (let k = 0; k < argCount; k++) {
+            const group = readGroup(result, end);
+            args.push(group.content);
+            end = group.end;
+        }
+        result = result.slice(0, match.index) + build(args, option) + result.slice(end);
+    }
+    return result;
+};
+
+// LaTeX and Unicode to the plain syntax the parser reads
+const normalize = (answer) => {
+    let text = answer
+        .replace(/\\pm/g, '±')
+        .replace(/[π×·÷−–²³√]/g, (ch) => UNICODE[ch])
+        .replace(/\$/g, ' ')
+        .replace(/\\[()[\]]/g, ' ')
+        .replace(/\\[{}]/g, ' ')
+        .replace(/\\(left|right|displaystyle)\b/g, ' ')
+        .replace(/\\[,;:! ]/g, ' ')
+        // Degrees are just the number
+        .replace(/\^\s*\{?\s*\\circ\s*\}?|°/g, '');
+
+    text = replaceCommand(text, /\\[dt]?frac/, 2, ([a, b]) => `((${a})/(${b}))`);
+    text = replaceCommand(text, /\\sqrt/, 1, ([a], n) => (n ? `((${a})^(1/(${n})))` : `sqrt(${a})`), true);
+
+    return text
+        .replace(/\\(cdot|times|ast)\b/g, '*')
+        .replace(/\\div\b/g, '/')
+        .replace(/\\([a-zA-Z]+)/g, ' $1 ')
+        .replace(/\{/g, '(')
+        .replace(/\}/g, ')');
+};
+
+const tokenize = (source) => {
+    const tokens = [];
+    let i = 0;
+    while (i < source.length) {
+        const rest = source.slice(i);
+        if (/^\s/.test(rest)) {
+            i++;
+            continue;
+        }
+        const number = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/.exec(rest);
+        if (number) {
+            tokens.push({ type: 'number', value: parseFloat(number[0]) });
+            i += number[0].length;
+            continue;
+        }
+        const name = /^[a-zA-Z]+/.exec(rest);
+        if (name) {
+            tokens.push(...splitName(name[0]));
+            i += name[0].length;
+            continue;
+        }
+        if ('+-*/^()|'.includes(source[i])) {
+            tokens.push({ type: 'op', value: source[i] });
+            i++;
+            continue;
+        }
+        throw new Error(`Unexpected '${source[i]}'`);
+    }
+    tokens.push({ type: 'end' });
+    return tokens;
+};
+
+// "sinx" -> sin, x; "pir" -> pi, r; "xy" -> x, y. Any other letter is a variable.
+const splitName = (name) => {
+    const tokens = [];
+    let rest = name;
+    while (rest) {
+        const lower = rest.toLowerCase();
+        const known = KNOWN_NAMES.find((k) => lower.startsWith(k));
+        if (known) {
+            tokens.push({ type: known in FUNCTIONS ? 'function' : 'constant', value: known });
+            rest = rest.slice(known.length);
+        } else {
+            tokens.push({ type: 'variable', value: rest[0] });
+            rest = rest.slice(1);
+        }
+    }
+    return tokens;
+};
+
+// Recursive descent with the same grammar as the client's parser (both are tested against
+// client/test/mathExpressionCorpus.json): implicit multiplication (2x, (x+1)(x-1)) but never
+// before a number ("2 3" is an error), right-associative ^, -x^2 = -(x^2), and sin 2x = sin(2x)
+const parse = (source) => {
+    const tokens = tokenize(source);
+    let index = 0;
+    let depth = 0;
+    const peek = () => tokens[index];
+    const isOp = (value) => peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) throw new Error(`Expected '${value}'`);
+        index++;
+    };
+
+    const additive = () => {
+        let left = multiplicative();
+        while (isOp('+') || isOp('-')) {
+            const op = tokens[index++].value;
+            left = { type: 'binary', op, left, right: multiplicative() };
+        }
+        return left;
+    };
+    const startsOperand = () => ['number', 'variable', 'constant', 'function'].includes(peek().type) || isOp('(');
+    const multiplicative = () => {
+        let left = unary();
+        for (;;) {
+            if (isOp('*') || isOp('/')) {
+                const op = tokens[index++].value;
+                left = { type: 'binary', op, left, right: unary() };
+            } else if (startsOperand()) {
+                left = { type: 'binary', op: '*', left, right: implicitOperand() };
+            } else {
+                return left;
+            }
+        }
+    };
+    // "2 3" is more likely a typo than 6
+    const implicitOperand = () => {
+        if (peek().type === 'number') throw new Error(`Missing operator before ${peek().value}`);
+        return power();
+    };
+    const unary = () => {
+        if (isOp('-') || isOp('+')) {
+            const op = tokens[index++].value;
+            const argument = unary();
+            return op === '-' ? { type: 'negate', argument } : argument;
+        }
+        return power();
+    };
+    const power = () => {
+        const base = primary();
+        if (isOp('^')) {
+            index++;
+            return { type: 'binary', op: '^', left: base, right: unary() };
+        }
+        return base;
+    };
+    const primary = () => {
+        if (++depth > MAX_DEPTH) throw new Error('The answer is nested too deeply');
+        try {
+            const token = tokens[index++];
+            if (token.type === 'number') return { type: 'number', value: token.value };
+            if (token.type === 'constant') return { type: 'number', value: CONSTANTS[token.value] };
+            if (token.type === 'variable') return { type: 'variable', name: token.value };
+            if (token.type === 'function') {
+                // sin^2 x is (sin x)^2
+                let exponent = null;
+                if (isOp('^')) {
+                    index++;
+                    exponent = primary();
+                }
+                // sin x and sqrt 2 work without parentheses; the argument runs on to the next
+                // operator or function, so sin 2x = sin(2x) and sin x cos x = sin(x)cos(x)
+                let argument;
+                if (isOp('(')) {
+                    argument = primary();
+                } else {
+                    argument = power();
+                    while (startsOperand() && peek().type !== 'function') {
+                        argument = { type: 'binary', op: '*', left: argument, right: implicitOperand() };
+                    }
+                }
+                const call = { type: 'call', name: token.value, argument };
+                return exponent ? { type: 'binary', op: '^', left: call, right: exponent } : call;
+            }
+            if (token.type === 'op' && token.value === '(') {
+                const inner = additive();
+                expect(')');
+                return inner;
+            }
+            if (token.type === 'op' && token.value === '|') {
+                const inner = additive();
+                expect('|');
+                return { type: 'call', name: 'abs', argument: inner };
+            }
+            throw new Error(token.type === 'end' ? 'The answer ends too soon' : `Unexpected '${token.value}'`);
+        } finally {
+            depth--;
+        }
+    };
+
+    const ast = additive();
+    if (peek().type !== 'end') throw new Error(`Unexpected '${peek().value}'`);
+    return ast;
+};
+
+const evaluate = (node, scope) => {
+    switch (node.type) {
+        case 'number': return node.value;
+        case 'variable': return scope[node.name];
+        case 'negate': return -evaluate(node.argument, scope);
+        case 'call': return FUNCTIONS[node.name](evaluate(node.argument, scope));
+        default: {
+            const left = evaluate(node.left, scope);
+            const right = evaluate(node.right, scope);
+            switch (node.op) {
+                case '+': return left + right;
+                case '-': return left - right;
+                case '*': return left * right;
+                case '/': return left / right;
+                default: return Math.pow(left, right);
+            }
+        }
+    }
+};
+
+/**
+ * Parses one expression the way answers are read. The tests hold it to the same corpus as the
+ * client's parser.
+ * @param {string} text
+ * @returns {(scope: object) => number} its value for given values of its variables
+ */
+const readExpression = (text) => {
+    const ast = parse(normalize(text));
+    return (scope) => evaluate(ast, scope);
+};
+
+const variablesOf = (node, names = new Set()) => {
+    if (node.type === 'variable') names.add(node.name);
+    if (node.argument) variablesOf(node.argument, names);
+    if (node.left) {
+        variablesOf(node.left, names);
+        variablesOf(node.right, names);
+    }
+    return names;
+};
+
+const difference = (left, right) => ({ type: 'binary', op: '-', left, right });
+
+// Splits on top-level commas, semicolons, "or" and "and": "x = 3 or x = -1", "3, -1"
+const splitItems = (text) => {
+    const items = [];
+    let depth = 0;
+    let start = 0;
+    const marked = text.replace(/\b(or|and)\b/gi, ';');
+    for (let i = 0; i < marked.length; i++) {
+        const ch = marked[i];
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if ((ch === ',' || ch === ';') && depth === 0) {
+            items.push(marked.slice(start, i));
+            start = i + 1;
+        }
+    }
+    items.push(marked.slice(start));
+    return items.map((item) => item.trim()).filter(Boolean);
+};
+
+// One answer: { value, label?, places? } for a value (of `label`, if given as "x = 5"),
+// or { equation } for a relation, held as left - right
+const readItem = (text) => {
+    const sides = text.split('=').map((side) => side.trim());
+    if (sides.some((side) => !side)) throw new Error(`'${text}' has an empty side`);
+
+    const value = (side) => {
+        const decimals = /^-?\d*\.(\d+)$/.exec(side);
+        return { value: parse(side), places: decimals ? decimals[1].length : null };
+    };
+    if (sides.length === 1) return value(sides[0]);
+
+    // "x = 5" (or "x = 10/2 = 5": the last side is the answer)
+    const lone = /^[a-zA-Z]$/.test(sides[0]) ? sides[0] : null;
+    const last = sides[sides.length - 1];
+    if (lone && !variablesOf(parse(last)).has(lone)) return { ...value(last), label: lone };
+    if (sides.length === 2 && /^[a-zA-Z]$/.test(last) && !variablesOf(parse(sides[0])).has(last)) {
+        return { ...value(sides[0]), label: last };
+    }
+    if (sides.length > 2) throw new Error('Use one = per answer');
+    return { equation: difference(parse(sides[0]), parse(sides[1])) };
+};
+
+/**
+ * Reads an answer into the values or equations it gives.
+ * @param {string} answer
+ * @returns {{ items: object[] } | { error: string }}
+ */
+const readAnswer = (answer) => {
+    const text = typeof answer === 'string' ? answer.trim() : '';
+    if (!text) return { error: 'The answer is empty' };
+    if (text.length > MAX_ANSWER_LENGTH) return { error: `The answer is too long (limit ${MAX_ANSWER_LENGTH} characters)` };
+
+    try {
+        const items = splitItems(normalize(text)).flatMap((item) => {
+            // 1 ± 2 is two answers
+            const parts = item.split('±');
+            if (parts.length > 2) throw new Error('Use one ± per answer');
+            return parts.length === 1 ? [item] : [`${parts[0]}+${parts[1]}`, `${parts[0]}-(${parts[1]})`];
+        }).map(readItem);
+        if (items.length === 0) return { error: 'The answer is empty' };
+        return { items };
+    } catch (error) {
+        return { error: `Couldn't read '${text}': ${error.message}` };
+    }
+};
+
+// Sample scopes, the same for both sides of a comparison; slightly irrational so special points are unlikely
+const samplePoints = (names) => Array.from({ length: SAMPLE_POINTS }, (_, k) => {
+    const scope = {};
+    names.forEach((name, j) => {
+        scope[name] = -2.7 + ((k * 0.618034 + j * 0.414214) % 1) * 5.4 + 0.001 * (j + 1);
+    });
+    return scope;
+});
+
+const close = (a, b, absolute = 0) => Math.abs(a - b) <= Math.max(absolute, RELATIVE_TOLERANCE * Math.max(1, Math.abs(a), Math.abs(b)));
+
+// Whether a value has a short exact decimal (0.25, 1/8, 5) rather than an endless one (1/3, 2π, √2)
+const terminates = (value) => {
+    for (let places = 0; places <= MAX_EXACT_PLACES; places++) {
+        const scaled = value * 10 ** places;
+        // Beyond this the float can't tell
+        if (Math.abs(scaled) > 1e9) return false;
+        if (Math.abs(scaled - Math.round(scaled)) <= 1e-6) return true;
+    }
+    return false;
+};
+
+// How far the student's decimal may be from the expected value: half a unit in its last place,
+// when the expected value has no exact decimal to give instead (0.33 or 0.333 for 1/3, 6.28 for 2π).
+// A value that does terminate (0.25) has to be given exactly, so 0.254 and 0.3 are wrong for it.
+const roundingOf = (expectedValue, submitted) => (
+    submitted.places >= MIN_ROUNDED_PLACES && !terminates(expectedValue) ? 0.5 * 10 ** -submitted.places + 1e-12 : 0
+);
+
+// Same value everywhere both are defined (and defined in the same places)
+const sameValue = (expected, submitted) => {
+    const names = [...new Set([...variablesOf(expected.value), ...variablesOf(submitted.value)])];
+    if (names.length === 0) {
+        const a = evaluate(expected.value, {});
+        const b = evaluate(submitted.value, {});
+        return Number.isFinite(a) && Number.isFinite(b) && close(a, b, roundingOf(a, submitted));
+    }
+
+    let defined = 0;
+    for (const scope of samplePoints(names)) {
+        const a = evaluate(expected.value, scope);
+        const b = evaluate(submitted.value, scope);
+        if (Number.isFinite(a) !== Number.isFinite(b)) return false;
+        if (!Number.isFinite(a)) continue;
+        if (!close(a, b)) return false;
+        defined++;
+    }
+    return defined >= MIN_DEFINED_POINTS;
+};
+
+// The same relation: one side's (left - right) is a non-zero constant times the other's
+const sameEquation = (expected, submitted) => {
+    const names = [...new Set([...variablesOf(expected), ...variablesOf(submitted)])];
+    let ratio = null;
+    let defined = 0;
+    for (const scope of samplePoints(names)) {
+        const a = evaluate(expected, scope);
+        const b = evaluate(submitted, scope);
+        if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+        if (close(a, 0)) {
+            if (!close(b, 0)) return false;
+            continue;
+        }
+        const r = b / a;
+        if (close(r, 0)) return false;
+        if (ratio === null) ratio = r;
+        else if (!close(r, ratio)) return false;
+        defined++;
+    }
+    return defined >= MIN_DEFINED_POINTS;
+};
+
+const asEquation = (item) => item.equation || difference({ type: 'variable', name: item.label }, item.value);
+
+const matches = (expected, submitted) => {
+    if (expected.equation || submitted.equation) {
+        // "x = 5" is a solution: "2x = 10" hasn't finished solving it. "y = 2x + 1" is a relation, which any rearrangement gives.
+        const isSolution = (item) => item.label && variablesOf(item.value).size === 0;
+        if (isSolution(expected) || isSolution(submitted)) return false;
+        if (!expected.equation && !expected.label) return false;
+        if (!submitted.equation && !submitted.label) return false;
+        return sameEquation(asEquation(expected), asEquation(submitted));
+    }
+    if (expected.label && submitted.label && expected.label !== submitted.label) return false;
+    return sameValue(expected, submitted);
+};
+
+/**
+ * @param {string} submitted - the student's answer
+ * @param {string} expected - the answer it should equal
+ * @returns {{ correct: boolean, message: string } | { error: string }} error when the student's answer can't be read
+ */
+const checkAnswer = (submitted, expected) => {
+    const answer = readAnswer(submitted);
+    if (answer.error) return { error: answer.error };
+    const target = readAnswer(expected);
+    if (target.error) return { error: `The expected answer can't be read: ${target.error}` };
+
+    // Each expected answer needs its own submitted one, in any order
+    const unused = [...answer.items];
+    let found = 0;
+    for (const item of target.items) {
+        const index = unused.findIndex((candidate) => matches(item, candidate));
+        if (index !== -1) {
+            unused.splice(index, 1);
+            found++;
+        }
+    }
+
+    const total = target.items.length;
+    if (found === total && unused.length === 0) return { correct: true, message: 'Correct' };
+    if (found > 0 && unused.length === 0) return { correct: false, message: `Only ${found} of the ${total} answers` };
+    if (found === total) return { correct: false, message: `All ${total} answers are there, but so is something extra` };
+    return { correct: false, message: 'Not equal to the expected answer' };
+};
+
+module.exports = { checkAnswer, readAnswer, readExpression };
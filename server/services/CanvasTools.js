@@ -0,0 +1,880 @@
+// Tool declarations exposed to Gemini and the validation that turns their
+// arguments into the visual commands understood by the client's CanvasBoard.
+
+// The whiteboard canvas is 800x600 pixels with the origin at the top-left.
+const CANVAS_WIDTH = 800;
+const CANVAS_HEIGHT = 600;
+
+const SHAPES = ['triangle', 'polygon', 'circle'];
+const MAX_EXPRESSION_LENGTH = 200;
+// Limits for one graph
+const MAX_GRAPH_FUNCTIONS = 6;
+const MAX_GRAPH_POINTS = 12;
+const MAX_GRAPH_SHADES = 4;
+const EXPRESSION_PATTERN = /^[0-9a-zA-Z_+\-*/^().,|\s]+$/;
+// draw_on_canvas kinds that plot on axes, and the client command each becomes
+const CURVE_KINDS = { parametric: 'DRAW_PARAMETRIC', polar: 'DRAW_POLAR', implicit: 'DRAW_IMPLICIT' };
+const COLOR_PATTERN = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+// update_board: the board keeps objects by id (client/src/utils/sceneGraph.js)
+const SCENE_OPS = ['add', 'update', 'remove', 'clear'];
+const SCENE_TYPES = ['axes', 'curve', 'parametric', 'polar', 'implicit', 'region', 'point', 'polygon', 'segment', 'line', 'circle', 'arc', 'angle', 'text', 'latex'];
+const ID_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,39}$/;
+const MAX_SCENE_ACTIONS = 30;
+const MAX_SCENE_POINTS = 50;
+const MAX_SCENE_TEXT_LENGTH = 300;
+// Most equal-side ticks on one side
+const MAX_TICKS = 3;
+
+// draw_geometry: named points in math coordinates, and what is constructed from them
+const GEOMETRY_KINDS = ['segment', 'ray', 'line', 'polygon', 'circle', 'arc', 'angle', 'right_angle', 'perpendicular', 'parallel'];
+const POINT_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9']{0,5}$/;
+const MAX_GEOMETRY_POINTS = 26;
+const MAX_GEOMETRY_ELEMENTS = 30;
+
+const POINT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        x: { type: "NUMBER" },
+        y: { type: "NUMBER" }
+    },
+    required: ["x", "y"]
+};
+
+const INTERVAL_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        min: { type: "NUMBER" },
+        max: { type: "NUMBER" }
+    },
+    required: ["min", "max"]
+};
+
+// What the learner profile files an explanation or practice problem under
+const TOPIC_SCHEMA = {
+    type: "STRING",
+    description: "Optional: the broad topic, e.g. 'Linear equations' or 'Chain rule', for tracking the student's progress. " +
+        "Use the same name each time for the same topic."
+};
+
+const SCENE_ACTION_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        op: { type: "STRING", enum: SCENE_OPS, description: "add (or replace) an object, update some of its properties, remove it, or clear the whole board." },
+        id: { type: "STRING", description: "The object's id, e.g. 'f', 'tangent', 'P'. Required for update and remove; for add, one is made up if left out." },
+        type: { type: "STRING", enum: SCENE_TYPES, description: "add only. What kind of object it is." },
+        axes: { type: "STRING", description: "Id of an axes object. Curves of every kind are drawn on axes; points, polygons, circles and text given axes use its math coordinates instead of canvas pixels." },
+        xRange: { ...INTERVAL_SCHEMA, description: "Axes only. Optional x interval shown; fitted to parametric and polar curves and points on the axes if left out." },
+        yRange: { ...INTERVAL_SCHEMA, description: "Axes only. Optional y interval shown; fitted to what is drawn on the axes if left out." },
+        grid: { type: "BOOLEAN", description: "Axes only. Draw grid lines at the ticks (default true)." },
+        equal: { type: "BOOLEAN", description: "Axes only. Use the same scale on both axes, widening one range if needed, so circles look round." },
+        hidden: { type: "BOOLEAN", description: "Axes only. Draw no axes, just use their coordinates, e.g. for a geometry figure." },
+        function: { type: "STRING", description: "Curve only. Expression in x, e.g. '3x - 2', 'x^2', '2sin(x)'." },
+        x: { type: "STRING", description: "Parametric only. x as an expression in t, e.g. '3cos(t)'." },
+        y: { type: "STRING", description: "Parametric only. y as an expression in t, e.g. '2sin(t)'." },
+        t: { ...INTERVAL_SCHEMA, description: "Parametric only. The interval of t to draw, e.g. {min: 0, max: 6.2832}." },
+        r: { type: "STRING", description: "Polar only. r as an expression in theta, e.g. '2cos(3theta)', '1 + cos(theta)'." },
+        theta: { ...INTERVAL_SCHEMA, description: "Polar only. Optional interval of theta to draw (default 0 to 2pi)." },
+        equation: { type: "STRING", description: "Implicit only. An equation in x and y, e.g. 'x^2 + y^2 = 9', 'x^2/9 - y^2/4 = 1'." },
+        upper: { type: "STRING", description: "Region only. Expression in x for the top of the shaded region, e.g. 'x^2' to shade under it." },
+        lower: { type: "STRING", description: "Region only. Optional expression in x for the bottom of the region (default '0', the x-axis); give another function to shade between two curves." },
+        domain: { ...INTERVAL_SCHEMA, description: "Curve and region. Optional x interval to draw over, e.g. the limits of an integral; defaults to the axes' xRange." },
+        position: { ...POINT_SCHEMA, description: "Point, text and latex. Where it goes." },
+        points: {
+            type: "ARRAY",
+            items: POINT_SCHEMA,
+            description: "Polygon: vertices in order. Segment and line: its 2 points (a ray starts at the first). Angle: 3 points, the end of one arm, the vertex, the end of the other arm."
+        },
+        closed: { type: "BOOLEAN", description: "Polygon only. false draws an open path (default true)." },
+        ticks: { type: "NUMBER", description: "Segment only. 1 to 3 tick marks across its middle, to show sides of equal length." },
+        sideTicks: { type: "ARRAY", items: { type: "NUMBER" }, description: "Polygon only. Tick marks for each side in order (side i joins vertex i to the next), e.g. [1, 1, 0]." },
+        ray: { type: "BOOLEAN", description: "Line only. Start at the first point instead of running both ways." },
+        center: { ...POINT_SCHEMA, description: "Circle and arc." },
+        radius: { type: "NUMBER", description: "Circle and arc. In pixels, or in x units on axes." },
+        start: { type: "NUMBER", description: "Arc only. Where it starts, in degrees counterclockwise from the positive x direction." },
+        end: { type: "NUMBER", description: "Arc only. Where it ends, in degrees; the arc runs counterclockwise from start." },
+        right: { type: "BOOLEAN", description: "Angle only. Mark it with a square as a right angle (done anyway when it measures 90 degrees)." },
+        text: { type: "STRING", description: "Text and latex. For latex, LaTeX without $ delimiters, or text with $...$ maths in it." },
+        label: { type: "STRING", description: "Curves of every kind, region, point, segment and angle. Optional label; curves and regions with one are listed in a legend. Angles show their size in degrees without one." },
+        labels: { type: "ARRAY", items: { type: "STRING" }, description: "Polygon only. Optional vertex labels." },
+        color: { type: "STRING", description: "Optional hex color for the line or text." },
+        fill: { type: "STRING", description: "Polygon, circle and region. Optional hex color to shade the inside with." },
+        dashed: { type: "BOOLEAN", description: "Curves of every kind, polygon, segment, line, circle and arc. Draw with a dashed line, e.g. for asymptotes or construction lines." },
+        layer: { type: "NUMBER", description: "Optional. Objects on higher layers are drawn on top (default 0)." }
+    },
+    required: ["op"]
+};
+
+const GRAPH_FUNCTION_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        function: { type: "STRING", description: "Expression in x." },
+        label: { type: "STRING", description: "Optional legend text, e.g. 'y = tan(x)'." },
+        color: { type: "STRING", description: "Optional hex color." },
+        dashed: { type: "BOOLEAN", description: "Optional. Draw with a dashed line." }
+    },
+    required: ["function"]
+};
+
+const GRAPH_POINT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        x: { type: "NUMBER" },
+        y: { type: "NUMBER" },
+        label: { type: "STRING", description: "e.g. 'root (2, 0)' or 'max'." },
+        color: { type: "STRING" }
+    },
+    required: ["x", "y"]
+};
+
+const GRAPH_SHADE_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        upper: { type: "STRING", description: "Expression in x for the top of the region." },
+        lower: { type: "STRING", description: "Optional expression in x for the bottom (default '0', the x-axis)." },
+        from: { type: "NUMBER", description: "Left end of the region in x." },
+        to: { type: "NUMBER", description: "Right end of the region in x." },
+        label: { type: "STRING", description: "Optional legend text, e.g. 'area = 1/3'." },
+        color: { type: "STRING", description: "Optional hex color." }
+    },
+    required: ["upper", "from", "to"]
+};
+
+const GEOMETRY_POINT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        name: { type: "STRING", description: "e.g. 'A', 'B', 'O', 'P1'. Elements refer to the point by it." },
+        x: { type: "NUMBER" },
+        y: { type: "NUMBER" },
+        label: { type: "STRING", description: "Optional text to show instead of the name; '' for none." }
+    },
+    required: ["name", "x", "y"]
+};
+
+const GEOMETRY_ELEMENT_SCHEMA = {
+    type: "OBJECT",
+    properties: {
+        kind: { type: "STRING", enum: GEOMETRY_KINDS, description: "What to construct." },
+        points: {
+            type: "ARRAY",
+            items: { type: "STRING" },
+            description: "Names of the points it is built from. segment, ray, line: 2 (a ray starts at the first). polygon: 3 or more, in order. " +
+                "angle, right_angle: 3, with the vertex in the middle, e.g. ['A', 'B', 'C'] for angle ABC. " +
+                "perpendicular: ['P', 'A', 'B'] drops a perpendicular from P to line AB. parallel: ['P', 'A', 'B'] draws the line through P parallel to AB."
+        },
+        center: { type: "STRING", description: "circle and arc: name of the centre point." },
+        radius: { type: "NUMBER", description: "circle and arc: the radius." },
+        through: { type: "STRING", description: "circle and arc: instead of radius, the name of a point the circle passes through." },
+        start: { type: "NUMBER", description: "arc: start angle in degrees, counterclockwise from the positive x direction." },
+        end: { type: "NUMBER", description: "arc: end angle in degrees." },
+        ticks: { type: "NUMBER", description: "segment: 1 to 3 tick marks to show sides of equal length." },
+        sideTicks: { type: "ARRAY", items: { type: "NUMBER" }, description: "polygon: tick marks for each side, e.g. [1, 1, 0] for an isosceles triangle." },
+        label: { type: "STRING", description: "segment: e.g. 'c' or '5', written beside it. angle: text instead of the size in degrees ('' for none)." },
+        name: { type: "STRING", description: "perpendicular: a name for its foot on AB, so later elements can use it." },
+        color: { type: "STRING", description: "Optional hex color." },
+        fill: { type: "STRING", description: "polygon and circle: optional hex color to shade the inside with." },
+        dashed: { type: "BOOLEAN", description: "Optional. Draw with a dashed line." }
+    },
+    required: ["kind"]
+};
+
+const toolDeclarations = [
+    {
+        name: "draw_on_canvas",
+        description: "Draws a single graph, shape or text label on the whiteboard. Use this for quick, simple visuals. " +
+            "For kind 'graph' give the x domain and the function of x to plot, or several in 'functions' to compare them on one set of axes with a legend; " +
+            "optionally mark points (roots, extrema, intersections) and shade regions (e.g. the area an integral measures). " +
+            "For curves that aren't functions of x use kind 'parametric' (x and y in terms of t), 'polar' (r in terms of theta) or 'implicit' (an equation in x and y, e.g. a circle or conic); " +
+            "their domain and range are optional and are fitted with the same scale on both axes. " +
+            "For kind 'shape' give the shape and its geometry in canvas pixels (800x600, origin top-left). " +
+            "For kind 'text' give the text and optionally where to place it.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                kind: { type: "STRING", enum: ["graph", "parametric", "polar", "implicit", "shape", "text"], description: "What to draw." },
+                function: { type: "STRING", description: "Graph only. Expression in x, e.g. '3x - 2', '2sin(x)', 'x^2 + 1', 'e^(-x^2)'. Supports + - * / ^, pi, e and sin, cos, tan, exp, ln, log, sqrt, abs." },
+                functions: {
+                    type: "ARRAY",
+                    items: GRAPH_FUNCTION_SCHEMA,
+                    description: `Graph only. Up to ${MAX_GRAPH_FUNCTIONS} functions to draw on the same axes, instead of 'function'.`
+                },
+                x: { type: "STRING", description: "Parametric only. x as an expression in t, e.g. 'cos(t)', 't - sin(t)'." },
+                y: { type: "STRING", description: "Parametric only. y as an expression in t, e.g. 'sin(t)', '1 - cos(t)'." },
+                t: { ...INTERVAL_SCHEMA, description: "Parametric only. The interval of t, e.g. {min: 0, max: 6.2832}." },
+                r: { type: "STRING", description: "Polar only. r as an expression in theta, e.g. '2cos(3theta)' for a rose, '1 + cos(theta)' for a cardioid." },
+                theta: { ...INTERVAL_SCHEMA, description: "Polar only. Optional interval of theta (default 0 to 2pi)." },
+                equation: { type: "STRING", description: "Implicit only. An equation in x and y, e.g. 'x^2 + y^2 = 9', 'x^2/9 + y^2/4 = 1', 'y^2 = x^3 - x'." },
+                domain: { ...INTERVAL_SCHEMA, description: "Graph: the x interval to plot, e.g. {min: -1, max: 4}. Parametric, polar and implicit: optional x interval to show; give it for implicit curves that reach beyond -5..5." },
+                range: { ...INTERVAL_SCHEMA, description: "Graph, parametric, polar and implicit. Optional y interval to show. If left out it is fitted to the curves, ignoring values near asymptotes." },
+                points: {
+                    type: "ARRAY",
+                    items: GRAPH_POINT_SCHEMA,
+                    description: `Graph, parametric, polar and implicit. Up to ${MAX_GRAPH_POINTS} labelled points to mark, in graph coordinates.`
+                },
+                shade: {
+                    type: "ARRAY",
+                    items: GRAPH_SHADE_SCHEMA,
+                    description: `Graph only. Up to ${MAX_GRAPH_SHADES} regions to shade, under a curve or between two.`
+                },
+                shape: { type: "STRING", enum: SHAPES, description: "Shape only. Which shape to draw." },
+                vertices: {
+                    type: "ARRAY",
+                    items: POINT_SCHEMA,
+                    description: "Triangle/polygon only. Vertices in canvas pixels, in drawing order."
+                },
+                center: { ...POINT_SCHEMA, description: "Circle only. Center in canvas pixels." },
+                radius: { type: "NUMBER", description: "Circle only. Radius in pixels." },
+                labels: {
+                    type: "ARRAY",
+                    items: { type: "STRING" },
+                    description: "Shape only. Optional labels for each vertex (e.g. ['A', 'B', 'C'])."
+                },
+                text: { type: "STRING", description: "Text only. The text to write." },
+                position: { ...POINT_SCHEMA, description: "Text only. Where to write the text, in canvas pixels." },
+                label: { type: "STRING", description: "Graph, parametric, polar and implicit. Optional legend text for 'function' or the curve, e.g. 'y = 3x - 2'." },
+                dashed: { type: "BOOLEAN", description: "Parametric, polar and implicit. Optional. Draw the curve with a dashed line." },
+                color: { type: "STRING", description: "Optional hex color, e.g. '#00D2FF'." }
+            },
+            required: ["kind"]
+        }
+    },
+    {
+        name: "draw_geometry",
+        description: "Draws a geometry figure in math coordinates, replacing any graph or figure already on the board. " +
+            "Name the points with their coordinates, then construct from them: segments (with tick marks for equal sides and labels for their lengths), " +
+            "rays, lines, polygons, circles, arcs, angle markers showing their size in degrees, right-angle squares, perpendiculars and parallels. " +
+            "The figure is scaled to fit the board with the same scale both ways, so give true coordinates, e.g. a 3-4-5 triangle as A(0, 0), B(4, 0), C(0, 3). " +
+            "The response gives the ids of the objects drawn (for update_board) and the size of each marked angle.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                points: {
+                    type: "ARRAY",
+                    items: GEOMETRY_POINT_SCHEMA,
+                    description: `Up to ${MAX_GEOMETRY_POINTS} named points. Each is drawn as a dot labelled with its name.`
+                },
+                elements: {
+                    type: "ARRAY",
+                    items: GEOMETRY_ELEMENT_SCHEMA,
+                    description: `Up to ${MAX_GEOMETRY_ELEMENTS} things to construct from the points, drawn in order.`
+                },
+                domain: { ...INTERVAL_SCHEMA, description: "Optional x interval to show; fitted to the figure if left out." },
+                range: { ...INTERVAL_SCHEMA, description: "Optional y interval to show; fitted to the figure if left out." },
+                grid: { type: "BOOLEAN", description: "Show coordinate axes and grid lines (default false), for coordinate geometry." }
+            },
+            required: ["points"]
+        }
+    },
+    {
+        name: "animate_solution",
+        description: "Explains a math problem step-by-step with synchronized text animations. Use this for ALL problem solving explanations to give a 3Blue1Brown style experience.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                title: { type: "STRING", description: "The problem title or question." },
+                topic: TOPIC_SCHEMA,
+                steps: {
+                    type: "ARRAY",
+                    items: { type: "STRING" },
+                    description: "Array of step-by-step mathematical derivations (LaTeX supported)."
+                },
+                cues: {
+                    type: "ARRAY",
+                    items: { type: "STRING" },
+                    description: "Optional, one per step: the first few words you will say when you start explaining that step, " +
+                        "e.g. 'subtract three from both sides'. Each step appears on the board as you say its cue; use '' for no cue."
+                }
+            },
+            required: ["title", "steps"]
+        }
+    },
+    {
+        name: "update_board",
+        description: "Adds, changes or removes identified objects on the whiteboard, keeping everything else that is on it. " +
+            "Use it to build a figure up in stages as you explain: e.g. add axes, then a curve on them, later a tangent line and a labelled point, " +
+            "then update or remove any of them by id. Positions are canvas pixels (800x600, origin top-left), or math coordinates for objects drawn on axes. " +
+            "The response lists every object on the board.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                actions: {
+                    type: "ARRAY",
+                    items: SCENE_ACTION_SCHEMA,
+                    description: "Changes to make, in order. They are applied all together, or not at all if any is invalid."
+                }
+            },
+            required: ["actions"]
+        }
+    },
+    {
+        name: "pose_problem",
+        description: "Gives the student a practice problem to solve themselves. The question is shown on the board and the student answers " +
+            "by typing or by telling you; the server checks the answer, so never reveal it. When the student says an answer aloud, call 'check_answer' with it.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                title: { type: "STRING", description: "Short heading, e.g. 'Practice: linear equations'." },
+                topic: TOPIC_SCHEMA,
+                question: { type: "STRING", description: "The problem, as text with LaTeX, e.g. 'Solve $3x - 7 = 8$'." },
+                answer: {
+                    type: "STRING",
+                    description: "The final answer, for the checker: a value ('5', 'x = 5', '\\frac{1}{3}'), an expression ('2x + 2'), " +
+                        "an equation ('y = 2x + 1') or several values ('x = 3 or x = -1'). Any equivalent form the student gives is accepted."
+                },
+                hints: {
+                    type: "ARRAY",
+                    items: { type: "STRING" },
+                    description: "A hint ladder, gentlest first and never the answer itself: one is given each time the student asks or answers wrongly."
+                }
+            },
+            required: ["question", "answer"]
+        }
+    },
+    {
+        name: "check_answer",
+        description: "Checks an answer the student said aloud against the open practice problem. " +
+            "The response says whether it is correct and, if not, the next hint to give.",
+        parameters: {
+            type: "OBJECT",
+            properties: {
+                answer: { type: "STRING", description: "The student's answer as they said it, written as maths, e.g. 'x = 5' or '10/2'." }
+            },
+            required: ["answer"]
+        }
+    }
+];
+
+const isFiniteNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+const readColor = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    if (typeof value !== 'string' || !COLOR_PATTERN.test(value)) {
+        throw new Error(`color must be a hex color like '#00D2FF', got ${JSON.stringify(value)}`);
+    }
+    return value;
+};
+
+const readInterval = (value, name) => {
+    if (!value || !isFiniteNumber(value.min) || !isFiniteNumber(value.max)) {
+        throw new Error(`${name} must be an object with numeric min and max`);
+    }
+    if (value.min >= value.max) {
+        throw new Error(`${name}.min must be less than ${name}.max`);
+    }
+    return { min: value.min, max: value.max };
+};
+
+const readPoint = (value, name) => {
+    if (!value || !isFiniteNumber(value.x) || !isFiniteNumber(value.y)) {
+        throw new Error(`${name} must be an object with numeric x and y`);
+    }
+    if (value.x < 0 || value.x > CANVAS_WIDTH || value.y < 0 || value.y > CANVAS_HEIGHT) {
+        throw new Error(`${name} (${value.x}, ${value.y}) is outside the ${CANVAS_WIDTH}x${CANVAS_HEIGHT} canvas`);
+    }
+    return [value.x, value.y];
+};
+
+const readExpression = (value, name = 'function', variables = 'x') => {
+    const expression = typeof value === 'string' ? value.trim() : '';
+    if (!expression) {
+        throw new Error(`${name} must be an expression in ${variables}`);
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH || !EXPRESSION_PATTERN.test(expression)) {
+        throw new Error(`${name} '${expression}' contains unsupported characters`);
+    }
+    return expression;
+};
+
+const readEquation = (value, name) => {
+    const equation = typeof value === 'string' ? value.trim() : '';
+    const sides = equation.split('=');
+    if (sides.length > 2) {
+        throw new Error(`${name} can have only one '='`);
+    }
+    sides.forEach((side) => readExpression(side, name, 'x and y'));
+    return equation;
+};
+
+// Scene coordinates may be math coordinates, so only the client (which knows whether an
+// object is on axes) can check they are on the board
+const readCoordinates = (value, name) => {
+    if (!value || !isFiniteNumber(value.x) || !isFiniteNumber(value.y)) {
+        throw new Error(`${name} must be an object with numeric x and y`);
+    }
+    return [value.x, value.y];
+};
+
+const readLabel = (value) => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+
+const readList = (value, name, max) => {
+    if (value === undefined || value === null) return [];
+    if (!Array.isArray(value)) throw new Error(`${name} must be an array`);
+    if (value.length > max) throw new Error(`${name} can have at most ${max} entries`);
+    return value;
+};
+
+const readGraphPoints = (value) => readList(value, 'points', MAX_GRAPH_POINTS).map((point, i) => {
+    const [x, y] = readCoordinates(point, `points[${i}]`);
+    const marker = { x, y };
+    if (readLabel(point.label)) marker.label = readLabel(point.label);
+    if (point.color) marker.color = readColor(point.color);
+    return marker;
+});
+
+const buildGraphCommand = (args) => {
+    const functions = readList(args.functions, 'functions', MAX_GRAPH_FUNCTIONS);
+    if (functions.length === 0) {
+        functions.push({ function: args.function, label: args.label, color: args.color });
+    } else if (args.function !== undefined) {
+        throw new Error("give either 'function' or 'functions', not both");
+    }
+
+    const command = {
+        type: 'DRAW_GRAPH',
+        functions: functions.map((fn, i) => {
+            const entry = {
+                function: readExpression(fn && fn.function, functions.length > 1 ? `functions[${i}].function` : 'function'),
+                color: readColor(fn.color, undefined),
+                // No label asks for the function itself in the legend
+                label: readLabel(fn.label) || true
+            };
+            if (fn.dashed === true) entry.dashed = true;
+            if (!entry.color) delete entry.color;
+            return entry;
+        }),
+        range: readInterval(args.domain, 'domain')
+    };
+    if (args.range !== undefined) {
+        command.yRange = readInterval(args.range, 'range');
+    }
+
+    const points = readGraphPoints(args.points);
+    if (points.length > 0) command.points = points;
+
+    const shades = readList(args.shade, 'shade', MAX_GRAPH_SHADES);
+    if (shades.length > 0) {
+        command.shade = shades.map((shade, i) => {
+            if (!shade || !isFiniteNumber(shade.from) || !isFiniteNumber(shade.to) || shade.from >= shade.to) {
+                throw new Error(`shade[${i}] needs numeric from < to`);
+            }
+            const region = { upper: readExpression(shade.upper, `shade[${i}].upper`), range: { min: shade.from, max: shade.to } };
+            if (shade.lower !== undefined && shade.lower !== '') region.lower = readExpression(shade.lower, `shade[${i}].lower`);
+            if (readLabel(shade.label)) region.label = readLabel(shade.label);
+            if (shade.color) region.color = readColor(shade.color);
+            return region;
+        });
+    }
+    return command;
+};
+
+// A parametric, polar or implicit curve, on axes of its own
+const buildCurveCommand = (args) => {
+    const command = { type: CURVE_KINDS[args.kind] };
+    if (args.kind === 'parametric') {
+        command.x = readExpression(args.x, 'x', 't');
+        command.y = readExpression(args.y, 'y', 't');
+        command.t = readInterval(args.t, 't');
+    } else if (args.kind === 'polar') {
+        command.r = readExpression(args.r, 'r', 'theta');
+        if (args.theta !== undefined) command.theta = readInterval(args.theta, 'theta');
+    } else {
+        command.equation = readEquation(args.equation, 'equation');
+    }
+
+    if (args.domain !== undefined) command.range = readInterval(args.domain, 'domain');
+    if (args.range !== undefined) command.yRange = readInterval(args.range, 'range');
+    const color = readColor(args.color, undefined);
+    if (color) command.color = color;
+    // No label asks for the curve's own definition in the legend
+    command.label = readLabel(args.label) || true;
+    if (args.dashed === true) command.dashed = true;
+    const points = readGraphPoints(args.points);
+    if (points.length > 0) command.points = points;
+    return command;
+};
+
+const buildShapeCommand = (args) => {
+    if (!SHAPES.includes(args.shape)) {
+        throw new Error(`shape must be one of ${SHAPES.join(', ')}`);
+    }
+
+    const command = {
+        type: 'DRAW_SHAPE',
+        shape: args.shape,
+        points: [],
+        color: readColor(args.color, '#00D2FF')
+    };
+
+    if (args.shape === 'circle') {
+        if (!isFiniteNumber(args.radius) || args.radius <= 0) {
+            throw new Error('circle requires a positive radius');
+        }
+        command.center = readPoint(args.center, 'center');
+        command.radius = args.radius;
+    } else {
+        const vertices = Array.isArray(args.vertices) ? args.vertices : [];
+        if (args.shape === 'triangle' && vertices.length !== 3) {
+            throw new Error(`triangle requires exactly 3 vertices, got ${vertices.length}`);
+        }
+        if (vertices.length < 3) {
+            throw new Error(`polygon requires at least 3 vertices, got ${vertices.length}`);
+        }
+        command.points = vertices.map((v, i) => readPoint(v, `vertices[${i}]`));
+    }
+
+    if (args.labels !== undefined) {
+        if (!Array.isArray(args.labels) || args.labels.some(l => typeof l !== 'string')) {
+            throw new Error('labels must be an array of strings');
+        }
+        command.labels = args.labels;
+    }
+    return command;
+};
+
+const buildTextCommand = (args) => {
+    if (typeof args.text !== 'string' || !args.text.trim()) {
+        throw new Error("text requires a non-empty 'text'");
+    }
+    const command = {
+        type: 'DRAW_TEXT',
+        text: args.text,
+        color: readColor(args.color, '#fff')
+    };
+    if (args.position !== undefined) {
+        command.position = readPoint(args.position, 'position');
+    }
+    return command;
+};
+
+const readText = (value, name) => {
+    if (typeof value !== 'string' || !value.trim()) {
+        throw new Error(`${name} must be a non-empty string`);
+    }
+    if (value.length > MAX_SCENE_TEXT_LENGTH) {
+        throw new Error(`${name} is longer than ${MAX_SCENE_TEXT_LENGTH} characters`);
+    }
+    return value;
+};
+
+const readBoolean = (value, name) => {
+    if (typeof value !== 'boolean') throw new Error(`${name} must be true or false`);
+    return value;
+};
+
+const readId = (value, name) => {
+    if (typeof value !== 'string' || !ID_PATTERN.test(value)) {
+        throw new Error(`${name} must be a short id of letters, digits, '-' and '_', starting with a letter`);
+    }
+    return value;
+};
+
+const readTicks = (value, name) => {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_TICKS) {
+        throw new Error(`${name} must be a whole number of ticks from 0 to ${MAX_TICKS}`);
+    }
+    return value;
+};
+
+const readAngle = (value, name) => {
+    if (!isFiniteNumber(value)) throw new Error(`${name} must be an angle in degrees`);
+    return value;
+};
+
+// Readers for each object property update_board accepts
+const SCENE_FIELDS = {
+    axes: readId,
+    xRange: readInterval,
+    yRange: readInterval,
+    grid: readBoolean,
+    function: readExpression,
+    x: (value, name) => readExpression(value, name, 't'),
+    y: (value, name) => readExpression(value, name, 't'),
+    t: readInterval,
+    r: (value, name) => readExpression(value, name, 'theta'),
+    theta: readInterval,
+    equation: readEquation,
+    equal: readBoolean,
+    hidden: readBoolean,
+    upper: readExpression,
+    lower: readExpression,
+    domain: readInterval,
+    position: readCoordinates,
+    points: (value, name) => {
+        if (!Array.isArray(value) || value.length < 2 || value.length > MAX_SCENE_POINTS) {
+            throw new Error(`${name} must be an array of 2 to ${MAX_SCENE_POINTS} points`);
+        }
+        return value.map((point, i) => readCoordinates(point, `${name}[${i}]`));
+    },
+    closed: readBoolean,
+    ticks: readTicks,
+    sideTicks: (value, name) => {
+        if (!Array.isArray(value) || value.length > MAX_SCENE_POINTS) throw new Error(`${name} must be an array of tick counts`);
+        return value.map((count, i) => readTicks(count, `${name}[${i}]`));
+    },
+    ray: readBoolean,
+    center: readCoordinates,
+    radius: (value, name) => {
+        if (!isFiniteNumber(value) || value <= 0) throw new Error(`${name} must be a positive number`);
+        return value;
+    },
+    start: readAngle,
+    end: readAngle,
+    right: readBoolean,
+    text: readText,
+    label: readText,
+    labels: (value, name) => {
+        if (!Array.isArray(value) || value.some((label) => typeof label !== 'string')) {
+            throw new Error(`${name} must be an array of strings`);
+        }
+        return value;
+    },
+    color: (value) => readColor(value, undefined),
+    fill: (value) => readColor(value, undefined),
+    dashed: readBoolean,
+    layer: (value, name) => {
+        if (!isFiniteNumber(value)) throw new Error(`${name} must be a number`);
+        return value;
+    }
+};
+
+const readSceneFields = (action, name) => {
+    const fields = {};
+    Object.keys(SCENE_FIELDS).forEach((field) => {
+        if (action[field] === undefined || action[field] === null) return;
+        const value = SCENE_FIELDS[field](action[field], `${name}.${field}`);
+        if (value !== undefined) fields[field] = value;
+    });
+    return fields;
+};
+
+const readSceneAction = (action, index) => {
+    const name = `actions[${index}]`;
+    if (!action || !SCENE_OPS.includes(action.op)) {
+        throw new Error(`${name}.op must be one of ${SCENE_OPS.join(', ')}`);
+    }
+
+    switch (action.op) {
+        case 'add': {
+            if (!SCENE_TYPES.includes(action.type)) {
+                throw new Error(`${name}.type must be one of ${SCENE_TYPES.join(', ')}`);
+            }
+            const object = { type: action.type, ...readSceneFields(action, name) };
+            if (action.id !== undefined) object.id = readId(action.id, `${name}.id`);
+            return { op: 'add', object };
+        }
+        case 'update': {
+            const changes = readSceneFields(action, name);
+            if (Object.keys(changes).length === 0) {
+                throw new Error(`${name} has nothing to update`);
+            }
+            return { op: 'update', id: readId(action.id, `${name}.id`), changes };
+        }
+        case 'remove':
+            return { op: 'remove', id: readId(action.id, `${name}.id`) };
+        default:
+            return { op: 'clear' };
+    }
+};
+
+/**
+ * Validates update_board arguments and builds an UPDATE_SCENE command.
+ * Returns { command } on success or { error } describing the first problem found.
+ * Whether ids exist and pixel positions are on the board is checked by the client.
+ */
+const buildSceneCommand = (args = {}) => {
+    try {
+        if (!Array.isArray(args.actions) || args.actions.length === 0) {
+            throw new Error("update_board requires a non-empty 'actions' array");
+        }
+        if (args.actions.length > MAX_SCENE_ACTIONS) {
+            throw new Error(`update_board takes at most ${MAX_SCENE_ACTIONS} actions at a time`);
+        }
+        return { command: { type: 'UPDATE_SCENE', actions: args.actions.map(readSceneAction) } };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+// Scene ids for named points; primes aren't allowed in ids
+const pointId = (name) => `geo-${name.replace(/'/g, '-prime')}`;
+
+// Coordinates worked out by construction, without floating point noise
+const tidy = ([x, y]) => [Number(x.toFixed(9)), Number(y.toFixed(9))];
+
+/**
+ * Validates draw_geometry arguments and builds a DRAW_GEOMETRY command: the named points and
+ * everything constructed from them, as scene objects in math coordinates. Perpendiculars and
+ * parallels are worked out here, so the client only draws segments, lines and angle marks.
+ * Returns { command } on success or { error } describing the first problem found.
+ */
+const buildGeometryCommand = (args = {}) => {
+    try {
+        const points = new Map();
+        const objects = [];
+        const counters = {};
+        const add = (object) => {
+            counters[object.type] = (counters[object.type] || 0) + 1;
+            objects.push({ id: `geo-${object.type}-${counters[object.type]}`, ...object });
+        };
+        const addPoint = (name, position, label) => {
+            const point = { id: pointId(name), type: 'point', position, color: '#fff' };
+            if (label !== '') point.label = label === undefined ? name : label;
+            points.set(name, position);
+            objects.push(point);
+        };
+
+        const pointList = readList(args.points, 'points', MAX_GEOMETRY_POINTS);
+        if (pointList.length === 0) throw new Error("draw_geometry requires at least one point in 'points'");
+        pointList.forEach((point, i) => {
+            const name = point && typeof point.name === 'string' ? point.name.trim() : '';
+            if (!POINT_NAME_PATTERN.test(name)) throw new Error(`points[${i}].name must be a short name like 'A', 'P1' or "A'"`);
+            if (points.has(name)) throw new Error(`points[${i}]: there is already a point named '${name}'`);
+            const label = typeof point.label === 'string' ? point.label.trim() : undefined;
+            addPoint(name, readCoordinates(point, `points[${i}]`), label);
+        });
+
+        readList(args.elements, 'elements', MAX_GEOMETRY_ELEMENTS).forEach((element, i) => {
+            const name = `elements[${i}]`;
+            if (!element || !GEOMETRY_KINDS.includes(element.kind)) {
+                throw new Error(`${name}.kind must be one of ${GEOMETRY_KINDS.join(', ')}`);
+            }
+            const point = (pointName, field) => {
+                if (!points.has(pointName)) throw new Error(`${name}.${field} refers to point '${pointName}', which isn't in points`);
+                return points.get(pointName);
+            };
+            const named = (count, distinct = true) => {
+                const names = Array.isArray(element.points) ? element.points : [];
+                if (count === 'many' ? names.length < 3 : names.length !== count) {
+                    throw new Error(`${element.kind} ${name} needs ${count === 'many' ? 'at least 3' : count} point names in 'points'`);
+                }
+                const resolved = names.map((pointName) => point(pointName, 'points'));
+                if (distinct && new Set(resolved.map(String)).size < resolved.length) {
+                    throw new Error(`${element.kind} ${name} needs different points, got ${names.join(', ')}`);
+                }
+                return resolved;
+            };
+            const radius = (center) => {
+                if (element.through !== undefined) {
+                    const [x, y] = point(element.through, 'through');
+                    return Math.hypot(x - center[0], y - center[1]);
+                }
+                if (!isFiniteNumber(element.radius) || element.radius <= 0) throw new Error(`${name} needs a positive radius or a 'through' point`);
+                return element.radius;
+            };
+            const style = {};
+            if (element.color) style.color = readColor(element.color);
+            if (element.dashed === true) style.dashed = true;
+            const label = typeof element.label === 'string' ? element.label.trim() : undefined;
+
+            switch (element.kind) {
+                case 'segment': {
+                    const segment = { type: 'segment', points: named(2), ...style };
+                    if (element.ticks !== undefined) segment.ticks = readTicks(element.ticks, `${name}.ticks`);
+                    if (label) segment.label = label;
+                    add(segment);
+                    break;
+                }
+                case 'ray':
+                case 'line': {
+                    const line = { type: 'line', points: named(2), ...style };
+                    if (element.kind === 'ray') line.ray = true;
+                    add(line);
+                    break;
+                }
+                case 'polygon': {
+                    const polygon = { type: 'polygon', points: named('many'), ...style };
+                    if (element.sideTicks !== undefined) polygon.sideTicks = SCENE_FIELDS.sideTicks(element.sideTicks, `${name}.sideTicks`);
+                    if (element.fill) polygon.fill = readColor(element.fill);
+                    add(polygon);
+                    break;
+                }
+                case 'circle':
+                case 'arc': {
+                    const center = point(element.center, 'center');
+                    const shape = { type: element.kind, center, radius: Number(radius(center).toFixed(9)), ...style };
+                    if (element.kind === 'arc') {
+                        shape.start = readAngle(element.start, `${name}.start`);
+                        shape.end = readAngle(element.end, `${name}.end`);
+                    } else if (element.fill) {
+                        shape.fill = readColor(element.fill);
+                    }
+                    add(shape);
+                    break;
+                }
+                case 'angle':
+                case 'right_angle': {
+                    const angle = { type: 'angle', points: named(3), ...style };
+                    if (element.kind === 'right_angle') angle.right = true;
+                    if (label !== undefined) angle.label = label;
+                    add(angle);
+                    break;
+                }
+                case 'perpendicular': {
+                    // P may be on AB, even one of its ends
+                    const [p, a, b] = named(3, false);
+                    if (a[0] === b[0] && a[1] === b[1]) throw new Error(`perpendicular ${name} needs a line through two different points`);
+                    const [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+                    const along = ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / (dx * dx + dy * dy);
+                    const foot = tidy([a[0] + along * dx, a[1] + along * dy]);
+                    const length = Math.hypot(p[0] - foot[0], p[1] - foot[1]);
+                    if (length < 1e-9) {
+                        // P is on AB: the perpendicular to AB through P
+                        const normal = tidy([p[0] - dy, p[1] + dx]);
+                        add({ type: 'line', points: [p, normal], ...style });
+                        add({ type: 'angle', points: [normal, p, p[0] === a[0] && p[1] === a[1] ? b : a], right: true, label: '' });
+                        break;
+                    }
+                    // Past either end of AB, extend it to the foot with a dashed line
+                    if (along < 0 || along > 1) {
+                        add({ type: 'segment', points: [along < 0 ? a : b, foot], dashed: true, color: '#888' });
+                    }
+                    add({ type: 'segment', points: [p, foot], ...style });
+                    add({ type: 'angle', points: [p, foot, along > 0.5 ? a : b], right: true, label: '' });
+                    if (element.name !== undefined) {
+                        const footName = typeof element.name === 'string' ? element.name.trim() : '';
+                        if (!POINT_NAME_PATTERN.test(footName) || points.has(footName)) {
+                            throw new Error(`${name}.name must be a new point name like 'H'`);
+                        }
+                        addPoint(footName, foot);
+                    }
+                    break;
+                }
+                default: {
+                    // parallel: the line through P in the direction of AB
+                    const [p, a, b] = named(3);
+                    add({ type: 'line', points: [p, tidy([p[0] + b[0] - a[0], p[1] + b[1] - a[1]])], ...style });
+                }
+            }
+        });
+
+        const command = { type: 'DRAW_GEOMETRY', objects };
+        if (args.domain !== undefined) command.range = readInterval(args.domain, 'domain');
+        if (args.range !== undefined) command.yRange = readInterval(args.range, 'range');
+        if (args.grid === true) command.grid = true;
+        return { command };
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+/**
+ * Validates draw_on_canvas arguments and builds the matching visual command.
+ * Returns { command } on success or { error } describing the first problem found.
+ */
+const buildCanvasCommand = (args = {}) => {
+    try {
+        switch (args.kind) {
+            case 'graph': return { command: buildGraphCommand(args) };
+            case 'parametric':
+            case 'polar':
+            case 'implicit': return { command: buildCurveCommand(args) };
+            case 'shape': return { command: buildShapeCommand(args) };
+            case 'text': return { command: buildTextCommand(args) };
+            default: throw new Error("kind must be one of 'graph', 'parametric', 'polar', 'implicit', 'shape' or 'text'");
+        }
+    } catch (error) {
+        return { error: error.message };
+    }
+};
+
+module.exports = { toolDeclarations, buildCanvasCommand, buildSceneCommand, buildGeometryCommand };
@@ -0,0 +1,68 @@
+const { GoogleGenAI } = require('@google/genai');
+const path = require('path');
+
+const TOKEN_LIFETIME_MS = 30 * 60 * 1000;
+const TOKEN_RETRIES = 3;
+
+// Set GOOGLE_APPLICATION_CREDENTIALS environment variable
+// Only if not already set (allows Cloud platforms to inject their own path)
+const credentialsPath = () => {
+    if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
+        process.env.GOOGLE_APPLICATION_CREDENTIALS = path.join(__dirname, '..', 'service-account.json');
+    }
+    return process.env.GOOGLE_APPLICATION_CREDENTIALS;
+};
+
+/**
+ * Mints a single-use ephemeral token for the Live API using the service account (ADC).
+ * Every Live connection, including reconnects, needs a fresh one.
+ * @returns {Promise<{ token: string, expiresAt: number }>} the token name, used as the Live
+ *   client's API key, and when it stops working (ms since epoch)
+ */
+const createEphemeralToken = async () => {
+    console.log('Initializing with Service Account credentials (ADC)...');
+    console.log('Credentials path:', credentialsPath());
+
+    // Create client WITHOUT API key - uses ADC (service account)
+    // This is how Google's official docs show it: genai.Client(http_options={'api_version': 'v1alpha'})
+    const tokenClient = new GoogleGenAI({
+        httpOptions: { apiVersion: 'v1alpha' }
+    });
+
+    console.log('Creating ephemeral token via SDK...');
+    const expiresAt = Date.now() + TOKEN_LIFETIME_MS;
+    const expireTime = new Date(expiresAt).toISOString();
+
+    let tokenResult = null;
+    let retries = TOKEN_RETRIES;
+
+    while (retries > 0 && !tokenResult) {
+        try {
+            tokenResult = await tokenClient.authTokens.create({
+                config: {
+                    uses: 1,
+                    expireTime: expireTime,
+                    httpOptions: { apiVersion: 'v1alpha' }
+                }
+            });
+            break; // Success, exit retry loop
+        } catch (tokenError) {
+            retries--;
+            if (retries > 0) {
+                console.log(`Token creation failed, retrying... (${retries} attempts left)`);
+                await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1s before retry
+            } else {
+                throw tokenError; // No more retries
+            }
+        }
+    }
+
+    console.log('✅ Ephemeral token created:', tokenResult && tokenResult.name ? 'success' : 'failed');
+
+    if (!tokenResult || !tokenResult.name) {
+        throw new Error('Failed to create ephemeral token - no token returned');
+    }
+    return { token: tokenResult.name, expiresAt };
+};
+
+module.exports = { createEphemeralToken };
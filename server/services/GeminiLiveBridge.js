@@ -1,164 +1,323 @@
 const { GoogleGenAI, Modality } = require('@google/genai');
-const path = require('path');
+const TutorBackend = require('./TutorBackend');
+const { toolDeclarations } = require('./CanvasTools');
+const { createEphemeralToken } = require('./GeminiAuth');
+const { DEFAULT_SESSION_CONFIG } = require('./SessionConfig');
+const { buildSystemInstruction } = require('./SystemInstruction');
 
-class GeminiLiveBridge {
-    constructor(socket) {
-        this.clientSocket = socket;
-        this.session = null;
+const DEFAULT_MODEL = 'gemini-2.5-flash-native-audio-preview-12-2025';
+
+// Reconnect backoff: 1s, 2s, 4s... capped, with a little jitter so clients don't stampede
+const RECONNECT_BASE_DELAY_MS = 1000;
+const RECONNECT_MAX_DELAY_MS = 30000;
+const MAX_RECONNECT_ATTEMPTS = 8;
+// After this many failed attempts the resumption handle is assumed stale and dropped
+const RESUME_ATTEMPTS = 2;
+// How long to wait for setupComplete before treating a connection attempt as failed
+const CONNECT_TIMEOUT_MS = 15000;
+// Swap to a fresh token this long before the current one expires
+const TOKEN_REFRESH_MARGIN_MS = 2 * 60 * 1000;
+// How long a deferred refresh waits for the resumption handle that follows a turn
+const RESUMPTION_UPDATE_GRACE_MS = 1000;
 
-        // ===== CONFIGURABLE OPTIONS =====
-        this.model = "gemini-2.5-flash-native-audio-preview-12-2025";
+// What the student wants from a step they picked on the board, as an instruction to the tutor
+const STEP_REQUESTS = {
+    explain: 'Explain why this step follows from the one before it.',
+    alternative: 'Show me a different way to get to this step.',
+    stuck: "I don't get this step. Break it into smaller, slower steps."
+};
+
+// Feedback on a practice answer the student typed, or their request for a hint. The server
+// has already checked the answer (see PracticeTracker), so the tutor is told the verdict.
+const practicePrompt = (update) => {
+    if (update.type === 'hint') {
+        return update.hint
+            ? `Can I have a hint for "${update.question}"? Give me hint ${update.level} in your own words: ${update.hint} Don't give the answer away.`
+            : `Can I have a hint for "${update.question}"? I've used all the hints, so walk me through it with 'animate_solution'.`;
+    }
+    const verdict = update.correct ? 'correct' : `not correct (${update.message})`;
+    const next = update.correct
+        ? 'Tell me briefly why it works.'
+        : `Tell me what went wrong without giving the answer away${update.hint ? `, then give me this hint: ${update.hint}` : ''}.`;
+    return `My answer to "${update.question}" is ${update.answer}. The answer checker says it is ${verdict}. ${next}`;
+};
+
+// A step question becomes an ordinary typed turn that quotes the step, so the model answers
+// that one step rather than starting the problem over
+const stepQuestionPrompt = ({ title, stepIndex, step, action }) =>
+    `About step ${stepIndex + 1} of "${title}": ${step}\n\n${STEP_REQUESTS[action]} `
+    + "Answer with 'animate_solution' covering only this step, in a few short steps, and narrate them. Don't redo the whole solution.";
+
+// Gemini Live implementation of TutorBackend.
+// Pass `liveUrl` to talk to a Live-compatible server other than Google's (e.g. the
+// mock in server/mock); no credentials or token minting are needed then. `sessionConfig`
+// is the student's choice of voice, language, subject, depth and persona (see SessionConfig).
+//
+// Lessons outlive any single Live connection: the session is opened with session
+// resumption and context-window compression, dropped connections are retried with
+// backoff, and the connection is replaced before its token expires or when the server
+// sends goAway. Each new connection resumes from the latest resumption handle, so the
+// conversation keeps its context.
+class GeminiLiveBridge extends TutorBackend {
+    constructor({ liveUrl = null, sessionConfig = DEFAULT_SESSION_CONFIG } = {}) {
+        super();
+        this.session = null;
+        this.liveUrl = liveUrl;
 
-        // Voice Options: "Puck", "Charon", "Kore", "Fenrir", "Aoede"
-        // Puck = friendly/casual, Charon = deep/serious, Kore = soft/gentle
-        // Fenrir = energetic, Aoede = melodic/warm
-        this.voiceName = "Charon"; // Change this to your preferred voice
-        // =================================
+        // The Live connection currently in use: { session, ready, closed }
+        this.connection = null;
+        // Latest handle from sessionResumptionUpdate; a new connection resumes from it
+        this.resumptionHandle = null;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+        this.refreshTimer = null;
+        this.refreshing = false;
+        // A refresh requested mid-turn waits for the turn to end so the tutor isn't cut off
+        this.turnActive = false;
+        this.pendingRefresh = null;
+        // Typed messages and photos sent while reconnecting, delivered once the session is back
+        this.pendingTurns = [];
+        // The student's learner profile, summarized; part of the system instruction when there is one
+        this.learnerSummary = '';
 
-        this.credentialsPath = path.join(__dirname, '..', 'service-account.json');
+        // GEMINI_LIVE_MODEL overrides the model for every session; the rest is per student
+        this.model = process.env.GEMINI_LIVE_MODEL || DEFAULT_MODEL;
+        this.sessionConfig = sessionConfig;
+    }
 
-        // Set GOOGLE_APPLICATION_CREDENTIALS environment variable
-        // Only if not already set (allows Cloud platforms to inject their own path)
-        if (!process.env.GOOGLE_APPLICATION_CREDENTIALS) {
-            this.credentialsPath = path.join(__dirname, '..', 'service-account.json');
-            process.env.GOOGLE_APPLICATION_CREDENTIALS = this.credentialsPath;
-        } else {
-            this.credentialsPath = process.env.GOOGLE_APPLICATION_CREDENTIALS;
+    async createLiveClient() {
+        if (this.liveUrl) {
+            console.log('Connecting to Live server at', this.liveUrl);
+            return {
+                client: new GoogleGenAI({
+                    apiKey: 'local',
+                    httpOptions: { apiVersion: 'v1alpha', baseUrl: this.liveUrl }
+                }),
+                expiresAt: null
+            };
         }
+
+        // Connect to Live API using the ephemeral token (as API key)
+        // IMPORTANT: Must use v1alpha as per SDK warning
+        const { token, expiresAt } = await createEphemeralToken();
+        return {
+            client: new GoogleGenAI({
+                apiKey: token,
+                httpOptions: { apiVersion: 'v1alpha' }
+            }),
+            expiresAt
+        };
+    }
+
+    setLearnerSummary(summary) {
+        this.learnerSummary = summary;
+    }
+
+    buildConfig() {
+        return {
+            responseModalities: [Modality.AUDIO],
+            speechConfig: {
+                voiceConfig: {
+                    prebuiltVoiceConfig: {
+                        voiceName: this.sessionConfig.voice
+                    }
+                }
+            },
+            // Ask for text transcripts of both sides of the conversation
+            inputAudioTranscription: {},
+            outputAudioTranscription: {},
+            // Resumable sessions whose oldest turns are summarized away instead of hitting the context limit
+            sessionResumption: this.resumptionHandle ? { handle: this.resumptionHandle } : {},
+            contextWindowCompression: { slidingWindow: {} },
+            systemInstruction: buildSystemInstruction({ sessionConfig: this.sessionConfig, learnerSummary: this.learnerSummary }),
+            tools: [
+                {
+                    functionDeclarations: toolDeclarations
+                }
+            ]
+        };
     }
 
     async connect() {
-        console.log('Initializing with Service Account credentials (ADC)...');
-        console.log('Credentials path:', this.credentialsPath);
+        this.emit('status', { state: 'connecting', message: 'Connecting to Gemini Live...' });
 
         try {
-            // Step 1: Create client WITHOUT API key - uses ADC (service account)
-            // This is how Google's official docs show it: genai.Client(http_options={'api_version': 'v1alpha'})
-            const tokenClient = new GoogleGenAI({
-                httpOptions: { apiVersion: 'v1alpha' }
-            });
+            await this.openSession();
+            this.emit('status', { state: 'ready', message: 'Gemini Live Ready' });
+        } catch (error) {
+            console.error("Connection failed:", error);
+            this.scheduleReconnect(error.message);
+        }
+    }
+
+    // Opens a Live connection and makes it the current one once the server has confirmed setup.
+    // Rejects if the socket closes, errors or stays silent before that.
+    async openSession() {
+        const { client, expiresAt } = await this.createLiveClient();
+        const connection = { session: null, ready: false, closed: false };
 
-            console.log('Creating ephemeral token via SDK...');
-
-            // Step 2: Create ephemeral token with retry logic
-            const expireTime = new Date(Date.now() + 30 * 60 * 1000).toISOString();
-
-            let tokenResult = null;
-            let retries = 3;
-
-            while (retries > 0 && !tokenResult) {
-                try {
-                    tokenResult = await tokenClient.authTokens.create({
-                        config: {
-                            uses: 1,
-                            expireTime: expireTime,
-                            httpOptions: { apiVersion: 'v1alpha' }
-                        }
-                    });
-                    break; // Success, exit retry loop
-                } catch (tokenError) {
-                    retries--;
-                    if (retries > 0) {
-                        console.log(`Token creation failed, retrying... (${retries} attempts left)`);
-                        await new Promise(resolve => setTimeout(resolve, 1000)); // Wait 1s before retry
+        let settle;
+        const setupDone = new Promise((resolve, reject) => {
+            settle = { resolve, reject };
+        });
+        const timeout = setTimeout(() => settle.reject(new Error('Timed out waiting for the Live session')), CONNECT_TIMEOUT_MS);
+
+        const sessionPromise = client.live.connect({
+            model: this.model,
+            config: this.buildConfig(),
+            callbacks: {
+                onmessage: (response) => {
+                    if (response.setupComplete && !connection.ready) {
+                        connection.ready = true;
+                        settle.resolve();
+                    }
+                    this.handleGeminiMessage(response);
+                },
+                onclose: (e) => {
+                    console.log('Gemini Closed:', e.code, e.reason);
+                    connection.closed = true;
+                    if (!connection.ready) {
+                        settle.reject(new Error(e.reason || `Live connection closed (code ${e.code})`));
                     } else {
-                        throw tokenError; // No more retries
+                        this.handleConnectionClosed(connection, e.reason);
                     }
+                },
+                onerror: (e) => {
+                    console.log('Gemini Error:', e.message);
+                    if (!connection.ready) settle.reject(new Error(e.message || 'Live connection failed'));
                 }
             }
+        });
+        sessionPromise.catch((error) => settle.reject(error));
 
-            console.log('✅ Ephemeral token created:', tokenResult && tokenResult.name ? 'success' : 'failed');
+        try {
+            // setupComplete only arrives after the SDK has sent setup, so the session exists by then
+            await setupDone;
+            connection.session = await sessionPromise;
+        } catch (error) {
+            // Give up on this attempt; close the socket if it did open
+            connection.closed = true;
+            sessionPromise.then((session) => session.close(), () => {});
+            throw error;
+        } finally {
+            clearTimeout(timeout);
+        }
 
-            if (!tokenResult || !tokenResult.name) {
-                throw new Error('Failed to create ephemeral token - no token returned');
-            }
+        if (connection.closed) {
+            throw new Error('Live connection closed during setup');
+        }
+        if (this.closed) {
+            // The student left while we were connecting
+            connection.session.close();
+            return;
+        }
 
-            // Step 3: Connect to Live API using the ephemeral token (as API key)
-            // IMPORTANT: Must use v1alpha as per SDK warning
-            const liveClient = new GoogleGenAI({
-                apiKey: tokenResult.name,
-                httpOptions: { apiVersion: 'v1alpha' }
-            });
+        this.connection = connection;
+        this.session = connection.session;
+        this.scheduleTokenRefresh(expiresAt);
+        this.flushPendingTurns();
+    }
 
-            const config = {
-                responseModalities: [Modality.AUDIO],
-                speechConfig: {
-                    voiceConfig: {
-                        prebuiltVoiceConfig: {
-                            voiceName: this.voiceName
-                        }
-                    }
-                },
-                systemInstruction: {
-                    parts: [
-                        { text: "You are an expert Math Tutor with the style of 3Blue1Brown. When a user asks for a solution or explanation, YOU MUST use the 'animate_solution' tool to provide a step-by-step visual breakdown. IMPORTANT: You must VERBALLY explain the steps as you show them. Do not just show the steps and stay silent. Narration is key. Use LaTeX for all math equations." }
-                    ]
-                },
-                tools: [
-                    {
-                        functionDeclarations: [
-                            {
-                                name: "draw_on_canvas",
-                                description: "Draws simple static shapes or single graphs. Use this for quick, simple visuals.",
-                                parameters: {
-                                    type: "OBJECT",
-                                    properties: {
-                                        instruction: { type: "STRING" }
-                                    },
-                                    required: ["instruction"]
-                                }
-                            },
-                            {
-                                name: "animate_solution",
-                                description: "Explains a math problem step-by-step with synchronized text animations. Use this for ALL problem solving explanations to give a 3Blue1Brown style experience.",
-                                parameters: {
-                                    type: "OBJECT",
-                                    properties: {
-                                        title: { type: "STRING", description: "The problem title or question." },
-                                        steps: {
-                                            type: "ARRAY",
-                                            items: { type: "STRING" },
-                                            description: "Array of step-by-step mathematical derivations (LaTeX supported)."
-                                        }
-                                    },
-                                    required: ["title", "steps"]
-                                }
-                            }
-                        ]
-                    }
-                ]
-            };
+    // A connection we were using dropped: retry unless it had already been replaced or we're closing
+    handleConnectionClosed(connection, reason) {
+        if (connection !== this.connection) return;
 
-            this.session = await liveClient.live.connect({
-                model: this.model,
-                config: config,
-                callbacks: {
-                    onmessage: (response) => this.handleGeminiMessage(response),
-                    onclose: (e) => {
-                        console.log('Gemini Closed:', e.reason);
-                        this.clientSocket.emit('status', { message: 'Gemini Disconnected' });
-                    },
-                    onerror: (e) => {
-                        console.log('Gemini Error:', e);
-                        this.clientSocket.emit('status', { message: 'Gemini Error: ' + e.message });
-                    }
-                }
-            });
+        this.connection = null;
+        this.session = null;
+        this.pendingRefresh = null;
+        clearTimeout(this.refreshTimer);
+        if (this.closed) return;
 
-            // Handle Errors
-            this.clientSocket.on('disconnect', () => {
-                if (this.session) {
-                    // session cleanup if needed
-                }
-            });
+        // The turn in progress can't continue; what was already sent still plays out
+        if (this.turnActive) {
+            this.turnActive = false;
+            this.emit('turnComplete');
+        }
+
+        this.scheduleReconnect(reason || 'connection closed');
+    }
+
+    scheduleReconnect(reason) {
+        if (this.closed || this.reconnectTimer) return;
+
+        this.reconnectAttempts += 1;
+        if (this.reconnectAttempts > MAX_RECONNECT_ATTEMPTS) {
+            console.error('Giving up on Gemini after', MAX_RECONNECT_ATTEMPTS, 'reconnect attempts');
+            this.emit('status', { state: 'closed', message: 'Gemini Disconnected: ' + reason });
+            return;
+        }
+
+        const backoff = Math.min(RECONNECT_MAX_DELAY_MS, RECONNECT_BASE_DELAY_MS * 2 ** (this.reconnectAttempts - 1));
+        const delay = backoff + Math.random() * 250;
+        console.log(`Reconnecting to Gemini in ${Math.round(delay)}ms (attempt ${this.reconnectAttempts}): ${reason}`);
+        this.emit('status', {
+            state: 'reconnecting',
+            message: `Reconnecting to Gemini (attempt ${this.reconnectAttempts} of ${MAX_RECONNECT_ATTEMPTS})...`
+        });
 
+        this.reconnectTimer = setTimeout(() => this.reconnect(), delay);
+    }
+
+    async reconnect() {
+        this.reconnectTimer = null;
+        if (this.closed) return;
+
+        try {
+            await this.openSession();
+            if (this.closed) return;
+            console.log('✅ Reconnected to Gemini', this.resumptionHandle ? '(resumed)' : '(new session)');
+            this.reconnectAttempts = 0;
+            this.emit('status', { state: 'ready', message: 'Gemini Live Reconnected' });
         } catch (error) {
-            console.error("Connection failed:", error);
-            this.clientSocket.emit('status', { message: 'Connection Error: ' + error.message });
+            console.error('Reconnect failed:', error.message);
+            if (this.reconnectAttempts >= RESUME_ATTEMPTS && this.resumptionHandle) {
+                console.warn('Dropping the resumption handle; the next session starts without earlier context');
+                this.resumptionHandle = null;
+            }
+            this.scheduleReconnect(error.message);
+        }
+    }
+
+    scheduleTokenRefresh(expiresAt) {
+        clearTimeout(this.refreshTimer);
+        if (!expiresAt) return;
+
+        const delay = Math.max(0, expiresAt - Date.now() - TOKEN_REFRESH_MARGIN_MS);
+        this.refreshTimer = setTimeout(() => this.refreshSession('token expiring'), delay);
+    }
+
+    // Replaces the current connection without a gap: the new one resumes from the latest
+    // handle, then the old one is closed (its onclose is ignored since it is no longer current).
+    // If this fails the old connection keeps going and a drop is handled as usual.
+    async refreshSession(reason) {
+        if (this.closed || this.refreshing || this.reconnectTimer || !this.connection) return;
+        if (this.turnActive) {
+            this.pendingRefresh = reason;
+            return;
+        }
+        this.pendingRefresh = null;
+
+        console.log('🔄 Refreshing Gemini session:', reason);
+        this.refreshing = true;
+        const previous = this.connection;
+        try {
+            await this.openSession();
+            previous.session.close();
+        } catch (error) {
+            console.error('Session refresh failed:', error.message);
+        } finally {
+            this.refreshing = false;
         }
     }
 
-    sendAudioInput(pcmData) {
+    flushPendingTurns() {
+        const turns = this.pendingTurns;
+        this.pendingTurns = [];
+        turns.forEach((parts) => this.sendTurn(parts));
+    }
+
+    // Microphone audio during a reconnect is dropped; it's live and would be stale by the time we're back
+    sendAudio(pcmData) {
         if (this.session) {
             this.session.sendRealtimeInput({
                 audio: {
@@ -169,13 +328,75 @@ class GeminiLiveBridge {
         }
     }
 
-    sendTextInput(textMessage) {
+    // Camera frames are live like audio, so they're dropped during a reconnect too
+    sendVideo(jpeg) {
         if (this.session) {
-            // Use sendClientContent for text, not sendRealtimeInput
-            this.session.sendClientContent({
-                turns: [{ role: 'user', parts: [{ text: textMessage }] }]
+            this.session.sendRealtimeInput({
+                video: {
+                    data: jpeg.toString('base64'),
+                    mimeType: 'image/jpeg'
+                }
+            });
+        }
+    }
+
+    sendText(textMessage) {
+        this.sendTurn([{ text: textMessage }]);
+    }
+
+    sendStepQuestion(question) {
+        this.sendTurn([{ text: stepQuestionPrompt(question) }]);
+    }
+
+    sendPracticeUpdate(update) {
+        this.sendTurn([{ text: practicePrompt(update) }]);
+    }
+
+    // The photo goes first so the question can refer to it
+    sendImage(image, text) {
+        const parts = [{ inlineData: { mimeType: image.mimeType, data: image.data } }];
+        if (text) parts.push({ text: text });
+        this.sendTurn(parts);
+    }
+
+    // A complete student turn. Queued while reconnecting, unlike audio: the student is waiting for the answer.
+    sendTurn(parts) {
+        if (!this.session) {
+            this.pendingTurns.push(parts);
+            return;
+        }
+
+        // Use sendClientContent for turns, not sendRealtimeInput
+        this.session.sendClientContent({
+            turns: [{ role: 'user', parts: parts }]
+        });
+    }
+
+    sendToolResponse(call, response) {
+        if (!this.session) return;
+
+        try {
+            this.session.sendToolResponse({
+                functionResponses: [{ id: call.id, name: call.name, response: response }]
             });
+            console.log('↩️ Tool response sent:', call.name, JSON.stringify(response));
+        } catch (e) {
+            console.error('Failed to send tool response', e);
+        }
+    }
+
+    close() {
+        super.close();
+        clearTimeout(this.reconnectTimer);
+        clearTimeout(this.refreshTimer);
+        this.reconnectTimer = null;
+        this.pendingTurns = [];
+
+        if (this.session) {
+            this.session.close();
+            this.session = null;
         }
+        this.connection = null;
     }
 
     handleGeminiMessage(response) {
@@ -184,78 +405,60 @@ class GeminiLiveBridge {
             if (response.serverContent && response.serverContent.modelTurn && response.serverContent.modelTurn.parts) {
                 for (const part of response.serverContent.modelTurn.parts) {
                     if (part.inlineData && part.inlineData.data) {
-                        console.log('🔊 Sending audio chunk:', part.inlineData.data.length, 'bytes');
-                        this.clientSocket.emit('audio-output', part.inlineData.data);
+                        this.turnActive = true;
+                        this.emit('audio', part.inlineData.data);
+                    }
+                }
+            }
+
+            // 2. Handle Transcriptions and turn boundaries
+            if (response.serverContent) {
+                const { inputTranscription, outputTranscription, turnComplete, interrupted } = response.serverContent;
+                if (inputTranscription && inputTranscription.text) {
+                    this.emit('transcript', { role: 'student', text: inputTranscription.text });
+                }
+                if (outputTranscription && outputTranscription.text) {
+                    this.turnActive = true;
+                    this.emit('transcript', { role: 'tutor', text: outputTranscription.text });
+                }
+                if (interrupted) {
+                    this.emit('interrupted');
+                }
+                if (turnComplete) {
+                    this.emit('turnComplete');
+                }
+                if ((interrupted || turnComplete) && this.turnActive) {
+                    this.turnActive = false;
+                    // The resumption handle for the finished turn normally follows right after;
+                    // refresh then, or shortly if it doesn't come
+                    if (this.pendingRefresh) {
+                        setTimeout(() => this.pendingRefresh && this.refreshSession(this.pendingRefresh), RESUMPTION_UPDATE_GRACE_MS);
                     }
                 }
             }
 
-            // 2. Handle Tool Call (Visual Commands)
+            // 3. Handle Tool Call (Visual Commands)
             if (response.toolCall) {
                 console.log("✓ Gemini requested tool:", JSON.stringify(response.toolCall));
-                const calls = response.toolCall.functionCalls;
-                if (calls) {
-                    calls.forEach(call => {
-                        // --- ANIMATED SOLUTION TOOL ---
-                        if (call.name === 'animate_solution') {
-                            const title = call.args.title || "Solution";
-                            const steps = call.args.steps || [];
-
-                            console.log('🎬 Animating Solution:', title, steps.length, 'steps');
-
-                            this.clientSocket.emit('visual-command', {
-                                type: 'ANIMATE_SEQUENCE',
-                                title: title,
-                                steps: steps,
-                                color: '#00D2FF'
-                            });
-                        }
-
-                        // --- DRAW ON CANVAS TOOL ---
-                        else if (call.name === 'draw_on_canvas') {
-                            const rawInstruction = call.args.instruction || '';
-                            const instructionLower = rawInstruction.toLowerCase();
-
-                            let visualCmd = { type: 'DRAW_TEXT', text: rawInstruction, position: [400, 300], color: '#fff' };
-
-                            // Shape detection
-                            if (instructionLower.includes("triangle")) {
-                                visualCmd = { type: 'DRAW_SHAPE', shape: 'triangle', points: [[400, 100], [200, 400], [600, 400]], color: '#00D2FF' };
-                            } else if (instructionLower.includes("circle")) {
-                                visualCmd = { type: 'DRAW_SHAPE', shape: 'circle', points: [], color: '#00FF00' };
-                            }
-                            // Graph/Function detection
-                            else if (instructionLower.includes("sine") || instructionLower.includes("sin(")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'sin(x)', range: { min: -6.28, max: 6.28 }, color: '#00D2FF', label: true };
-                            } else if (instructionLower.includes("cosine") || instructionLower.includes("cos(")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'cos(x)', range: { min: -6.28, max: 6.28 }, color: '#FF6B6B', label: true };
-                            } else if (instructionLower.includes("tangent") || instructionLower.includes("tan(")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'tan(x)', range: { min: -3.14, max: 3.14 }, color: '#FFBE0B', label: true };
-                            } else if (instructionLower.includes("parabola") || instructionLower.includes("x^2") || instructionLower.includes("x squared")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'x^2', range: { min: -5, max: 5 }, color: '#00D2FF', label: true };
-                            } else if (instructionLower.includes("cubic") || instructionLower.includes("x^3") || instructionLower.includes("x cubed")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'x^3', range: { min: -3, max: 3 }, color: '#FF6B6B', label: true };
-                            } else if (instructionLower.includes("exponential") || instructionLower.includes("e^x")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'exp(x)', range: { min: -3, max: 3 }, color: '#00FF00', label: true };
-                            } else if (instructionLower.includes("linear") || instructionLower.includes("straight line")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'x', range: { min: -5, max: 5 }, color: '#FFFFFF', label: true };
-                            } else if (instructionLower.includes("square root") || instructionLower.includes("sqrt")) {
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'sqrt(x)', range: { min: 0, max: 10 }, color: '#FF6B6B', label: true };
-                            } else if (instructionLower.includes("graph") || instructionLower.includes("plot")) {
-                                // Generic graph request - try to extract function
-                                visualCmd = { type: 'DRAW_GRAPH', function: 'x^2', range: { min: -5, max: 5 }, color: '#00D2FF', label: true };
-                            }
-
-                            console.log('📊 Sending visual command:', visualCmd.type, visualCmd.function || visualCmd.shape || visualCmd.text);
-                            this.clientSocket.emit('visual-command', visualCmd);
-
-                            // Tool Response disabled for now - SDK parsing issue
-                            // The visual command is still sent to the client, just no response to Gemini
-                            // TODO: Fix when SDK tool response format is clarified
-                        }
-                    });
+                this.turnActive = true;
+                const calls = response.toolCall.functionCalls || [];
+                calls.forEach((call) => this.emit('toolCall', { id: call.id, name: call.name, args: call.args || {} }));
+            }
+
+            // 4. Keep the connection going: remember where to resume, and move before the server drops us
+            if (response.sessionResumptionUpdate) {
+                const { resumable, newHandle } = response.sessionResumptionUpdate;
+                if (resumable && newHandle) {
+                    this.resumptionHandle = newHandle;
+                }
+                if (this.pendingRefresh && !this.turnActive) {
+                    this.refreshSession(this.pendingRefresh);
                 }
             }
+            if (response.goAway) {
+                console.log('Gemini is closing the connection in', response.goAway.timeLeft);
+                this.refreshSession('server sent goAway');
+            }
 
         } catch (e) {
             console.error("Error parsing Gemini message", e);
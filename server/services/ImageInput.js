@@ -0,0 +1,86 @@
+// Validation for images the student sends (`image-input` photos and sketches, and
+// `video-frame` camera frames), before they reach the model. The client downscales photos
+// to about 1024 px and camera frames to about 768 px JPEG, so anything much bigger than
+// that, or anything that isn't really an image, is rejected rather than forwarded.
+
+const MAX_IMAGE_BYTES = 900 * 1024; // under socket.io's default 1 MB message limit
+const MAX_FRAME_BYTES = 256 * 1024;
+const MAX_CAPTION_LENGTH = 2000;
+const MAX_BOARD_TEXT_LENGTH = 4000;
+// A photographed problem, or the student's ink over a snapshot of the whiteboard
+const KINDS = ['photo', 'sketch'];
+
+// Accepted types and the bytes their files start with
+const SIGNATURES = {
+    'image/jpeg': (bytes) => bytes[0] === 0xFF && bytes[1] === 0xD8 && bytes[2] === 0xFF,
+    'image/png': (bytes) => bytes.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])),
+    'image/webp': (bytes) => bytes.toString('ascii', 0, 4) === 'RIFF' && bytes.toString('ascii', 8, 12) === 'WEBP'
+};
+
+// Binary data as socket.io delivers it (a Buffer, an ArrayBuffer or a typed-array view), as a
+// Buffer over the same memory. Anything else is null: Buffer.from would also take arrays and
+// array-like JSON such as { length: 2e9 }, allocating whatever size it claims.
+const asBytes = (data) => {
+    if (Buffer.isBuffer(data)) return data;
+    if (data instanceof ArrayBuffer) return Buffer.from(data);
+    if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    return null;
+};
+
+/**
+ * @param {object} payload - `image-input` event data: { image: ArrayBuffer | Buffer, mimeType, text?, kind?, boardText? }
+ *   boardText (sketches) is the source of the text and maths on the board, which the image can't carry exactly
+ * @returns {{ image: { mimeType: string, data: string }, text: string, kind: string, boardText: string } | { error: string }}
+ *   image data is base64, ready for an inlineData part
+ */
+const readImageInput = (payload) => {
+    if (!payload || !payload.image) {
+        return { error: 'No image was attached' };
+    }
+
+    const { mimeType } = payload;
+    if (!SIGNATURES[mimeType]) {
+        return { error: `Unsupported image type '${mimeType}' (expected ${Object.keys(SIGNATURES).join(', ')})` };
+    }
+
+    const bytes = asBytes(payload.image);
+    if (!bytes) {
+        return { error: 'Image data must be binary' };
+    }
+    if (bytes.length === 0) {
+        return { error: 'The image is empty' };
+    }
+    if (bytes.length > MAX_IMAGE_BYTES) {
+        return { error: `The image is too large (${Math.round(bytes.length / 1024)} KB, limit ${MAX_IMAGE_BYTES / 1024} KB)` };
+    }
+    if (!SIGNATURES[mimeType](bytes)) {
+        return { error: `The data is not a valid ${mimeType} image` };
+    }
+
+    const kind = payload.kind === undefined ? 'photo' : payload.kind;
+    if (!KINDS.includes(kind)) {
+        return { error: `kind must be one of ${KINDS.join(', ')}` };
+    }
+
+    const text = typeof payload.text === 'string' ? payload.text.trim().slice(0, MAX_CAPTION_LENGTH) : '';
+    const boardText = typeof payload.boardText === 'string' ? payload.boardText.trim().slice(0, MAX_BOARD_TEXT_LENGTH) : '';
+    return { image: { mimeType, data: bytes.toString('base64') }, text, kind, boardText };
+};
+
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data - one `video-frame` event: a JPEG from the student's camera
+ * @returns {{ frame: Buffer } | { error: string }}
+ */
+const readVideoFrame = (data) => {
+    const bytes = asBytes(data);
+    if (!bytes) return { error: 'Frame data must be binary' };
+    if (bytes.length > MAX_FRAME_BYTES) {
+        return { error: `Frame too large (${Math.round(bytes.length / 1024)} KB, limit ${MAX_FRAME_BYTES / 1024} KB)` };
+    }
+    if (bytes.length === 0 || !SIGNATURES['image/jpeg'](bytes)) {
+        return { error: 'Frames must be JPEG images' };
+    }
+    return { frame: bytes };
+};
+
+module.exports = { readImageInput, readVideoFrame, MAX_IMAGE_BYTES, MAX_FRAME_BYTES };
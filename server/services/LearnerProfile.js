@@ -0,0 +1,195 @@
+// What we know about one student across lessons: the topics they have been taught, how their
+// practice answers went and how many hints they needed. Profiles are plain objects kept in a
+// ProfileStore; these helpers update them and turn them into something the tutor can use.
+//
+// A profile:
+//   { studentId, createdAt, updatedAt, lessons, lastLessonAt,
+//     topics: { [key]: { name, explained, problems, solved, firstTry, answers, correct, hints,
+//                        firstSeenAt, lastSeenAt, recent: [{ at, correct }] } },
+//     days: { 'YYYY-MM-DD': { answers, correct } } }
+//
+// Topic keys are names the model made up, so `topics` has no prototype: "constructor" or
+// "__proto__" is just another topic (see restoreProfile for profiles read back from JSON).
+
+// Student ids come from the client (a random id it keeps in localStorage)
+const STUDENT_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const MAX_TOPIC_LENGTH = 60;
+// Answers per topic kept for its trend, and days kept for the progress chart
+const MAX_RECENT_ANSWERS = 20;
+const MAX_DAYS = 60;
+// A topic's standing is judged on its latest answers, so it moves as the student improves
+const STANDING_WINDOW = 10;
+const MIN_ANSWERS_FOR_STANDING = 3;
+// Topics named in the tutor's summary, per group
+const SUMMARY_TOPICS = 5;
+
+const isStudentId = (value) => typeof value === 'string' && STUDENT_ID_PATTERN.test(value);
+
+/**
+ * The student id from a socket's handshake auth.
+ * @returns {string | null} null if there is none or it isn't one of ours
+ */
+const readStudentId = (auth) => (auth && isStudentId(auth.studentId) ? auth.studentId : null);
+
+/**
+ * A topic name as the tutor gave it, tidied up.
+ * @returns {string | null} null if it isn't a usable name
+ */
+const readTopic = (value) => {
+    if (typeof value !== 'string') return null;
+    const name = value.replace(/\s+/g, ' ').trim().slice(0, MAX_TOPIC_LENGTH);
+    return name || null;
+};
+
+const createProfile = (studentId) => ({
+    studentId,
+    createdAt: Date.now(),
+    updatedAt: Date.now(),
+    lessons: 0,
+    lastLessonAt: null,
+    topics: Object.create(null),
+    days: {}
+});
+
+/**
+ * A profile parsed from JSON, with `topics` made prototype-free again.
+ * @param {object} profile
+ * @returns {object} the same profile
+ */
+const restoreProfile = (profile) => {
+    profile.topics = Object.assign(Object.create(null), profile.topics);
+    return profile;
+};
+
+// The same topic in different case or spacing is counted once, under the name it was first given
+const topicEntry = (profile, name) => {
+    const key = name.toLowerCase();
+    if (!Object.prototype.hasOwnProperty.call(profile.topics, key)) {
+        profile.topics[key] = {
+            name,
+            explained: 0,
+            problems: 0,
+            solved: 0,
+            firstTry: 0,
+            answers: 0,
+            correct: 0,
+            hints: 0,
+            firstSeenAt: Date.now(),
+            lastSeenAt: Date.now(),
+            recent: []
+        };
+    }
+    const topic = profile.topics[key];
+    topic.lastSeenAt = Date.now();
+    return topic;
+};
+
+// Called once per lesson, with the lesson's first update to the profile
+const noteLesson = (profile) => {
+    profile.lessons += 1;
+    profile.lastLessonAt = Date.now();
+};
+
+// The tutor explained something in this topic
+const noteTopic = (profile, name) => {
+    topicEntry(profile, name).explained += 1;
+};
+
+/**
+ * A checked practice answer (a `practice-result`, see PracticeTracker).
+ * @param {{ topic: string, correct: boolean, attempt: number, at: number }} result
+ */
+const notePracticeResult = (profile, result) => {
+    const topic = topicEntry(profile, result.topic);
+    topic.answers += 1;
+    if (result.attempt === 1) topic.problems += 1;
+    if (result.correct) {
+        topic.correct += 1;
+        topic.solved += 1;
+        if (result.attempt === 1) topic.firstTry += 1;
+    }
+    topic.recent = [...topic.recent, { at: result.at, correct: result.correct }].slice(-MAX_RECENT_ANSWERS);
+
+    const day = new Date(result.at).toISOString().slice(0, 10);
+    const totals = profile.days[day] || { answers: 0, correct: 0 };
+    profile.days[day] = { answers: totals.answers + 1, correct: totals.correct + (result.correct ? 1 : 0) };
+    const days = Object.keys(profile.days).sort();
+    days.slice(0, Math.max(0, days.length - MAX_DAYS)).forEach((old) => delete profile.days[old]);
+};
+
+const notePracticeHint = (profile, name) => {
+    topicEntry(profile, name).hints += 1;
+};
+
+/**
+ * How the student stands in a topic, from their latest answers and the hints they needed:
+ * 'strong', 'developing', 'weak', or 'new' if they haven't answered enough to tell.
+ */
+const topicStanding = (topic) => {
+    if (topic.answers < MIN_ANSWERS_FOR_STANDING) return 'new';
+    const recent = topic.recent.slice(-STANDING_WINDOW);
+    const accuracy = recent.filter((answer) => answer.correct).length / recent.length;
+    const hintsPerProblem = topic.hints / Math.max(1, topic.problems);
+    if (accuracy >= 0.75 && hintsPerProblem <= 1) return 'strong';
+    if (accuracy < 0.5) return 'weak';
+    return 'developing';
+};
+
+/**
+ * The profile's topics with their standings, most recently seen first.
+ * @returns {object[]} topic entries plus `standing` and `accuracy` (0-1 over the latest answers, or null)
+ */
+const topicStandings = (profile) =>
+    Object.values(profile.topics)
+        .map((topic) => {
+            const recent = topic.recent.slice(-STANDING_WINDOW);
+            return {
+                ...topic,
+                standing: topicStanding(topic),
+                accuracy: recent.length ? recent.filter((answer) => answer.correct).length / recent.length : null
+            };
+        })
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+
+/**
+ * A few sentences about the student for the tutor's system instruction.
+ * @returns {string} empty when there is nothing useful to say yet
+ */
+const summarizeProfile = (profile) => {
+    const topics = topicStandings(profile);
+    if (topics.length === 0) return '';
+
+    const describe = (topic) => (topic.problems > 0
+        ? `${topic.name} (${topic.firstTry} of ${topic.problems} problems right first time, ${topic.hints} hints)`
+        : topic.name);
+    const group = (standing) => topics.filter((topic) => topic.standing === standing).slice(0, SUMMARY_TOPICS).map(describe);
+
+    const strong = group('strong');
+    const developing = group('developing');
+    const weak = group('weak');
+    const covered = topics.slice(0, SUMMARY_TOPICS).map((topic) => topic.name);
+
+    const lines = [`About this student, from ${profile.lessons} earlier lesson${profile.lessons === 1 ? '' : 's'}:`];
+    if (strong.length) lines.push(`Strong in: ${strong.join('; ')}.`);
+    if (developing.length) lines.push(`Getting there with: ${developing.join('; ')}.`);
+    if (weak.length) lines.push(`Struggling with: ${weak.join('; ')}.`);
+    lines.push(`Recently covered: ${covered.join(', ')}.`);
+    lines.push('Pitch explanations at their level: move faster and set harder problems in topics they are strong in; '
+        + 'use smaller steps, check understanding more often and offer practice in topics they struggle with. '
+        + 'When you give a topic, reuse these names for the same topics.');
+    return lines.join('\n');
+};
+
+module.exports = {
+    readStudentId,
+    isStudentId,
+    readTopic,
+    createProfile,
+    restoreProfile,
+    noteLesson,
+    noteTopic,
+    notePracticeResult,
+    notePracticeHint,
+    topicStandings,
+    summarizeProfile
+};
@@ -0,0 +1,104 @@
+// Builds a replayable media timeline of what the student saw and heard.
+//
+// Timestamps (`t`, seconds from the first recorded event) follow the client's own
+// playback rules in App.jsx so a replay looks exactly like the live lesson did:
+//   - audio chunks are scheduled back-to-back, restarting 200 ms ahead of "now"
+//     whenever the queue has run dry;
+//   - visual commands appear when they arrive, except those that arrive before the
+//     first audio chunk, which the client holds until audio playback starts (or until
+//     the turn ends, if it had no speech);
+//   - an interruption (barge-in) stops the audio mid-timeline, drops visuals still held
+//     back, and starts over as if no audio had played yet.
+
+const OUTPUT_SAMPLE_RATE = 24000; // Gemini native audio, 16-bit mono PCM
+const BUFFER_LOOKAHEAD = 0.2;     // Matches BUFFER_LOOKAHEAD in App.jsx
+
+class LessonRecorder {
+    constructor() {
+        this.startedAt = null;
+        this.nextAudioTime = 0;
+        this.audioStarted = false;
+        this.pendingVisuals = [];
+    }
+
+    now() {
+        if (this.startedAt === null) {
+            this.startedAt = Date.now();
+        }
+        return (Date.now() - this.startedAt) / 1000;
+    }
+
+    /**
+     * @param {string} base64Pcm - one audio-output chunk as sent to the client
+     * @returns {object[]} timeline entries to persist (the chunk plus any visuals it released)
+     */
+    stampAudio(base64Pcm) {
+        const now = this.now();
+        if (this.nextAudioTime < now) {
+            this.nextAudioTime = now + BUFFER_LOOKAHEAD;
+        }
+
+        const bytes = Buffer.byteLength(base64Pcm, 'base64');
+        const duration = bytes / 2 / OUTPUT_SAMPLE_RATE;
+        const entry = { t: this.nextAudioTime, kind: 'audio', duration: duration, data: base64Pcm };
+        this.nextAudioTime += duration;
+
+        const entries = [entry];
+        if (!this.audioStarted) {
+            // Visuals queued before any audio are drawn the moment playback begins
+            this.audioStarted = true;
+            for (const command of this.pendingVisuals) {
+                entries.push({ t: entry.t, kind: 'visual', command: command });
+            }
+            this.pendingVisuals = [];
+        }
+        return entries;
+    }
+
+    /**
+     * @param {object} command - a visual command as emitted to the client
+     * @returns {object[]} timeline entries to persist (empty while held back for audio)
+     */
+    stampVisual(command) {
+        const now = this.now();
+        if (!this.audioStarted) {
+            this.pendingVisuals.push(command);
+            return [];
+        }
+        return [{ t: now, kind: 'visual', command: command }];
+    }
+
+    /**
+     * The student cut the tutor off, so the client stopped playback at this moment. Audio
+     * already stamped past it was never heard; players drop it (see useLessonPlayer).
+     * @returns {object[]} timeline entries to persist (the interruption marker)
+     */
+    interrupt() {
+        const now = this.now();
+        this.nextAudioTime = 0;
+        this.audioStarted = false;
+        this.pendingVisuals = [];
+        return [{ t: now, kind: 'interrupt' }];
+    }
+
+    /**
+     * The tutor finished its turn. Visuals it never spoke over are shown now, and a marker
+     * goes where its audio ends, which is when the client lets a sequence show all its steps.
+     * @returns {object[]} timeline entries to persist
+     */
+    endTurn() {
+        const entries = this.flush();
+        entries.push({ t: Math.max(this.now(), this.nextAudioTime), kind: 'turnEnd' });
+        return entries;
+    }
+
+    /** Visuals still waiting for audio when a turn or the lesson ends are shown at that moment. */
+    flush() {
+        const now = this.now();
+        const entries = this.pendingVisuals.map((command) => ({ t: now, kind: 'visual', command: command }));
+        this.pendingVisuals = [];
+        return entries;
+    }
+}
+
+module.exports = LessonRecorder;
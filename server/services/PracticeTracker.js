@@ -0,0 +1,124 @@
+const { checkAnswer, readAnswer } = require('./AnswerChecker');
+const { readTopic } = require('./LearnerProfile');
+
+const MAX_QUESTION_LENGTH = 1000;
+const MAX_HINTS = 5;
+const MAX_HINT_LENGTH = 500;
+const MAX_TITLE_LENGTH = 200;
+
+// The practice problem a session has open: the one the tutor last posed with `pose_problem`,
+// the answers the student has tried and how far up its hint ladder they have climbed.
+// The expected answer never leaves the server; answers are checked here (see AnswerChecker).
+class PracticeTracker {
+    constructor() {
+        this.problem = null;
+        this.problemCounter = 0;
+    }
+
+    /**
+     * Opens a new problem from `pose_problem` arguments, replacing any open one.
+     * @param {{ question: string, answer: string, hints?: string[], title?: string, topic?: string }} args
+     * @returns {{ problem: object } | { error: string }}
+     */
+    pose(args) {
+        const question = typeof args.question === 'string' ? args.question.trim() : '';
+        if (!question) {
+            return { error: 'question must be the problem for the student, as text and LaTeX' };
+        }
+        if (question.length > MAX_QUESTION_LENGTH) {
+            return { error: `question is too long (limit ${MAX_QUESTION_LENGTH} characters)` };
+        }
+
+        const answer = readAnswer(args.answer);
+        if (answer.error) {
+            return { error: `answer must be the final answer as a value, expression or equation (${answer.error})` };
+        }
+
+        const hints = args.hints === undefined ? [] : args.hints;
+        if (!Array.isArray(hints) || hints.some((hint) => typeof hint !== 'string' || !hint.trim())) {
+            return { error: 'hints must be a list of hints, gentlest first' };
+        }
+        if (hints.length > MAX_HINTS) {
+            return { error: `give at most ${MAX_HINTS} hints` };
+        }
+
+        const title = typeof args.title === 'string' && args.title.trim()
+            ? args.title.trim().slice(0, MAX_TITLE_LENGTH)
+            : 'Practice problem';
+
+        this.problem = {
+            id: `problem-${++this.problemCounter}`,
+            title,
+            // What the learner profile files the problem under
+            topic: readTopic(args.topic) || readTopic(args.title) || 'General',
+            question,
+            answer: args.answer.trim(),
+            hints: hints.map((hint) => hint.trim().slice(0, MAX_HINT_LENGTH)),
+            hintsUsed: 0,
+            attempts: 0,
+            solved: false
+        };
+        return { problem: this.problem };
+    }
+
+    /**
+     * Checks an answer to the open problem. A wrong answer climbs one rung of the hint ladder.
+     * @param {string} answer
+     * @param {'typed' | 'spoken'} source
+     * @param {string} [problemId] - the problem the student was answering, if they said
+     * @returns {{ result: object, hint: object | null } | { error: string }} result is the `practice-result` event
+     */
+    submit(answer, source, problemId) {
+        const problem = this.problem;
+        if (!problem || (problemId && problemId !== problem.id)) {
+            return { error: 'There is no open practice problem to answer' };
+        }
+        if (problem.solved) {
+            return { error: 'That problem is already solved; pose another one' };
+        }
+
+        const check = checkAnswer(answer, problem.answer);
+        if (check.error) return { error: check.error };
+
+        problem.attempts += 1;
+        if (check.correct) problem.solved = true;
+        const hint = check.correct ? null : this.nextHint();
+
+        return {
+            result: {
+                problemId: problem.id,
+                title: problem.title,
+                topic: problem.topic,
+                question: problem.question,
+                answer: answer.trim(),
+                correct: check.correct,
+                message: check.message,
+                attempt: problem.attempts,
+                hintsUsed: problem.hintsUsed,
+                source,
+                at: Date.now()
+            },
+            hint
+        };
+    }
+
+    /**
+     * The next rung of the hint ladder for the open problem.
+     * @returns {{ problemId: string, topic: string, level: number, count: number, hint: string } | null} null once
+     *   every hint has been given (or the tutor gave none)
+     */
+    nextHint() {
+        const problem = this.problem;
+        if (!problem || problem.hintsUsed >= problem.hints.length) return null;
+        problem.hintsUsed += 1;
+        return {
+            problemId: problem.id,
+            topic: problem.topic,
+            level: problem.hintsUsed,
+            count: problem.hints.length,
+            hint: problem.hints[problem.hintsUsed - 1]
+        };
+    }
+}
+
+module.exports = PracticeTracker;
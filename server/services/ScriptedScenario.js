@@ -1,33 +1,87 @@
-// This mock service simulates the AI generating a "Lesson Plan"
-// In a real app, this would call an LLM to generate the text and code.
-
-const getTriangleLesson = () => {
-    return {
-        // The "Audio" part (simplified as text for the frontend to speak via TTS for now)
-        spokenText: "Sure! A triangle is a polygon with three edges and three vertices. Let me draw one for you. Notice how it has three distinct sides connecting at the corners.",
-
-        // The "Visual" part (timed sequence of commands)
-        visualEvents: [
-            {
-                timeOffset: 500, // execute 500ms after speech starts
-                command: {
-                    type: 'DRAW_SHAPE',
-                    shape: 'triangle',
-                    points: [[200, 100], [150, 300], [250, 300]],
-                    color: '#FF0055'
-                }
-            },
-            {
-                timeOffset: 4000,
-                command: {
-                    type: 'DRAW_TEXT',
-                    text: "Vertices = 3",
-                    position: [260, 200],
-                    color: '#fff'
-                }
-            }
-        ]
-    };
+// Library of scripted lessons used by the offline tutor (and the "Test Triangle Scenario" button).
+// Each lesson is a JSON file in server/lessons (or SCRIPTED_LESSONS_DIR):
+//   {
+//     "id": "triangle",
+//     "title": "What is a triangle?",
+//     "keywords": ["triangle", "vertices"],   // triggers matched against the student's text
+//     "spokenText": "...",                    // spoken by the browser's speech synthesis
+//     "visualEvents": [{ "timeOffset": 500, "command": { "type": "DRAW_SHAPE", ... } }]
+//   }
+
+const fs = require('fs');
+const path = require('path');
+
+const LESSONS_DIR = process.env.SCRIPTED_LESSONS_DIR || path.join(__dirname, '..', 'lessons');
+
+let lessonCache = null;
+
+const validateLesson = (lesson, file) => {
+    if (!lesson.id || typeof lesson.spokenText !== 'string' || !Array.isArray(lesson.visualEvents)) {
+        throw new Error(`${file}: a lesson needs an id, spokenText and visualEvents`);
+    }
+    if (!Array.isArray(lesson.keywords)) {
+        throw new Error(`${file}: keywords must be an array`);
+    }
+    lesson.visualEvents.forEach((event, i) => {
+        if (typeof event.timeOffset !== 'number' || !event.command || !event.command.type) {
+            throw new Error(`${file}: visualEvents[${i}] needs a numeric timeOffset and a command with a type`);
+        }
+    });
+    return lesson;
+};
+
+// Reads every *.json lesson once; a broken file is skipped with a warning rather than taking the server down
+const loadLessons = () => {
+    if (lessonCache) return lessonCache;
+
+    lessonCache = [];
+    let files = [];
+    try {
+        files = fs.readdirSync(LESSONS_DIR).filter((file) => file.endsWith('.json')).sort();
+    } catch (e) {
+        console.warn('⚠️ Could not read scripted lessons from', LESSONS_DIR, '-', e.message);
+    }
+
+    for (const file of files) {
+        try {
+            const lesson = JSON.parse(fs.readFileSync(path.join(LESSONS_DIR, file), 'utf8'));
+            lessonCache.push(validateLesson(lesson, file));
+        } catch (e) {
+            console.warn('⚠️ Skipping scripted lesson', file, '-', e.message);
+        }
+    }
+
+    console.log(`📖 Loaded ${lessonCache.length} scripted lessons`);
+    return lessonCache;
+};
+
+const getLesson = (id) => loadLessons().find((lesson) => lesson.id === id) || null;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keywords match as whole words/phrases, so "sin" doesn't fire on "since"
+const keywordMatches = (text, keyword) =>
+    new RegExp(`(^|[^a-z0-9])${escapeRegExp(keyword.toLowerCase())}($|[^a-z0-9])`).test(text);
+
+/**
+ * Picks the lesson whose keywords best match the student's message.
+ * @returns {object|null} the lesson with the most matching keywords, or null if none match
+ */
+const findLesson = (text) => {
+    const normalized = String(text || '').toLowerCase();
+    let best = null;
+    let bestScore = 0;
+
+    for (const lesson of loadLessons()) {
+        const score = lesson.keywords.filter((keyword) => keywordMatches(normalized, keyword)).length;
+        if (score > bestScore) {
+            best = lesson;
+            bestScore = score;
+        }
+    }
+    return best;
 };
 
-module.exports = { getTriangleLesson };
+const getTriangleLesson = () => getLesson('triangle');
+
+module.exports = { loadLessons, getLesson, findLesson, getTriangleLesson };
@@ -0,0 +1,84 @@
+const TutorBackend = require('./TutorBackend');
+const { loadLessons, findLesson } = require('./ScriptedScenario');
+
+// Offline TutorBackend: answers typed questions with scripted lessons.
+// No credentials or network needed, so the UI can be demoed, developed and tested anywhere.
+// Lessons are emitted as 'scenario' events (sent to the client as `tutor-response`); the
+// client speaks them with speech synthesis and plays their visual events on the board.
+class ScriptedTutor extends TutorBackend {
+    constructor() {
+        super();
+        this.warnedAboutAudio = false;
+        this.warnedAboutVideo = false;
+    }
+
+    async connect() {
+        const lessons = loadLessons();
+        console.log('🎭 Offline scripted tutor ready with', lessons.length, 'lessons');
+        this.emit('status', { state: 'ready', message: `Offline Tutor Ready (${lessons.length} scripted lessons)` });
+    }
+
+    // There is no speech recognition offline; point the student at text mode once
+    sendAudio() {
+        if (this.warnedAboutAudio) return;
+        this.warnedAboutAudio = true;
+        this.emit('status', { state: 'ready', message: 'Offline mode: voice input is not available, please type your question' });
+    }
+
+    sendVideo() {
+        if (this.warnedAboutVideo) return;
+        this.warnedAboutVideo = true;
+        this.emit('status', { state: 'ready', message: 'Offline mode: the camera is not available, please type your question' });
+    }
+
+    sendText(textMessage) {
+        const lesson = findLesson(textMessage);
+        if (lesson) {
+            console.log('🎭 Matched scripted lesson:', lesson.id);
+            this.playLesson(lesson);
+        } else {
+            console.log('🎭 No scripted lesson matched:', textMessage);
+            this.playLesson(this.fallbackLesson());
+        }
+    }
+
+    // Photos can't be read offline; answer the question that came with one, if any
+    sendImage(image, text) {
+        if (text) {
+            this.sendText(text);
+            return;
+        }
+        this.emit('transcript', { role: 'tutor', text: "I can't read photos in offline mode. Please type the problem instead." });
+        this.emit('turnComplete');
+    }
+
+    // Scripted lessons answer whole problems, not single steps
+    sendStepQuestion() {
+        this.emit('transcript', { role: 'tutor', text: "I can't answer questions about single steps in offline mode. Please type your question instead." });
+        this.emit('turnComplete');
+    }
+
+    playLesson(lesson) {
+        this.emit('scenario', lesson);
+        this.emit('transcript', { role: 'tutor', text: lesson.spokenText });
+        this.emit('turnComplete');
+    }
+
+    fallbackLesson() {
+        const titles = loadLessons().map((lesson) => lesson.title);
+        return {
+            id: 'fallback',
+            title: 'No scripted lesson',
+            keywords: [],
+            spokenText: "I don't have a scripted lesson for that yet. In offline mode I can explain: " + titles.join(', ') + '.',
+            visualEvents: [
+                {
+                    timeOffset: 0,
+                    command: { type: 'ANIMATE_SEQUENCE', title: 'Available offline lessons', steps: titles, color: '#00D2FF' }
+                }
+            ]
+        };
+    }
+}
+
+module.exports = ScriptedTutor;
@@ -0,0 +1,182 @@
+// Per-session tutor settings the student picks in the client: voice, response language,
+// subject, explanation depth and persona. Only values from these allow-lists are accepted;
+// the Live config (voice and system instruction) is built from them by GeminiLiveBridge.
+
+// Gemini Live prebuilt voices
+const VOICES = {
+    Puck: 'Puck (friendly, casual)',
+    Charon: 'Charon (deep, serious)',
+    Kore: 'Kore (soft, gentle)',
+    Fenrir: 'Fenrir (energetic)',
+    Aoede: 'Aoede (melodic, warm)'
+};
+
+// The native audio model picks its spoken language from the conversation, so the response
+// language is asked for in the system instruction rather than set as a speech language code
+const LANGUAGES = {
+    auto: { label: "Same as the student's", instruction: 'Answer in the language the student speaks or writes to you in.' },
+    en: { label: 'English' },
+    es: { label: 'Español (Spanish)', name: 'Spanish' },
+    fr: { label: 'Français (French)', name: 'French' },
+    de: { label: 'Deutsch (German)', name: 'German' },
+    pt: { label: 'Português (Portuguese)', name: 'Portuguese' },
+    ar: { label: 'العربية (Arabic)', name: 'Arabic' },
+    hi: { label: 'हिन्दी (Hindi)', name: 'Hindi' },
+    bn: { label: 'বাংলা (Bengali)', name: 'Bengali' },
+    zh: { label: '中文 (Chinese)', name: 'Mandarin Chinese' },
+    ja: { label: '日本語 (Japanese)', name: 'Japanese' },
+    ko: { label: '한국어 (Korean)', name: 'Korean' },
+    id: { label: 'Bahasa Indonesia (Indonesian)', name: 'Indonesian' },
+    tr: { label: 'Türkçe (Turkish)', name: 'Turkish' },
+    ru: { label: 'Русский (Russian)', name: 'Russian' }
+};
+
+const SUBJECTS = {
+    math: {
+        label: 'Mathematics',
+        tutor: 'Math',
+        instruction: ''
+    },
+    physics: {
+        label: 'Physics',
+        tutor: 'Physics',
+        instruction: 'Start from the physical picture and draw it (forces, fields, motion) before the equations. '
+            + 'Carry units through every step, with \\mathrm{} for units in LaTeX, and check the units and the size of the answer at the end.'
+    },
+    chemistry: {
+        label: 'Chemistry',
+        tutor: 'Chemistry',
+        instruction: 'Write formulas and reactions in LaTeX, e.g. \\mathrm{2H_2 + O_2 \\rightarrow 2H_2O}. '
+            + 'Balance equations step by step, and keep track of units, moles and significant figures.'
+    },
+    cs: {
+        label: 'Computer science',
+        tutor: 'Computer Science',
+        instruction: 'Explain algorithms with a small worked example, tracing how the variables and data structures change step by step. '
+            + 'Put code or pseudocode in the steps as short plain lines, and give running times in big-O notation.'
+    }
+};
+
+const DEPTHS = {
+    brief: {
+        label: 'Brief',
+        instruction: 'Keep explanations short: only the key steps, a sentence or two on each, and no tangents.'
+    },
+    standard: {
+        label: 'Standard',
+        instruction: 'Explain each step clearly, with a short reason why it works.'
+    },
+    detailed: {
+        label: 'Detailed',
+        instruction: 'Go slowly and thoroughly: small steps, the reasoning behind each one, a check of the answer at the end, and the mistakes students commonly make.'
+    }
+};
+
+const PERSONAS = {
+    visual: {
+        label: 'Visual storyteller (3Blue1Brown)',
+        style: 'with the style of 3Blue1Brown',
+        instruction: 'Build intuition with pictures on the board before the formulas.'
+    },
+    socratic: {
+        label: 'Socratic guide',
+        style: 'who teaches by asking questions',
+        instruction: 'Before showing a step, ask the student what they think comes next, and let them do as much of the work as they can.'
+    },
+    coach: {
+        label: 'Encouraging coach',
+        style: 'who is warm and encouraging',
+        instruction: "Celebrate progress, treat mistakes as a normal part of learning and keep the student's confidence up."
+    },
+    professor: {
+        label: 'Rigorous professor',
+        style: 'who is precise and rigorous',
+        instruction: 'State definitions, justify every step and point out the conditions under which a result holds.'
+    }
+};
+
+const DEFAULT_SESSION_CONFIG = {
+    voice: 'Charon',
+    language: 'en',
+    subject: 'math',
+    depth: 'standard',
+    persona: 'visual'
+};
+
+const ALLOWED = {
+    voice: VOICES,
+    language: LANGUAGES,
+    subject: SUBJECTS,
+    depth: DEPTHS,
+    persona: PERSONAS
+};
+
+/**
+ * Reads the settings a client sent when it connected. Settings left out get their defaults.
+ * @param {object} [settings] - `settings` from the socket's handshake auth
+ * @returns {{ config: object } | { error: string }}
+ */
+const readSessionConfig = (settings) => {
+    if (settings === undefined || settings === null) return { config: { ...DEFAULT_SESSION_CONFIG } };
+    if (typeof settings !== 'object' || Array.isArray(settings)) {
+        return { error: 'settings must be an object' };
+    }
+
+    const config = { ...DEFAULT_SESSION_CONFIG };
+    for (const [key, allowed] of Object.entries(ALLOWED)) {
+        const value = settings[key];
+        if (value === undefined) continue;
+        if (typeof value !== 'string' || !Object.prototype.hasOwnProperty.call(allowed, value)) {
+            return { error: `${key} must be one of ${Object.keys(allowed).join(', ')}` };
+        }
+        config[key] = value;
+    }
+    return { config };
+};
+
+/**
+ * The choices for each setting, for the client's settings panel.
+ * @returns {object} per setting, a list of { value, label }
+ */
+const sessionConfigOptions = () => Object.fromEntries(
+    Object.entries(ALLOWED).map(([key, allowed]) => [
+        key,
+        Object.entries(allowed).map(([value, entry]) => ({ value, label: typeof entry === 'string' ? entry : entry.label }))
+    ])
+);
+
+/**
+ * The `session-config` event answering a client's handshake: the settings the session uses,
+ * the choices for each, and why the client's own settings were turned down (null if they
+ * weren't). Rejected settings are replaced by the defaults as a whole; the client saves those
+ * in place of its own, so it doesn't send them again.
+ * @param {object} [settings] - `settings` from the socket's handshake auth
+ * @returns {{ config: object, options: object, error: string | null }}
+ */
+const sessionConfigHandshake = (settings) => {
+    const { config, error } = readSessionConfig(settings);
+    return { config: config || { ...DEFAULT_SESSION_CONFIG }, options: sessionConfigOptions(), error: error || null };
+};
+
+/**
+ * Who the tutor is for this session: the opening of its system instruction.
+ * @param {object} config - from readSessionConfig
+ * @returns {string}
+ */
+const tutorInstruction = (config) => {
+    const subject = SUBJECTS[config.subject];
+    const persona = PERSONAS[config.persona];
+    const language = LANGUAGES[config.language];
+    const languageInstruction = language.instruction
+        || `Always answer in ${language.name || language.label}, both aloud and in the words on the board; math stays in LaTeX.`;
+
+    return [
+        `You are an expert ${subject.tutor} Tutor ${persona.style}.`,
+        persona.instruction,
+        subject.instruction,
+        DEPTHS[config.depth].instruction,
+        languageInstruction
+    ].filter(Boolean).join(' ');
+};
+
+module.exports = { DEFAULT_SESSION_CONFIG, readSessionConfig, sessionConfigOptions, sessionConfigHandshake, tutorInstruction };
@@ -0,0 +1,127 @@
+const describeDuration = (ms) => {
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 120) return `${seconds} seconds`;
+    return `${Math.round(seconds / 60)} minutes`;
+};
+
+// Keeps track of every live TutorSession so none outlives its client: sessions are closed
+// when their socket disconnects, when the student has been idle too long, and on shutdown.
+// Also caps how many sessions (and so Live connections) one server runs at a time.
+class SessionManager {
+    /**
+     * @param {object} options
+     * @param {number} options.maxSessions - connections beyond this are turned away
+     * @param {number} options.idleTimeoutMs - close sessions with no student audio or text for this long
+     */
+    constructor({ maxSessions, idleTimeoutMs }) {
+        this.maxSessions = maxSessions;
+        this.idleTimeoutMs = idleTimeoutMs;
+        // socket id -> { socket, tutor, connectedAt, lastActivityAt }
+        this.sessions = new Map();
+        this.sweepTimer = null;
+        this.totalSessions = 0;
+        this.rejectedSessions = 0;
+        this.idleClosures = 0;
+    }
+
+    get size() {
+        return this.sessions.size;
+    }
+
+    isFull() {
+        return this.sessions.size >= this.maxSessions;
+    }
+
+    /**
+     * Registers and starts a session for a socket, unless the server is at capacity.
+     * @returns {boolean} false if the session was turned away
+     */
+    open(socket, tutor) {
+        if (this.isFull()) {
+            this.rejectedSessions += 1;
+            return false;
+        }
+
+        const now = Date.now();
+        this.sessions.set(socket.id, { socket, tutor, connectedAt: now, lastActivityAt: now });
+        this.totalSessions += 1;
+        this.startSweeping();
+        tutor.start();
+        return true;
+    }
+
+    // Called on every piece of student input
+    touch(socketId) {
+        const entry = this.sessions.get(socketId);
+        if (entry) entry.lastActivityAt = Date.now();
+    }
+
+    // Resolves once the session's lesson record has been written
+    close(socketId) {
+        const entry = this.sessions.get(socketId);
+        if (!entry) return Promise.resolve();
+
+        this.sessions.delete(socketId);
+        if (this.sessions.size === 0) this.stopSweeping();
+        return entry.tutor.close();
+    }
+
+    closeAll() {
+        return Promise.all([...this.sessions.keys()].map((socketId) => this.close(socketId)));
+    }
+
+    startSweeping() {
+        if (this.sweepTimer) return;
+        // Check often enough that a session never lingers much past its timeout
+        const interval = Math.min(60 * 1000, Math.max(1000, this.idleTimeoutMs / 4));
+        this.sweepTimer = setInterval(() => this.closeIdleSessions(), interval);
+        // Don't keep the process alive just for this
+        this.sweepTimer.unref();
+    }
+
+    stopSweeping() {
+        clearInterval(this.sweepTimer);
+        this.sweepTimer = null;
+    }
+
+    closeIdleSessions() {
+        const now = Date.now();
+        this.sessions.forEach((entry, socketId) => {
+            if (now - entry.lastActivityAt < this.idleTimeoutMs) return;
+
+            const idleFor = describeDuration(this.idleTimeoutMs);
+            console.log(`⏱️ Closing session ${socketId} after ${idleFor} without student input`);
+            this.idleClosures += 1;
+            entry.socket.emit('status', {
+                status: 'idle',
+                message: `Session closed after ${idleFor} of inactivity`
+            });
+            this.close(socketId);
+            entry.socket.disconnect(true);
+        });
+    }
+
+    // Snapshot for the /status route. Deliberately has no socket ids or lesson content.
+    stats() {
+        const now = Date.now();
+        const byState = {};
+        const idleSeconds = [];
+        this.sessions.forEach(({ tutor, lastActivityAt }) => {
+            byState[tutor.state] = (byState[tutor.state] || 0) + 1;
+            idleSeconds.push(Math.round((now - lastActivityAt) / 1000));
+        });
+
+        return {
+            active: this.sessions.size,
+            max: this.maxSessions,
+            byState,
+            longestIdleSeconds: idleSeconds.length ? Math.max(...idleSeconds) : 0,
+            idleTimeoutSeconds: Math.round(this.idleTimeoutMs / 1000),
+            total: this.totalSessions,
+            rejected: this.rejectedSessions,
+            closedForIdle: this.idleClosures
+        };
+    }
+}
+
+module.exports = SessionManager;
@@ -0,0 +1,39 @@
+// Validation for `step-question` events: the student picked one step of a solution on the
+// board and asked about it. The step is sent back as the LaTeX the tutor wrote, so the
+// model sees exactly what the student is pointing at.
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_STEP_LENGTH = 1000;
+const MAX_STEPS = 50;
+// Explain this step / Show an alternative / I don't get it
+const ACTIONS = ['explain', 'alternative', 'stuck'];
+
+/**
+ * @param {object} payload - `step-question` event data: { title, stepIndex, step, action }
+ * @returns {{ question: { title: string, stepIndex: number, step: string, action: string } } | { error: string }}
+ */
+const readStepQuestion = (payload) => {
+    if (!payload || typeof payload !== 'object') {
+        return { error: 'No step was given' };
+    }
+
+    if (!ACTIONS.includes(payload.action)) {
+        return { error: `action must be one of ${ACTIONS.join(', ')}` };
+    }
+    if (!Number.isInteger(payload.stepIndex) || payload.stepIndex < 0 || payload.stepIndex >= MAX_STEPS) {
+        return { error: `stepIndex must be a whole number from 0 to ${MAX_STEPS - 1}` };
+    }
+
+    const step = typeof payload.step === 'string' ? payload.step.trim() : '';
+    if (!step) {
+        return { error: 'step must be the text of the step' };
+    }
+    if (step.length > MAX_STEP_LENGTH) {
+        return { error: `step is too long (${step.length} characters, limit ${MAX_STEP_LENGTH})` };
+    }
+
+    const title = typeof payload.title === 'string' ? payload.title.trim().slice(0, MAX_TITLE_LENGTH) : '';
+    return { question: { title: title || 'Solution', stepIndex: payload.stepIndex, step, action: payload.action } };
+};
+
+module.exports = { readStepQuestion };
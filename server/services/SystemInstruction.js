@@ -0,0 +1,77 @@
+const { tutorInstruction } = require('./SessionConfig');
+
+// The tutor's system instruction, one named section per capability so each can be reviewed,
+// tested and left out on its own. A section's text gets the lesson context
+// ({ sessionConfig, learnerSummary }) and may return '' when it has nothing to add.
+// The sections are joined in this order; the learner profile is sent as its own part.
+
+const SECTIONS = [
+    {
+        // Who the tutor is: the student's subject, persona, depth and language (see SessionConfig)
+        name: 'sessionSettings',
+        text: ({ sessionConfig }) => tutorInstruction(sessionConfig)
+    },
+    {
+        name: 'narratedSolutions',
+        text: () => "When a user asks for a solution or explanation, YOU MUST use the 'animate_solution' tool to provide a step-by-step visual breakdown. "
+            + 'IMPORTANT: You must VERBALLY explain the steps as you show them. Do not just show the steps and stay silent. Narration is key. '
+            + 'Use LaTeX for all math equations.'
+    },
+    {
+        name: 'boardTools',
+        text: () => "To build a graph or diagram up while you talk about it (e.g. a curve, then its tangent, then a labelled point), use 'update_board' and refer to objects by id in later calls. "
+            + "For circles, conics, polar curves and parametric motion use draw_on_canvas with kind 'implicit', 'polar' or 'parametric' rather than solving for y."
+    },
+    {
+        name: 'geometry',
+        text: () => "For geometry (triangles, circles, angles, constructions) use 'draw_geometry' with true coordinates, so lengths and angles on the board match what you say."
+    },
+    {
+        name: 'images',
+        text: () => "When the student sends a photo of a problem, first read the problem back to them, then solve it with 'animate_solution'. "
+            + 'When the student sends a sketch of their own working on the whiteboard, find the first mistake in it and explain how to fix it.'
+    },
+    {
+        name: 'practiceMode',
+        text: () => "When the student wants practice, give them a problem with 'pose_problem' (with a hint ladder) and let them solve it; "
+            + "call 'check_answer' with any answer they say aloud and never give the answer away."
+    },
+    {
+        name: 'stepQuestions',
+        text: () => "When the student asks about one step of a solution, your 'animate_solution' answer is shown nested under that step, so keep it to that step."
+    },
+    {
+        name: 'camera',
+        text: () => 'When the student turns on their camera, you see their paper as video frames; refer to what is written there when they ask about it.'
+    },
+    {
+        // What the student has worked on before (see LearnerProfile.summarizeProfile)
+        name: 'profileSummary',
+        separatePart: true,
+        text: ({ learnerSummary }) => learnerSummary || ''
+    }
+];
+
+const SECTION_NAMES = SECTIONS.map((section) => section.name);
+
+/**
+ * @param {{ sessionConfig: object, learnerSummary?: string }} context
+ * @param {object} [options]
+ * @param {string[]} [options.sections] - the sections to include, by name; all of them by default
+ * @returns {{ parts: { text: string }[] }} the Live config's systemInstruction
+ */
+const buildSystemInstruction = (context, { sections = SECTION_NAMES } = {}) => {
+    const unknown = sections.filter((name) => !SECTION_NAMES.includes(name));
+    if (unknown.length > 0) throw new Error(`Unknown system instruction section: ${unknown.join(', ')}`);
+
+    const included = SECTIONS
+        .filter((section) => sections.includes(section.name))
+        .map((section) => ({ section, text: section.text(context) }))
+        .filter(({ text }) => text);
+
+    const main = included.filter(({ section }) => !section.separatePart).map(({ text }) => text).join(' ');
+    const separate = included.filter(({ section }) => section.separatePart).map(({ text }) => ({ text }));
+    return { parts: [...(main ? [{ text: main }] : []), ...separate] };
+};
+
+module.exports = { SECTION_NAMES, buildSystemInstruction };
@@ -0,0 +1,81 @@
+const EventEmitter = require('events');
+
+/**
+ * Interface for the model behind a tutoring session. Backends know nothing about
+ * socket.io; TutorSession forwards their events to the client and records the lesson.
+ *
+ * Methods:
+ *   setLearnerSummary(summary)      what earlier lessons showed about the student (see LearnerProfile),
+ *                                   given before connect() so the tutor can pitch explanations at their level
+ *   connect()                       open the model session
+ *   sendAudio(pcm)                  16 kHz 16-bit mono PCM from the microphone (Buffer)
+ *   sendText(text)                  a typed student message
+ *   sendImage(image, text)          a photo ({ mimeType, data: base64 }) with an optional question
+ *   sendVideo(jpeg)                 one camera frame (Buffer), streamed alongside the microphone
+ *   sendStepQuestion(question)      the student asked about one step of a solution on the board
+ *                                   ({ title, stepIndex, step, action }, see StepQuestion.js)
+ *   sendToolResponse(call, result)  answer a 'toolCall' ({ output } or { error })
+ *   sendPracticeUpdate(update)      the student answered the open practice problem or asked for a hint:
+ *                                   { type: 'answer', answer, correct, message, hint } or { type: 'hint', question, level, hint }
+ *   close()                         end the model session; no events are emitted afterwards
+ *
+ * Events:
+ *   'status'       { state: 'connecting' | 'ready' | 'reconnecting' | 'closed' | 'error', message }
+ *   'audio'        base64 24 kHz 16-bit mono PCM chunk of tutor speech
+ *   'transcript'   { role: 'student' | 'tutor', text } - an incremental transcription chunk
+ *   'toolCall'     { id, name, args } - answer with sendToolResponse
+ *   'turnComplete' the tutor finished speaking
+ *   'interrupted'  the tutor was cut off by the student
+ *   'scenario'     a scripted lesson for the client to play itself (see ScriptedScenario)
+ */
+class TutorBackend extends EventEmitter {
+    constructor() {
+        super();
+        this.closed = false;
+    }
+
+    // Backends without a system instruction have nowhere to put it
+    setLearnerSummary() {}
+
+    async connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    sendAudio() {
+        throw new Error(`${this.constructor.name} does not implement sendAudio()`);
+    }
+
+    sendText() {
+        throw new Error(`${this.constructor.name} does not implement sendText()`);
+    }
+
+    sendImage() {
+        throw new Error(`${this.constructor.name} does not implement sendImage()`);
+    }
+
+    sendVideo() {
+        throw new Error(`${this.constructor.name} does not implement sendVideo()`);
+    }
+
+    sendStepQuestion() {
+        throw new Error(`${this.constructor.name} does not implement sendStepQuestion()`);
+    }
+
+    // Backends without tools never emit 'toolCall', so there is nothing to answer
+    sendToolResponse() {}
+
+    // Nor do they pose practice problems, so there is nothing to give feedback on
+    sendPracticeUpdate() {}
+
+    close() {
+        this.closed = true;
+    }
+
+    // Drops events emitted after close() so a late model message can't reach a gone socket
+    emit(event, ...args) {
+        if (this.closed) return false;
+        return super.emit(event, ...args);
+    }
+}
+
+module.exports = TutorBackend;
@@ -0,0 +1,534 @@
+const { buildCanvasCommand, buildSceneCommand, buildGeometryCommand } = require('./CanvasTools');
+const LessonRecorder = require('./LessonRecorder');
+const PracticeTracker = require('./PracticeTracker');
+const { readTopic, noteLesson, noteTopic, notePracticeResult, notePracticeHint, summarizeProfile } = require('./LearnerProfile');
+
+// How long to wait for the client to confirm it rendered a visual command
+const TOOL_ACK_TIMEOUT_MS = 5000;
+// How a step question reads in the transcript, as the buttons on the board say it
+const STEP_ACTION_LABELS = {
+    explain: 'Explain this step',
+    alternative: 'Show an alternative',
+    stuck: "I don't get it"
+};
+
+// Connects one client socket to a TutorBackend: forwards the backend's audio, transcripts
+// and status to the client, turns tool calls into whiteboard commands, and records the lesson.
+class TutorSession {
+    /**
+     * @param {object} socket - the client's socket.io socket
+     * @param {TutorBackend} backend
+     * @param {object} [options]
+     * @param {object} [options.sessionStore] - where lessons are recorded; none means no history
+     * @param {number} [options.maxVideoFps=2] - camera frames beyond this rate are dropped
+     * @param {object} [options.profileStore] - where learner profiles are kept; none means no profile
+     * @param {string} [options.studentId] - whose profile this lesson reads and updates (see readStudentId)
+     */
+    constructor(socket, backend, { sessionStore = null, maxVideoFps = 2, profileStore = null, studentId = null } = {}) {
+        this.clientSocket = socket;
+        this.backend = backend;
+        // Last status the backend reported (see TutorBackend), for the /status route
+        this.state = 'connecting';
+        this.closed = false;
+
+        // Lesson history: the stored lesson is created lazily on the first recorded event
+        this.sessionStore = sessionStore;
+        this.lesson = null;
+        this.recordQueue = Promise.resolve();
+        // Audio/visual timeline for replaying the lesson later
+        this.recorder = new LessonRecorder();
+
+        // The student's learner profile, across lessons: it's summarized for the tutor at the
+        // start and updated with the topics and practice of this lesson
+        this.profileStore = studentId ? profileStore : null;
+        this.studentId = studentId;
+        this.profileUpdated = false;
+
+        // Camera frames: the rate limit, and how many went over it
+        this.minVideoFrameIntervalMs = 1000 / maxVideoFps;
+        this.lastVideoFrameAt = 0;
+        this.droppedVideoFrames = 0;
+
+        // The step the student last asked about, until the tutor answers it: the next solution
+        // is shown nested under that step instead of replacing the board
+        this.pendingStepQuestion = null;
+        // The open practice problem, its attempts and hint ladder
+        this.practice = new PracticeTracker();
+
+        // Transcript entries currently being built, one per speaker
+        this.activeTranscripts = { student: null, tutor: null };
+        this.transcriptCounter = 0;
+
+        backend.on('status', ({ state, message }) => {
+            this.state = state;
+            this.clientSocket.emit('status', { status: state, message });
+        });
+        backend.on('audio', (data) => this.handleAudio(data));
+        backend.on('transcript', ({ role, text }) => this.handleTranscription(role, text));
+        backend.on('turnComplete', () => this.handleTurnComplete());
+        backend.on('interrupted', () => this.handleInterrupted());
+        backend.on('toolCall', (call) => this.handleToolCall(call));
+        backend.on('scenario', (lesson) => this.clientSocket.emit('tutor-response', lesson));
+    }
+
+    async start() {
+        if (this.profileStore) {
+            try {
+                const profile = await this.profileStore.getProfile(this.studentId);
+                const summary = profile ? summarizeProfile(profile) : '';
+                if (summary) {
+                    console.log(`🎓 Learner profile for ${this.studentId}: ${Object.keys(profile.topics).length} topics`);
+                    this.backend.setLearnerSummary(summary);
+                }
+            } catch (e) {
+                // The lesson goes ahead without it
+                console.error('Failed to load learner profile:', e.message);
+            }
+            if (this.closed) return;
+        }
+        return this.backend.connect();
+    }
+
+    sendAudioInput(pcmData) {
+        this.backend.sendAudio(pcmData);
+    }
+
+    // One JPEG from the student's camera (validated by readVideoFrame). The client sends about
+    // 1 fps; anything faster than maxVideoFps is dropped rather than passed on to the model.
+    sendVideoFrame(jpeg) {
+        const now = Date.now();
+        if (now - this.lastVideoFrameAt < this.minVideoFrameIntervalMs) {
+            this.droppedVideoFrames += 1;
+            if (this.droppedVideoFrames % 50 === 1) {
+                console.warn(`⚠️ Camera frames arriving too fast; ${this.droppedVideoFrames} dropped so far`);
+            }
+            return;
+        }
+        this.lastVideoFrameAt = now;
+        this.backend.sendVideo(jpeg);
+    }
+
+    sendTextInput(textMessage) {
+        this.record({ type: 'text', text: textMessage });
+
+        // Typed messages go straight into the transcript as a complete student turn
+        this.addStudentEntry('text', textMessage);
+
+        // Sent after the student's entry so a backend that answers synchronously is transcribed in order
+        this.backend.sendText(textMessage);
+    }
+
+    /**
+     * A photographed problem or a sketch on the board, already validated by readImageInput.
+     * @param {{ image: { mimeType: string, data: string }, text: string, kind: 'photo' | 'sketch', boardText: string }} input
+     */
+    sendImageInput({ image, text, kind, boardText }) {
+        // The picture itself isn't kept in the lesson history, only that one was sent
+        this.record({ type: 'image', kind, mimeType: image.mimeType, bytes: Buffer.byteLength(image.data, 'base64'), text });
+
+        this.addStudentEntry(kind === 'sketch' ? 'sketch' : 'image', text);
+
+        // The board's text goes to the model as written, since it's hard to read back out of a JPEG
+        this.backend.sendImage(image, boardText ? `${text}\n\nText on the board:\n${boardText}` : text);
+    }
+
+    /**
+     * The student asked about one step of the solution on the board, already validated by readStepQuestion.
+     * @param {{ title: string, stepIndex: number, step: string, action: 'explain' | 'alternative' | 'stuck' }} question
+     */
+    sendStepQuestion(question) {
+        const text = `${STEP_ACTION_LABELS[question.action]} (step ${question.stepIndex + 1}: ${question.step})`;
+        this.record({ type: 'step_question', ...question, text });
+
+        this.addStudentEntry('step', text);
+
+        this.pendingStepQuestion = { title: question.title, stepIndex: question.stepIndex, action: question.action };
+        this.backend.sendStepQuestion(question);
+    }
+
+    /**
+     * An answer the student typed for the open practice problem. It's checked here, then the
+     * tutor is told the verdict (and the next hint, if wrong) so it can give feedback.
+     * @param {{ problemId?: string, answer: string }} payload - `practice-answer` event data
+     * @returns {{ ok: true, correct: boolean } | { ok: false, error: string }}
+     */
+    submitPracticeAnswer(payload) {
+        const answer = payload && typeof payload.answer === 'string' ? payload.answer : '';
+        const submitted = this.practice.submit(answer, 'typed', payload && payload.problemId);
+        if (submitted.error) return { ok: false, error: submitted.error };
+
+        this.addStudentEntry('practice', `Answer: ${submitted.result.answer}`);
+        this.reportPracticeResult(submitted);
+        this.backend.sendPracticeUpdate({ type: 'answer', ...submitted.result, hint: submitted.hint && submitted.hint.hint });
+        return { ok: true, correct: submitted.result.correct };
+    }
+
+    /**
+     * The student asked for the next hint on the open practice problem.
+     * @param {{ problemId?: string }} payload - `practice-hint` event data
+     * @returns {{ ok: true, hint: object | null } | { ok: false, error: string }} hint is null once the ladder is used up
+     */
+    requestPracticeHint(payload) {
+        const problem = this.practice.problem;
+        if (!problem || (payload && payload.problemId && payload.problemId !== problem.id)) {
+            return { ok: false, error: 'There is no open practice problem' };
+        }
+
+        const hint = this.practice.nextHint();
+        this.addStudentEntry('practice', 'Can I have a hint?');
+        if (hint) this.reportPracticeHint(hint);
+        this.backend.sendPracticeUpdate({ type: 'hint', question: problem.question, level: hint && hint.level, hint: hint && hint.hint });
+        return { ok: true, hint };
+    }
+
+    // A checked answer (and the hint it unlocked) goes to the client, the lesson record and the learner profile
+    reportPracticeResult({ result, hint }) {
+        console.log(`${result.correct ? '✅' : '❌'} Practice answer (${result.source}): ${result.answer} - ${result.message}`);
+        this.clientSocket.emit('practice-result', result);
+        this.record({ type: 'practice_result', ...result });
+        this.updateProfile((profile) => notePracticeResult(profile, result));
+        if (hint) this.reportPracticeHint(hint);
+    }
+
+    reportPracticeHint(hint) {
+        this.clientSocket.emit('practice-hint', hint);
+        this.record({ type: 'practice_hint', ...hint });
+        this.updateProfile((profile) => notePracticeHint(profile, hint.topic));
+    }
+
+    // Applies a change to the student's learner profile; the first one also counts the lesson.
+    // Like recording, failures are logged and never reach the conversation.
+    updateProfile(change) {
+        if (!this.profileStore) return;
+
+        const firstUpdate = !this.profileUpdated;
+        this.profileUpdated = true;
+        this.profileStore
+            .updateProfile(this.studentId, (profile) => {
+                if (firstUpdate) noteLesson(profile);
+                change(profile);
+            })
+            .catch((e) => console.error('Failed to update learner profile:', e.message));
+    }
+
+    // A complete student entry in the transcript, for input that isn't transcribed speech
+    addStudentEntry(source, text) {
+        this.finalizeTranscript('student');
+        const now = Date.now();
+        this.clientSocket.emit('transcript', {
+            id: `student-${++this.transcriptCounter}`,
+            role: 'student',
+            source: source,
+            text: text,
+            startedAt: now,
+            updatedAt: now,
+            final: true
+        });
+    }
+
+    // Ends the model session and closes the stored lesson. Safe to call more than once.
+    // Resolves once the lesson record has been written.
+    close() {
+        if (!this.closed) {
+            this.closed = true;
+            this.state = 'closed';
+            this.backend.close();
+            this.endLesson();
+        }
+        return this.recordQueue;
+    }
+
+    handleAudio(data) {
+        console.log('🔊 Sending audio chunk:', data.length, 'bytes');
+        this.clientSocket.emit('audio-output', data);
+        this.recordMedia(this.recorder.stampAudio(data));
+    }
+
+    handleTurnComplete() {
+        // A solution drawn in a later turn answers something else
+        this.pendingStepQuestion = null;
+        this.finalizeTranscript('tutor');
+        this.clientSocket.emit('turn-complete');
+        this.recordMedia(this.recorder.endTurn());
+    }
+
+    // The student spoke over the tutor: the client stops playback and drops anything still queued
+    handleInterrupted() {
+        console.log('✋ Tutor interrupted by the student');
+        this.finalizeTranscript('tutor');
+        this.clientSocket.emit('interrupted');
+        this.record({ type: 'interrupted' });
+        this.recordMedia(this.recorder.interrupt());
+    }
+
+    // Appends a transcription chunk to the speaker's current entry and emits the updated entry.
+    // Entries are emitted whole (not as deltas) so the client can simply replace by id.
+    handleTranscription(role, text) {
+        if (!text) return;
+
+        // A new speaker means the other side's turn is over
+        this.finalizeTranscript(role === 'tutor' ? 'student' : 'tutor');
+
+        const now = Date.now();
+        let entry = this.activeTranscripts[role];
+        if (!entry) {
+            entry = {
+                id: `${role}-${++this.transcriptCounter}`,
+                role: role,
+                source: 'voice',
+                text: '',
+                startedAt: now,
+                updatedAt: now,
+                final: false
+            };
+            this.activeTranscripts[role] = entry;
+        }
+
+        entry.text += text;
+        entry.updatedAt = now;
+        this.clientSocket.emit('transcript', { ...entry });
+    }
+
+    finalizeTranscript(role) {
+        const entry = this.activeTranscripts[role];
+        if (!entry) return;
+
+        entry.final = true;
+        this.activeTranscripts[role] = null;
+        this.clientSocket.emit('transcript', { ...entry });
+        console.log(`📝 ${role}: ${entry.text.trim()}`);
+
+        this.record({
+            type: 'transcript',
+            role: entry.role,
+            source: entry.source,
+            text: entry.text,
+            startedAt: entry.startedAt,
+            endedAt: entry.updatedAt
+        });
+    }
+
+    // Appends an event to the stored lesson. Recording failures are logged, never thrown,
+    // so a full disk can't break the live conversation.
+    record(event) {
+        if (!this.sessionStore) return;
+
+        const entry = { ...event, at: Date.now() };
+        this.recordQueue = this.recordQueue
+            .then(async () => {
+                await this.ensureLesson();
+                await this.sessionStore.appendEvent(this.lesson.id, entry);
+
+                // Name the lesson after the first thing worth showing in the history list
+                if (!this.lesson.title) {
+                    const title = this.titleFromEvent(entry);
+                    if (title) {
+                        this.lesson.title = title;
+                        await this.sessionStore.updateSession(this.lesson.id, { title });
+                    }
+                }
+            })
+            .catch((e) => console.error('Failed to record lesson event:', e.message));
+    }
+
+    // Appends audio/visual timeline entries from the LessonRecorder to the stored lesson
+    recordMedia(entries) {
+        if (!this.sessionStore || entries.length === 0) return;
+
+        this.recordQueue = this.recordQueue
+            .then(async () => {
+                await this.ensureLesson();
+                await this.sessionStore.appendRecording(this.lesson.id, entries);
+            })
+            .catch((e) => console.error('Failed to record lesson media:', e.message));
+    }
+
+    async ensureLesson() {
+        if (!this.lesson) {
+            this.lesson = await this.sessionStore.createSession({ socketId: this.clientSocket.id, studentId: this.studentId });
+            console.log('📚 Recording lesson', this.lesson.id);
+        }
+    }
+
+    titleFromEvent(event) {
+        if (event.type === 'tool_call' && event.name === 'animate_solution' && event.args && event.args.title) {
+            return event.args.title;
+        }
+        const text = (event.type === 'text' || event.type === 'image') ? event.text
+            : (event.type === 'transcript' && event.role === 'student') ? event.text
+                : null;
+        if (!text || !text.trim()) return null;
+        const trimmed = text.trim();
+        return trimmed.length > 60 ? trimmed.slice(0, 57) + '...' : trimmed;
+    }
+
+    endLesson() {
+        this.finalizeTranscript('student');
+        this.finalizeTranscript('tutor');
+
+        if (!this.sessionStore) return;
+        // Only write the leftovers if something was recorded; otherwise this would create an empty lesson
+        if (this.lesson) this.recordMedia(this.recorder.flush());
+        this.recordQueue = this.recordQueue
+            .then(() => this.lesson && this.sessionStore.updateSession(this.lesson.id, { endedAt: Date.now() }))
+            .catch((e) => console.error('Failed to close lesson record:', e.message));
+    }
+
+    handleToolCall(call) {
+        this.record({ type: 'tool_call', id: call.id, name: call.name, args: call.args });
+
+        // --- ANIMATED SOLUTION TOOL ---
+        if (call.name === 'animate_solution') {
+            const title = call.args.title || "Solution";
+            const steps = call.args.steps || [];
+            // Optional words the tutor says as it reaches each step, so the board can reveal them in sync
+            const cues = Array.isArray(call.args.cues)
+                ? call.args.cues.map((cue) => (typeof cue === 'string' ? cue.trim() : ''))
+                : [];
+
+            const command = {
+                type: 'ANIMATE_SEQUENCE',
+                title: title,
+                steps: steps,
+                cues: cues,
+                color: '#00D2FF'
+            };
+            // The answer to a step question: the board shows it under the step that was asked about
+            if (this.pendingStepQuestion) {
+                command.parent = this.pendingStepQuestion;
+                this.pendingStepQuestion = null;
+            }
+
+            const nesting = command.parent ? ` under step ${command.parent.stepIndex + 1}` : '';
+            console.log(`🎬 Animating Solution: ${title}, ${steps.length} steps${nesting}`);
+
+            const topic = readTopic(call.args.topic);
+            if (topic) this.updateProfile((profile) => noteTopic(profile, topic));
+
+            this.dispatchVisualCommand(call, command);
+        }
+
+        // --- DRAW ON CANVAS TOOL ---
+        else if (call.name === 'draw_on_canvas') {
+            const { command, error } = buildCanvasCommand(call.args);
+
+            if (error) {
+                console.warn('⚠️ Rejected draw_on_canvas arguments:', error);
+                this.sendToolResponse(call, { error: `Invalid arguments: ${error}` });
+                return;
+            }
+
+            const curve = command.functions ? command.functions.map((fn) => fn.function).join(', ')
+                : command.r || command.equation || (command.x && `(${command.x}, ${command.y})`);
+            console.log('📊 Sending visual command:', command.type, curve || command.shape || command.text);
+            this.dispatchVisualCommand(call, command);
+        }
+
+        // --- UPDATE BOARD TOOL (objects by id) ---
+        else if (call.name === 'update_board') {
+            const { command, error } = buildSceneCommand(call.args);
+
+            if (error) {
+                console.warn('⚠️ Rejected update_board arguments:', error);
+                this.sendToolResponse(call, { error: `Invalid arguments: ${error}` });
+                return;
+            }
+
+            console.log('🧩 Updating board:', command.actions.map((a) => `${a.op} ${a.id || (a.object && (a.object.id || a.object.type)) || ''}`.trim()).join(', '));
+            this.dispatchVisualCommand(call, command);
+        }
+
+        // --- DRAW GEOMETRY TOOL (figures in math coordinates) ---
+        else if (call.name === 'draw_geometry') {
+            const { command, error } = buildGeometryCommand(call.args);
+
+            if (error) {
+                console.warn('⚠️ Rejected draw_geometry arguments:', error);
+                this.sendToolResponse(call, { error: `Invalid arguments: ${error}` });
+                return;
+            }
+
+            console.log('📐 Drawing geometry:', command.objects.length, 'objects');
+            this.dispatchVisualCommand(call, command);
+        }
+
+        // --- PRACTICE PROBLEM TOOL ---
+        else if (call.name === 'pose_problem') {
+            const { problem, error } = this.practice.pose(call.args || {});
+            if (error) {
+                console.warn('⚠️ Invalid pose_problem call:', error);
+                this.sendToolResponse(call, { error });
+                return;
+            }
+
+            console.log('📝 Practice problem:', problem.question, `(${problem.hints.length} hints)`);
+            const posed = { id: problem.id, title: problem.title, question: problem.question, hintCount: problem.hints.length };
+            this.clientSocket.emit('practice-problem', posed);
+            this.record({ type: 'practice_problem', ...posed, answer: problem.answer });
+            this.dispatchVisualCommand(call, { type: 'POSE_PROBLEM', ...posed });
+        }
+
+        // --- SPOKEN ANSWER TOOL ---
+        else if (call.name === 'check_answer') {
+            const { answer } = call.args || {};
+            const submitted = this.practice.submit(typeof answer === 'string' ? answer : '', 'spoken');
+            if (submitted.error) {
+                this.sendToolResponse(call, { error: submitted.error });
+                return;
+            }
+
+            this.reportPracticeResult(submitted);
+            const { correct, message, attempt } = submitted.result;
+            this.sendToolResponse(call, {
+                output: {
+                    correct,
+                    message,
+                    attempt,
+                    hint: submitted.hint ? submitted.hint.hint : null,
+                    instructions: correct
+                        ? 'Tell the student they are right and why it works.'
+                        : 'Say what went wrong without giving the answer away' + (submitted.hint ? ', then give the hint.' : '.')
+                }
+            });
+        }
+
+        else {
+            console.warn('⚠️ Unknown tool requested:', call.name);
+            this.sendToolResponse(call, { error: `Unknown tool '${call.name}'` });
+        }
+    }
+
+    // Emits a visual command to the client and reports its render result back to the backend.
+    // The client acknowledges once the board has drawn the command; if it is still queued
+    // behind audio playback when the timeout fires, the tutor is told the visual is pending.
+    dispatchVisualCommand(call, command) {
+        this.record({ type: 'visual_command', command: command });
+        this.recordMedia(this.recorder.stampVisual(command));
+
+        this.clientSocket.timeout(TOOL_ACK_TIMEOUT_MS).emit('visual-command', command, (err, result) => {
+            if (err) {
+                this.sendToolResponse(call, {
+                    output: {
+                        status: 'pending',
+                        message: 'Delivered to the whiteboard; it will appear as your narration plays. Keep explaining.'
+                    }
+                });
+                return;
+            }
+
+            if (result && result.ok) {
+                this.sendToolResponse(call, { output: result });
+            } else {
+                console.warn('⚠️ Client failed to render', command.type, '-', result && result.error);
+                this.sendToolResponse(call, { error: (result && result.error) || 'The whiteboard could not render this command.' });
+            }
+        });
+    }
+
+    sendToolResponse(call, response) {
+        this.record({ type: 'tool_response', id: call.id, name: call.name, response: response });
+        this.backend.sendToolResponse(call, response);
+    }
+}
+
+module.exports = TutorSession;
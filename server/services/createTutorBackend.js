@@ -0,0 +1,32 @@
+const GeminiLiveBridge = require('./GeminiLiveBridge');
+const ScriptedTutor = require('./ScriptedTutor');
+
+const DEFAULT_MOCK_LIVE_URL = 'http://localhost:9002';
+
+// Tutor backend implementations by TUTOR_BACKEND value
+const BACKENDS = {
+    // Gemini Live via an ephemeral token (default)
+    'gemini': ({ sessionConfig }) => new GeminiLiveBridge({ sessionConfig }),
+    // The same bridge pointed at the local mock Live server (see server/mock)
+    'mock-live': ({ sessionConfig }) => new GeminiLiveBridge({ liveUrl: process.env.MOCK_LIVE_URL || DEFAULT_MOCK_LIVE_URL, sessionConfig }),
+    // Offline scripted lessons, no network at all; its lessons are fixed, so settings don't apply
+    'scripted': () => new ScriptedTutor()
+};
+
+const TUTOR_BACKENDS = Object.keys(BACKENDS);
+
+/**
+ * Creates a fresh backend for one connection.
+ * @param {string} kind - a TUTOR_BACKEND value
+ * @param {object} [options]
+ * @param {object} [options.sessionConfig] - the student's settings, from readSessionConfig
+ */
+const createTutorBackend = (kind, { sessionConfig } = {}) => {
+    const factory = BACKENDS[kind];
+    if (!factory) {
+        throw new Error(`Unknown TUTOR_BACKEND '${kind}' (expected one of ${TUTOR_BACKENDS.join(', ')})`);
+    }
+    return factory({ sessionConfig });
+};
+
+module.exports = { createTutorBackend, TUTOR_BACKENDS };
@@ -0,0 +1,78 @@
+const fs = require('fs/promises');
+const path = require('path');
+const ProfileStore = require('./ProfileStore');
+const { isStudentId, createProfile, restoreProfile } = require('../services/LearnerProfile');
+
+/**
+ * Stores each learner profile as <studentId>.json in a directory. Updates for the same
+ * student are queued so one lesson's changes can't overwrite another's.
+ */
+class FileProfileStore extends ProfileStore {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.ready = fs.mkdir(directory, { recursive: true });
+        this.queues = new Map();
+    }
+
+    profilePath(studentId) {
+        return path.join(this.directory, `${studentId}.json`);
+    }
+
+    enqueue(studentId, task) {
+        const previous = this.queues.get(studentId) || this.ready;
+        const next = previous.then(task, task);
+        const settled = next.catch(() => {});
+        this.queues.set(studentId, settled);
+        // Forget the queue once it's idle, so it doesn't grow with every student ever seen
+        settled.then(() => {
+            if (this.queues.get(studentId) === settled) this.queues.delete(studentId);
+        });
+        return next;
+    }
+
+    async readProfile(studentId) {
+        try {
+            return restoreProfile(JSON.parse(await fs.readFile(this.profilePath(studentId), 'utf8')));
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+    }
+
+    async getProfile(studentId) {
+        // Ids are checked before touching the filesystem
+        if (!isStudentId(studentId)) return null;
+        await this.queues.get(studentId);
+        await this.ready;
+        return this.readProfile(studentId);
+    }
+
+    async updateProfile(studentId, change) {
+        if (!isStudentId(studentId)) throw new Error(`Invalid student id ${studentId}`);
+
+        return this.enqueue(studentId, async () => {
+            const profile = (await this.readProfile(studentId)) || createProfile(studentId);
+            change(profile);
+            profile.updatedAt = Date.now();
+            await fs.writeFile(this.profilePath(studentId), JSON.stringify(profile, null, 2));
+            return profile;
+        });
+    }
+
+    async deleteProfile(studentId) {
+        if (!isStudentId(studentId)) return false;
+
+        return this.enqueue(studentId, async () => {
+            try {
+                await fs.rm(this.profilePath(studentId));
+                return true;
+            } catch (e) {
+                if (e.code === 'ENOENT') return false;
+                throw e;
+            }
+        });
+    }
+}
+
+module.exports = FileProfileStore;
@@ -0,0 +1,195 @@
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const SessionStore = require('./SessionStore');
+
+// Session ids are generated by us; anything else is rejected before touching the filesystem
+const SESSION_ID_PATTERN = /^[a-f0-9-]{36}$/;
+
+// The entries of a .jsonl file. A line that doesn't parse (e.g. cut short when the server
+// stopped mid-write) is skipped, so one bad line doesn't lose the rest of the lesson.
+const parseLines = (raw, file) => raw
+    .split('\n')
+    .filter(Boolean)
+    .flatMap((line) => {
+        try {
+            return [JSON.parse(line)];
+        } catch {
+            console.warn(`Skipping an unreadable line in ${file}`);
+            return [];
+        }
+    });
+
+/**
+ * Stores each lesson as files in a directory:
+ *   <id>.json            summary (id, studentId, title, startedAt, updatedAt, endedAt, eventCount)
+ *   <id>.jsonl           one event per line, appended as the lesson happens
+ *   <id>.recording.jsonl audio/visual timeline entries for replay, one per line
+ */
+class FileSessionStore extends SessionStore {
+    constructor(directory) {
+        super();
+        this.directory = directory;
+        this.ready = fs.mkdir(directory, { recursive: true });
+        // Per-session promise chains so appends and summary writes land in order
+        this.queues = new Map();
+        this.summaries = new Map();
+    }
+
+    summaryPath(sessionId) {
+        return path.join(this.directory, `${sessionId}.json`);
+    }
+
+    eventsPath(sessionId) {
+        return path.join(this.directory, `${sessionId}.jsonl`);
+    }
+
+    recordingPath(sessionId) {
+        return path.join(this.directory, `${sessionId}.recording.jsonl`);
+    }
+
+    enqueue(sessionId, task) {
+        const previous = this.queues.get(sessionId) || this.ready;
+        const next = previous.then(task, task);
+        this.queues.set(sessionId, next.catch((e) => console.error('Session store write failed:', e.message)));
+        return next;
+    }
+
+    async createSession(meta = {}) {
+        const now = Date.now();
+        const summary = {
+            title: null,
+            ...meta,
+            id: crypto.randomUUID(),
+            startedAt: now,
+            updatedAt: now,
+            endedAt: null,
+            eventCount: 0
+        };
+        this.summaries.set(summary.id, summary);
+
+        await this.enqueue(summary.id, async () => {
+            await fs.writeFile(this.eventsPath(summary.id), '');
+            await fs.writeFile(this.summaryPath(summary.id), JSON.stringify(summary, null, 2));
+        });
+        return summary;
+    }
+
+    async appendEvent(sessionId, event) {
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) throw new Error(`Unknown session ${sessionId}`);
+
+        summary.eventCount += 1;
+        summary.updatedAt = Date.now();
+
+        await this.enqueue(sessionId, async () => {
+            await fs.appendFile(this.eventsPath(sessionId), JSON.stringify(event) + '\n');
+            await fs.writeFile(this.summaryPath(sessionId), JSON.stringify(summary, null, 2));
+        });
+    }
+
+    async updateSession(sessionId, fields) {
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) throw new Error(`Unknown session ${sessionId}`);
+
+        Object.assign(summary, fields, { updatedAt: Date.now() });
+        await this.enqueue(sessionId, () =>
+            fs.writeFile(this.summaryPath(sessionId), JSON.stringify(summary, null, 2))
+        );
+
+        // Finished lessons no longer need their summary cached
+        if (summary.endedAt) {
+            this.summaries.delete(sessionId);
+        }
+    }
+
+    async appendRecording(sessionId, entries) {
+        if (entries.length === 0) return;
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) throw new Error(`Unknown session ${sessionId}`);
+
+        const lines = entries.map((entry) => JSON.stringify(entry)).join('\n') + '\n';
+        await this.enqueue(sessionId, () => fs.appendFile(this.recordingPath(sessionId), lines));
+    }
+
+    async getRecording(sessionId) {
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) return null;
+
+        await this.queues.get(sessionId);
+        let raw = '';
+        try {
+            raw = await fs.readFile(this.recordingPath(sessionId), 'utf8');
+        } catch (e) {
+            if (e.code !== 'ENOENT') throw e;
+        }
+
+        const entries = parseLines(raw, this.recordingPath(sessionId)).sort((a, b) => a.t - b.t);
+        const duration = entries.reduce((end, e) => Math.max(end, e.t + (e.duration || 0)), 0);
+        return { duration, entries };
+    }
+
+    async loadSummary(sessionId) {
+        if (!SESSION_ID_PATTERN.test(sessionId)) return null;
+        if (this.summaries.has(sessionId)) return this.summaries.get(sessionId);
+
+        let raw;
+        try {
+            raw = await fs.readFile(this.summaryPath(sessionId), 'utf8');
+        } catch (e) {
+            if (e.code === 'ENOENT') return null;
+            throw e;
+        }
+        // An unreadable summary hides that one lesson rather than failing the whole history
+        try {
+            return JSON.parse(raw);
+        } catch {
+            console.warn(`Skipping lesson ${sessionId}: its summary can't be read`);
+            return null;
+        }
+    }
+
+    async listSessions() {
+        await this.ready;
+        const files = await fs.readdir(this.directory);
+        const summaries = await Promise.all(
+            files
+                .filter((file) => file.endsWith('.json'))
+                .map((file) => this.loadSummary(path.basename(file, '.json')))
+        );
+        return summaries
+            .filter(Boolean)
+            .sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async getSummary(sessionId) {
+        return this.loadSummary(sessionId);
+    }
+
+    async getSession(sessionId) {
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) return null;
+
+        // Wait for pending appends so the caller sees every recorded event
+        await this.queues.get(sessionId);
+        const raw = await fs.readFile(this.eventsPath(sessionId), 'utf8');
+        const events = parseLines(raw, this.eventsPath(sessionId));
+        return { ...summary, events };
+    }
+
+    async deleteSession(sessionId) {
+        const summary = await this.loadSummary(sessionId);
+        if (!summary) return false;
+
+        await this.enqueue(sessionId, async () => {
+            await fs.rm(this.eventsPath(sessionId), { force: true });
+            await fs.rm(this.summaryPath(sessionId), { force: true });
+            await fs.rm(this.recordingPath(sessionId), { force: true });
+        });
+        this.summaries.delete(sessionId);
+        this.queues.delete(sessionId);
+        return true;
+    }
+}
+
+module.exports = FileSessionStore;
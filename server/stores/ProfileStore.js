@@ -0,0 +1,26 @@
+// Interface for learner profile storage: one profile per student id (see LearnerProfile for
+// its shape). Profiles are changed by passing a function that edits them in place, so an
+// implementation can apply changes for the same student one at a time. All methods are async.
+class ProfileStore {
+    /** @returns {Promise<object|null>} the profile, or null if the student has none yet */
+    async getProfile(studentId) {
+        throw new Error('getProfile not implemented');
+    }
+
+    /**
+     * Applies `change` to a student's profile, creating it first if needed, and saves it.
+     * @param {string} studentId
+     * @param {(profile: object) => void} change - edits the profile in place
+     * @returns {Promise<object>} the saved profile
+     */
+    async updateProfile(studentId, change) {
+        throw new Error('updateProfile not implemented');
+    }
+
+    /** @returns {Promise<boolean>} whether a profile was deleted */
+    async deleteProfile(studentId) {
+        throw new Error('deleteProfile not implemented');
+    }
+}
+
+module.exports = ProfileStore;
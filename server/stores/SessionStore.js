@@ -0,0 +1,65 @@
+// Interface for lesson history storage.
+//
+// A lesson ("session") is created when the first event of a socket connection is
+// recorded and holds an ordered list of events:
+//   { type: 'text',           at, text }                      typed student message
+//   { type: 'transcript',     at, role, text, startedAt, ... } finalized transcript entry
+//   { type: 'tool_call',      at, name, args }                 tool call requested by the model
+//   { type: 'visual_command', at, command }                    command emitted to the board
+//   { type: 'tool_response',  at, name, response }             result returned to the model
+//
+// Implementations must keep events in the order they were appended. All methods are async.
+class SessionStore {
+    /**
+     * @param {object} meta - initial metadata, e.g. { socketId, studentId }
+     * @returns {Promise<object>} the session summary, including its generated `id`
+     */
+    async createSession(meta) {
+        throw new Error('createSession not implemented');
+    }
+
+    /** Appends an event to a session. */
+    async appendEvent(sessionId, event) {
+        throw new Error('appendEvent not implemented');
+    }
+
+    /** Merges fields (e.g. title, endedAt) into a session's summary. */
+    async updateSession(sessionId, fields) {
+        throw new Error('updateSession not implemented');
+    }
+
+    /**
+     * Appends entries to a session's media recording (see LessonRecorder):
+     *   { t, kind: 'audio', duration, data }  or  { t, kind: 'visual', command }
+     */
+    async appendRecording(sessionId, entries) {
+        throw new Error('appendRecording not implemented');
+    }
+
+    /** @returns {Promise<object|null>} { duration, entries } sorted by `t`, or null if unknown */
+    async getRecording(sessionId) {
+        throw new Error('getRecording not implemented');
+    }
+
+    /** @returns {Promise<object[]>} session summaries, newest first */
+    async listSessions() {
+        throw new Error('listSessions not implemented');
+    }
+
+    /** @returns {Promise<object|null>} the session's summary, or null if unknown */
+    async getSummary(sessionId) {
+        throw new Error('getSummary not implemented');
+    }
+
+    /** @returns {Promise<object|null>} the summary plus its `events`, or null if unknown */
+    async getSession(sessionId) {
+        throw new Error('getSession not implemented');
+    }
+
+    /** @returns {Promise<boolean>} whether a session was deleted */
+    async deleteSession(sessionId) {
+        throw new Error('deleteSession not implemented');
+    }
+}
+
+module.exports = SessionStore;
@@ -0,0 +1,33 @@
+const path = require('path');
+const FileSessionStore = require('./FileSessionStore');
+const FileProfileStore = require('./FileProfileStore');
+
+// Picks the session store implementation from the environment.
+// SESSION_STORE=file (default) keeps lessons under SESSION_STORE_DIR (default server/data/sessions).
+const createSessionStore = () => {
+    const kind = process.env.SESSION_STORE || 'file';
+
+    if (kind === 'file') {
+        const directory = process.env.SESSION_STORE_DIR || path.join(__dirname, '..', 'data', 'sessions');
+        console.log('📚 Lesson history stored in', directory);
+        return new FileSessionStore(directory);
+    }
+
+    throw new Error(`Unknown SESSION_STORE '${kind}'`);
+};
+
+// Picks the learner profile store the same way.
+// PROFILE_STORE=file (default) keeps profiles under PROFILE_STORE_DIR (default server/data/profiles).
+const createProfileStore = () => {
+    const kind = process.env.PROFILE_STORE || 'file';
+
+    if (kind === 'file') {
+        const directory = process.env.PROFILE_STORE_DIR || path.join(__dirname, '..', 'data', 'profiles');
+        console.log('🎓 Learner profiles stored in', directory);
+        return new FileProfileStore(directory);
+    }
+
+    throw new Error(`Unknown PROFILE_STORE '${kind}'`);
+};
+
+module.exports = { createSessionStore, createProfileStore };
@@ -0,0 +1,99 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkAnswer, readAnswer, readExpression } = require('../services/AnswerChecker');
+
+// The client's expression parser is tested against the same corpus, so answers and graphs read alike
+const corpus = require('../../client/test/mathExpressionCorpus.json');
+
+const accepts = (submitted, expected) => {
+    const result = checkAnswer(submitted, expected);
+    assert.equal(result.error, undefined, `${submitted}: ${result.error}`);
+    assert.equal(result.correct, true, `${submitted} should be accepted for ${expected}: ${result.message}`);
+};
+
+const rejects = (submitted, expected) => {
+    const result = checkAnswer(submitted, expected);
+    assert.equal(result.error, undefined, `${submitted}: ${result.error}`);
+    assert.equal(result.correct, false, `${submitted} should not be accepted for ${expected}`);
+};
+
+test('accepts a value however it is written', () => {
+    for (const expected of ['5', 'x = 5', '10/2', '\\frac{10}{2}']) {
+        for (const submitted of ['5', 'x = 5', 'x=5', '5 = x', '10/2', 'x = 10/2', '\\frac{10}{2}', '5.0', '2.5 * 2']) {
+            accepts(submitted, expected);
+        }
+    }
+    rejects('6', 'x = 5');
+    rejects('y = 5', 'x = 5');
+    // Still solving, not an answer
+    rejects('2x = 10', 'x = 5');
+});
+
+test('accepts equivalent expressions and rearranged equations', () => {
+    accepts('2(x + 1)', '2x + 2');
+    accepts('(x+1)(x-1)', 'x^2 - 1');
+    rejects('2x + 1', '2x + 2');
+    accepts('2x - y + 1 = 0', 'y = 2x + 1');
+    accepts('x = 3 or x = -1', '-1, 3');
+    accepts('1 ± 2', 'x = 3 or x = -1');
+    assert.equal(checkAnswer('3', 'x = 3 or x = -1').message, 'Only 1 of the 2 answers');
+});
+
+test('accepts a rounded decimal for a value with no exact decimal', () => {
+    accepts('0.33', '1/3');
+    accepts('0.333', '\\frac{1}{3}');
+    accepts('x = 0.67', 'x = 2/3');
+    accepts('6.28', '2\\pi');
+    accepts('1.41', '\\sqrt{2}');
+    accepts('-0.33', '-1/3');
+    // Off by more than rounding, or too few places to count as rounding
+    rejects('0.34', '1/3');
+    rejects('0.3', '1/3');
+    rejects('6.3', '2pi');
+});
+
+test('holds a value with an exact decimal to it', () => {
+    accepts('0.25', '1/4');
+    accepts('1/4', '0.25');
+    accepts('2.55', '2.55');
+    rejects('0.254', '0.25');
+    rejects('0.254', '1/4');
+    rejects('2.549', '2.55');
+    rejects('2.551', '2.55');
+    rejects('0.13', '1/8');
+    rejects('4.99', '5');
+});
+
+test('only the student may round', () => {
+    // A rounded expected value isn't the exact answer
+    rejects('2pi', '6.2832');
+    rejects('1/3', '0.33');
+    accepts('6.2832', '2pi');
+});
+
+test('reports answers it cannot read', () => {
+    assert.match(checkAnswer('', '5').error, /empty/);
+    assert.match(checkAnswer('x = ', '5').error, /empty side/);
+    assert.match(checkAnswer('5', 'x = = 5').error, /expected answer can't be read/);
+    assert.match(readAnswer('__proto__').error, /Couldn't read/);
+    assert.match(readAnswer('('.repeat(40) + '1' + ')'.repeat(40)).error, /nested too deeply/);
+});
+
+for (const { expression, x, value } of corpus.valid) {
+    test(`reads ${expression} as the client does`, () => {
+        const actual = readExpression(expression)({ x });
+        assert.ok(Math.abs(actual - value) <= 1e-9 * Math.max(1, Math.abs(value)), `${expression} at x = ${x} gave ${actual}, expected ${value}`);
+    });
+}
+
+for (const { expression, why } of corpus.invalid) {
+    test(`rejects ${JSON.stringify(expression)} as the client does (${why})`, () => {
+        assert.throws(() => readExpression(expression));
+    });
+}
+
+test('reads juxtaposed numbers as a missing operator, not a product', () => {
+    assert.equal(readAnswer('2 3').error, "Couldn't read '2 3': Missing operator before 3");
+    accepts('sin(2x)', 'sin 2x');
+    rejects('sin(2)x', 'sin 2x');
+});
@@ -0,0 +1,185 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildCanvasCommand, buildGeometryCommand } = require('../services/CanvasTools');
+
+// The error draw_on_canvas sends back to the model (as "Invalid arguments: <error>")
+const rejects = (args, error) => assert.deepEqual(buildCanvasCommand(args), { error });
+
+test('builds a shape, text or graph from valid arguments', () => {
+    assert.deepEqual(buildCanvasCommand({ kind: 'shape', shape: 'triangle', vertices: [{ x: 100, y: 500 }, { x: 400, y: 100 }, { x: 700, y: 500 }], labels: ['A', 'B', 'C'] }).command, {
+        type: 'DRAW_SHAPE',
+        shape: 'triangle',
+        points: [[100, 500], [400, 100], [700, 500]],
+        color: '#00D2FF',
+        labels: ['A', 'B', 'C']
+    });
+    assert.deepEqual(buildCanvasCommand({ kind: 'shape', shape: 'circle', center: { x: 400, y: 300 }, radius: 50, color: '#f00' }).command, {
+        type: 'DRAW_SHAPE', shape: 'circle', points: [], color: '#f00', center: [400, 300], radius: 50
+    });
+    assert.deepEqual(buildCanvasCommand({ kind: 'text', text: 'a^2 + b^2 = c^2', position: { x: 10, y: 20 } }).command, {
+        type: 'DRAW_TEXT', text: 'a^2 + b^2 = c^2', color: '#fff', position: [10, 20]
+    });
+    assert.deepEqual(buildCanvasCommand({ kind: 'graph', function: 'sin(x)', domain: { min: -6, max: 6 } }).command, {
+        type: 'DRAW_GRAPH', functions: [{ function: 'sin(x)', label: true }], range: { min: -6, max: 6 }
+    });
+});
+
+test('rejects an unknown kind', () => {
+    const error = "kind must be one of 'graph', 'parametric', 'polar', 'implicit', 'shape' or 'text'";
+    rejects({}, error);
+    rejects({ kind: 'arrow' }, error);
+    assert.deepEqual(buildCanvasCommand(), { error });
+});
+
+test('rejects malformed shapes', () => {
+    const triangle = [{ x: 100, y: 500 }, { x: 400, y: 100 }, { x: 700, y: 500 }];
+    rejects({ kind: 'shape', shape: 'star' }, 'shape must be one of triangle, polygon, circle');
+    rejects({ kind: 'shape', shape: 'triangle', vertices: triangle.slice(0, 2) }, 'triangle requires exactly 3 vertices, got 2');
+    rejects({ kind: 'shape', shape: 'polygon', vertices: 'ABCD' }, 'polygon requires at least 3 vertices, got 0');
+    rejects({ kind: 'shape', shape: 'polygon', vertices: [...triangle.slice(0, 2), { x: 1, y: '2' }] }, 'vertices[2] must be an object with numeric x and y');
+    rejects({ kind: 'shape', shape: 'triangle', vertices: [...triangle.slice(0, 2), { x: 900, y: 100 }] }, 'vertices[2] (900, 100) is outside the 800x600 canvas');
+    rejects({ kind: 'shape', shape: 'circle', center: { x: 400, y: 300 } }, 'circle requires a positive radius');
+    rejects({ kind: 'shape', shape: 'circle', center: { x: 400, y: 300 }, radius: -5 }, 'circle requires a positive radius');
+    rejects({ kind: 'shape', shape: 'circle', center: { x: 400, y: -1 }, radius: 5 }, 'center (400, -1) is outside the 800x600 canvas');
+    rejects({ kind: 'shape', shape: 'triangle', vertices: triangle, labels: ['A', 2, 'C'] }, 'labels must be an array of strings');
+    rejects({ kind: 'shape', shape: 'triangle', vertices: triangle, color: 'blue' }, `color must be a hex color like '#00D2FF', got "blue"`);
+});
+
+test('rejects malformed text', () => {
+    rejects({ kind: 'text' }, "text requires a non-empty 'text'");
+    rejects({ kind: 'text', text: '   ' }, "text requires a non-empty 'text'");
+    rejects({ kind: 'text', text: 'Hi', position: { x: 10 } }, 'position must be an object with numeric x and y');
+    rejects({ kind: 'text', text: 'Hi', position: { x: 10, y: 601 } }, 'position (10, 601) is outside the 800x600 canvas');
+});
+
+test('rejects a malformed graph or curve', () => {
+    const domain = { min: -5, max: 5 };
+    rejects({ kind: 'graph', domain }, 'function must be an expression in x');
+    rejects({ kind: 'graph', function: 'x^2', domain: { min: 5, max: -5 } }, 'domain.min must be less than domain.max');
+    rejects({ kind: 'graph', function: 'x^2' }, 'domain must be an object with numeric min and max');
+    rejects({ kind: 'graph', function: 'alert("x")', domain }, `function 'alert("x")' contains unsupported characters`);
+    rejects({ kind: 'parametric', x: 'cos(t)', y: 'sin(t)' }, 't must be an object with numeric min and max');
+    rejects({ kind: 'polar', theta: domain }, 'r must be an expression in theta');
+    rejects({ kind: 'implicit', equation: 'x^2 = y^2 = 1' }, "equation can have only one '='");
+});
+
+test('rejects a geometry figure without points', () => {
+    assert.deepEqual(buildGeometryCommand({}), { error: "draw_geometry requires at least one point in 'points'" });
+    assert.deepEqual(buildGeometryCommand(), { error: "draw_geometry requires at least one point in 'points'" });
+});
+
+test('builds a graph of several functions with a legend, marked points and shading', () => {
+    const { command } = buildCanvasCommand({
+        kind: 'graph',
+        functions: [{ function: 'x^2', label: 'f(x)', color: '#f00' }, { function: '2x', dashed: true }],
+        domain: { min: -5, max: 5 },
+        range: { min: -1, max: 10 },
+        points: [{ x: 2, y: 4, label: 'P', color: '#0f0' }, { x: 0, y: 0 }],
+        shade: [{ upper: 'x^2', lower: '2x', from: 0, to: 2, label: 'Area' }, { upper: '2x', from: 2, to: 3 }]
+    });
+    assert.deepEqual(command, {
+        type: 'DRAW_GRAPH',
+        // An unlabelled function is shown in the legend as itself
+        functions: [{ function: 'x^2', color: '#f00', label: 'f(x)' }, { function: '2x', label: true, dashed: true }],
+        range: { min: -5, max: 5 },
+        yRange: { min: -1, max: 10 },
+        points: [{ x: 2, y: 4, label: 'P', color: '#0f0' }, { x: 0, y: 0 }],
+        shade: [
+            { upper: 'x^2', range: { min: 0, max: 2 }, lower: '2x', label: 'Area' },
+            { upper: '2x', range: { min: 2, max: 3 } }
+        ]
+    });
+});
+
+test('leaves the y-range to the client when none is given', () => {
+    const { command } = buildCanvasCommand({ kind: 'graph', functions: [{ function: 'tan(x)' }], domain: { min: -6, max: 6 } });
+    assert.equal('yRange' in command, false);
+    assert.equal('points' in command, false);
+    assert.equal('shade' in command, false);
+});
+
+test('rejects malformed functions, points and shading', () => {
+    const domain = { min: -5, max: 5 };
+    rejects({ kind: 'graph', domain, function: 'x', functions: [{ function: 'x' }] }, "give either 'function' or 'functions', not both");
+    rejects({ kind: 'graph', domain, functions: Array(7).fill({ function: 'x' }) }, 'functions can have at most 6 entries');
+    rejects({ kind: 'graph', domain, functions: [{ function: 'x' }, { function: '' }] }, 'functions[1].function must be an expression in x');
+    rejects({ kind: 'graph', domain, functions: [{ function: 'x' }, null] }, 'functions[1].function must be an expression in x');
+    rejects({ kind: 'graph', domain, functions: 'x, x^2' }, 'functions must be an array');
+    rejects({ kind: 'graph', domain, function: 'x', range: { min: 1, max: 1 } }, 'range.min must be less than range.max');
+
+    rejects({ kind: 'graph', domain, function: 'x', points: Array(13).fill({ x: 0, y: 0 }) }, 'points can have at most 12 entries');
+    rejects({ kind: 'graph', domain, function: 'x', points: [{ x: 0 }] }, 'points[0] must be an object with numeric x and y');
+    rejects({ kind: 'graph', domain, function: 'x', points: [{ x: 0, y: 0, color: 'red' }] }, `color must be a hex color like '#00D2FF', got "red"`);
+
+    rejects({ kind: 'graph', domain, function: 'x', shade: {} }, 'shade must be an array');
+    rejects({ kind: 'graph', domain, function: 'x', shade: Array(5).fill({ upper: 'x', from: 0, to: 1 }) }, 'shade can have at most 4 entries');
+    rejects({ kind: 'graph', domain, function: 'x', shade: [{ upper: 'x', from: 2, to: 1 }] }, 'shade[0] needs numeric from < to');
+    rejects({ kind: 'graph', domain, function: 'x', shade: [{ from: 0, to: 1 }] }, 'shade[0].upper must be an expression in x');
+    rejects({ kind: 'graph', domain, function: 'x', shade: [{ upper: 'x', lower: 'x;', from: 0, to: 1 }] }, "shade[0].lower 'x;' contains unsupported characters");
+});
+
+const TRIANGLE = [{ name: 'A', x: 0, y: 0 }, { name: 'B', x: 4, y: 0 }, { name: 'C', x: 0, y: 3 }];
+const rejectsFigure = (args, error) => assert.deepEqual(buildGeometryCommand({ points: TRIANGLE, ...args }), { error });
+
+test('builds a figure from named points, with an id for every object', () => {
+    const { command } = buildGeometryCommand({
+        points: [...TRIANGLE, { name: "A'", x: 5, y: 3, label: '' }],
+        elements: [
+            { kind: 'polygon', points: ['A', 'B', 'C'] },
+            { kind: 'segment', points: ['B', 'C'], ticks: 1, label: '5' },
+            { kind: 'circle', center: 'A', through: 'B', dashed: true },
+            { kind: 'perpendicular', points: ["A'", 'A', 'B'], name: 'H' }
+        ],
+        grid: true
+    });
+    assert.deepEqual(command.objects.map((object) => object.id), [
+        'geo-A', 'geo-B', 'geo-C', 'geo-A-prime',
+        'geo-polygon-1', 'geo-segment-1', 'geo-circle-1',
+        // The perpendicular from A' meets AB extended past B, at H
+        'geo-segment-2', 'geo-segment-3', 'geo-angle-1', 'geo-H'
+    ]);
+    assert.equal('label' in command.objects[3], false);
+    assert.deepEqual(command.objects[6], { id: 'geo-circle-1', type: 'circle', center: [0, 0], radius: 4, dashed: true });
+    assert.deepEqual(command.objects[7], { id: 'geo-segment-2', type: 'segment', points: [[4, 0], [5, 0]], dashed: true, color: '#888' });
+    assert.deepEqual(command.objects[8], { id: 'geo-segment-3', type: 'segment', points: [[5, 3], [5, 0]] });
+    assert.deepEqual(command.objects.at(-1).position, [5, 0]);
+    assert.equal(command.grid, true);
+});
+
+test('rejects duplicate and malformed point names', () => {
+    rejectsFigure({ points: [...TRIANGLE, { name: 'A', x: 1, y: 1 }] }, "points[3]: there is already a point named 'A'");
+    rejectsFigure({ points: [{ name: '1A', x: 0, y: 0 }] }, `points[0].name must be a short name like 'A', 'P1' or "A'"`);
+    rejectsFigure({ points: [{ name: 'A', x: 0 }] }, 'points[0] must be an object with numeric x and y');
+    rejectsFigure({ elements: [{ kind: 'perpendicular', points: ['C', 'A', 'B'], name: 'A' }] }, "elements[0].name must be a new point name like 'H'");
+    rejectsFigure({ elements: [{ kind: 'hexagon' }] }, 'elements[0].kind must be one of segment, ray, line, polygon, circle, arc, angle, right_angle, perpendicular, parallel');
+});
+
+test('rejects references to points that are not in the figure', () => {
+    rejectsFigure({ elements: [{ kind: 'segment', points: ['A', 'D'] }] }, "elements[0].points refers to point 'D', which isn't in points");
+    rejectsFigure({ elements: [{ kind: 'circle', center: 'Z', radius: 1 }] }, "elements[0].center refers to point 'Z', which isn't in points");
+    rejectsFigure({ elements: [{ kind: 'circle', center: 'A', through: 'Q' }] }, "elements[0].through refers to point 'Q', which isn't in points");
+    // A point named by a later perpendicular can't be used before it
+    rejectsFigure({
+        elements: [{ kind: 'segment', points: ['C', 'H'] }, { kind: 'perpendicular', points: ['C', 'A', 'B'], name: 'H' }]
+    }, "elements[0].points refers to point 'H', which isn't in points");
+});
+
+test('rejects degenerate constructions', () => {
+    rejectsFigure({ elements: [{ kind: 'segment', points: ['A', 'A'] }] }, 'segment elements[0] needs different points, got A, A');
+    // Two names for the same position are still one point
+    rejectsFigure({ points: [...TRIANGLE, { name: 'D', x: 0, y: 0 }], elements: [{ kind: 'segment', points: ['A', 'D'] }] }, 'segment elements[0] needs different points, got A, D');
+    rejectsFigure({ elements: [{ kind: 'polygon', points: ['A', 'B'] }] }, "polygon elements[0] needs at least 3 point names in 'points'");
+    rejectsFigure({ elements: [{ kind: 'angle', points: ['A', 'B', 'A'] }] }, 'angle elements[0] needs different points, got A, B, A');
+    rejectsFigure({ elements: [{ kind: 'parallel', points: ['C', 'A', 'A'] }] }, 'parallel elements[0] needs different points, got C, A, A');
+    rejectsFigure({ elements: [{ kind: 'circle', center: 'A' }] }, "elements[0] needs a positive radius or a 'through' point");
+    rejectsFigure({ elements: [{ kind: 'circle', center: 'A', radius: 0 }] }, "elements[0] needs a positive radius or a 'through' point");
+    rejectsFigure({ points: [...TRIANGLE, { name: 'D', x: 4, y: 0 }], elements: [{ kind: 'perpendicular', points: ['C', 'B', 'D'] }] }, 'perpendicular elements[0] needs a line through two different points');
+});
+
+test('draws the perpendicular through a point on the line', () => {
+    const { command } = buildGeometryCommand({ points: TRIANGLE, elements: [{ kind: 'perpendicular', points: ['A', 'A', 'B'] }] });
+    assert.deepEqual(command.objects.slice(3), [
+        { id: 'geo-line-1', type: 'line', points: [[0, 0], [0, 4]] },
+        { id: 'geo-angle-1', type: 'angle', points: [[0, 4], [0, 0], [4, 0]], right: true, label: '' }
+    ]);
+});
@@ -0,0 +1,101 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const FileSessionStore = require('../stores/FileSessionStore');
+
+let directory;
+let store;
+
+beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'studyaid-sessions-'));
+    store = new FileSessionStore(directory);
+});
+
+afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+test('lists lessons newest first, as summaries', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const first = await store.createSession({ studentId: 'alice-0000-1111', title: 'Fractions' });
+    t.mock.timers.tick(1000);
+    const second = await store.createSession({ studentId: 'alice-0000-1111' });
+
+    const sessions = await store.listSessions();
+    assert.deepEqual(sessions.map((summary) => summary.id), [second.id, first.id]);
+    assert.deepEqual(sessions[1], {
+        id: first.id,
+        studentId: 'alice-0000-1111',
+        title: 'Fractions',
+        startedAt: 1000,
+        updatedAt: 1000,
+        endedAt: null,
+        eventCount: 0
+    });
+});
+
+test('gets a lesson with its events in order, and its summary alone', async () => {
+    const { id } = await store.createSession({ studentId: 'alice-0000-1111' });
+    // Not awaited one by one: the store keeps them in order anyway
+    await Promise.all([1, 2, 3].map((n) => store.appendEvent(id, { type: 'text', n })));
+    await store.updateSession(id, { title: 'Counting', endedAt: Date.now() });
+
+    const session = await store.getSession(id);
+    assert.deepEqual(session.events.map((event) => event.n), [1, 2, 3]);
+    assert.equal(session.eventCount, 3);
+    assert.equal(session.title, 'Counting');
+
+    // From the file, now the finished lesson is no longer cached
+    const summary = await new FileSessionStore(directory).getSummary(id);
+    assert.equal(summary.title, 'Counting');
+    assert.equal('events' in summary, false);
+});
+
+test('deletes every file of a lesson', async () => {
+    const { id } = await store.createSession({});
+    await store.appendEvent(id, { type: 'text' });
+    await store.appendRecording(id, [{ t: 0, kind: 'visual', command: { type: 'CLEAR_BOARD' } }]);
+
+    assert.equal(await store.deleteSession(id), true);
+    assert.deepEqual(await fs.readdir(directory), []);
+    assert.equal(await store.getSession(id), null);
+    assert.equal(await store.deleteSession(id), false);
+    await assert.rejects(store.appendEvent(id, { type: 'text' }), new RegExp(`Unknown session ${id}`));
+});
+
+test('rejects ids it did not make before touching the filesystem', async () => {
+    for (const id of ['../outside', 'not-a-session', '', '0'.repeat(36) + '/x', undefined]) {
+        assert.equal(await store.getSummary(id), null);
+        assert.equal(await store.getSession(id), null);
+        assert.equal(await store.getRecording(id), null);
+        assert.equal(await store.deleteSession(id), false);
+        await assert.rejects(store.appendEvent(id, {}), /Unknown session/);
+    }
+});
+
+test('skips a lesson whose summary is corrupt instead of failing the list', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const good = await store.createSession({});
+    const bad = await store.createSession({});
+    await store.updateSession(bad.id, { endedAt: Date.now() });
+    await fs.writeFile(path.join(directory, `${bad.id}.json`), '{"id": "');
+
+    const reopened = new FileSessionStore(directory);
+    assert.deepEqual((await reopened.listSessions()).map((summary) => summary.id), [good.id]);
+    assert.equal(await reopened.getSession(bad.id), null);
+});
+
+test('skips an event or recording line that was cut short', async (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const { id } = await store.createSession({});
+    await store.appendEvent(id, { type: 'text', n: 1 });
+    await store.appendRecording(id, [{ t: 500, kind: 'visual' }, { t: 0, kind: 'audio', duration: 250 }]);
+    await fs.appendFile(path.join(directory, `${id}.jsonl`), '{"type": "te');
+    await fs.appendFile(path.join(directory, `${id}.recording.jsonl`), '{"t": 9');
+
+    assert.deepEqual((await store.getSession(id)).events, [{ type: 'text', n: 1 }]);
+    assert.deepEqual(await store.getRecording(id), {
+        duration: 500,
+        entries: [{ t: 0, kind: 'audio', duration: 250 }, { t: 500, kind: 'visual' }]
+    });
+});
@@ -0,0 +1,83 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readImageInput, readVideoFrame, MAX_IMAGE_BYTES, MAX_FRAME_BYTES } = require('../services/ImageInput');
+
+// The first bytes of each accepted type, padded out to a plausible file
+const JPEG = Buffer.concat([Buffer.from([0xFF, 0xD8, 0xFF, 0xE0]), Buffer.alloc(60)]);
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), Buffer.alloc(60)]);
+const WEBP = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBP'), Buffer.alloc(60)]);
+
+// Fills `size` bytes that start like a JPEG
+const jpegOfSize = (size) => {
+    const bytes = Buffer.alloc(size);
+    JPEG.copy(bytes, 0, 0, 4);
+    return bytes;
+};
+
+test('reads a photo from a Buffer, an ArrayBuffer or a typed array', () => {
+    const arrayBuffer = PNG.buffer.slice(PNG.byteOffset, PNG.byteOffset + PNG.length);
+    for (const image of [PNG, arrayBuffer, new Uint8Array(arrayBuffer)]) {
+        const input = readImageInput({ image, mimeType: 'image/png', text: '  Solve this  ' });
+        assert.deepEqual(input, {
+            image: { mimeType: 'image/png', data: PNG.toString('base64') },
+            text: 'Solve this',
+            kind: 'photo',
+            boardText: ''
+        });
+    }
+    assert.equal(readImageInput({ image: WEBP, mimeType: 'image/webp' }).image.mimeType, 'image/webp');
+});
+
+test('reads a sketch with the text on the board', () => {
+    const input = readImageInput({ image: JPEG, mimeType: 'image/jpeg', kind: 'sketch', boardText: 'x^2 = 4\n' });
+    assert.equal(input.kind, 'sketch');
+    assert.equal(input.boardText, 'x^2 = 4');
+    assert.equal(readImageInput({ image: JPEG, mimeType: 'image/jpeg', text: 'x'.repeat(3000) }).text.length, 2000);
+});
+
+test('rejects image data that is not binary, without allocating what it claims', () => {
+    for (const image of [{ length: 2e9 }, [0xFF, 0xD8, 0xFF], '/9j/4AAQ', 42, { type: 'Buffer', data: [0xFF, 0xD8, 0xFF] }]) {
+        assert.deepEqual(readImageInput({ image, mimeType: 'image/jpeg' }), { error: 'Image data must be binary' });
+    }
+});
+
+test('rejects missing, empty and oversized images', () => {
+    assert.deepEqual(readImageInput(null), { error: 'No image was attached' });
+    assert.deepEqual(readImageInput({ mimeType: 'image/jpeg' }), { error: 'No image was attached' });
+    assert.deepEqual(readImageInput({ image: Buffer.alloc(0), mimeType: 'image/jpeg' }), { error: 'The image is empty' });
+
+    assert.ok(readImageInput({ image: jpegOfSize(MAX_IMAGE_BYTES), mimeType: 'image/jpeg' }).image);
+    assert.deepEqual(readImageInput({ image: jpegOfSize(MAX_IMAGE_BYTES + 1024), mimeType: 'image/jpeg' }), {
+        error: 'The image is too large (901 KB, limit 900 KB)'
+    });
+});
+
+test('rejects types it does not accept, and data that is not the type it claims', () => {
+    assert.deepEqual(readImageInput({ image: JPEG, mimeType: 'image/gif' }), {
+        error: "Unsupported image type 'image/gif' (expected image/jpeg, image/png, image/webp)"
+    });
+    assert.deepEqual(readImageInput({ image: PNG, mimeType: 'image/jpeg' }), { error: 'The data is not a valid image/jpeg image' });
+    assert.deepEqual(readImageInput({ image: JPEG, mimeType: 'image/png' }), { error: 'The data is not a valid image/png image' });
+    assert.deepEqual(readImageInput({ image: Buffer.from('RIFF....AVI '), mimeType: 'image/webp' }), { error: 'The data is not a valid image/webp image' });
+});
+
+test('rejects unknown kinds', () => {
+    assert.deepEqual(readImageInput({ image: JPEG, mimeType: 'image/jpeg', kind: 'video' }), { error: 'kind must be one of photo, sketch' });
+});
+
+test('reads a camera frame without copying it', () => {
+    const arrayBuffer = JPEG.buffer.slice(JPEG.byteOffset, JPEG.byteOffset + JPEG.length);
+    assert.equal(readVideoFrame(JPEG).frame, JPEG);
+    assert.deepEqual(readVideoFrame(arrayBuffer).frame, JPEG);
+    assert.deepEqual(readVideoFrame(new Uint8Array(arrayBuffer)).frame, JPEG);
+});
+
+test('rejects frames that are not binary, too large or not JPEG', () => {
+    for (const data of [{ length: 2e9 }, [0xFF, 0xD8, 0xFF], 'frame', null, undefined]) {
+        assert.deepEqual(readVideoFrame(data), { error: 'Frame data must be binary' });
+    }
+    assert.ok(readVideoFrame(jpegOfSize(MAX_FRAME_BYTES)).frame);
+    assert.deepEqual(readVideoFrame(jpegOfSize(MAX_FRAME_BYTES + 1024)), { error: 'Frame too large (257 KB, limit 256 KB)' });
+    assert.deepEqual(readVideoFrame(Buffer.alloc(0)), { error: 'Frames must be JPEG images' });
+    assert.deepEqual(readVideoFrame(PNG), { error: 'Frames must be JPEG images' });
+});
@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    readStudentId,
+    readTopic,
+    createProfile,
+    restoreProfile,
+    noteLesson,
+    noteTopic,
+    notePracticeResult,
+    notePracticeHint,
+    topicStandings,
+    summarizeProfile
+} = require('../services/LearnerProfile');
+
+const STUDENT = 'student-0123456789';
+const DAY = Date.UTC(2026, 0, 15, 12);
+
+// One problem in `topic`: wrong answers first, then right if `solved`
+const practise = (profile, topic, { wrong = 0, solved = true, at = DAY } = {}) => {
+    for (let attempt = 1; attempt <= wrong; attempt++) notePracticeResult(profile, { topic, correct: false, attempt, at });
+    if (solved) notePracticeResult(profile, { topic, correct: true, attempt: wrong + 1, at });
+};
+
+test('reads student ids and topic names', () => {
+    assert.equal(readStudentId({ studentId: STUDENT }), STUDENT);
+    for (const auth of [undefined, null, {}, { studentId: 'short' }, { studentId: '../../etc/passwd' }, { studentId: 42 }]) {
+        assert.equal(readStudentId(auth), null);
+    }
+
+    assert.equal(readTopic('  Linear   equations '), 'Linear equations');
+    assert.equal(readTopic('x'.repeat(100)).length, 60);
+    assert.equal(readTopic('   '), null);
+    assert.equal(readTopic(7), null);
+});
+
+test('counts a topic once, whatever its case, under the name it was first given', () => {
+    const profile = createProfile(STUDENT);
+    noteTopic(profile, 'Fractions');
+    noteTopic(profile, 'fractions');
+    notePracticeHint(profile, 'FRACTIONS');
+
+    assert.deepEqual(Object.keys(profile.topics), ['fractions']);
+    assert.equal(profile.topics.fractions.name, 'Fractions');
+    assert.equal(profile.topics.fractions.explained, 2);
+    assert.equal(profile.topics.fractions.hints, 1);
+});
+
+test('keeps topics named like Object properties as ordinary topics', () => {
+    const profile = createProfile(STUDENT);
+    for (const name of ['Constructor', '__proto__', 'toString', 'hasOwnProperty']) {
+        noteTopic(profile, name);
+        practise(profile, name, { wrong: 1 });
+    }
+
+    assert.deepEqual(Object.keys(profile.topics).sort(), ['__proto__', 'constructor', 'hasownproperty', 'tostring']);
+    assert.equal(profile.topics.constructor.answers, 2);
+    assert.equal(profile.topics.__proto__.solved, 1);
+    assert.equal({}.answers, undefined, 'Object.prototype is untouched');
+    assert.equal(typeof Object.answers, 'undefined', 'Object is untouched');
+
+    // And the same once the profile has been saved and read back
+    const restored = restoreProfile(JSON.parse(JSON.stringify(profile)));
+    assert.equal(Object.getPrototypeOf(restored.topics), null);
+    practise(restored, '__proto__');
+    assert.equal(restored.topics.__proto__.solved, 2);
+    assert.equal({}.solved, undefined);
+    assert.equal(topicStandings(restored).length, 4);
+});
+
+test('records practice answers per problem, per topic and per day', () => {
+    const profile = createProfile(STUDENT);
+    practise(profile, 'Fractions', { wrong: 2 });
+    practise(profile, 'Fractions');
+    practise(profile, 'Fractions', { wrong: 1, solved: false, at: DAY + 86400000 });
+
+    const topic = profile.topics.fractions;
+    assert.equal(topic.problems, 3);
+    assert.equal(topic.solved, 2);
+    assert.equal(topic.firstTry, 1);
+    assert.equal(topic.answers, 5);
+    assert.equal(topic.correct, 2);
+    assert.deepEqual(topic.recent.map((answer) => answer.correct), [false, false, true, true, false]);
+    assert.deepEqual(profile.days, {
+        '2026-01-15': { answers: 4, correct: 2 },
+        '2026-01-16': { answers: 1, correct: 0 }
+    });
+});
+
+test('keeps only the latest answers and days', () => {
+    const profile = createProfile(STUDENT);
+    for (let day = 0; day < 70; day++) practise(profile, 'Fractions', { at: DAY + day * 86400000 });
+
+    assert.equal(profile.topics.fractions.recent.length, 20);
+    assert.equal(Object.keys(profile.days).length, 60);
+    assert.equal(Object.keys(profile.days).sort()[0], '2026-01-25');
+});
+
+test('works out a standing from the latest answers and hints', () => {
+    const profile = createProfile(STUDENT);
+    noteTopic(profile, 'Explained only');
+    for (let i = 0; i < 4; i++) practise(profile, 'Strong');
+    for (let i = 0; i < 3; i++) practise(profile, 'Weak', { wrong: 2, solved: i === 0 });
+    for (let i = 0; i < 4; i++) practise(profile, 'Hinted');
+    for (let i = 0; i < 8; i++) notePracticeHint(profile, 'Hinted');
+    practise(profile, 'Developing', { wrong: 1 });
+    practise(profile, 'Developing');
+
+    const standings = Object.fromEntries(topicStandings(profile).map((topic) => [topic.name, topic]));
+    assert.equal(standings['Explained only'].standing, 'new');
+    assert.equal(standings['Explained only'].accuracy, null);
+    assert.equal(standings.Strong.standing, 'strong');
+    assert.equal(standings.Strong.accuracy, 1);
+    assert.equal(standings.Weak.standing, 'weak');
+    // Right every time, but with two hints a problem
+    assert.equal(standings.Hinted.standing, 'developing');
+    assert.equal(standings.Developing.standing, 'developing');
+    assert.equal(standings.Developing.accuracy, 2 / 3);
+});
+
+test('lists topics most recently seen first', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: DAY });
+    const profile = createProfile(STUDENT);
+    noteTopic(profile, 'First');
+    t.mock.timers.tick(1000);
+    noteTopic(profile, 'Second');
+    t.mock.timers.tick(1000);
+    noteTopic(profile, 'First');
+
+    assert.deepEqual(topicStandings(profile).map((topic) => topic.name), ['First', 'Second']);
+});
+
+test('summarizes the profile for the tutor', () => {
+    const empty = createProfile(STUDENT);
+    assert.equal(summarizeProfile(empty), '');
+
+    const profile = createProfile(STUDENT);
+    noteLesson(profile);
+    noteLesson(profile);
+    for (let i = 0; i < 3; i++) practise(profile, 'Fractions');
+    for (let i = 0; i < 3; i++) practise(profile, 'Vectors', { wrong: 2, solved: false });
+    noteTopic(profile, 'Limits');
+
+    const summary = summarizeProfile(profile);
+    assert.match(summary, /^About this student, from 2 earlier lessons:/);
+    assert.match(summary, /Strong in: Fractions \(3 of 3 problems right first time, 0 hints\)\./);
+    assert.match(summary, /Struggling with: Vectors \(0 of 3 problems right first time, 0 hints\)\./);
+    assert.match(summary, /Recently covered: .*Limits/);
+    assert.doesNotMatch(summary, /Getting there/);
+});
@@ -0,0 +1,93 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const LessonRecorder = require('../services/LessonRecorder');
+
+// 0.1 s of 24 kHz 16-bit mono audio
+const CHUNK = Buffer.alloc(4800).toString('base64');
+const GRAPH = { type: 'DRAW_GRAPH' };
+const STEPS = { type: 'ANIMATE_SEQUENCE' };
+
+// Entries without their audio data, with times to the millisecond
+const timeline = (entries) => entries.map(({ data, ...entry }) => ({ ...entry, t: Number(entry.t.toFixed(3)) }));
+
+// A recorder on a fake clock; `at(ms)` moves the clock to that many ms after the first event
+const createRecorder = (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000 });
+    const recorder = new LessonRecorder();
+    return { recorder, at: (ms) => t.mock.timers.setTime(1000 + ms) };
+};
+
+test('schedules audio back to back, starting just ahead of now', (t) => {
+    const { recorder, at } = createRecorder(t);
+    recorder.now();
+
+    at(100);
+    const first = recorder.stampAudio(CHUNK);
+    const second = recorder.stampAudio(CHUNK);
+    assert.deepEqual(timeline([...first, ...second]), [
+        { t: 0.3, kind: 'audio', duration: 0.1 },
+        { t: 0.4, kind: 'audio', duration: 0.1 }
+    ]);
+    assert.equal(first[0].data, CHUNK);
+
+    // The queue ran dry, so playback restarts ahead of now
+    at(1000);
+    assert.deepEqual(timeline(recorder.stampAudio(CHUNK)), [{ t: 1.2, kind: 'audio', duration: 0.1 }]);
+});
+
+test('holds visuals back until the audio they came with starts', (t) => {
+    const { recorder, at } = createRecorder(t);
+    assert.deepEqual(recorder.stampVisual(STEPS), []);
+
+    at(100);
+    assert.deepEqual(timeline(recorder.stampAudio(CHUNK)), [
+        { t: 0.3, kind: 'audio', duration: 0.1 },
+        { t: 0.3, kind: 'visual', command: STEPS }
+    ]);
+
+    // Once audio is playing, visuals appear when they arrive
+    at(250);
+    assert.deepEqual(timeline(recorder.stampVisual(GRAPH)), [{ t: 0.25, kind: 'visual', command: GRAPH }]);
+});
+
+test('marks the end of a turn where its audio ends', (t) => {
+    const { recorder, at } = createRecorder(t);
+    recorder.now();
+    at(100);
+    recorder.stampAudio(CHUNK);
+    recorder.stampAudio(CHUNK);
+
+    at(200);
+    assert.deepEqual(timeline(recorder.endTurn()), [{ t: 0.5, kind: 'turnEnd' }]);
+});
+
+test('shows visuals from a turn without speech when it ends', (t) => {
+    const { recorder, at } = createRecorder(t);
+    recorder.stampVisual(GRAPH);
+    at(700);
+    assert.deepEqual(timeline(recorder.endTurn()), [
+        { t: 0.7, kind: 'visual', command: GRAPH },
+        { t: 0.7, kind: 'turnEnd' }
+    ]);
+    assert.deepEqual(recorder.flush(), []);
+});
+
+test('starts over after an interruption, dropping visuals still held back', (t) => {
+    const { recorder, at } = createRecorder(t);
+    recorder.now();
+    at(100);
+    recorder.stampAudio(CHUNK);
+
+    at(150);
+    assert.deepEqual(recorder.interrupt(), [{ t: 0.15, kind: 'interrupt' }]);
+    // The next turn's visuals wait for its audio again, and are gone if it is cut off before any
+    assert.deepEqual(recorder.stampVisual(GRAPH), []);
+    recorder.interrupt();
+
+    at(400);
+    recorder.stampVisual(STEPS);
+    assert.deepEqual(timeline(recorder.stampAudio(CHUNK)), [
+        { t: 0.6, kind: 'audio', duration: 0.1 },
+        { t: 0.6, kind: 'visual', command: STEPS }
+    ]);
+});
@@ -0,0 +1,183 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { once } = require('events');
+const MockLiveServer = require('../mock/MockLiveServer');
+const GeminiLiveBridge = require('../services/GeminiLiveBridge');
+const TutorSession = require('../services/TutorSession');
+
+// End to end without Google: a TutorSession drives GeminiLiveBridge, which talks the Live
+// protocol to the mock server, and a fake client socket draws (or fails to draw) the board.
+
+// Stands in for the client's socket.io socket. `render` decides the client's acknowledgement
+// of each visual command, as CanvasBoard's draw result.
+class FakeSocket {
+    constructor(render = (command) => ({ ok: true, rendered: command.type })) {
+        this.id = 'fake-socket';
+        this.render = render;
+        this.emitted = [];
+    }
+
+    emit(event, payload) {
+        this.emitted.push({ event, payload });
+    }
+
+    timeout() {
+        return {
+            emit: (event, payload, ack) => {
+                this.emitted.push({ event, payload });
+                setImmediate(() => ack(null, this.render(payload)));
+            }
+        };
+    }
+
+    sent(event) {
+        return this.emitted.filter((entry) => entry.event === event).map((entry) => entry.payload);
+    }
+}
+
+let mock;
+let liveUrl;
+
+before(async () => {
+    mock = new MockLiveServer();
+    liveUrl = await mock.start(0);
+});
+
+after(() => mock.stop());
+
+// Starts a lesson against the mock; the bridge has its setupComplete once start() resolves
+const startLesson = async (socket, bridge = new GeminiLiveBridge({ liveUrl })) => {
+    const session = new TutorSession(socket, bridge);
+    await session.start();
+    assert.equal(session.state, 'ready', 'the bridge connects to the mock');
+    return session;
+};
+
+test('sends the session setup to the Live server', { timeout: 10000 }, async () => {
+    const setup = once(mock, 'setup');
+    const session = await startLesson(new FakeSocket());
+    try {
+        const [message] = await setup;
+        assert.match(message.model, /^models\//);
+        assert.ok(message.tools.length > 0, 'the board tools are declared');
+    } finally {
+        await session.close();
+    }
+});
+
+test('replayed tool calls reach the socket as visual commands and acks come back as tool responses', { timeout: 15000 }, async () => {
+    const socket = new FakeSocket();
+    const session = await startLesson(socket);
+    try {
+        const toolResponse = once(mock, 'toolResponse');
+        session.sendTextInput('Can you help me with this?');
+
+        const [{ functionResponses }] = await toolResponse;
+        const [command] = socket.sent('visual-command');
+        assert.equal(command.type, 'ANIMATE_SEQUENCE');
+        assert.equal(command.title, 'Solving 2x + 3 = 7');
+        assert.deepEqual(command.steps, ['2x + 3 = 7', '2x = 7 - 3', '2x = 4', 'x = 2']);
+
+        assert.equal(functionResponses.length, 1);
+        assert.equal(functionResponses[0].name, 'animate_solution');
+        assert.match(functionResponses[0].id, /^mock-call-/);
+        assert.deepEqual(functionResponses[0].response, { output: { ok: true, rendered: 'ANIMATE_SEQUENCE' } });
+
+        // The typed question is in the transcript too
+        assert.ok(socket.sent('transcript').some((entry) => entry.role === 'student'));
+    } finally {
+        await session.close();
+    }
+});
+
+test('a board that fails to render is reported to the model as an error', { timeout: 15000 }, async () => {
+    const socket = new FakeSocket(() => ({ ok: false, error: 'Could not plot sin(x)' }));
+    const session = await startLesson(socket);
+    try {
+        const toolResponse = once(mock, 'toolResponse');
+        session.sendTextInput('Can you plot a sine wave?');
+
+        const [{ functionResponses }] = await toolResponse;
+        assert.equal(socket.sent('visual-command').length, 1);
+        assert.deepEqual(functionResponses[0].response, { error: 'Could not plot sin(x)' });
+    } finally {
+        await session.close();
+    }
+});
+
+// Resolves once `condition()` holds, checking every few milliseconds
+const until = async (condition) => {
+    while (!condition()) await new Promise((resolve) => setTimeout(resolve, 10));
+};
+
+// Resolves with the next status the bridge reports in `state`
+const nextStatus = (bridge, state) => new Promise((resolve) => {
+    const onStatus = (status) => {
+        if (status.state !== state) return;
+        bridge.off('status', onStatus);
+        resolve(status);
+    };
+    bridge.on('status', onStatus);
+});
+
+// One answered question, after which the mock sends a resumption handle
+const askQuestion = async (session, bridge) => {
+    const previous = bridge.resumptionHandle;
+    session.sendTextInput('Can you help me with this?');
+    await until(() => bridge.resumptionHandle && bridge.resumptionHandle !== previous);
+    return bridge.resumptionHandle;
+};
+
+test('a dropped connection resumes from the stored handle and resets the backoff', { timeout: 20000 }, async () => {
+    const bridge = new GeminiLiveBridge({ liveUrl });
+    const session = await startLesson(new FakeSocket(), bridge);
+    try {
+        const handle = await askQuestion(session, bridge);
+        assert.match(handle, /^mock-handle-/);
+
+        const reconnecting = nextStatus(bridge, 'reconnecting');
+        const setup = once(mock, 'setup');
+        const ready = nextStatus(bridge, 'ready');
+        mock.wss.clients.forEach((ws) => ws.terminate());
+
+        assert.equal((await reconnecting).message, 'Reconnecting to Gemini (attempt 1 of 8)...');
+        const [message] = await setup;
+        assert.deepEqual(message.sessionResumption, { handle });
+        assert.equal((await ready).message, 'Gemini Live Reconnected');
+        assert.equal(bridge.reconnectAttempts, 0);
+
+        // The lesson carries on, and a second drop starts the backoff from the beginning again
+        const nextHandle = await askQuestion(session, bridge);
+        const again = nextStatus(bridge, 'reconnecting');
+        const resumed = once(mock, 'setup');
+        const readyAgain = nextStatus(bridge, 'ready');
+        mock.wss.clients.forEach((ws) => ws.terminate());
+
+        assert.equal((await again).message, 'Reconnecting to Gemini (attempt 1 of 8)...');
+        assert.deepEqual((await resumed)[0].sessionResumption, { handle: nextHandle });
+        await readyAgain;
+    } finally {
+        await session.close();
+    }
+});
+
+test('a goAway moves the lesson to a resumed connection before the old one closes', { timeout: 20000 }, async () => {
+    const shortLived = new MockLiveServer({ connectionLifetimeMs: 6000 });
+    const url = await shortLived.start(0);
+    const bridge = new GeminiLiveBridge({ liveUrl: url });
+    const statuses = [];
+    bridge.on('status', ({ state }) => statuses.push(state));
+    const session = await startLesson(new FakeSocket(), bridge);
+    try {
+        const handle = await askQuestion(session, bridge);
+        const previous = bridge.connection;
+
+        const [message] = await once(shortLived, 'setup');
+        assert.deepEqual(message.sessionResumption, { handle });
+        await until(() => bridge.connection && bridge.connection !== previous && previous.closed);
+        assert.equal(statuses.includes('reconnecting'), false, 'no gap in the lesson');
+    } finally {
+        await session.close();
+        await shortLived.stop();
+    }
+});
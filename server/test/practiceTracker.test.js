@@ -0,0 +1,102 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const PracticeTracker = require('../services/PracticeTracker');
+
+const PROBLEM = {
+    question: 'Solve $2x + 3 = 7$',
+    answer: 'x = 2',
+    hints: ['Undo the +3 first', 'Now divide both sides by 2'],
+    title: 'Linear equation',
+    topic: 'Linear equations'
+};
+
+const posed = (args = PROBLEM) => {
+    const tracker = new PracticeTracker();
+    const { problem } = tracker.pose(args);
+    return { tracker, problem };
+};
+
+test('poses a problem without its answer leaving the tracker', () => {
+    const { tracker, problem } = posed();
+    assert.equal(problem.id, 'problem-1');
+    assert.equal(problem.topic, 'Linear equations');
+    assert.equal(tracker.pose(PROBLEM).problem.id, 'problem-2');
+    assert.equal(posed({ question: 'What is 2 + 2?', answer: '4' }).problem.title, 'Practice problem');
+    assert.equal(posed({ question: 'What is 2 + 2?', answer: '4', title: 'Fractions' }).problem.topic, 'Fractions');
+    assert.equal(posed({ question: 'What is 2 + 2?', answer: '4' }).problem.topic, 'General');
+});
+
+test('rejects problems it could not check', () => {
+    const tracker = new PracticeTracker();
+    assert.deepEqual(tracker.pose({ ...PROBLEM, question: ' ' }), { error: 'question must be the problem for the student, as text and LaTeX' });
+    assert.deepEqual(tracker.pose({ ...PROBLEM, question: 'x'.repeat(1001) }), { error: 'question is too long (limit 1000 characters)' });
+    assert.match(tracker.pose({ ...PROBLEM, answer: 'x = = 2' }).error, /^answer must be the final answer as a value, expression or equation \(/);
+    assert.deepEqual(tracker.pose({ ...PROBLEM, hints: 'Undo the +3' }), { error: 'hints must be a list of hints, gentlest first' });
+    assert.deepEqual(tracker.pose({ ...PROBLEM, hints: ['Undo the +3', ''] }), { error: 'hints must be a list of hints, gentlest first' });
+    assert.deepEqual(tracker.pose({ ...PROBLEM, hints: Array(6).fill('Think') }), { error: 'give at most 5 hints' });
+    assert.equal(tracker.problem, null);
+});
+
+test('sends the practice-result payload for each answer', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1767225600000 });
+    const { tracker } = posed();
+
+    const wrong = tracker.submit(' x = 3 ', 'typed', 'problem-1');
+    const { message, ...result } = wrong.result;
+    assert.equal(typeof message, 'string');
+    assert.deepEqual(result, {
+        problemId: 'problem-1',
+        title: 'Linear equation',
+        topic: 'Linear equations',
+        question: 'Solve $2x + 3 = 7$',
+        answer: 'x = 3',
+        correct: false,
+        attempt: 1,
+        hintsUsed: 1,
+        source: 'typed',
+        at: 1767225600000
+    });
+    assert.deepEqual(wrong.hint, { problemId: 'problem-1', topic: 'Linear equations', level: 1, count: 2, hint: 'Undo the +3 first' });
+
+    const right = tracker.submit('2', 'spoken');
+    assert.equal(right.result.correct, true);
+    assert.equal(right.result.attempt, 2);
+    assert.equal(right.result.source, 'spoken');
+    assert.equal(right.hint, null);
+    assert.equal('expected' in right.result, false);
+});
+
+test('refuses answers to a problem that is not open', () => {
+    assert.deepEqual(new PracticeTracker().submit('2', 'typed'), { error: 'There is no open practice problem to answer' });
+
+    const { tracker } = posed();
+    tracker.pose({ ...PROBLEM, answer: 'x = 5' });
+    // An answer to the problem the tutor has since replaced
+    assert.deepEqual(tracker.submit('x = 2', 'typed', 'problem-1'), { error: 'There is no open practice problem to answer' });
+    assert.equal(tracker.problem.attempts, 0);
+
+    assert.equal(tracker.submit('x = 5', 'typed', 'problem-2').result.correct, true);
+    assert.deepEqual(tracker.submit('x = 5', 'typed'), { error: 'That problem is already solved; pose another one' });
+});
+
+test('does not count an answer it cannot read', () => {
+    const { tracker } = posed();
+    assert.match(tracker.submit('', 'typed').error, /empty/);
+    assert.equal(tracker.problem.attempts, 0);
+    assert.equal(tracker.problem.hintsUsed, 0);
+});
+
+test('stops climbing the hint ladder once every hint is given', () => {
+    const { tracker } = posed();
+    assert.equal(tracker.submit('x = 3', 'typed').hint.level, 1);
+    assert.equal(tracker.nextHint().hint, 'Now divide both sides by 2');
+    assert.equal(tracker.nextHint(), null);
+
+    const last = tracker.submit('x = 4', 'typed');
+    assert.equal(last.hint, null);
+    assert.equal(last.result.hintsUsed, 2);
+    assert.equal(last.result.attempt, 2);
+
+    assert.equal(posed({ question: 'What is 2 + 2?', answer: '4' }).tracker.nextHint(), null);
+    assert.equal(new PracticeTracker().nextHint(), null);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_SESSION_CONFIG,
+    readSessionConfig,
+    sessionConfigOptions,
+    sessionConfigHandshake
+} = require('../services/SessionConfig');
+
+const ALLOWED = {
+    voice: ['Puck', 'Charon', 'Kore', 'Fenrir', 'Aoede'],
+    language: ['auto', 'en', 'es', 'fr', 'de', 'pt', 'ar', 'hi', 'bn', 'zh', 'ja', 'ko', 'id', 'tr', 'ru'],
+    subject: ['math', 'physics', 'chemistry', 'cs'],
+    depth: ['brief', 'standard', 'detailed'],
+    persona: ['visual', 'socratic', 'coach', 'professor']
+};
+
+test('uses the defaults when the client sends no settings', () => {
+    assert.deepEqual(DEFAULT_SESSION_CONFIG, { voice: 'Charon', language: 'en', subject: 'math', depth: 'standard', persona: 'visual' });
+    assert.deepEqual(readSessionConfig(undefined), { config: DEFAULT_SESSION_CONFIG });
+    assert.deepEqual(readSessionConfig(null), { config: DEFAULT_SESSION_CONFIG });
+    assert.deepEqual(readSessionConfig({}), { config: DEFAULT_SESSION_CONFIG });
+    assert.notEqual(readSessionConfig().config, DEFAULT_SESSION_CONFIG, 'a copy, not the shared defaults');
+});
+
+for (const [key, values] of Object.entries(ALLOWED)) {
+    test(`accepts each allowed ${key} and defaults it when left out`, () => {
+        for (const value of values) {
+            assert.deepEqual(readSessionConfig({ [key]: value }).config, { ...DEFAULT_SESSION_CONFIG, [key]: value });
+        }
+        const others = Object.fromEntries(Object.keys(ALLOWED).filter((other) => other !== key).map((other) => [other, ALLOWED[other].at(-1)]));
+        assert.equal(readSessionConfig(others).config[key], DEFAULT_SESSION_CONFIG[key]);
+    });
+
+    test(`rejects a ${key} off the allow-list`, () => {
+        const error = `${key} must be one of ${values.join(', ')}`;
+        for (const value of ['nope', values[0].toUpperCase() + 'x', '', 'constructor', '__proto__', 42, null, [values[0]]]) {
+            assert.deepEqual(readSessionConfig({ [key]: value }), { error }, `${key}: ${JSON.stringify(value)}`);
+        }
+    });
+}
+
+test('rejects settings that are not an object', () => {
+    for (const settings of ['math', 42, true, ['math']]) {
+        assert.deepEqual(readSessionConfig(settings), { error: 'settings must be an object' });
+    }
+});
+
+test('lists the choices for each setting', () => {
+    const options = sessionConfigOptions();
+    assert.deepEqual(Object.keys(options), Object.keys(ALLOWED));
+    for (const [key, values] of Object.entries(ALLOWED)) {
+        assert.deepEqual(options[key].map((option) => option.value), values);
+        assert.ok(options[key].every((option) => typeof option.label === 'string' && option.label));
+    }
+    assert.deepEqual(options.voice[0], { value: 'Puck', label: 'Puck (friendly, casual)' });
+});
+
+test('answers the handshake with the settings the session uses', () => {
+    const settings = { voice: 'Kore', language: 'fr', subject: 'physics', depth: 'brief', persona: 'coach' };
+    assert.deepEqual(sessionConfigHandshake(settings), { config: settings, options: sessionConfigOptions(), error: null });
+    assert.deepEqual(sessionConfigHandshake(undefined).config, DEFAULT_SESSION_CONFIG);
+});
+
+test('answers rejected handshake settings with the defaults and the reason, for the client to save instead', () => {
+    // One bad field discards the rest too, so the client replaces everything it saved
+    const handshake = sessionConfigHandshake({ voice: 'Kore', language: 'xx' });
+    assert.deepEqual(handshake, {
+        config: DEFAULT_SESSION_CONFIG,
+        options: sessionConfigOptions(),
+        error: 'language must be one of auto, en, es, fr, de, pt, ar, hi, bn, zh, ja, ko, id, tr, ru'
+    });
+    assert.equal(sessionConfigHandshake('Kore').error, 'settings must be an object');
+    assert.notEqual(handshake.config, DEFAULT_SESSION_CONFIG);
+});
@@ -0,0 +1,110 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const SessionManager = require('../services/SessionManager');
+
+const MINUTE = 60 * 1000;
+
+const fakeSocket = (id) => ({
+    id,
+    emitted: [],
+    disconnected: false,
+    emit(event, payload) {
+        this.emitted.push({ event, payload });
+    },
+    disconnect() {
+        this.disconnected = true;
+    }
+});
+
+const fakeTutor = () => ({
+    state: 'ready',
+    started: false,
+    closed: false,
+    start() {
+        this.started = true;
+    },
+    close() {
+        this.closed = true;
+        return Promise.resolve();
+    }
+});
+
+// A manager on fake timers, so the idle sweep runs only when the test moves the clock
+const createManager = (t, options = {}) => {
+    t.mock.timers.enable({ apis: ['setInterval', 'Date'], now: 0 });
+    t.mock.method(console, 'log', () => {});
+    return new SessionManager({ maxSessions: 2, idleTimeoutMs: 10 * MINUTE, ...options });
+};
+
+test('turns away the socket after the cap is reached', (t) => {
+    const manager = createManager(t);
+    const tutors = [fakeTutor(), fakeTutor(), fakeTutor()];
+
+    assert.equal(manager.open(fakeSocket('a'), tutors[0]), true);
+    assert.equal(manager.open(fakeSocket('b'), tutors[1]), true);
+    assert.equal(manager.isFull(), true);
+    assert.equal(manager.open(fakeSocket('c'), tutors[2]), false);
+    assert.equal(tutors[2].started, false);
+    assert.equal(manager.size, 2);
+
+    // A closed session frees its place
+    manager.close('a');
+    assert.equal(manager.open(fakeSocket('c'), tutors[2]), true);
+    assert.equal(tutors[2].started, true);
+
+    const stats = manager.stats();
+    assert.equal(stats.total, 3);
+    assert.equal(stats.rejected, 1);
+    manager.closeAll();
+});
+
+test('closes a session once the student has been idle for the timeout', (t) => {
+    const manager = createManager(t);
+    const idle = fakeSocket('idle');
+    const busy = fakeSocket('busy');
+    const idleTutor = fakeTutor();
+    const busyTutor = fakeTutor();
+    manager.open(idle, idleTutor);
+    manager.open(busy, busyTutor);
+
+    // The sweep runs every quarter of the timeout; student input keeps `busy` open
+    for (let minute = 1; minute <= 9; minute++) {
+        t.mock.timers.tick(MINUTE);
+        manager.touch('busy');
+    }
+    assert.equal(idleTutor.closed, false);
+    assert.equal(manager.stats().longestIdleSeconds, 9 * 60);
+
+    // The sweep at the 10 minute mark
+    t.mock.timers.tick(MINUTE);
+    assert.equal(idleTutor.closed, true);
+    assert.equal(idle.disconnected, true);
+    assert.deepEqual(idle.emitted, [{
+        event: 'status',
+        payload: { status: 'idle', message: 'Session closed after 10 minutes of inactivity' }
+    }]);
+    assert.equal(busyTutor.closed, false);
+    assert.equal(manager.size, 1);
+    assert.equal(manager.stats().closedForIdle, 1);
+    manager.closeAll();
+});
+
+test('stops sweeping when the last session closes', (t) => {
+    const manager = createManager(t);
+    manager.open(fakeSocket('a'), fakeTutor());
+    assert.notEqual(manager.sweepTimer, null);
+    manager.close('a');
+    assert.equal(manager.sweepTimer, null);
+});
+
+test('closes every session on shutdown', async (t) => {
+    const manager = createManager(t, { maxSessions: 5 });
+    const tutors = Array.from({ length: 3 }, fakeTutor);
+    tutors.forEach((tutor, i) => manager.open(fakeSocket(`socket-${i}`), tutor));
+
+    await manager.closeAll();
+    assert.ok(tutors.every((tutor) => tutor.closed));
+    assert.equal(manager.size, 0);
+    assert.equal(manager.sweepTimer, null);
+    await manager.close('socket-0');
+});
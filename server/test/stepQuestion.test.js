@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { readStepQuestion } = require('../services/StepQuestion');
+const GeminiLiveBridge = require('../services/GeminiLiveBridge');
+
+const QUESTION = { title: 'Solving 2x + 3 = 7', stepIndex: 1, step: '2x = 7 - 3', action: 'explain' };
+
+test('reads a question about one step', () => {
+    assert.deepEqual(readStepQuestion(QUESTION), { question: QUESTION });
+    assert.deepEqual(readStepQuestion({ ...QUESTION, title: '  ', step: '  2x = 4 ' }).question, {
+        title: 'Solution', stepIndex: 1, step: '2x = 4', action: 'explain'
+    });
+    assert.equal(readStepQuestion({ ...QUESTION, title: 'x'.repeat(300) }).question.title.length, 200);
+});
+
+test('rejects a step that is not on the board', () => {
+    for (const stepIndex of [-1, 50, 1.5, '1', null, undefined]) {
+        assert.deepEqual(readStepQuestion({ ...QUESTION, stepIndex }), { error: 'stepIndex must be a whole number from 0 to 49' });
+    }
+    assert.deepEqual(readStepQuestion({ ...QUESTION, step: ' ' }), { error: 'step must be the text of the step' });
+    assert.deepEqual(readStepQuestion({ ...QUESTION, step: 42 }), { error: 'step must be the text of the step' });
+});
+
+test('rejects an over-long step', () => {
+    assert.ok(readStepQuestion({ ...QUESTION, step: 'x'.repeat(1000) }).question);
+    assert.deepEqual(readStepQuestion({ ...QUESTION, step: 'x'.repeat(1001) }), { error: 'step is too long (1001 characters, limit 1000)' });
+});
+
+test('rejects a missing payload or an unknown action', () => {
+    assert.deepEqual(readStepQuestion(null), { error: 'No step was given' });
+    assert.deepEqual(readStepQuestion('step 2'), { error: 'No step was given' });
+    assert.deepEqual(readStepQuestion({ ...QUESTION, action: 'solve' }), { error: 'action must be one of explain, alternative, stuck' });
+});
+
+test('asks the tutor about that one step', () => {
+    // Not connected, so the turn waits in the queue where it can be read
+    const bridge = new GeminiLiveBridge({ liveUrl: 'http://localhost:1' });
+    bridge.sendStepQuestion(QUESTION);
+    bridge.sendStepQuestion({ ...QUESTION, action: 'stuck' });
+
+    const [[explain], [stuck]] = bridge.pendingTurns;
+    assert.equal(explain.text,
+        'About step 2 of "Solving 2x + 3 = 7": 2x = 7 - 3\n\n'
+        + 'Explain why this step follows from the one before it. '
+        + "Answer with 'animate_solution' covering only this step, in a few short steps, and narrate them. Don't redo the whole solution.");
+    assert.match(stuck.text, /: 2x = 7 - 3\n\nI don't get this step\. Break it into smaller, slower steps\. /);
+});
@@ -0,0 +1,112 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const FileSessionStore = require('../stores/FileSessionStore');
+const FileProfileStore = require('../stores/FileProfileStore');
+const { createSessionsRouter } = require('../routes/sessions');
+const { createProfilesRouter } = require('../routes/profiles');
+const { noteTopic } = require('../services/LearnerProfile');
+
+// The routes that only show a student their own lessons and profile
+
+const ALICE = 'alice-0000-1111';
+const BOB = 'bob-2222-3333';
+
+let directory;
+let server;
+let baseUrl;
+let aliceLesson;
+let bobLesson;
+
+before(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'studyaid-routes-'));
+    const store = new FileSessionStore(path.join(directory, 'sessions'));
+    const profileStore = new FileProfileStore(path.join(directory, 'profiles'));
+    await profileStore.updateProfile(ALICE, (profile) => noteTopic(profile, 'Fractions'));
+    await profileStore.updateProfile(BOB, (profile) => noteTopic(profile, 'Vectors'));
+
+    aliceLesson = await store.createSession({ socketId: 'a', studentId: ALICE });
+    await store.appendEvent(aliceLesson.id, { type: 'text', text: 'Solve 2x + 3 = 7' });
+    await store.appendRecording(aliceLesson.id, [{ t: 0, kind: 'visual', command: { type: 'CLEAR_BOARD' } }]);
+    bobLesson = await store.createSession({ socketId: 'b', studentId: BOB });
+    // Recorded before lessons had an owner
+    await store.createSession({ socketId: 'c' });
+
+    const app = express();
+    app.use('/api/sessions', createSessionsRouter(store));
+    app.use('/api/profiles', createProfilesRouter(profileStore));
+    await new Promise((resolve) => {
+        server = app.listen(0, resolve);
+    });
+    baseUrl = `http://localhost:${server.address().port}/api`;
+});
+
+after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    await fs.rm(directory, { recursive: true, force: true });
+});
+
+const request = (url, studentId, options = {}) => fetch(`${baseUrl}${url}`, {
+    ...options,
+    headers: studentId ? { 'X-Student-Id': studentId } : {}
+});
+
+test('requires a valid student id', async () => {
+    assert.equal((await request('/sessions', null)).status, 400);
+    assert.equal((await request('/sessions', 'no')).status, 400);
+    assert.equal((await request(`/sessions/${aliceLesson.id}`, '../../etc/passwd')).status, 400);
+});
+
+test("lists only the student's own lessons", async () => {
+    const alice = await (await request('/sessions', ALICE)).json();
+    assert.deepEqual(alice.map((summary) => summary.id), [aliceLesson.id]);
+
+    const bob = await (await request('/sessions', BOB)).json();
+    assert.deepEqual(bob.map((summary) => summary.id), [bobLesson.id]);
+
+    assert.deepEqual(await (await request('/sessions', 'carol-4444-5555')).json(), []);
+});
+
+test("reads a lesson and its recording only for the student it belongs to", async () => {
+    const own = await request(`/sessions/${aliceLesson.id}`, ALICE);
+    assert.equal(own.status, 200);
+    assert.equal((await own.json()).events[0].text, 'Solve 2x + 3 = 7');
+    assert.equal((await request(`/sessions/${aliceLesson.id}/recording`, ALICE)).status, 200);
+
+    // Someone else's lesson looks the same as one that doesn't exist
+    const other = await request(`/sessions/${aliceLesson.id}`, BOB);
+    assert.equal(other.status, 404);
+    assert.deepEqual(await other.json(), { error: 'Session not found' });
+    assert.equal((await request(`/sessions/${aliceLesson.id}/recording`, BOB)).status, 404);
+});
+
+test("deletes a lesson only for the student it belongs to", async () => {
+    assert.equal((await request(`/sessions/${bobLesson.id}`, ALICE, { method: 'DELETE' })).status, 404);
+    assert.equal((await request(`/sessions/${bobLesson.id}`, BOB)).status, 200);
+
+    assert.equal((await request(`/sessions/${bobLesson.id}`, BOB, { method: 'DELETE' })).status, 204);
+    assert.equal((await request(`/sessions/${bobLesson.id}`, BOB)).status, 404);
+});
+
+test("returns a profile only to the student it belongs to", async () => {
+    assert.equal((await request(`/profiles/${ALICE}`, null)).status, 400);
+
+    const own = await request(`/profiles/${ALICE}`, ALICE);
+    assert.equal(own.status, 200);
+    assert.deepEqual((await own.json()).topics.map((topic) => topic.name), ['Fractions']);
+
+    const other = await request(`/profiles/${ALICE}`, BOB);
+    assert.equal(other.status, 404);
+    assert.deepEqual(await other.json(), { error: 'Profile not found' });
+});
+
+test("deletes a profile only for the student it belongs to", async () => {
+    assert.equal((await request(`/profiles/${BOB}`, ALICE, { method: 'DELETE' })).status, 404);
+    assert.equal((await request(`/profiles/${BOB}`, BOB)).status, 200);
+
+    assert.equal((await request(`/profiles/${BOB}`, BOB, { method: 'DELETE' })).status, 204);
+    assert.equal((await request(`/profiles/${BOB}`, BOB)).status, 404);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SECTION_NAMES, buildSystemInstruction } = require('../services/SystemInstruction');
+const { DEFAULT_SESSION_CONFIG } = require('../services/SessionConfig');
+
+const context = { sessionConfig: DEFAULT_SESSION_CONFIG, learnerSummary: '' };
+const textOf = (instruction) => instruction.parts.map((part) => part.text).join('\n');
+
+test('opens with the tutor the session settings describe', () => {
+    const [first] = buildSystemInstruction(context).parts;
+    assert.match(first.text, /^You are an expert Math Tutor with the style of 3Blue1Brown\./);
+
+    const physics = buildSystemInstruction({ ...context, sessionConfig: { ...DEFAULT_SESSION_CONFIG, subject: 'physics', language: 'fr' } });
+    assert.match(textOf(physics), /^You are an expert Physics Tutor/);
+    assert.match(textOf(physics), /Always answer in French/);
+});
+
+test('has a section for each capability', () => {
+    assert.deepEqual(SECTION_NAMES, [
+        'sessionSettings', 'narratedSolutions', 'boardTools', 'geometry', 'images',
+        'practiceMode', 'stepQuestions', 'camera', 'profileSummary'
+    ]);
+
+    const only = (name) => textOf(buildSystemInstruction(context, { sections: [name] }));
+    assert.match(only('narratedSolutions'), /'animate_solution'.*VERBALLY/);
+    assert.match(only('boardTools'), /'update_board'.*'implicit', 'polar' or 'parametric'/);
+    assert.match(only('geometry'), /'draw_geometry' with true coordinates/);
+    assert.match(only('images'), /photo.*sketch/);
+    assert.match(only('practiceMode'), /'pose_problem'.*'check_answer'/);
+    assert.match(only('stepQuestions'), /nested under that step/);
+    assert.match(only('camera'), /video frames/);
+});
+
+test('leaves out the sections that are turned off', () => {
+    const withoutPractice = textOf(buildSystemInstruction(context, {
+        sections: SECTION_NAMES.filter((name) => name !== 'practiceMode')
+    }));
+    assert.doesNotMatch(withoutPractice, /pose_problem|check_answer/);
+    assert.match(withoutPractice, /draw_geometry/);
+
+    assert.deepEqual(buildSystemInstruction(context, { sections: [] }), { parts: [] });
+    assert.throws(() => buildSystemInstruction(context, { sections: ['practice'] }), /Unknown system instruction section: practice/);
+});
+
+test('sends the learner profile summary as its own part, only when there is one', () => {
+    assert.equal(buildSystemInstruction(context).parts.length, 1);
+
+    const summary = 'The student has worked on 2 topics. Weak: Fractions.';
+    const { parts } = buildSystemInstruction({ ...context, learnerSummary: summary });
+    assert.equal(parts.length, 2);
+    assert.equal(parts[1].text, summary);
+    assert.doesNotMatch(parts[0].text, /Fractions/);
+
+    const withoutProfile = buildSystemInstruction({ ...context, learnerSummary: summary }, {
+        sections: SECTION_NAMES.filter((name) => name !== 'profileSummary')
+    });
+    assert.equal(withoutProfile.parts.length, 1);
+});